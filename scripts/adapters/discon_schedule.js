@@ -0,0 +1,117 @@
+/**
+ * Source adapter for pages that embed `DisconSchedule.fact = {...}` and `DisconSchedule.preset = {...}`
+ * (the Yasno/DTEK family of sites). The data is already in the shape data/<region>.json stores,
+ * so `normalize` passes it through unchanged.
+ */
+
+const { scanBalanced, parseJsLiteral } = require('../lib/js_literal');
+
+const id = 'discon-schedule';
+
+function extractDisconObject(html, key) {
+  const marker = `DisconSchedule.${key} =`;
+  let idx = html.indexOf(marker);
+  if (idx === -1) {
+    return { error: `Marker \`DisconSchedule.${key} =\` not found` };
+  }
+  // Use the first occurrence that is followed by a literal (skips mentions in comments/strings)
+  let i = -1;
+  while (idx !== -1) {
+    let j = idx + marker.length;
+    // Skip whitespace
+    while (j < html.length && /\s/.test(html[j])) j++;
+    if (html[j] === '{' || html[j] === '[') { i = j; break; }
+    idx = html.indexOf(marker, idx + marker.length);
+  }
+  if (i === -1) {
+    return { error: `Expected '{' or '[' after \`DisconSchedule.${key} =\`` };
+  }
+  // Extract the balanced literal; braces inside strings and comments are ignored
+  const start = i;
+  const scanned = scanBalanced(html, start);
+  if (scanned.error) {
+    return { error: `${scanned.error} while extracting ${key} object` };
+  }
+  const jsonLike = html.slice(start, scanned.end);
+  return { jsonLike, startIndex: start, endIndex: scanned.end };
+}
+
+function tryParseObject(text) {
+  // First, try strict JSON
+  let jsonError;
+  try {
+    return { value: JSON.parse(text), method: 'json' };
+  } catch (e) {
+    jsonError = e;
+  }
+  // Fallback: parse as a JS object literal without evaluating anything
+  try {
+    return { value: parseJsLiteral(text), method: 'js-literal' };
+  } catch (e) {
+    return { error: `Failed to parse object: not JSON (${jsonError.message}) nor a JS literal (${e.message})` };
+  }
+}
+
+// Both markers present: the page carries schedule data (used by the fetcher to spot WAF placeholders)
+function detect(html) {
+  return !!html && html.includes('DisconSchedule.fact') && html.includes('DisconSchedule.preset');
+}
+
+// Markers that `detect` looks for but the page lacks, for fetch diagnostics
+function missingMarkers(html) {
+  return ['DisconSchedule.fact', 'DisconSchedule.preset'].filter(m => !(html || '').includes(m));
+}
+
+/**
+ * Pull `fact` (required) and `preset` (optional) out of the page.
+ * @returns {{ fact: { text, value, method }, preset: { text, value, method } | null, warnings: string[] } | { error: string }}
+ */
+function extract(html) {
+  const factExt = extractDisconObject(html, 'fact');
+  if (factExt.error) return { error: factExt.error };
+  const factParsed = tryParseObject(factExt.jsonLike);
+  if (factParsed.error) return { error: factParsed.error };
+
+  const warnings = [];
+  let preset = null;
+  const presetExt = extractDisconObject(html, 'preset');
+  // preset is optional; if missing, we'll leave it null.
+  if (!presetExt.error) {
+    const pp = tryParseObject(presetExt.jsonLike);
+    if (pp.error) {
+      // If preset failed to parse, proceed with null but keep the text for the hash
+      warnings.push(pp.error + ' (preset)');
+      preset = { text: presetExt.jsonLike, value: null, method: 'failed' };
+    } else {
+      preset = { text: presetExt.jsonLike, value: pp.value, method: pp.method };
+    }
+  }
+
+  return {
+    fact: { text: factExt.jsonLike, value: factParsed.value, method: factParsed.method },
+    preset,
+    warnings,
+  };
+}
+
+function normalize(extracted) {
+  return {
+    fact: extracted.fact.value,
+    preset: extracted.preset ? extracted.preset.value : null,
+    methods: { fact: extracted.fact.method, preset: extracted.preset ? extracted.preset.method : 'n/a' },
+    // Content hash is based on the extracted text of fact + preset (if any)
+    hashInput: extracted.fact.text + '|' + (extracted.preset ? extracted.preset.text : ''),
+  };
+}
+
+module.exports = {
+  id,
+  description: 'HTML page with DisconSchedule.fact / DisconSchedule.preset object literals',
+  detect,
+  missingMarkers,
+  extract,
+  normalize,
+  // exported for reuse by adapters of sites with a similar embedding
+  extractDisconObject,
+  tryParseObject,
+};
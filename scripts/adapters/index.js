@@ -0,0 +1,46 @@
+/**
+ * Source adapter registry.
+ *
+ * An adapter turns one provider's page (HTML, JSON API response, …) into the `fact`/`preset` pair
+ * stored in data/<region>.json. Each adapter module exports:
+ *   id           — name used in region configuration (e.g. "discon-schedule")
+ *   description  — one line for listings
+ *   detect(body) — cheap check that the fetched body carries schedule data (fetcher uses it to spot
+ *                  WAF/placeholder pages, parser uses it for auto-selection)
+ *   missingMarkers(body) — optional; what `detect` looked for and did not find (fetch diagnostics)
+ *   extract(body) → { fact: { text, value, method }, preset: {…} | null, warnings: string[] } | { error }
+ *   normalize(extracted) → { fact, preset, methods: { fact, preset }, hashInput }
+ *     `fact`/`preset` must match templates/json/data.schema.json; `hashInput` feeds meta.contentHash.
+ *
+ * To add a provider: create scripts/adapters/<name>.js, register it below, and add a fixture
+ * of its page under test/fixtures/adapters/.
+ */
+
+const ADAPTERS = [
+  require('./discon_schedule'),
+];
+
+const DEFAULT_ADAPTER_ID = 'discon-schedule';
+
+function listAdapters() {
+  return ADAPTERS.map(a => ({ id: a.id, description: a.description }));
+}
+
+function getAdapter(id) {
+  const adapter = ADAPTERS.find(a => a.id === id);
+  if (!adapter) throw new Error(`Unknown source adapter '${id}' (known: ${ADAPTERS.map(a => a.id).join(', ')})`);
+  return adapter;
+}
+
+// Configured adapter, or — for "auto"/unset — the first one whose detect() accepts the body
+function selectAdapter(body, id) {
+  if (id && id !== 'auto') return getAdapter(id);
+  return ADAPTERS.find(a => a.detect(body)) || getAdapter(DEFAULT_ADAPTER_ID);
+}
+
+module.exports = {
+  DEFAULT_ADAPTER_ID,
+  listAdapters,
+  getAdapter,
+  selectAdapter,
+};
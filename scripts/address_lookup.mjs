@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+// Find the GPV group for an address (scripts/lib/addresses.mjs, index in addresses/<region>.csv|json)
+// Usage:
+//   node scripts/address_lookup.mjs --region kyiv --address "вул. Хрещатик, 22"
+//   node scripts/address_lookup.mjs --region kyiv --address "просп Берестейський 10" --json
+//   node scripts/address_lookup.mjs --region kyiv --address "Хрещатик 22" --all        # every match, not only the best
+//   node scripts/address_lookup.mjs --region kyiv --check                             # validate the index file
+// Notes:
+// - Prints the group and the image for it (images/<region>/gpv-x-y.png). To render the image for an address
+//   directly: node scripts/render_png.mjs --region kyiv --address "вул. Хрещатик, 22"
+// - Exit codes: 0 — found (or index valid), 1 — not found / ambiguous / index errors, 2 — bad arguments.
+
+import path from 'node:path';
+import { loadAddressIndex, resolveGroup, imagePathFor, ADDRESSES_DIR } from './lib/addresses.mjs';
+import regionsLib from './lib/regions.js';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+const { getRegion, groupLabel } = regionsLib;
+
+const args = parseScriptOptions({
+  script: 'scripts/address_lookup.mjs',
+  summary: 'Find the GPV group for an address in addresses/<region>.csv|json.',
+  options: {
+    region: { type: 'string', required: true, value: '<id>', describe: 'Region id' },
+    address: { type: 'string', value: '<address>', describe: 'Address to look up ("вул. Хрещатик, 22")' },
+    all: { type: 'boolean', describe: 'Every match, not only the best' },
+    json: { type: 'boolean', describe: 'Machine-readable output' },
+    check: { type: 'boolean', describe: 'Validate the index file instead' },
+    dir: { type: 'string', value: '<dir>', describe: 'Addresses folder (default addresses/)' },
+  },
+  notes: [
+    'No region has an address index yet (addresses/README.md): every lookup fails until one is built with',
+    'scripts/build_address_index.mjs from the distribution company export.',
+    'Exit codes: 0 found (or index valid), 1 not found, ambiguous or index errors, 2 bad arguments.',
+  ],
+});
+if (args.address === undefined && !args.check) {
+  console.error("[ERROR] Give --address or --check. See 'node scripts/address_lookup.mjs --help'.");
+  process.exit(2);
+}
+const dir = args.dir ? path.resolve(args.dir) : ADDRESSES_DIR;
+
+let index;
+try {
+  index = await loadAddressIndex(args.region, { dir });
+} catch (e) {
+  console.error(`[ERROR] Cannot read address index for '${args.region}': ${e?.message || e}`);
+  process.exit(2);
+}
+if (!index.file) {
+  console.error(`[ERROR] No address index for region '${args.region}' (expected ${path.join(dir, `${args.region}.csv`)} or .json; `
+    + 'build it with scripts/build_address_index.mjs, see addresses/README.md)');
+  process.exit(2);
+}
+
+if (args.check) {
+  for (const err of index.errors) console.error(`[WARN] ${path.basename(index.file)}: ${err}`);
+  console.log(`[${index.errors.length ? 'ERROR' : 'OK'}] ${index.entries.length} entries, ${index.errors.length} problem(s) in ${index.file}`);
+  process.exit(index.errors.length ? 1 : 0);
+}
+
+const { gpv, matches, ambiguous } = resolveGroup(index, args.address);
+const region = getRegion(args.region, { env: {} });
+const shown = args.all ? matches : matches.filter(m => m.score === matches[0]?.score);
+
+if (args.json) {
+  console.log(JSON.stringify({
+    regionId: args.region,
+    address: args.address,
+    gpv,
+    ambiguous,
+    image: gpv ? imagePathFor(args.region, gpv) : null,
+    matches: shown,
+  }, null, 2));
+} else if (!matches.length) {
+  console.log(`Адресу не знайдено: ${args.address}`);
+} else {
+  if (gpv) {
+    console.log(`${groupLabel(region, gpv)} (${gpv})`);
+    console.log(`  зображення: ${imagePathFor(args.region, gpv)}`);
+  } else {
+    console.log('Адреса відповідає кільком чергам — уточніть номер будинку:');
+  }
+  for (const m of shown) {
+    console.log(`  ${[m.settlement, m.street].filter(Boolean).join(', ')}${m.houses ? ` (${m.houses})` : ''} → ${m.gpv}`);
+  }
+}
+process.exitCode = gpv ? 0 : 1;
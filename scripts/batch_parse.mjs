@@ -3,39 +3,77 @@
 // Usage:
 //   REGION_SOURCES_JSON='{"kyiv":"https://..."}' node scripts/batch_parse.mjs   # parse all outputs/*.html
 //   REGION=kyiv node scripts/batch_parse.mjs                                        # parse only one region
+//   REGION=kyiv,odesa node scripts/batch_parse.mjs                                  # parse only these regions
 // Notes:
+// - Pages of regions disabled in the registry (`"enabled": false`) are skipped unless REGION names them, the same
+//   selection as fetch_regions_playwright.mjs: a stale outputs/<region>.html is not parsed and committed again.
 // - Does not fail the process on partial errors; prints a summary and exits 0.
-// - Reads upstream mapping from REGION_SOURCES_JSON env (JSON object), without jq.
+// - Region settings (adapter, display name) come from config/regions.json merged with REGION_SOURCES_JSON
+//   (scripts/lib/regions.js); the adapter id is passed to the parser (unknown regions are auto-detected).
+// - Diffs each region against its previous data/<region>.json, prints the changed slots and writes
+//   machine-readable outputs/changes/<region>.json (see scripts/lib/diff.mjs) for downstream notifiers.
+// - Regions with only a fetch result (outputs/<region>.fetch.json, no page yet) are parsed too, so that the
+//   failed fetch is recorded in data/<region>.json (see scripts/lib/fetch_status.js).
+// - After each successful parse appends a snapshot to history/<region>/<YYYY-MM-DD>.jsonl when meta.contentHash changed.
+// - The parser rewrites data/<region>.json only when the schedule changed and records every run in
+//   outputs/parse-status.json (scripts/lib/parse_status.js). The regions changed by this run are written to
+//   outputs/changed-regions.json as a JSON array of ids (`[]` when nothing changed): the regions to render and
+//   commit (see scripts/commit_message.mjs).
 
 import { readdir, mkdir, stat } from 'node:fs/promises';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { appendSnapshotIfChanged } from './lib/history.mjs';
+import { diffRegion, formatDiff } from './lib/diff.mjs';
+import regionsLib from './lib/regions.js';
+import parseStatusLib from './lib/parse_status.js';
+
+const { loadRegions, filterRegions } = regionsLib;
+const { parseStatusPath, readParseStatus } = parseStatusLib;
 
 const projectRoot = process.cwd();
 const outputsDir = path.join(projectRoot, 'outputs');
 const dataDir = path.join(projectRoot, 'data');
-const parserScript = path.join(projectRoot, 'scripts', 'parse_fact.js');
+const historyDir = path.join(projectRoot, 'history');
+const changesDir = path.join(outputsDir, 'changes');
+const changedListPath = path.join(outputsDir, 'changed-regions.json');
+const statusFile = parseStatusPath(dataDir);
+// outputs/, data/ and history/ are taken from the working directory, the parser from next to this script
+const parserScript = path.join(path.dirname(fileURLToPath(import.meta.url)), 'parse_fact.js');
 
-function parseEnvJson(name, def = {}) {
-  const raw = process.env[name];
-  if (!raw) return def;
-  try { return JSON.parse(raw); } catch { return def; }
-}
+const REGIONS = (process.env.REGION || '').split(',').map(s => s.trim()).filter(Boolean);
 
-const REGION = process.env.REGION || '';
-const sources = parseEnvJson('REGION_SOURCES_JSON', {});
+function loadRegionsOrEmpty() {
+  try {
+    return loadRegions();
+  } catch (e) {
+    console.warn(`[WARN] ${e.message}; parsing with auto-detected adapters`);
+    return [];
+  }
+}
+const registry = loadRegionsOrEmpty();
+const regionsById = new Map(registry.map(r => [r.id, r]));
+const disabledIds = new Set(filterRegions(registry, { enabled: false }).map(r => r.id));
 
 async function fileExists(p) {
   try { await stat(p); return true; } catch { return false; }
 }
 
+async function readJsonOrNull(p) {
+  try { return JSON.parse(await fs.readFile(p, 'utf8')); } catch { return null; }
+}
+
+// outputs/<region>.html for every page or fetch result in outputs/ (the page may not exist after a failed first fetch)
 async function listOutputsHtml() {
   try {
     const entries = await readdir(outputsDir, { withFileTypes: true });
-    return entries
-      .filter(e => e.isFile() && e.name.toLowerCase().endsWith('.html'))
-      .map(e => path.join(outputsDir, e.name));
+    const stems = entries
+      .filter(e => e.isFile())
+      .map(e => e.name.match(/^(.+?)(?:\.html|\.fetch\.json)$/i)?.[1])
+      .filter(Boolean);
+    return [...new Set(stems)].sort().map(stem => path.join(outputsDir, `${stem}.html`));
   } catch (_) {
     return [];
   }
@@ -46,16 +84,22 @@ function deriveRegionFromFile(filePath) {
   return stem;
 }
 
-function runParser({ region, htmlPath, upstream, outPath }) {
+function runParser({ region, htmlPath, upstream, adapter, outPath }) {
   return new Promise((resolve) => {
     const args = [parserScript, '--region', region, '--in', htmlPath, '--out', outPath];
     if (upstream) { args.push('--upstream', upstream); }
+    if (adapter) { args.push('--adapter', adapter); }
     args.push('--pretty');
     const child = spawn(process.execPath, args, { stdio: 'inherit' });
     child.on('exit', (code) => resolve({ code: code ?? 0 }));
   });
 }
 
+async function writeChangedList(ids) {
+  await mkdir(outputsDir, { recursive: true });
+  await fs.writeFile(changedListPath, `${JSON.stringify(ids)}\n`);
+}
+
 (async () => {
   if (!(await fileExists(parserScript))) {
     console.error(`[ERROR] Parser script not found: ${parserScript}`);
@@ -64,29 +108,68 @@ function runParser({ region, htmlPath, upstream, outPath }) {
   await mkdir(dataDir, { recursive: true });
 
   const files = (await listOutputsHtml()).filter(f => {
-    if (!REGION) return true;
-    const reg = deriveRegionFromFile(f);
-    return reg === REGION;
+    const region = deriveRegionFromFile(f);
+    if (REGIONS.length) return REGIONS.includes(region);
+    if (disabledIds.has(region)) {
+      console.log(`[INFO] Skipping disabled region '${region}'`);
+      return false;
+    }
+    return true;
   });
 
   if (files.length === 0) {
-    console.warn('[WARN] No HTML files to parse in outputs/. Nothing to do.');
+    console.warn('[WARN] No HTML files or fetch results to parse in outputs/. Nothing to do.');
+    await writeChangedList([]);
     process.exit(0);
   }
 
-  let processed = 0, success = 0, failed = 0;
+  const since = Date.now();
+  const changed = [];
+  let processed = 0, success = 0, failed = 0, archived = 0;
   for (const htmlPath of files) {
     const region = deriveRegionFromFile(htmlPath);
     const outPath = path.join(dataDir, `${region}.json`);
-    const upstream = typeof sources[region] === 'string' ? sources[region] : '';
+    const source = regionsById.get(region) || null;
+    const upstream = source?.url || '';
 
     processed++;
+    const previous = await readJsonOrNull(outPath);
     console.log(`[INFO] Parsing region='${region}' from ${path.relative(projectRoot, htmlPath)} → ${path.relative(projectRoot, outPath)}`);
-    const { code } = await runParser({ region, htmlPath, upstream, outPath });
+    const { code } = await runParser({ region, htmlPath, upstream, adapter: source?.adapter, outPath });
     if (code === 0) success++; else failed++;
+
+    // Only an entry written by this run counts: a parser crash leaves the previous one
+    const run = readParseStatus(statusFile).regions[region];
+    if (run?.changed && Date.parse(run.at) >= since) changed.push(region);
+
+    const json = await readJsonOrNull(outPath);
+    if (!json) continue;
+
+    try {
+      const diff = diffRegion(previous, json);
+      for (const line of formatDiff(diff)) console.log(`[DIFF] ${line}`);
+      await mkdir(changesDir, { recursive: true });
+      await fs.writeFile(path.join(changesDir, `${region}.json`), JSON.stringify(diff, null, 2));
+    } catch (e) {
+      console.warn(`[WARN] Failed to diff '${region}': ${e?.message || e}`);
+    }
+
+    try {
+      if (json?.lastUpdateStatus?.ok) {
+        const res = await appendSnapshotIfChanged(historyDir, region, json);
+        if (res.appended) {
+          archived++;
+          console.log(`[INFO] History snapshot for '${region}' → ${path.relative(projectRoot, res.file)}`);
+        }
+      }
+    } catch (e) {
+      console.warn(`[WARN] Failed to archive history for '${region}': ${e?.message || e}`);
+    }
   }
 
-  console.log(`[INFO] Done. Processed: ${processed}, successful: ${success}, failed: ${failed}`);
+  await writeChangedList(changed);
+  console.log(`[INFO] Done. Processed: ${processed}, successful: ${success}, failed: ${failed}, history snapshots: ${archived}`);
+  console.log(`[SUMMARY] Changed: ${changed.length ? changed.join(', ') : 'none'} → ${path.relative(projectRoot, changedListPath)}`);
   // Always exit 0 to not break pipelines due to partial failures
   process.exit(0);
 })();
@@ -4,36 +4,65 @@
 //   node scripts/batch_render.mjs --theme dark        # dark theme
 //   node scripts/batch_render.mjs --scale 2           # HiDPI export
 //   node scripts/batch_render.mjs --region kyiv-region  # only one region (by regionId or by file stem)
+//   node scripts/batch_render.mjs --region kyiv,odesa   # only these regions
+//   node scripts/batch_render.mjs --force             # ignore the render cache and re-render everything
+//   node scripts/batch_render.mjs --rendered-list outputs/rendered.txt   # paths of re-rendered PNGs (for pngquant)
+//   node scripts/batch_render.mjs --lang uk,en        # also English images in images/<region>/en/
+//   node scripts/batch_render.mjs --stale-banner      # "data may be outdated" banner on regions past their thresholds
+//
+// Images whose inputs did not change since the last run are skipped (see scripts/lib/render_cache.mjs);
+// keys live in images/<region>/render-manifest.json. Chromium is only started when something needs rendering.
+// --lang takes catalogs from templates/i18n (default uk); the default language keeps writing to images/<region>/,
+// other languages go to images/<region>/<lang>/ with the region's name from config/regions.json "names".
+// Every rendered image also gets <stem>.txt / <stem>.alt.json text alternatives (scripts/lib/alt_text.mjs), written
+// from the same data right after the PNG; skipped and failed images keep the ones that match their PNG.
+// --stale-banner checks each region with scripts/lib/health.mjs (thresholds from config/regions.json "health");
+// a region whose data is stale gets the banner on all its images, which changes their render keys. The latest
+// parse of each region comes from outputs/parse-status.json (scripts/lib/parse_status.js).
 //
 // Requirements: Node.js 18+, Playwright installed (chromium).
 
-import { readdir, readFile, mkdir, stat } from 'node:fs/promises';
+import { readdir, readFile, mkdir, stat, writeFile } from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { startStaticServer, createBrowser, renderPage } from './lib/renderer.mjs';
+import { imageInputs, renderKey, templateFingerprint, loadManifest, saveManifest } from './lib/render_cache.mjs';
+import { parseLangs, loadCatalog, langDir, LANGS } from './lib/i18n.mjs';
+import { describeImage, writeAltFiles } from './lib/alt_text.mjs';
+import { regionHealth, staleNotice } from './lib/health.mjs';
+import regionsLib from './lib/regions.js';
+import parseStatusLib from './lib/parse_status.js';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+const { getRegion, regionName } = regionsLib;
+const { parseStatusPath, readParseStatus, withRunStatus } = parseStatusLib;
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, '..');
 
-function parseArgs(argv) {
-  const args = {};
-  for (let i = 2; i < argv.length; i++) {
-    const a = argv[i];
-    if (!a.startsWith('--')) continue;
-    const k = a.slice(2);
-    const v = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
-    args[k] = v;
-  }
-  return args;
-}
-
-const args = parseArgs(process.argv);
-const theme = (args.theme === 'dark') ? 'dark' : 'light';
+const args = parseScriptOptions({
+  script: 'scripts/batch_render.mjs',
+  summary: 'Render PNG schedules for every region and GPV group (Playwright Chromium), skipping unchanged images.',
+  options: {
+    region: { type: 'string', multiple: true, value: '<id>', describe: 'Only these regions (regionId or file stem)' },
+    files: { type: 'string', multiple: true, value: '<file.json>', describe: 'Only these data files (by name)' },
+    theme: { type: 'string', choices: ['light', 'dark'], default: 'light', value: '<theme>', describe: 'Colour theme' },
+    scale: { type: 'string', value: '<factor>', describe: 'Device scale factor (default 1.5, up to 4)' },
+    max: { type: 'boolean', describe: 'Maximum quality (scale 4 unless --scale is given)' },
+    quality: { type: 'string', value: '<max>', describe: 'Same as --max when "max"' },
+    lang: { type: 'string', multiple: true, value: '<lang>', describe: `Image languages (${LANGS.join(', ')}; default uk)` },
+    force: { type: 'boolean', describe: 'Ignore the render cache' },
+    'stale-banner': { type: 'boolean', describe: 'Mark regions past their freshness thresholds' },
+    'rendered-list': { type: 'string', value: '<file>', describe: 'Write the paths of re-rendered PNGs here' },
+  },
+});
+const { theme } = args;
 // Accept explicit --scale; otherwise rely on single renderer's high-DPI default (DPR=4). Support --max passthrough.
 const scale = Number(args.scale || NaN);
-const onlyRegion = args.region || null; // regionId or file stem
-// Support passing a comma-separated list of specific JSON files to process
-const specificFiles = args.files ? args.files.split(',').map(f => f.trim()).filter(Boolean) : null;
+// regionId or file stem
+const onlyRegions = args.region || [];
+// Support passing a list of specific JSON files to process
+const specificFiles = args.files || null;
 
 const dataDir = path.join(projectRoot, 'data');
 const imagesDir = path.join(projectRoot, 'images');
@@ -42,6 +71,14 @@ const templateEmergency = path.join(projectRoot, 'templates', 'html', 'emergency
 const templateWeek = path.join(projectRoot, 'templates', 'html', 'week-template.html');
 const templateGroups = path.join(projectRoot, 'templates', 'html', 'groups-template.html');
 const templateSummary = path.join(projectRoot, 'templates', 'html', 'summary-item.html');
+const templates = { full: templateFull, emergency: templateEmergency, week: templateWeek, groups: templateGroups, summary: templateSummary };
+const force = args.force === true;
+const staleBanner = args['stale-banner'] === true;
+const { langs, unknown: unknownLangs } = parseLangs(args.lang?.join(','));
+if (unknownLangs.length || !langs.length) {
+  console.error(`[ERROR] Unknown --lang '${unknownLangs.join(',') || args.lang?.join(',')}' (known: ${LANGS.join(', ')})`);
+  process.exit(2);
+}
 
 function normalizeRegionId(json, fileStem) {
   return (json && typeof json.regionId === 'string' && json.regionId.trim()) || fileStem;
@@ -80,7 +117,7 @@ async function runParallel(tasks, concurrency) {
 (async () => {
   // Verify templates exist
   let missing = false;
-  for (const [name, p] of [['full', templateFull], ['emergency', templateEmergency], ['week', templateWeek], ['groups', templateGroups], ['summary', templateSummary]]) {
+  for (const [name, p] of Object.entries(templates)) {
     if (!(await fileExists(p))) {
       console.error(`[ERROR] HTML template not found (${name}): ${p}`);
       missing = true;
@@ -108,7 +145,7 @@ async function runParallel(tasks, concurrency) {
   // Determine scale factor once
   let deviceScaleFactor = scale;
   if (!Number.isFinite(deviceScaleFactor) || deviceScaleFactor <= 0) {
-    if (args.max === true || String(args.quality || '').toLowerCase() === 'max') {
+    if (args.max || String(args.quality || '').toLowerCase() === 'max') {
       deviceScaleFactor = 4;
     } else {
       deviceScaleFactor = 1.5;
@@ -116,12 +153,13 @@ async function runParallel(tasks, concurrency) {
   }
   if (deviceScaleFactor > 4) deviceScaleFactor = 4;
 
-  console.log('[INFO] Starting static server and browser...');
-  const { server, baseURL } = await startStaticServer(projectRoot);
-  const browser = await createBrowser();
+  const fingerprints = {};
+  for (const [kind, p] of Object.entries(templates)) fingerprints[kind] = await templateFingerprint(p);
+
+  // Started lazily below, once it is known that something needs rendering
+  let server, baseURL, browser;
 
   const tasks = [];
-  let total = 0;
 
   const toEmergencyName = (base) => base.replace(/\.png$/i, '-emergency.png');
   const toWeekName = (base) => base.replace(/\.png$/i, '-week.png');
@@ -136,7 +174,7 @@ async function runParallel(tasks, concurrency) {
         continue;
       }
       const regionId = normalizeRegionId(json, fileStem);
-      if (onlyRegion && (onlyRegion !== regionId && onlyRegion !== fileStem)) {
+      if (onlyRegions.length && !onlyRegions.includes(regionId) && !onlyRegions.includes(fileStem)) {
         continue;
       }
 
@@ -151,126 +189,132 @@ async function runParallel(tasks, concurrency) {
         continue;
       }
 
-      for (const gpv of gpvKeys) {
-        const outDir = path.join(imagesDir, regionId);
-        const baseName = gpvToFileName(gpv);
-
-        // 1) Full template
-        tasks.push({
-          name: `FULL ${regionId} ${gpv}`,
-          run: async () => {
-            const outPath = path.join(outDir, baseName);
-            await mkdir(path.dirname(outPath), { recursive: true });
-            await renderPage({
-              browser, baseURL, htmlPath: templateFull, jsonPath: jf, gpvKey: gpv, outPath,
-              theme, deviceScaleFactor, projectRoot
-            });
-            console.log(`[INFO] Rendered FULL ${regionId} ${gpv}`);
-          }
-        });
-
-        // 2) Emergency
-        tasks.push({
-          name: `EMERGENCY ${regionId} ${gpv}`,
-          run: async () => {
-            const outPath = path.join(outDir, toEmergencyName(baseName));
-            await mkdir(path.dirname(outPath), { recursive: true });
-            await renderPage({
-              browser, baseURL, htmlPath: templateEmergency, jsonPath: jf, gpvKey: gpv, outPath,
-              theme, deviceScaleFactor, projectRoot
-            });
-            console.log(`[INFO] Rendered EMERGENCY ${regionId} ${gpv}`);
-          }
-        });
-
-        // 3) Week
-        tasks.push({
-          name: `WEEK ${regionId} ${gpv}`,
-          run: async () => {
-            const outPath = path.join(outDir, toWeekName(baseName));
-            await mkdir(path.dirname(outPath), { recursive: true });
-            await renderPage({
-              browser, baseURL, htmlPath: templateWeek, jsonPath: jf, gpvKey: gpv, outPath,
-              theme, deviceScaleFactor, projectRoot
-            });
-            console.log(`[INFO] Rendered WEEK ${regionId} ${gpv}`);
-          }
-        });
-
-        // 4) Summary
-        tasks.push({
-          name: `SUMMARY ${regionId} ${gpv}`,
+      const region = getRegion(regionId, { env: {} });
+      let stale = null;
+      if (staleBanner) {
+        const runs = readParseStatus(parseStatusPath(dataDir)).regions;
+        const health = regionHealth(withRunStatus(json, runs[regionId] || runs[fileStem]), { id: regionId, region });
+        if (health.stale) {
+          stale = staleNotice(json);
+          console.warn(`[WARN] ${regionId}: data may be outdated (${health.breaches.map(b => b.message).join('; ')}) — adding the banner`);
+        }
+      }
+      for (const lang of langs) {
+        const outDir = path.join(imagesDir, regionId, langDir(lang));
+        const localName = regionName(region, lang);
+        const i18n = { lang, hash: loadCatalog(lang).hash, regionName: localName };
+        const tag = langDir(lang) ? `${regionId}/${lang}` : regionId;
+        const addTask = (name, kind, fileName, { gpv, dayArg } = {}) => tasks.push({
+          name,
+          regionId,
+          outDir,
+          fileName,
+          stale: !!stale,
+          describe: () => describeImage(json, { kind, gpv, day: dayArg || 'today', lang, regionName: localName, stale }),
+          key: renderKey({
+            inputs: imageInputs(json, { kind, gpv, day: dayArg || 'today' }),
+            template: fingerprints[kind],
+            theme,
+            scale: deviceScaleFactor,
+            i18n,
+            stale,
+          }),
           run: async () => {
-            const outPath = path.join(outDir, toSummaryName(baseName));
+            const outPath = path.join(outDir, fileName);
             await mkdir(path.dirname(outPath), { recursive: true });
             await renderPage({
-              browser, baseURL, htmlPath: templateSummary, jsonPath: jf, gpvKey: gpv, outPath,
-              theme, deviceScaleFactor, projectRoot
+              browser, baseURL, htmlPath: templates[kind], jsonPath: jf, gpvKey: gpv, outPath,
+              dayArg, theme, deviceScaleFactor, projectRoot, lang, regionName: localName, stale
             });
-            console.log(`[INFO] Rendered SUMMARY ${regionId} ${gpv}`);
+            console.log(`[INFO] Rendered ${name}`);
           }
         });
-      }
 
-      // 5) Groups matrix (today)
-      tasks.push({
-        name: `GROUPS/TODAY ${regionId}`,
-        run: async () => {
-          const outDir = path.join(imagesDir, regionId);
-          const outPath = path.join(outDir, 'gpv-all-today.png');
-          await mkdir(path.dirname(outPath), { recursive: true });
-          await renderPage({
-            browser, baseURL, htmlPath: templateGroups, jsonPath: jf, outPath,
-            theme, deviceScaleFactor, projectRoot
-          });
-          console.log(`[INFO] Rendered GROUPS/TODAY ${regionId}`);
+        for (const gpv of gpvKeys) {
+          const baseName = gpvToFileName(gpv);
+          addTask(`FULL ${tag} ${gpv}`, 'full', baseName, { gpv });
+          addTask(`EMERGENCY ${tag} ${gpv}`, 'emergency', toEmergencyName(baseName), { gpv });
+          addTask(`WEEK ${tag} ${gpv}`, 'week', toWeekName(baseName), { gpv });
+          addTask(`SUMMARY ${tag} ${gpv}`, 'summary', toSummaryName(baseName), { gpv });
         }
-      });
 
-      // 6) Groups matrix (tomorrow)
-      tasks.push({
-        name: `GROUPS/TOMORROW ${regionId}`,
-        run: async () => {
-          const outDir = path.join(imagesDir, regionId);
-          const outPath = path.join(outDir, 'gpv-all-tomorrow.png');
-          await mkdir(path.dirname(outPath), { recursive: true });
-          await renderPage({
-            browser, baseURL, htmlPath: templateGroups, jsonPath: jf, outPath,
-            dayArg: 'tomorrow', theme, deviceScaleFactor, projectRoot
-          });
-          console.log(`[INFO] Rendered GROUPS/TOMORROW ${regionId}`);
-        }
-      });
+        // Groups matrix (today / tomorrow)
+        addTask(`GROUPS/TODAY ${tag}`, 'groups', 'gpv-all-today.png');
+        addTask(`GROUPS/TOMORROW ${tag}`, 'groups', 'gpv-all-tomorrow.png', { dayArg: 'tomorrow' });
+      }
 
     } catch (e) {
       console.warn(`[WARN] Failed to prepare tasks for ${jf}: ${e?.message || e}`);
     }
   }
 
-  total = tasks.length;
-  console.log(`[INFO] Found ${total} rendering tasks. Executing with concurrency=4...`);
+  // Render cache: skip images whose key matches the manifest and whose file still exists
+  const manifests = new Map();
+  for (const t of tasks) {
+    if (!manifests.has(t.outDir)) manifests.set(t.outDir, await loadManifest(t.outDir));
+  }
+  const pending = [];
+  let skipped = 0;
+  for (const t of tasks) {
+    const entry = manifests.get(t.outDir).images[t.fileName];
+    if (!force && entry?.key === t.key && await fileExists(path.join(t.outDir, t.fileName))) {
+      skipped++;
+    } else {
+      pending.push(t);
+    }
+  }
+
+  const total = tasks.length;
+  console.log(`[INFO] Found ${total} images: ${pending.length} to render, ${skipped} unchanged${force ? ' (--force)' : ''}. Executing with concurrency=10...`);
 
   let ok = 0;
   let failed = 0;
+  const rendered = [];
+
+  let altWritten = 0;
 
-  // Wrap tasks to track success/failure
-  const wrappedTasks = tasks.map(t => async () => {
+  // Wrap tasks to track success/failure; only successful renders update the manifest and the text alternatives
+  const wrappedTasks = pending.map(t => async () => {
     try {
       await t.run();
+      manifests.get(t.outDir).images[t.fileName] = { key: t.key, renderedAt: new Date().toISOString(), ...(t.stale ? { stale: true } : {}) };
+      rendered.push(path.join(t.outDir, t.fileName));
       ok++;
     } catch (e) {
       console.error(`[ERROR] Task '${t.name}' failed: ${e?.message || e}`);
       failed++;
+      return;
+    }
+    try {
+      altWritten += await writeAltFiles(path.join(t.outDir, t.fileName), t.describe());
+    } catch (e) {
+      console.warn(`[WARN] Text alternative for '${t.name}' failed: ${e?.message || e}`);
     }
   });
 
-  try {
-    await runParallel(wrappedTasks, 10);
-  } finally {
-    await browser.close();
-    server.close();
+  if (pending.length) {
+    console.log('[INFO] Starting static server and browser...');
+    ({ server, baseURL } = await startStaticServer(projectRoot));
+    browser = await createBrowser();
+    try {
+      await runParallel(wrappedTasks, 10);
+    } finally {
+      await browser.close();
+      server.close();
+    }
+  }
+
+  for (const [dir, manifest] of manifests) {
+    await saveManifest(dir, manifest);
+  }
+
+  console.log(`[INFO] Text alternatives: ${altWritten} file(s) updated`);
+  if (args['rendered-list']) {
+    const listPath = path.resolve(args['rendered-list']);
+    await mkdir(path.dirname(listPath), { recursive: true });
+    await writeFile(listPath, rendered.map(p => `${path.relative(projectRoot, p)}\n`).join(''));
   }
 
-  console.log(`[SUMMARY] Rendered: ${ok}/${total} succeeded, ${failed} failed. Theme=${theme} Scale=${deviceScaleFactor}`);
+  console.log(`[SUMMARY] Rendered: ${ok}, skipped (unchanged): ${skipped}, failed: ${failed} of ${total}. Theme=${theme} Scale=${deviceScaleFactor} Lang=${langs.join(',')}`);
   process.exit(failed > 0 ? 1 : 0);
 })();
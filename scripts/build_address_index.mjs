@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Build addresses/<region>.csv (the index of scripts/lib/addresses.mjs) from a per-building export
+// Usage:
+//   node scripts/build_address_index.mjs --region kyiv --from exports/kyiv-buildings.csv
+//   node scripts/build_address_index.mjs --region kyiv --from exports/kyiv-buildings.json
+//   node scripts/build_address_index.mjs --region kyiv --from export.csv --out dir   # other folder than addresses/
+//   node scripts/build_address_index.mjs --region kyiv --from export.csv --dry-run   # check only, write nothing
+// Notes:
+// - Input: CSV with the header settlement,street,house,group (or a JSON array of such objects), one building per
+//   row, as the regional distribution companies publish their "addresses by queue" lists; an empty house or "*"
+//   stands for the whole street.
+// - Buildings of one street and group are folded into ranges ("1-25 непарні", "2-14"); every building of the
+//   export is then looked up in the result and must resolve to its own group.
+// - The file is rewritten only when its content changes.
+// - Exit codes: 0 — written or unchanged, 1 — problems in the export (nothing written), 2 — bad arguments.
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseCsv, compactAddressRows, verifyAddressRecords, formatAddressCsv, ADDRESSES_DIR } from './lib/addresses.mjs';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+const args = parseScriptOptions({
+  script: 'scripts/build_address_index.mjs',
+  summary: 'Build addresses/<region>.csv from a per-building export (CSV or JSON).',
+  options: {
+    region: { type: 'string', required: true, value: '<id>', describe: 'Region id (name of the index file)' },
+    from: { type: 'string', required: true, value: '<export.csv|export.json>', describe: 'Per-building export' },
+    out: { type: 'string', value: '<dir>', describe: 'Addresses folder (default addresses/)' },
+    'dry-run': { type: 'boolean', describe: 'Check only, write nothing' },
+  },
+  notes: ['Exit codes: 0 written or unchanged, 1 problems in the export (nothing written), 2 bad arguments.'],
+});
+if (!/^[a-z0-9][a-z0-9-]*$/.test(args.region)) {
+  console.error(`[ERROR] Bad --region '${args.region}' (lowercase letters, digits and dashes)`);
+  process.exit(2);
+}
+const dir = args.out ? path.resolve(args.out) : ADDRESSES_DIR;
+const outPath = path.join(dir, `${args.region}.csv`);
+
+let rows;
+try {
+  const text = await readFile(path.resolve(args.from), 'utf8');
+  rows = args.from.endsWith('.json') ? JSON.parse(text) : parseCsv(text);
+  if (!Array.isArray(rows)) throw new Error('expected an array of building records');
+} catch (e) {
+  console.error(`[ERROR] Cannot read export ${args.from}: ${e?.message || e}`);
+  process.exit(2);
+}
+
+const { records, errors } = compactAddressRows(rows);
+const problems = [...errors, ...verifyAddressRecords(records, rows)];
+for (const p of problems.slice(0, 50)) console.error(`[WARN] ${path.basename(args.from)}: ${p}`);
+if (problems.length > 50) console.error(`[WARN] … and ${problems.length - 50} more`);
+if (problems.length) {
+  console.log(`[ERROR] ${problems.length} problem(s) in ${args.from}; ${path.relative(process.cwd(), outPath)} not written`);
+  process.exit(1);
+}
+
+const text = formatAddressCsv(records);
+let prev = null;
+try { prev = await readFile(outPath, 'utf8'); } catch { }
+const changed = prev !== text;
+if (changed && !args['dry-run']) {
+  await mkdir(dir, { recursive: true });
+  await writeFile(outPath, text);
+}
+console.log(`[SUMMARY] ${rows.length} buildings → ${records.length} index rows, ${changed ? (args['dry-run'] ? 'would change' : 'written') : 'unchanged'}: ${path.relative(process.cwd(), outPath)}`);
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// Generate iCalendar feeds per region and GPV group from data/<region>.json
+// Usage:
+//   node scripts/build_calendars.mjs                          # all data/*.json → calendars/<region>/gpv-x-x.ics
+//   node scripts/build_calendars.mjs --region kyiv            # only one region (by regionId or by file stem)
+//   node scripts/build_calendars.mjs --tentative              # also add tentative events from the weekly preset
+//   node scripts/build_calendars.mjs --tentative --days 7     # how many days ahead the weekly preset is expanded (default 7)
+//   node scripts/build_calendars.mjs --data dir --out dir     # other data/ and calendars/ folders
+//   node scripts/build_calendars.mjs --help
+// Notes:
+// - Confirmed events: merged outage intervals from fact.data (today/tomorrow).
+// - Tentative events: maybe/mfirst/msecond slots from preset.data for days fact does not cover yet.
+// - Files are rewritten only when their content changes, so unchanged feeds do not produce commits.
+// - Feeds of groups no longer in a region's data are removed (only for regions that still have groups).
+
+import { readdir, readFile, writeFile, mkdir, unlink } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import intervalsLib from './lib/intervals.js';
+import { buildGroupCalendar } from './lib/calendar.mjs';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+const { isGroupKey, compareGroupKeys, gpvToFileStem } = intervalsLib;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, '..');
+
+const opts = parseScriptOptions({
+  script: 'scripts/build_calendars.mjs',
+  summary: 'Generate iCalendar feeds per region and GPV group from data/<region>.json.',
+  options: {
+    region: { type: 'string', multiple: true, value: '<id>', describe: 'Only these regions (regionId or file stem)' },
+    tentative: { type: 'boolean', describe: 'Also add tentative events from the weekly preset' },
+    days: { type: 'integer', default: 7, value: '<n>', describe: 'Days ahead the weekly preset is expanded (1-14)' },
+    data: { type: 'string', default: 'data', value: '<dir>', describe: 'Data folder' },
+    out: { type: 'string', default: 'calendars', value: '<dir>', describe: 'Calendars folder' },
+  },
+});
+const onlyRegions = opts.region || [];
+const tentative = opts.tentative === true;
+const days = Math.max(1, Math.min(14, opts.days || 7));
+
+const dataDir = path.resolve(projectRoot, opts.data);
+const calendarsDir = path.resolve(projectRoot, opts.out);
+
+async function writeIfChanged(file, content) {
+  try {
+    if ((await readFile(file, 'utf8')) === content) return false;
+  } catch { }
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, content);
+  return true;
+}
+
+// Delete <dir>/*.ics that are not in `keep` (file names); returns the removed names
+async function removeStaleFeeds(dir, keep) {
+  let names;
+  try {
+    names = await readdir(dir);
+  } catch {
+    return [];
+  }
+  const stale = names.filter(n => n.endsWith('.ics') && !keep.has(n)).sort();
+  for (const n of stale) await unlink(path.join(dir, n));
+  return stale;
+}
+
+(async () => {
+  let entries;
+  try {
+    entries = await readdir(dataDir, { withFileTypes: true });
+  } catch {
+    console.warn('[WARN] data/ directory not found. Nothing to do.');
+    process.exit(0);
+  }
+  const jsonFiles = entries.filter(e => e.isFile() && e.name.endsWith('.json')).map(e => path.join(dataDir, e.name));
+
+  let written = 0, unchanged = 0, removed = 0, regions = 0;
+  for (const jf of jsonFiles) {
+    const fileStem = path.basename(jf, '.json');
+    let json;
+    try {
+      json = JSON.parse(await readFile(jf, 'utf8'));
+    } catch (e) {
+      console.warn(`[WARN] Failed to read ${jf}: ${e?.message || e}`);
+      continue;
+    }
+    if (!json || !json.fact) continue;
+    const regionId = (typeof json.regionId === 'string' && json.regionId.trim()) || fileStem;
+    if (onlyRegions.length && !onlyRegions.includes(regionId) && !onlyRegions.includes(fileStem)) continue;
+
+    const groups = new Set(Object.keys(json.preset?.data || {}).filter(isGroupKey));
+    for (const day of Object.values(json.fact.data || {})) {
+      Object.keys(day || {}).filter(isGroupKey).forEach(k => groups.add(k));
+    }
+    if (!groups.size) {
+      console.warn(`[WARN] No GPV groups in ${jf} — skipping`);
+      continue;
+    }
+
+    regions++;
+    const regionDir = path.join(calendarsDir, regionId);
+    const feeds = new Set();
+    for (const gpv of [...groups].sort(compareGroupKeys)) {
+      const ics = buildGroupCalendar(json, gpv, { regionId, tentative, days });
+      const name = `${gpvToFileStem(gpv)}.ics`;
+      feeds.add(name);
+      if (await writeIfChanged(path.join(regionDir, name), ics)) written++; else unchanged++;
+    }
+    const stale = await removeStaleFeeds(regionDir, feeds);
+    removed += stale.length;
+    console.log(`[INFO] Calendars for ${regionId}: ${groups.size} groups${stale.length ? `, removed ${stale.join(', ')}` : ''}`);
+  }
+
+  console.log(`[SUMMARY] Regions: ${regions}, written: ${written}, unchanged: ${unchanged}, removed: ${removed}, tentative=${tentative}`);
+})();
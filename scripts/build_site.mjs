@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+// Build the static dashboard (templates/site) into a publishable folder
+// Usage:
+//   node scripts/build_site.mjs                          # → site/ with a copy of data/*.json in site/data/
+//   node scripts/build_site.mjs --out public             # another output folder
+//   node scripts/build_site.mjs --data-url ../data/      # do not copy data; the page fetches <url><region>.json
+//   node scripts/build_site.mjs --data path/to/data      # read region files from another folder (default data/)
+// Notes:
+// - The page reuses templates/html/schedule-shared.{js,css}, the icons and templates/i18n catalogs.
+// - site/regions.json lists the regions that have data (registry order), their names and groups.
+// - Files are rewritten only when their content changes.
+
+import { readdir, readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import intervalsLib from './lib/intervals.js';
+import regionsLib from './lib/regions.js';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+const { isGroupKey, compareGroupKeys } = intervalsLib;
+const { loadRegions } = regionsLib;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, '..');
+
+const args = parseScriptOptions({
+  script: 'scripts/build_site.mjs',
+  summary: 'Build the static dashboard (templates/site) into a publishable folder.',
+  options: {
+    out: { type: 'string', value: '<dir>', describe: 'Output folder (default site/)' },
+    'data-url': { type: 'string', value: '<url>', describe: 'Do not copy data; the page fetches <url><region>.json' },
+    data: { type: 'string', value: '<dir>', describe: 'Data folder (default data/)' },
+  },
+});
+const outDir = path.resolve(args.out ?? path.join(projectRoot, 'site'));
+const dataUrl = args['data-url'] !== undefined ? args['data-url'].replace(/\/?$/, '/') : null;
+const dataDir = args.data ? path.resolve(args.data) : path.join(projectRoot, 'data');
+
+const htmlDir = path.join(projectRoot, 'templates', 'html');
+const siteDir = path.join(projectRoot, 'templates', 'site');
+const i18nDir = path.join(projectRoot, 'templates', 'i18n');
+
+let written = 0, unchanged = 0;
+
+async function writeIfChanged(file, content) {
+  try {
+    if ((await readFile(file)).equals(Buffer.from(content))) {
+      unchanged++;
+      return;
+    }
+  } catch { }
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, content);
+  written++;
+}
+
+async function copyFiles(fromDir, toDir, filter) {
+  const names = (await readdir(fromDir, { withFileTypes: true })).filter(e => e.isFile() && filter(e.name)).map(e => e.name).sort();
+  for (const name of names) await writeIfChanged(path.join(toDir, name), await readFile(path.join(fromDir, name)));
+  return names.length;
+}
+
+// Every group of a data file: weekly preset plus all fact days
+function groupsOf(json) {
+  const groups = new Set(Object.keys(json.preset?.data || {}).filter(isGroupKey));
+  for (const day of Object.values(json.fact?.data || {})) {
+    Object.keys(day || {}).filter(isGroupKey).forEach(k => groups.add(k));
+  }
+  return [...groups].sort(compareGroupKeys);
+}
+
+async function readRegionData() {
+  let entries;
+  try {
+    entries = await readdir(dataDir, { withFileTypes: true });
+  } catch {
+    console.warn(`[WARN] ${dataDir} not found — the dashboard will have no regions`);
+    return [];
+  }
+  const out = [];
+  for (const e of entries.filter(x => x.isFile() && x.name.endsWith('.json')).sort((a, b) => a.name.localeCompare(b.name))) {
+    const file = path.join(dataDir, e.name);
+    let text, json;
+    try {
+      text = await readFile(file, 'utf8');
+      json = JSON.parse(text);
+    } catch (err) {
+      console.warn(`[WARN] Failed to read ${file}: ${err?.message || err}`);
+      continue;
+    }
+    if (!json?.fact || !json?.preset) {
+      console.warn(`[WARN] No fact/preset in ${file} — skipping`);
+      continue;
+    }
+    out.push({ id: path.basename(e.name, '.json'), text, json });
+  }
+  return out;
+}
+
+(async () => {
+  const registry = loadRegions();
+  const order = id => {
+    const i = registry.findIndex(r => r.id === id);
+    return i === -1 ? registry.length : i;
+  };
+
+  await copyFiles(siteDir, outDir, () => true);
+  await copyFiles(htmlDir, outDir, name => name.startsWith('schedule-shared.'));
+  const icons = await copyFiles(path.join(htmlDir, 'icons'), path.join(outDir, 'icons'), name => name.endsWith('.svg'));
+  const langs = await copyFiles(i18nDir, path.join(outDir, 'i18n'), name => name.endsWith('.json'));
+
+  const data = (await readRegionData()).sort((a, b) => order(a.id) - order(b.id) || a.id.localeCompare(b.id));
+  const regions = data.map(({ id, json }) => {
+    const reg = registry.find(r => r.id === id);
+    return {
+      id,
+      name: reg?.name || (typeof json.regionAffiliation === 'string' && json.regionAffiliation.trim()) || id,
+      names: reg?.names || {},
+      groups: groupsOf(json),
+      updated: (json.fact?.update || '').trim() || null,
+    };
+  });
+  if (!dataUrl) {
+    for (const { id, text } of data) await writeIfChanged(path.join(outDir, 'data', `${id}.json`), text);
+  }
+  await writeIfChanged(path.join(outDir, 'regions.json'), `${JSON.stringify({ dataBase: dataUrl || 'data/', regions }, null, 2)}\n`);
+
+  for (const r of regions) console.log(`[INFO] ${r.id}: ${r.groups.length} groups`);
+  console.log(`[SUMMARY] Site: ${path.relative(process.cwd(), outDir) || '.'}, regions: ${regions.length}, icons: ${icons}, languages: ${langs}, data: ${dataUrl || 'copied'}, written: ${written}, unchanged: ${unchanged}`);
+})().catch(e => {
+  console.error(`[ERROR] ${e?.message || e}`);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+// Commit message for the regions changed by the last batch_parse.mjs run
+// Usage:
+//   node scripts/commit_message.mjs                         # outputs/changed-regions.json + outputs/changes/<region>.json
+//   node scripts/commit_message.mjs --run "$GITHUB_RUN_ID"  # mention the workflow run at the end
+//   node scripts/commit_message.mjs --outputs path/to/outputs
+// Notes:
+// - The subject names the changed regions with their changed groups and days, e.g.
+//   "chore: update schedules — kyiv (GPV1.1, GPV4.2), odesa (+day 08.12)"; the body has the slot changes
+//   (scripts/lib/diff.mjs formatCommitMessage).
+// - Prints the message to stdout and always exits 0; without a changed list the subject is the generic one.
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { formatCommitMessage } from './lib/diff.mjs';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+async function readJsonOrNull(file) {
+  try { return JSON.parse(await readFile(file, 'utf8')); } catch { return null; }
+}
+
+const args = parseScriptOptions({
+  script: 'scripts/commit_message.mjs',
+  summary: 'Commit message for the regions changed by the last batch_parse.mjs run (to stdout).',
+  options: {
+    run: { type: 'string', value: '<id>', describe: 'Mention this workflow run at the end' },
+    outputs: { type: 'string', default: 'outputs', value: '<dir>', describe: 'Folder with changed-regions.json and changes/' },
+  },
+});
+const outputsDir = path.resolve(args.outputs);
+const runId = args.run || null;
+
+const ids = await readJsonOrNull(path.join(outputsDir, 'changed-regions.json'));
+if (!Array.isArray(ids)) console.warn(`[WARN] No changed list in ${path.join(outputsDir, 'changed-regions.json')}`);
+const regions = [];
+for (const id of Array.isArray(ids) ? ids : []) {
+  regions.push({ id, diff: await readJsonOrNull(path.join(outputsDir, 'changes', `${id}.json`)) });
+}
+process.stdout.write(formatCommitMessage(regions, { runId }));
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// Compare two versions of data/<region>.json and report which slots flipped per group and day
+// Usage:
+//   node scripts/diff_schedules.mjs --prev old/kyiv.json --next data/kyiv.json              # human-readable
+//   node scripts/diff_schedules.mjs --prev old/kyiv.json --next data/kyiv.json --json       # machine JSON to stdout
+//   node scripts/diff_schedules.mjs --prev old/kyiv.json --next data/kyiv.json --out changes.json
+//   node scripts/diff_schedules.mjs --git HEAD --next data/kyiv.json                        # previous version from git
+// Exit codes: 0 — no changes, 1 — changes found, 2 — usage/read error (like diff(1)).
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { execFileSync } from 'node:child_process';
+import path from 'node:path';
+import { diffRegion, formatDiff } from './lib/diff.mjs';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+async function readJson(file) {
+  return JSON.parse(await readFile(file, 'utf8'));
+}
+
+function readJsonFromGit(rev, file) {
+  const rel = path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/');
+  try {
+    return JSON.parse(execFileSync('git', ['show', `${rev}:${rel}`], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 64 * 1024 * 1024 }));
+  } catch {
+    return null; // file did not exist in that revision
+  }
+}
+
+const args = parseScriptOptions({
+  script: 'scripts/diff_schedules.mjs',
+  summary: 'Compare two versions of data/<region>.json: which slots flipped per group and day.',
+  options: {
+    next: { type: 'string', required: true, value: '<new.json>', describe: 'New version' },
+    prev: { type: 'string', value: '<old.json>', describe: 'Old version' },
+    git: { type: 'string', value: '<rev>', describe: 'Take the old version of --next from this git revision instead' },
+    json: { type: 'boolean', describe: 'Print the diff as JSON' },
+    out: { type: 'string', value: '<changes.json>', describe: 'Also write the JSON diff to this file' },
+  },
+  notes: ['Exit codes: 0 no changes, 1 changes found, 2 usage or read error.'],
+});
+if ((args.prev === undefined) === (args.git === undefined)) {
+  console.error("[ERROR] Give one of --prev <old.json> or --git <rev>. See 'node scripts/diff_schedules.mjs --help'.");
+  process.exit(2);
+}
+
+let prev, next;
+try {
+  next = await readJson(args.next);
+  prev = args.prev !== undefined ? await readJson(args.prev) : readJsonFromGit(args.git, args.next);
+} catch (e) {
+  console.error(`[ERROR] ${e?.message || e}`);
+  process.exit(2);
+}
+
+const diff = diffRegion(prev, next);
+
+if (args.out) {
+  await mkdir(path.dirname(path.resolve(args.out)), { recursive: true });
+  await writeFile(args.out, JSON.stringify(diff, null, 2));
+}
+if (args.json) {
+  console.log(JSON.stringify(diff, null, 2));
+} else {
+  console.log(formatDiff(diff).join('\n'));
+}
+process.exit(diff.changed ? 1 : 0);
@@ -1,122 +1,330 @@
-// Fetch upstream HTML using a real headless browser (Playwright) to bypass anti-bot/WAF.
+// Fetch upstream HTML: plain HTTP first, a real headless browser (Playwright) when the page looks like anti-bot/WAF.
 // Adds resilient retries when anti-bot returns a lightweight placeholder page without data.
+// Regions are fetched in parallel under per-host politeness limits and an overall deadline (scripts/lib/fetch_scheduler.mjs).
 // Usage:
 //   REGION_SOURCES_JSON='{"kyiv":"https://..."}' node scripts/fetch_regions_playwright.mjs           # all regions
 //   node scripts/fetch_regions_playwright.mjs kyiv                                                   # only one region
+//   node scripts/fetch_regions_playwright.mjs kyiv,odesa                                             # only these regions
 //   REGION=kyiv node scripts/fetch_regions_playwright.mjs                                            # only one via env
 //
 // Env overrides:
 //   MAX_FETCH_RETRY=3           # attempts per region (default 3)
 //   MIN_HTML_BYTES=1500         # minimal acceptable HTML size (default 1500)
 //   FETCH_BACKOFF_MS=2000       # base backoff in ms (default 2000)
+//   SUSPECT_ARCHIVE_KEEP=20     # suspect pages kept per region in outputs/suspect/<region>/ (default 20)
+//   FETCH_NAV_TIMEOUT_MS=120000 # navigation timeout per attempt (default 120000)
+//   FETCH_CONCURRENCY=3         # regions fetched at the same time (default 3)
+//   FETCH_HOST_CONCURRENCY=1    # requests in flight per upstream host (default 1)
+//   FETCH_HOST_DELAY_MS=2000    # minimal gap between request starts to one host (default 2000)
+//   FETCH_HOST_RPM=0            # max requests per minute to one host (default 0 = no cap)
+//   FETCH_DEADLINE_MS=0         # overall deadline; regions not done by then are reported as timed out (default 0 = none)
+//   FETCH_MODE=auto             # auto (HTTP, browser fallback) | http (never launch a browser) | browser (default auto)
+//   FETCH_HTTP_TIMEOUT_MS=30000 # plain-HTTP request timeout (default 30000)
+//   FETCH_HTTP_PROBE_MS=10800000 # after the browser was needed, retry plain HTTP first only this long after (default 3 h)
+//   FETCH_STATE_FILE=outputs/fetch-state.json # mode, cookies and ETag/Last-Modified per region, kept between runs
 //
 // Notes:
-// - Requires: Node.js 18+, Playwright (Chromium). In CI run: `npx playwright install --with-deps chromium`
-// - Outputs: writes HTML to outputs/<region>.html
+// - Requires: Node.js 20+; Playwright (Chromium) only for the browser fallback. In CI run:
+//   `npx playwright install --with-deps chromium`
+// - Plain HTTP (scripts/lib/http_fetch.mjs) keeps a cookie jar per region, sends conditional requests (a 304 reuses
+//   the saved page) and accepts compressed responses. Only a page that does not classify as ok (WAF, no markers,
+//   HTTP error, ...) is fetched again in the browser. The mode that worked is remembered per region: a region that
+//   needed the browser skips plain HTTP until FETCH_HTTP_PROBE_MS passed. Cookies earned by the browser are kept
+//   for the next plain-HTTP request.
+// - Outputs: writes HTML to outputs/<region>.html and the classified result to outputs/<region>.fetch.json
+//   (ok / waf / http / timeout / network / no-markers / layout, see scripts/lib/fetch_status.js), which
+//   parse_fact.js folds into lastUpdateStatus.
+// - A failed fetch keeps the last good outputs/<region>.html; the suspect page and its screenshot are archived as
+//   outputs/suspect/<region>/<timestamp>.html|.png instead. Upstream URLs are never written to the result.
+// - Regions come from config/regions.json (scripts/lib/regions.js) with URLs from REGION_SOURCES_JSON; disabled
+//   regions are skipped unless named explicitly.
+// - Whether a page "has data" is decided by the region's source adapter (scripts/adapters/), so WAF placeholders
+//   are retried for any provider format.
+// - Every region gets its own browser context, so cookies and storage never leak between providers. Retries
+//   (MAX_FETCH_RETRY, FETCH_BACKOFF_MS) are per region and wait for the host's turn like the first attempt.
+// - At the deadline the run stops waiting: a region still being fetched or not started yet gets a `timeout` fetch
+//   result (so parse_fact.js records 408) and the browser is closed.
 
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import adapters from './adapters/index.js';
+import regionsLib from './lib/regions.js';
+import fetchStatus from './lib/fetch_status.js';
+import { scheduleFromEnv, createHostLimiter, runScheduled, hostOf, sleep } from './lib/fetch_scheduler.mjs';
+import {
+  FETCH_MODES, USER_AGENT, fetchRegionHttp, chooseMode, emptyRegionState, loadFetchState, saveFetchState,
+  toBrowserCookies, fromBrowserCookies,
+} from './lib/http_fetch.mjs';
 
-let chromium;
-try {
-  ({ chromium } = await import('playwright'));
-} catch (err) {
-  console.error('[ERROR] Playwright is not installed. Install with: npx playwright install --with-deps chromium');
-  process.exit(2);
-}
+const { getAdapter } = adapters;
+const { loadRegions, filterRegions } = regionsLib;
+const { FETCH_RESULT_VERSION, FETCH_OUTCOMES, DEFAULT_MIN_BYTES, classifyPage, fetchResultPath, archiveSuspect } = fetchStatus;
+
+const FETCH_MODE = process.env.FETCH_MODE || 'auto';
 
-const raw = process.env.REGION_SOURCES_JSON || '{}';
-/** @type {Record<string,string>} */
-let sources;
+let allRegions;
+let schedule;
 try {
-  sources = JSON.parse(raw);
+  allRegions = loadRegions();
+  schedule = scheduleFromEnv();
+  if (!FETCH_MODES.includes(FETCH_MODE)) throw new Error(`FETCH_MODE must be one of ${FETCH_MODES.join(', ')}, got '${FETCH_MODE}'`);
 } catch (e) {
-  console.error('[ERROR] REGION_SOURCES_JSON is not valid JSON');
+  console.error(`[ERROR] ${e.message}`);
   process.exit(1);
 }
 
-const onlyRegion = process.argv[2] || process.env.REGION || null;
-const regions = onlyRegion ? [onlyRegion] : Object.keys(sources);
+const onlyRegions = (process.argv[2] || process.env.REGION || '').split(',').map(s => s.trim()).filter(Boolean);
+const regions = onlyRegions.length ? allRegions.filter(r => onlyRegions.includes(r.id)) : filterRegions(allRegions, { enabled: true });
+for (const id of onlyRegions.filter(id => !allRegions.some(r => r.id === id))) {
+  console.warn(`[WARN] Unknown region '${id}' (not in config/regions.json or REGION_SOURCES_JSON)`);
+}
 
 await fs.mkdir('outputs', { recursive: true });
 
-const browser = await chromium.launch({ headless: true });
-const context = await browser.newContext({
-  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/128.0.0.0 Safari/537.36',
+const CONTEXT_OPTIONS = {
+  userAgent: USER_AGENT,
   locale: 'uk-UA',
   timezoneId: 'Europe/Kyiv',
-});
+};
 
 const MAX_RETRY = Number(process.env.MAX_FETCH_RETRY || 3);
-const MIN_BYTES = Number(process.env.MIN_HTML_BYTES || 1500);
+const MIN_BYTES = Number(process.env.MIN_HTML_BYTES || DEFAULT_MIN_BYTES);
 const BACKOFF_MS = Number(process.env.FETCH_BACKOFF_MS || 2000);
+const SUSPECT_KEEP = Number(process.env.SUSPECT_ARCHIVE_KEEP || 20);
+const NAV_TIMEOUT_MS = Number(process.env.FETCH_NAV_TIMEOUT_MS || 120_000);
+const HTTP_TIMEOUT_MS = Number(process.env.FETCH_HTTP_TIMEOUT_MS || 30_000);
+const HTTP_PROBE_MS = Number(process.env.FETCH_HTTP_PROBE_MS || 3 * 3600_000);
+const STATE_FILE = process.env.FETCH_STATE_FILE || path.join('outputs', 'fetch-state.json');
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+// First line of an error, with the (secret) upstream URL taken out
+function errorMessage(e, url) {
+  const first = String(e?.message || e).split('\n')[0];
+  return url ? first.split(url).join('<url>') : first;
+}
 
-function isSuspectHtml(html) {
-  if (!html) return true;
-  const len = html.length;
-  // Heuristic: anti-bot pages are very small and do not contain the expected markers
-  const hasMarkers = html.includes('DisconSchedule.fact') && html.includes('DisconSchedule.preset');
-  return len < MIN_BYTES || !hasMarkers;
+// The suspect page and its screenshot, for the archive; null when the page has nothing to show
+async function capture(page) {
+  try {
+    const html = await page.content();
+    const screenshot = await page.screenshot({ fullPage: true, timeout: 15_000 }).catch(() => null);
+    return { html, screenshot };
+  } catch {
+    return null;
+  }
 }
 
-async function fetchWithRetry(ctx, url, region) {
-  let lastHtml = '';
-  for (let attempt = 1; attempt <= MAX_RETRY; attempt++) {
-    const page = await ctx.newPage();
-    try {
-      if (attempt > 1) {
-        console.log(`[INFO] (PW RETRY) Attempt ${attempt}/${MAX_RETRY} region='${region}' url=${url}`);
-      } else {
-        console.log(`[INFO] (PW) Fetching region='${region}' url=${url}`);
-      }
-      await page.goto(url, { waitUntil: 'networkidle', timeout: 120_000 });
-      // Small extra wait to let client-side scripts settle if any
-      await page.waitForTimeout(500);
-      const html = await page.content();
-      lastHtml = html;
-      const suspect = isSuspectHtml(html);
-      const bytes = html.length;
-      if (!suspect) {
-        return { ok: true, html, bytes, attempt };
-      }
-      // Log reason and backoff before next try (unless last)
-      const reason = `${bytes} bytes${bytes < MIN_BYTES ? ' < MIN_HTML_BYTES' : ''}${html.includes('DisconSchedule.fact') ? '' : ', missing DisconSchedule.fact'}${html.includes('DisconSchedule.preset') ? '' : ', missing DisconSchedule.preset'}`;
-      console.warn(`[WARN] (PW) Suspect HTML for region='${region}' on attempt ${attempt}/${MAX_RETRY}: ${reason}`);
-      if (attempt < MAX_RETRY) {
-        const jitter = Math.floor(Math.random() * 400);
-        await sleep(BACKOFF_MS * attempt + jitter);
+// Launched on first use: a run where plain HTTP works for every region never starts Chromium
+let browserPromise = null;
+function getBrowser() {
+  browserPromise ??= import('playwright')
+    .then(({ chromium }) => chromium.launch({ headless: true }))
+    .catch((e) => {
+      console.warn(`[WARN] (PW) Browser unavailable (${errorMessage(e)}). Install with: npx playwright install --with-deps chromium`);
+      return null;
+    });
+  return browserPromise;
+}
+
+const limiter = createHostLimiter(schedule);
+const fetchState = await loadFetchState(STATE_FILE);
+// Attempts made so far per region, also reported for regions cut off by the deadline
+const triesByRegion = new Map();
+const triesOf = (region) => {
+  if (!triesByRegion.has(region)) triesByRegion.set(region, []);
+  return triesByRegion.get(region);
+};
+
+async function readSavedPage(region) {
+  try {
+    return await fs.readFile(path.join('outputs', `${region}.html`), 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+async function fetchHttp({ id: region, url, adapter }, regionState, { signal }) {
+  const release = await limiter.acquire(hostOf(url), signal);
+  if (!release) return null;
+  let res;
+  try {
+    console.log(`[INFO] (HTTP) Fetching region='${region}' url=${url}`);
+    res = await fetchRegionHttp({ url, adapter, regionState, cachedHtml: await readSavedPage(region), minBytes: MIN_BYTES, timeoutMs: HTTP_TIMEOUT_MS, signal });
+  } finally {
+    release();
+  }
+  const tries = triesOf(region);
+  tries.push({ mode: 'http', attempt: 1, outcome: res.outcome, httpStatus: res.httpStatus, bytes: res.bytes, message: res.message });
+  // A suspect page is archived like one from the browser (without a screenshot)
+  const suspect = !res.ok && res.html ? { html: res.html, screenshot: null } : null;
+  return { ...res, mode: 'http', tries, suspect };
+}
+
+async function fetchWithRetry(browser, { id: region, url, adapter }, { signal }, cookies = []) {
+  const tries = triesOf(region);
+  const host = hostOf(url);
+  const ctx = await browser.newContext(CONTEXT_OPTIONS);
+  if (cookies.length) await ctx.addCookies(toBrowserCookies(cookies)).catch(() => {});
+  let result = null;
+  let suspect = null;
+  try {
+    for (let attempt = 1; attempt <= MAX_RETRY; attempt++) {
+      const release = await limiter.acquire(host, signal);
+      if (!release) return null;
+      const page = await ctx.newPage();
+      try {
+        if (attempt > 1) {
+          console.log(`[INFO] (PW RETRY) Attempt ${attempt}/${MAX_RETRY} region='${region}' url=${url}`);
+        } else {
+          console.log(`[INFO] (PW) Fetching region='${region}' url=${url}`);
+        }
+        const response = await page.goto(url, { waitUntil: 'networkidle', timeout: NAV_TIMEOUT_MS });
+        // Small extra wait to let client-side scripts settle if any
+        await page.waitForTimeout(500);
+        const html = await page.content();
+        const httpStatus = response ? response.status() : null;
+        result = { ...classifyPage({ html, status: httpStatus, adapter, minBytes: MIN_BYTES }), httpStatus, bytes: html.length };
+        if (result.ok) {
+          tries.push({ mode: 'browser', attempt, outcome: result.outcome, httpStatus, bytes: result.bytes, message: null });
+          return { ...result, html, mode: 'browser', tries, cookies: fromBrowserCookies(await ctx.cookies()) };
+        }
+        suspect = await capture(page);
+      } catch (e) {
+        const outcome = e?.name === 'TimeoutError' ? 'timeout' : 'network';
+        result = { outcome, ok: false, code: FETCH_OUTCOMES[outcome].code, message: errorMessage(e, url), httpStatus: null, bytes: 0 };
+        // A timed-out navigation may still have rendered something worth keeping
+        suspect = (await capture(page)) || suspect;
+      } finally {
+        await page.close().catch(() => {});
+        release();
       }
-    } catch (e) {
-      console.warn(`[WARN] (PW) Error attempt ${attempt}/${MAX_RETRY} region='${region}': ${e?.message || e}`);
+      tries.push({ mode: 'browser', attempt, outcome: result.outcome, httpStatus: result.httpStatus, bytes: result.bytes, message: result.message });
+      console.warn(`[WARN] (PW) ${FETCH_OUTCOMES[result.outcome].label} for region='${region}' on attempt ${attempt}/${MAX_RETRY}: ${result.message}`);
       if (attempt < MAX_RETRY) {
         const jitter = Math.floor(Math.random() * 400);
-        await sleep(BACKOFF_MS * attempt + jitter);
+        if (!(await sleep(BACKOFF_MS * attempt + jitter, signal))) return null;
       }
-    } finally {
-      await page.close();
     }
+    return { ...result, mode: 'browser', tries, suspect };
+  } finally {
+    await ctx.close().catch(() => {});
   }
-  return { ok: false, html: lastHtml, bytes: (lastHtml || '').length, attempt: MAX_RETRY };
 }
 
-for (const r of regions) {
-  const url = sources[r];
-  if (!url) {
-    console.warn(`[WARN] No URL configured for region '${r}' — skipping`);
-    continue;
+// Plain HTTP first unless the region is known to need the browser; the browser only for a page that is not ok
+async function fetchRegion(job, opts) {
+  const regionState = { ...emptyRegionState(), ...fetchState.regions[job.id] };
+  fetchState.regions[job.id] = regionState;
+  const now = () => new Date().toISOString();
+  const tryHttp = async () => {
+    const res = await fetchHttp(job, regionState, opts);
+    if (res?.ok) Object.assign(regionState, { mode: 'http', at: now(), httpFailedAt: null });
+    else if (res) regionState.httpFailedAt = now();
+    return res;
+  };
+
+  let httpRes = null;
+  if (chooseMode(regionState, { forced: FETCH_MODE, probeMs: HTTP_PROBE_MS }) === 'http') {
+    httpRes = await tryHttp();
+    if (!httpRes || httpRes.ok || FETCH_MODE === 'http') return httpRes;
+    console.warn(`[WARN] (HTTP) ${FETCH_OUTCOMES[httpRes.outcome].label} for region='${job.id}' (${httpRes.message}); falling back to the browser`);
+  }
+
+  const browser = await getBrowser();
+  if (!browser) {
+    if (httpRes) return { ...httpRes, message: `${httpRes.message}; browser fallback unavailable` };
+    // Known to need the browser, but there is none: plain HTTP is still better than nothing
+    return FETCH_MODE === 'browser' ? cutOff(job, 'network', 'Browser unavailable') : tryHttp();
   }
+  const res = await fetchWithRetry(browser, job, opts, regionState.cookies);
+  if (res?.ok) {
+    // The saved page now comes from the browser: validators of the last plain-HTTP page no longer describe it
+    Object.assign(regionState, { mode: 'browser', at: now(), validators: null, cookies: res.cookies });
+  }
+  return res;
+}
+
+async function saveResult(job, res) {
+  const r = job.id;
   const outFile = path.join('outputs', `${r}.html`);
-  const res = await fetchWithRetry(context, url, r);
+  const result = {
+    version: FETCH_RESULT_VERSION,
+    regionId: r,
+    at: new Date().toISOString(),
+    ok: res.ok,
+    outcome: res.outcome,
+    code: res.code,
+    message: res.message,
+    httpStatus: res.httpStatus,
+    bytes: res.bytes,
+    attempts: res.tries.length,
+    mode: res.mode || null,
+    notModified: Boolean(res.notModified),
+    adapter: job.adapter.id,
+    archived: null,
+    tries: res.tries,
+  };
   if (res.ok) {
     await fs.writeFile(outFile, res.html);
-    console.log(`[OK] (PW) Saved ${outFile} (${res.bytes} bytes)`);
+    console.log(`[OK] (${res.mode === 'http' ? 'HTTP' : 'PW'}) Saved ${outFile} (${res.bytes} bytes${res.notModified ? ', not modified' : ''})`);
   } else {
-    // Save whatever we could fetch for diagnostics
-    await fs.writeFile(outFile, res.html || '<!-- empty -->');
-    console.warn(`[WARN] (PW) Saved suspect HTML after ${res.attempt} attempts for region='${r}' (${res.bytes} bytes)`);
+    // Keep the last good page; the suspect one goes to the archive for diagnostics
+    if (res.suspect) {
+      try {
+        result.archived = await archiveSuspect({ dir: path.join('outputs', 'suspect'), regionId: r, html: res.suspect.html, screenshot: res.suspect.screenshot, keep: SUSPECT_KEEP });
+      } catch (e) {
+        console.warn(`[WARN] (PW) Failed to archive the suspect page for region='${r}': ${e?.message || e}`);
+      }
+    }
+    console.warn(`[WARN] ${FETCH_OUTCOMES[res.outcome].label} for region='${r}' after ${res.tries.length} attempts (${res.message})${result.archived ? `; saved ${result.archived.html}` : ''}`);
+  }
+  await fs.writeFile(fetchResultPath(outFile), `${JSON.stringify(result, null, 2)}\n`);
+}
+
+// Result for a region the worker could not finish: cut off by the deadline or crashed outside the attempt loop
+function cutOff(job, outcome, message) {
+  const tries = triesByRegion.get(job.id) || [];
+  const last = tries[tries.length - 1];
+  return {
+    outcome, ok: false, code: FETCH_OUTCOMES[outcome].code, message,
+    httpStatus: last?.httpStatus ?? null, bytes: last?.bytes ?? 0, mode: last?.mode ?? null, tries, suspect: null,
+  };
+}
+
+const jobs = [];
+for (const { id: r, url, adapter: adapterId } of regions) {
+  if (!url) {
+    console.warn(`[WARN] No URL configured for region '${r}' — skipping`);
+    continue;
+  }
+  try {
+    jobs.push({ id: r, url, adapter: getAdapter(adapterId) });
+  } catch (e) {
+    console.warn(`[WARN] ${e.message} for region '${r}' — skipping`);
+  }
+}
+
+const deadlineText = schedule.deadlineMs ? `, deadline ${Math.round(schedule.deadlineMs / 1000)} s` : '';
+console.log(`[INFO] Fetching ${jobs.length} region(s) in ${FETCH_MODE} mode: concurrency ${schedule.concurrency}, per host ${schedule.hostConcurrency} at a time, ${schedule.hostDelayMs} ms apart${schedule.hostPerMinute ? `, max ${schedule.hostPerMinute}/min` : ''}${deadlineText}`);
+
+const entries = await runScheduled(jobs, fetchRegion, schedule);
+const counts = { ok: 0, failed: 0, unfinished: 0, skipped: 0, http: 0, browser: 0 };
+for (const { item: job, state, value, error } of entries) {
+  let res = value;
+  if (state === 'unfinished' || state === 'skipped') {
+    counts[state]++;
+    const when = state === 'unfinished' ? 'while fetching' : 'before the fetch started';
+    console.warn(`[WARN] Deadline reached ${when} region='${job.id}'`);
+    res = cutOff(job, 'timeout', `Run deadline of ${Math.round(schedule.deadlineMs / 1000)} s reached ${when}`);
+  } else if (state === 'failed') {
+    res = cutOff(job, 'network', errorMessage(error, job.url));
   }
+  if (state === 'done' || state === 'failed') counts[res.ok ? 'ok' : 'failed']++;
+  if (res.ok) counts[res.mode]++;
+  await saveResult(job, res);
 }
+await saveFetchState(STATE_FILE, fetchState);
 
-await browser.close();
+// Closing the browser also ends fetches still running past the deadline
+const browser = browserPromise && await browserPromise;
+if (browser) await browser.close();
+console.log(`[SUMMARY] Regions: ${jobs.length}, ok: ${counts.ok} (plain HTTP ${counts.http}, browser ${counts.browser}), failed: ${counts.failed}, unfinished: ${counts.unfinished}, skipped: ${counts.skipped}`);
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+// Is there power right now for a group, and when does it change (scripts/lib/now.mjs)
+// Usage:
+//   node scripts/group_status.mjs --region kyiv --gpv 3.1                      # now, human-readable
+//   node scripts/group_status.mjs --region kyiv --gpv GPV3.1 --at 2025-12-05T14:00   # Europe/Kyiv wall time
+//   node scripts/group_status.mjs --region kyiv --gpv 3.1 --json               # machine-readable
+// Notes:
+// - Reads data/<region>.json (or --data <dir>). Uses fact for published days and the weekly preset otherwise.
+// - Exit codes: 0 — ok, 2 — bad arguments, unknown region or group.
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import timeLib from './lib/time.js';
+import regionsLib from './lib/regions.js';
+import { groupStatus } from './lib/now.mjs';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+const { parseKyivInstant } = timeLib;
+const { getRegion, groupLabel } = regionsLib;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, '..');
+
+const STATE_TEXT = {
+  on: 'світло є',
+  off: 'світла немає',
+  possible: 'можливе відключення',
+  unknown: 'немає даних',
+};
+
+const CHANGE_TEXT = {
+  on: 'увімкнення',
+  off: 'відключення',
+  possible: 'можливе відключення',
+};
+
+// "3.1" / "gpv3.1" / "GPV3.1" → "GPV3.1"
+function normalizeGpv(value) {
+  const m = String(value).trim().match(/^(?:gpv)?(\d+\.\d+)$/i);
+  return m ? `GPV${m[1]}` : null;
+}
+
+function hhmm(iso) {
+  return iso ? iso.slice(11, 16) : '';
+}
+
+function formatText(status, { regionName, groupName, factUpdate }) {
+  const lines = [`${regionName}, ${groupName}: ${STATE_TEXT[status.state]}`];
+  if (status.interval) {
+    const sameDay = status.interval.start.slice(0, 10) === status.interval.end.slice(0, 10);
+    const from = sameDay ? hhmm(status.interval.start) : `${status.interval.start.slice(8, 10)}.${status.interval.start.slice(5, 7)} ${hhmm(status.interval.start)}`;
+    const to = sameDay ? hhmm(status.interval.end) : `${status.interval.end.slice(8, 10)}.${status.interval.end.slice(5, 7)} ${hhmm(status.interval.end)}`;
+    lines.push(`  з ${from} до ${to}`);
+  }
+  if (status.nextChange) {
+    lines.push(`  далі: ${CHANGE_TEXT[status.nextState]} о ${hhmm(status.nextChange)} (через ${status.countdown})`);
+  } else if (status.state !== 'unknown') {
+    lines.push('  далі: опублікованих змін немає');
+  }
+  const basis = status.source === 'fact' ? 'графік на день' : status.source === 'preset' ? 'тижневий графік (можливі відключення)' : 'немає';
+  lines.push(`  джерело: ${basis}${factUpdate ? `, оновлено ${factUpdate}` : ''}`);
+  return lines.join('\n');
+}
+
+const args = parseScriptOptions({
+  script: 'scripts/group_status.mjs',
+  summary: 'Is there power right now for a group, and when does it change.',
+  options: {
+    region: { type: 'string', required: true, value: '<id>', describe: 'Region id (data/<region>.json)' },
+    gpv: { type: 'string', required: true, value: '<3.1|GPV3.1>', describe: 'Group' },
+    at: { type: 'string', value: '<time>', describe: 'Instead of now (Europe/Kyiv wall time or ISO)' },
+    json: { type: 'boolean', describe: 'Machine-readable output' },
+    data: { type: 'string', default: 'data', value: '<dir>', describe: 'Data folder' },
+  },
+  notes: ['Exit codes: 0 ok, 2 bad arguments, unknown region or group.'],
+});
+const gpv = normalizeGpv(args.gpv);
+if (!gpv) {
+  console.error(`[ERROR] Bad --gpv '${args.gpv}' (expected 3.1 or GPV3.1)`);
+  process.exit(2);
+}
+const at = parseKyivInstant(args.at);
+if (!at) {
+  console.error(`[ERROR] Cannot parse --at '${args.at}'`);
+  process.exit(2);
+}
+
+const dataDir = path.resolve(projectRoot, args.data);
+let json;
+try {
+  json = JSON.parse(await readFile(path.join(dataDir, `${path.basename(args.region)}.json`), 'utf8'));
+} catch (e) {
+  console.error(`[ERROR] Cannot read data for region '${args.region}': ${e?.message || e}`);
+  process.exit(2);
+}
+
+const known = Object.keys(json?.preset?.data || {}).includes(gpv)
+  || Object.values(json?.fact?.data || {}).some(day => day && day[gpv]);
+if (!known) {
+  console.error(`[ERROR] Unknown group '${gpv}' in region '${args.region}'`);
+  process.exit(2);
+}
+
+const status = groupStatus(json, gpv, at);
+if (args.json) {
+  console.log(JSON.stringify({ regionId: json.regionId || args.region, gpv, factUpdate: json?.fact?.update || null, ...status }, null, 2));
+} else {
+  const region = getRegion(args.region, { env: {} });
+  console.log(formatText(status, {
+    regionName: region?.name || json.regionAffiliation || args.region,
+    groupName: json?.preset?.sch_names?.[gpv] || groupLabel(region, gpv),
+    factUpdate: json?.fact?.update || null,
+  }));
+}
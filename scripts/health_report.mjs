@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+// Data freshness and pipeline health across regions → status.json
+// Usage:
+//   node scripts/health_report.mjs                          # all enabled regions → outputs/status.json
+//   node scripts/health_report.mjs --region kyiv,odesa      # only these regions
+//   node scripts/health_report.mjs --out status.json --json # another output file, report also to stdout
+//   node scripts/health_report.mjs --at 2025-12-06T23:30    # ages relative to another instant (Europe/Kyiv wall time or ISO)
+//   node scripts/health_report.mjs --data path/to/data      # read region files from another folder (default data/)
+//   node scripts/health_report.mjs --status runs.json       # latest runs from another parse status file
+// Notes:
+// - Per region: age of fact.update and preset.updateFact, minutes since the last successful parse, consecutive
+//   failures and the share of each outcome (WAF, timeout, layout change, ...) among the latest runs (see
+//   scripts/lib/health.mjs).
+// - The latest run of each region comes from the parse status file (default <data>/../outputs/parse-status.json,
+//   see scripts/lib/parse_status.js); a region missing there falls back to lastUpdateStatus of its data file.
+// - Thresholds come from the region's "health" object in config/regions.json on top of the defaults.
+// - Exit code 1 when any region breaches a threshold (the report is written anyway), 2 on usage errors.
+
+import { readdir, readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { regionHealth, buildHealthReport } from './lib/health.mjs';
+import regionsLib from './lib/regions.js';
+import parseStatusLib from './lib/parse_status.js';
+import timeLib from './lib/time.js';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+const { loadRegions } = regionsLib;
+const { parseKyivInstant } = timeLib;
+const { parseStatusPath, readParseStatus, withRunStatus } = parseStatusLib;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, '..');
+
+const args = parseScriptOptions({
+  script: 'scripts/health_report.mjs',
+  summary: 'Data freshness and pipeline health across regions; writes status.json.',
+  options: {
+    region: { type: 'string', multiple: true, value: '<id>', describe: 'Only these regions (default: all enabled)' },
+    out: { type: 'string', value: '<file>', describe: 'Report file (default outputs/status.json)' },
+    at: { type: 'string', value: '<time>', describe: 'Measure ages at this instant (Europe/Kyiv wall time or ISO)' },
+    data: { type: 'string', value: '<dir>', describe: 'Data folder (default data/)' },
+    status: { type: 'string', value: '<file>', describe: 'Parse status file (default <data>/../outputs/parse-status.json)' },
+    json: { type: 'boolean', describe: 'Also print the report to stdout, logs to stderr' },
+  },
+  notes: ['Exit codes: 0 ok, 1 a region breaches a threshold, 2 usage error.'],
+});
+const now = parseKyivInstant(args.at);
+if (!now) {
+  console.error(`[ERROR] Cannot parse --at '${args.at}'`);
+  process.exit(2);
+}
+const dataDir = path.resolve(args.data ?? path.join(projectRoot, 'data'));
+const runs = readParseStatus(args.status ? path.resolve(args.status) : parseStatusPath(dataDir)).regions;
+const outPath = path.resolve(args.out ?? path.join(projectRoot, 'outputs', 'status.json'));
+// With --json stdout carries only the report
+const log = args.json ? console.error : console.log;
+const only = args.region?.length ? args.region : null;
+
+async function dataFileIds() {
+  try {
+    return (await readdir(dataDir, { withFileTypes: true }))
+      .filter(e => e.isFile() && e.name.endsWith('.json'))
+      .map(e => path.basename(e.name, '.json'))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+async function readData(id) {
+  try {
+    return { json: withRunStatus(JSON.parse(await readFile(path.join(dataDir, `${id}.json`), 'utf8')), runs[id]) };
+  } catch (e) {
+    return { json: null, error: e.code === 'ENOENT' ? 'no data file' : `cannot read data file: ${e.message}` };
+  }
+}
+
+const fmt = v => (v == null ? '—' : v);
+
+function describe(r) {
+  if (!r.fact) return r.breaches.map(b => b.message).join('; ');
+  const errors = r.errorRate != null ? `, errors ${Math.round(r.errorRate * 100)}% of ${r.runs} runs` : '';
+  return `fact ${fmt(r.fact.ageMinutes)} min, preset ${fmt(r.preset?.ageMinutes)} min, last parse ${fmt(r.parseAgeMinutes)} min ago, failures ${r.failures}${errors}`;
+}
+
+(async () => {
+  // Enabled registry regions must have data; data files of other regions are reported as well
+  const registry = loadRegions();
+  const ids = [...new Set([...registry.filter(r => r.enabled).map(r => r.id), ...await dataFileIds()])]
+    .filter(id => !only || only.includes(id));
+  for (const id of only || []) {
+    if (!ids.includes(id)) ids.push(id);
+  }
+
+  const regions = [];
+  for (const id of ids) {
+    const { json, error } = await readData(id);
+    const r = regionHealth(json, { id, region: registry.find(x => x.id === id) || null, now, error });
+    regions.push(r);
+    if (r.ok) log(`[OK] ${id}: ${describe(r)}`);
+    else console.warn(`[WARN] ${id}: ${r.breaches.map(b => b.message).join('; ')}${r.fact ? ` (${describe(r)})` : ''}`);
+  }
+
+  const report = buildHealthReport(regions, { now });
+  const text = `${JSON.stringify(report, null, 2)}\n`;
+  await mkdir(path.dirname(outPath), { recursive: true });
+  await writeFile(outPath, text);
+  if (args.json) process.stdout.write(text);
+
+  const { summary } = report;
+  log(`[SUMMARY] Regions: ${summary.regions}, ok: ${summary.ok}, breached: ${summary.breached.join(',') || '—'}, stale: ${summary.stale.join(',') || '—'}. Status: ${path.relative(process.cwd(), outPath) || outPath}`);
+  process.exit(report.ok ? 0 : 1);
+})().catch(e => {
+  console.error(`[ERROR] ${e?.message || e}`);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+// Look up what the schedule said at a given moment, from the history/ archive
+// Usage:
+//   node scripts/history_lookup.mjs --region kyiv --at 2025-12-05T14:00                 # snapshot summary at that moment (Europe/Kyiv)
+//   node scripts/history_lookup.mjs --region kyiv --at 2025-12-05T14:00 --gpv GPV3.1    # plus that group's slots per day
+//   node scripts/history_lookup.mjs --region kyiv --list --from 2025-12-01 --to 2025-12-05  # list archived updates
+// Notes:
+// - --at without an explicit offset is read as Europe/Kyiv wall time; defaults to now.
+// - Prints JSON to stdout.
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import timeLib from './lib/time.js';
+import { findSnapshotAt, readSnapshots } from './lib/history.mjs';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+const { parseKyivInstant } = timeLib;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, '..');
+const historyDir = path.join(projectRoot, 'history');
+
+const args = parseScriptOptions({
+  script: 'scripts/history_lookup.mjs',
+  summary: 'What the schedule said at a given moment, from the history/ archive (JSON to stdout).',
+  options: {
+    region: { type: 'string', required: true, value: '<id>', describe: 'Region id' },
+    at: { type: 'string', value: '<time>', describe: 'Moment to look up (Europe/Kyiv wall time or ISO; default now)' },
+    gpv: { type: 'string', value: '<GPVx.y>', describe: "Also print this group's slots per day" },
+    list: { type: 'boolean', describe: 'List archived updates instead' },
+    from: { type: 'string', value: '<YYYY-MM-DD>', describe: 'With --list: first day' },
+    to: { type: 'string', value: '<YYYY-MM-DD>', describe: 'With --list: last day' },
+  },
+});
+
+if (args.list) {
+  const snapshots = await readSnapshots(historyDir, args.region, {
+    from: args.from ?? null,
+    to: args.to ?? null,
+  });
+  const rows = snapshots.map(s => ({ at: s.at, contentHash: s.contentHash, factUpdate: s.factUpdate, presetUpdateFact: s.presetUpdateFact }));
+  console.log(JSON.stringify(rows, null, 2));
+  process.exit(0);
+}
+
+const instant = parseKyivInstant(args.at);
+if (!instant) {
+  console.error(`[ERROR] Cannot parse --at '${args.at}'`);
+  process.exit(2);
+}
+
+const snap = await findSnapshotAt(historyDir, args.region, instant);
+if (!snap) {
+  console.error(`[WARN] No archived snapshot for '${args.region}' at or before ${instant.toISOString()}`);
+  process.exit(1);
+}
+
+const out = {
+  at: instant.toISOString(),
+  snapshotAt: snap.at,
+  contentHash: snap.contentHash,
+  factUpdate: snap.factUpdate,
+  presetUpdateFact: snap.presetUpdateFact,
+  days: snap.days.map(d => ({
+    date: d.date,
+    ...(args.gpv ? { [args.gpv]: d.groups?.[args.gpv] || null } : { groups: Object.keys(d.groups || {}) }),
+  })),
+};
+console.log(JSON.stringify(out, null, 2));
@@ -0,0 +1,404 @@
+// Address → GPV group lookup.
+//
+// Each region has an address list maintained in the repo: addresses/<region>.csv (or .json), one row per
+// street segment:
+//   settlement,street,houses,group
+//   м. Київ,вул. Хрещатик,"1-25 непарні, 2-14",GPV3.1
+// `houses` is a comma-separated list of: a number ("12"), a number with a letter or slash ("12А", "12/2"),
+// a range ("1-25"), a range limited to odd/even numbers ("1-25 непарні", "2-40 парні"); empty or "*" means the
+// whole street. `group` is "GPV3.1" or just "3.1". The .json variant is an array of objects with the same keys.
+//
+// The index is produced from a per-building export (one row per building: settlement,street,house,group) by
+// scripts/build_address_index.mjs: compactAddressRows() folds the buildings of one street and group into ranges,
+// and every building of the export is looked up again in the result before it is written.
+//
+// Matching is done on normalized text: Ukrainian lower-casing, apostrophe variants and punctuation removed,
+// street-type words and their abbreviations (вул./вулиця, просп./пр-т, пров., бульв./б-р, пл., наб., …) reduced
+// to one canonical type, settlement prefixes (м., с., смт) dropped, "ім./імені" ignored.
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import intervalsLib from './intervals.js';
+
+const { gpvToFileStem } = intervalsLib;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const ADDRESSES_DIR = path.resolve(__dirname, '..', '..', 'addresses');
+
+// token (after normalization) → canonical street type
+const STREET_TYPES = new Map(Object.entries({
+  'вул': 'вулиця', 'вулиця': 'вулиця', 'ул': 'вулиця', 'улица': 'вулиця',
+  'просп': 'проспект', 'проспект': 'проспект', 'пр-т': 'проспект', 'пр': 'проспект',
+  'пров': 'провулок', 'провулок': 'провулок', 'пер': 'провулок', 'переулок': 'провулок',
+  'бульв': 'бульвар', 'бульвар': 'бульвар', 'б-р': 'бульвар',
+  'пл': 'площа', 'площа': 'площа', 'площадь': 'площа',
+  'наб': 'набережна', 'набережна': 'набережна',
+  'шосе': 'шосе', 'ш': 'шосе',
+  'узв': 'узвіз', 'узвіз': 'узвіз',
+  'туп': 'тупик', 'тупик': 'тупик',
+  'майдан': 'майдан', 'м-н': 'майдан',
+  'проїзд': 'проїзд', 'пр-д': 'проїзд',
+  'алея': 'алея', 'ал': 'алея',
+  'мкр': 'мікрорайон', 'мікрорайон': 'мікрорайон', 'ж/м': 'мікрорайон',
+}));
+
+const SETTLEMENT_PREFIXES = new Set(['м', 'місто', 'с', 'село', 'смт', 'сел', 'селище']);
+const NAME_NOISE = new Set(['ім', 'імені']);
+
+// Lower-case (uk), unify apostrophes (then drop them), turn punctuation except "-" and "/" into spaces
+export function normalizeText(s) {
+  return String(s ?? '')
+    .toLocaleLowerCase('uk')
+    .replace(/[’ʼ'`‘ʹ]/g, '')
+    .replace(/ё/g, 'е')
+    .replace(/[.,;:"«»()№]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a street string into canonical type and name: "вул. ім. Т. Шевченка" → { type: 'вулиця', name: 'т шевченка' }.
+ * The type word may stand before or after the name; it is null when absent.
+ */
+export function normalizeStreet(street) {
+  let type = null;
+  const words = [];
+  for (const w of normalizeText(street).split(' ').filter(Boolean)) {
+    if (!type && STREET_TYPES.has(w)) { type = STREET_TYPES.get(w); continue; }
+    if (NAME_NOISE.has(w)) continue;
+    words.push(w);
+  }
+  return { type, name: words.join(' ') };
+}
+
+export function normalizeSettlement(s) {
+  return normalizeText(s).split(' ').filter(w => w && !SETTLEMENT_PREFIXES.has(w)).join(' ');
+}
+
+// "12", "12А", "12-а", "12/2", "12 корп. 2" → { num: 12, suffix: 'а' | '/2' | '' }
+export function parseHouse(s) {
+  const m = normalizeText(s).replace(/\s*(корп|к)\s*\S+$/, '').match(/^(\d+)\s*-?\s*([а-яіїєґa-z]|\/\d+)?$/);
+  return m ? { num: Number(m[1]), suffix: m[2] || '' } : null;
+}
+
+/**
+ * Parse a `houses` cell into matchers. Unparseable tokens are returned in `invalid` so the import can report them.
+ * @returns {{ all: boolean, parts: Array<{ from: number, to: number, parity: 'odd'|'even'|null } | { num: number, suffix: string }>, invalid: string[] }}
+ */
+export function parseHouseSpec(spec) {
+  const text = String(spec ?? '').trim();
+  if (!text || text === '*') return { all: true, parts: [], invalid: [] };
+  const parts = [];
+  const invalid = [];
+  for (const raw of text.split(/[,;]/).map(t => t.trim()).filter(Boolean)) {
+    const t = normalizeText(raw);
+    let parity = null;
+    if (/(^|\s)(непарні|непарна|н)(\s|$)/.test(t)) parity = 'odd';
+    else if (/(^|\s)(парні|парна|п)(\s|$)/.test(t)) parity = 'even';
+    const range = t.match(/(\d+)\s*[-–—]\s*(\d+)/);
+    if (range) {
+      const from = Number(range[1]), to = Number(range[2]);
+      if (from <= to) { parts.push({ from, to, parity }); continue; }
+    }
+    const house = parseHouse(t);
+    if (house) parts.push(house);
+    else invalid.push(raw);
+  }
+  return { all: false, parts, invalid };
+}
+
+// 2 — exact building (number + suffix), 1 — covered by number or range, 0 — no match
+export function houseMatchScore(spec, house) {
+  if (spec.all) return 1;
+  if (!house) return 0;
+  let best = 0;
+  for (const p of spec.parts) {
+    if ('num' in p) {
+      if (p.num === house.num && p.suffix === house.suffix) return 2;
+      if (p.num === house.num && !p.suffix) best = Math.max(best, 1);
+    } else if (house.num >= p.from && house.num <= p.to) {
+      if (p.parity === 'odd' && house.num % 2 === 0) continue;
+      if (p.parity === 'even' && house.num % 2 === 1) continue;
+      best = Math.max(best, 1);
+    }
+  }
+  return best;
+}
+
+export function normalizeGroup(value) {
+  const m = String(value ?? '').trim().match(/^(?:gpv)?\s*(\d+)\.(\d+)$/i);
+  return m ? `GPV${m[1]}.${m[2]}` : null;
+}
+
+// Minimal RFC 4180 CSV: quoted fields, doubled quotes, CRLF; first row is the header
+export function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const src = String(text).replace(/^﻿/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f.trim())) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(f => f.trim())) rows.push(row);
+  if (!rows.length) return [];
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  return rows.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, (r[i] ?? '').trim()])));
+}
+
+/**
+ * Build a searchable index from raw records ({ settlement, street, houses, group }).
+ * @returns {{ entries: Array<object>, settlements: string[], errors: string[] }}
+ */
+export function buildAddressIndex(records) {
+  const entries = [];
+  const errors = [];
+  records.forEach((r, i) => {
+    const gpv = normalizeGroup(r.group);
+    const street = normalizeStreet(r.street);
+    const houses = parseHouseSpec(r.houses);
+    const where = `row ${i + 1} (${r.street || '?'})`;
+    if (!gpv) { errors.push(`${where}: invalid group '${r.group}'`); return; }
+    if (!street.name) { errors.push(`${where}: empty street`); return; }
+    if (houses.invalid.length) errors.push(`${where}: unrecognized houses ${houses.invalid.map(h => `'${h}'`).join(', ')}`);
+    entries.push({
+      settlement: r.settlement || '',
+      street: r.street,
+      houses: r.houses || '',
+      gpv,
+      key: { settlement: normalizeSettlement(r.settlement), type: street.type, name: street.name, words: street.name.split(' ') },
+      spec: houses,
+    });
+  });
+  const settlements = [...new Set(entries.map(e => e.key.settlement).filter(Boolean))];
+  return { entries, settlements, errors };
+}
+
+/**
+ * Load addresses/<region>.csv or .json. A missing file yields an empty index.
+ */
+export async function loadAddressIndex(regionId, { dir = ADDRESSES_DIR } = {}) {
+  const base = path.join(dir, path.basename(regionId));
+  try {
+    return { ...buildAddressIndex(parseCsv(await readFile(`${base}.csv`, 'utf8'))), file: `${base}.csv` };
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  try {
+    const list = JSON.parse(await readFile(`${base}.json`, 'utf8'));
+    if (!Array.isArray(list)) throw new Error(`${base}.json: expected an array of address records`);
+    return { ...buildAddressIndex(list), file: `${base}.json` };
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  return { entries: [], settlements: [], errors: [], file: null };
+}
+
+/**
+ * Split free text ("м. Київ, вул. Хрещатик, 22" or "Хрещатик 22") into settlement / street / house.
+ * A settlement is recognized by a prefix (м., с., смт) or by matching one of `knownSettlements`.
+ */
+export function parseAddressQuery(text, knownSettlements = []) {
+  const parts = String(text ?? '').split(',').map(p => p.trim()).filter(Boolean);
+  let settlement = null, street = null, house = null;
+  for (const p of parts) {
+    const norm = normalizeText(p);
+    const first = norm.split(' ')[0];
+    if (!house && parseHouse(p) && street) { house = p; continue; }
+    if (!settlement && (SETTLEMENT_PREFIXES.has(first) || knownSettlements.includes(normalizeSettlement(p))) && !STREET_TYPES.has(first)) {
+      settlement = p;
+      continue;
+    }
+    if (!street) { street = p; continue; }
+    if (!house) house = p;
+  }
+  // "Хрещатик 22": trailing house number inside the street part
+  if (street && !house) {
+    const m = street.match(/^(.*\D)\s+(\d+\s*-?\s*[а-яіїєґА-ЯІЇЄҐ]?(?:\/\d+)?)$/);
+    if (m) { street = m[1].trim(); house = m[2]; }
+  }
+  return { settlement, street, house };
+}
+
+/**
+ * Find groups for an address.
+ * @param {{ entries: Array<object>, settlements: string[] }} index from loadAddressIndex/buildAddressIndex
+ * @param {string | { settlement?: string, street: string, house?: string }} query
+ * @returns {Array<{ settlement: string, street: string, houses: string, gpv: string, score: number }>}
+ *   best first; score 3 = exact street name, 2 = all query words in the name, +1 exact building, −2 street type differs
+ */
+export function lookupAddress(index, query) {
+  const q = typeof query === 'string' ? parseAddressQuery(query, index.settlements) : query;
+  if (!q?.street) return [];
+  const street = normalizeStreet(q.street);
+  if (!street.name) return [];
+  const qWords = street.name.split(' ');
+  const settlement = q.settlement ? normalizeSettlement(q.settlement) : null;
+  const house = q.house ? parseHouse(q.house) : null;
+
+  const out = [];
+  for (const e of index.entries) {
+    if (settlement && e.key.settlement && e.key.settlement !== settlement) continue;
+    let score;
+    if (e.key.name === street.name) score = 3;
+    else if (qWords.every(w => e.key.words.some(ew => ew === w || (w.length >= 3 && ew.startsWith(w))))) score = 2;
+    else continue;
+    if (street.type && e.key.type && street.type !== e.key.type) score -= 2;
+    if (house) {
+      const h = houseMatchScore(e.spec, house);
+      if (!h) continue;
+      if (h === 2) score += 1;
+    }
+    out.push({ settlement: e.settlement, street: e.street, houses: e.houses, gpv: e.gpv, score });
+  }
+  return out.sort((a, b) => b.score - a.score || a.street.localeCompare(b.street, 'uk'));
+}
+
+/**
+ * Resolve an address to a single group when the best matches agree.
+ * @returns {{ gpv: string|null, matches: Array<object>, ambiguous: boolean }}
+ */
+export function resolveGroup(index, query) {
+  const matches = lookupAddress(index, query);
+  if (!matches.length) return { gpv: null, matches, ambiguous: false };
+  const top = matches.filter(m => m.score === matches[0].score);
+  const groups = [...new Set(top.map(m => m.gpv))];
+  return { gpv: groups.length === 1 ? groups[0] : null, matches, ambiguous: groups.length > 1 };
+}
+
+// GPV3.1 → images/<region>/gpv-3-1.png (the layout render_png.mjs and the workflows use)
+export function imagePathFor(regionId, gpv) {
+  return path.join('images', regionId, `${gpvToFileStem(gpv)}.png`);
+}
+
+// Sorted numbers → houses tokens: whole runs "1-4", same-parity runs "1-25 непарні" / "2-40 парні", single numbers.
+// `singles`: numbers only, which outrank a whole-street row of another group in lookupAddress()
+function compactNumbers(nums, { singles = false } = {}) {
+  const sorted = [...new Set(nums)].sort((a, b) => a - b);
+  if (singles) return sorted.map(n => ({ from: n, text: String(n) }));
+  const tokens = [];
+  const rest = [];
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+    if (j - i >= 2) tokens.push({ from: sorted[i], text: `${sorted[i]}-${sorted[j]}` });
+    else rest.push(...sorted.slice(i, j + 1));
+    i = j + 1;
+  }
+  for (const [parity, word] of [[1, 'непарні'], [0, 'парні']]) {
+    const list = rest.filter(n => n % 2 === parity);
+    for (let i = 0; i < list.length;) {
+      let j = i;
+      while (j + 1 < list.length && list[j + 1] === list[j] + 2) j++;
+      tokens.push({ from: list[i], text: j > i ? `${list[i]}-${list[j]} ${word}` : String(list[i]) });
+      i = j + 1;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Fold a per-building export into index records, one per street and group.
+ * @param {Array<{ settlement?: string, street: string, house?: string, group: string }>} rows
+ *   `house` empty or "*" stands for the whole street
+ * @returns {{ records: Array<{ settlement: string, street: string, houses: string, group: string }>, errors: string[] }}
+ */
+export function compactAddressRows(rows) {
+  const streets = new Map();
+  const errors = [];
+  rows.forEach((r, i) => {
+    const where = `row ${i + 1} (${[r.street || '?', r.house].filter(Boolean).join(' ')})`;
+    const gpv = normalizeGroup(r.group);
+    const street = normalizeStreet(r.street);
+    if (!gpv) { errors.push(`${where}: invalid group '${r.group}'`); return; }
+    if (!street.name) { errors.push(`${where}: empty street`); return; }
+    const houseText = String(r.house ?? '').trim();
+    const house = houseText && houseText !== '*' ? parseHouse(houseText) : null;
+    if (houseText && houseText !== '*' && !house) { errors.push(`${where}: unrecognized house '${houseText}'`); return; }
+
+    const key = [normalizeSettlement(r.settlement), street.type, street.name].join('|');
+    if (!streets.has(key)) streets.set(key, { settlement: r.settlement || '', street: r.street, buildings: new Map(), all: new Set() });
+    const entry = streets.get(key);
+    if (!house) { entry.all.add(gpv); return; }
+    const id = `${house.num}${house.suffix}`;
+    const prev = entry.buildings.get(id);
+    if (prev && prev.gpv !== gpv) errors.push(`${where}: building is already in ${prev.gpv}`);
+    else entry.buildings.set(id, { ...house, gpv });
+  });
+
+  const records = [];
+  for (const entry of streets.values()) {
+    // null: the whole street, which already covers the group's single buildings
+    const byGroup = new Map([...entry.all].map(gpv => [gpv, null]));
+    for (const b of entry.buildings.values()) {
+      if (byGroup.get(b.gpv) === null) continue;
+      if (!byGroup.has(b.gpv)) byGroup.set(b.gpv, []);
+      byGroup.get(b.gpv).push(b);
+    }
+    for (const [gpv, buildings] of byGroup) {
+      let houses = '*';
+      if (buildings) {
+        const tokens = [
+          ...compactNumbers(buildings.filter(b => !b.suffix).map(b => b.num), { singles: entry.all.size > 0 }),
+          ...buildings.filter(b => b.suffix).map(b => ({ from: b.num, text: `${b.num}${b.suffix.toLocaleUpperCase('uk')}` })),
+        ].sort((a, b) => a.from - b.from || a.text.localeCompare(b.text, 'uk'));
+        houses = tokens.map(t => t.text).join(', ');
+      }
+      records.push({ settlement: entry.settlement, street: entry.street, houses, group: gpv });
+    }
+  }
+  records.sort((a, b) => a.settlement.localeCompare(b.settlement, 'uk') || a.street.localeCompare(b.street, 'uk')
+    || compareHouses(a.houses, b.houses) || a.group.localeCompare(b.group, 'en', { numeric: true }));
+  return { records, errors };
+}
+
+function compareHouses(a, b) {
+  const first = h => (h === '*' ? -1 : parseInt(h, 10));
+  return first(a) - first(b);
+}
+
+/**
+ * Look every building of the export up in an index built from `records`; returns the ones that resolve elsewhere.
+ * @returns {string[]}
+ */
+export function verifyAddressRecords(records, rows) {
+  const index = buildAddressIndex(records);
+  // Only entries with the same settlement and street name can win a lookup (lookupAddress scores exact names
+  // highest), so each row is checked against its own street
+  const byStreet = new Map();
+  for (const e of index.entries) {
+    const key = `${e.key.settlement}|${e.key.name}`;
+    if (!byStreet.has(key)) byStreet.set(key, []);
+    byStreet.get(key).push(e);
+  }
+  const problems = [];
+  rows.forEach((r, i) => {
+    const gpv = normalizeGroup(r.group);
+    const house = String(r.house ?? '').trim();
+    if (!gpv || !house || house === '*') return;
+    const entries = byStreet.get(`${normalizeSettlement(r.settlement)}|${normalizeStreet(r.street).name}`) || [];
+    const res = resolveGroup({ entries, settlements: index.settlements }, { settlement: r.settlement || null, street: r.street, house });
+    if (res.gpv !== gpv) problems.push(`row ${i + 1} (${r.street} ${house}): resolves to ${res.gpv || (res.ambiguous ? 'several groups' : 'nothing')}, expected ${gpv}`);
+  });
+  return problems;
+}
+
+// Index records → addresses/<region>.csv text
+export function formatAddressCsv(records) {
+  const cell = v => (/[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+  const lines = ['settlement,street,houses,group'];
+  for (const r of records) lines.push([r.settlement, r.street, r.houses, r.group].map(v => cell(String(v ?? ''))).join(','));
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,157 @@
+// Text alternatives for rendered images: images/<region>/<stem>.txt and <stem>.alt.json next to each PNG/SVG.
+//
+// Built from the same data/<region>.json as the image, with the same catalog (templates/i18n) and labels:
+// the group, each shown day with its outage and possible-outage intervals, the weekly possible outages and the
+// last update time; the groups matrix gets one line per group. schedule-shared.js puts the same lines into the
+// table captions of the HTML templates.
+//
+// Outages use OUTAGE_PARTS (like the summary card); for fact days "possible" is MAYBE_PARTS, for the weekly
+// preset it is POSSIBLE_PARTS (like data/<region>.json normalized.possible).
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import intervalsLib from './intervals.js';
+import timeLib from './time.js';
+import {
+  loadCatalog, translator, formatLongDate, weekdayLabel, groupDisplayName, DEFAULT_LANG,
+} from './i18n.mjs';
+
+const {
+  buildSlots, scheduleIntervals, formatMinutes, nextDayEpoch, isGroupKey, compareGroupKeys, OUTAGE_PARTS, POSSIBLE_PARTS, MAYBE_PARTS,
+} = intervalsLib;
+const { kyivDateFromEpoch } = timeLib;
+
+export const ALT_VERSION = 1;
+export const ALT_KINDS = ['full', 'emergency', 'week', 'groups', 'summary'];
+
+const toRanges = list => list.map(([s, e]) => ({ from: formatMinutes(s), to: formatMinutes(e) }));
+
+// One day row → { outages, possible, allDay } (null intervals when the row is missing)
+function describeRow(row, slots, { outageParts, possibleParts }) {
+  if (!row) return { outages: null, possible: null, allDay: false };
+  const outages = outageParts ? toRanges(scheduleIntervals(row, slots, outageParts)) : null;
+  return {
+    outages,
+    possible: toRanges(scheduleIntervals(row, slots, possibleParts)),
+    allDay: slots.length > 0 && slots.every(s => row[s.key] === 'yes'),
+  };
+}
+
+// "6 грудня: світла не буде з 06:00 до 10:30; можливі відключення з 12:00 до 13:00."
+function lineFor(t, label, { outages, possible, allDay }) {
+  const list = ranges => ranges.map(r => t('summary.interval', r)).join(t('alt.listSeparator'));
+  const parts = [];
+  if (outages?.length) parts.push(t('alt.off', { intervals: list(outages) }));
+  if (possible?.length) parts.push(t('alt.possible', { intervals: list(possible) }));
+  let text = parts.join(t('alt.partSeparator'));
+  if (!text) text = outages == null && possible == null ? t('alt.noData') : (allDay ? t('alt.allDay') : t('alt.noOutages'));
+  return t('alt.line', { label, text });
+}
+
+function lastUpdate(json) {
+  return (json?.fact?.update || json?.preset?.updateFact || json?.preset?.update || '').trim() || null;
+}
+
+/**
+ * Describe one image.
+ * @param {object} json parsed data/<region>.json
+ * @param {{ kind: 'full'|'emergency'|'week'|'groups'|'summary', gpv?: string, day?: 'today'|'tomorrow', lang?: string, regionName?: string|null,
+ *   stale?: { time: string|null }|null }} image  `stale`: the image carries the "data may be outdated" banner
+ * @returns {{ version: number, lang: string, kind: string, region: string|null, group: string|null, updated: string|null,
+ *   days?: Array<{ date: string, label: string, outages: Array<{from: string, to: string}>|null, possible: Array<{from: string, to: string}>|null }>,
+ *   week?: Array<{ weekday: number, label: string, possible: Array<{from: string, to: string}>|null }>,
+ *   groups?: Array<{ group: string, label: string, outages: Array<{from: string, to: string}>|null, possible: Array<{from: string, to: string}>|null }>,
+ *   stale?: boolean, lines: string[], text: string }}
+ */
+export function describeImage(json, { kind, gpv, day = 'today', lang = DEFAULT_LANG, regionName = null, stale = null }) {
+  if (!ALT_KINDS.includes(kind)) throw new Error(`Unknown image kind '${kind}' (known: ${ALT_KINDS.join(', ')})`);
+  const catalog = loadCatalog(lang);
+  const t = translator(catalog);
+  const preset = json?.preset || {};
+  const fact = json?.fact || {};
+  const slots = buildSlots(preset);
+  const region = (regionName || json?.regionAffiliation || '').trim() || null;
+  const withRegion = title => (region ? `${title} (${region})` : title);
+  const todayEpoch = fact.today != null ? Number(fact.today) : null;
+  const groupNum = gpv ? (String(gpv).match(/^GPV(\d+\.\d+)$/) || [])[1] || String(gpv) : null;
+
+  const out = { version: ALT_VERSION, lang, kind, region, group: kind === 'groups' ? null : groupNum, updated: lastUpdate(json) };
+  const lines = [];
+  if (stale) {
+    out.stale = true;
+    lines.push(stale.time ? t('stale.banner', { time: stale.time }) : t('stale.bannerNoTime'));
+  }
+
+  if (kind === 'groups') {
+    const epoch = day === 'tomorrow' ? (nextDayEpoch(fact) ?? todayEpoch) : todayEpoch;
+    const dayObj = epoch != null ? fact.data?.[String(epoch)] || {} : {};
+    const date = epoch != null ? formatLongDate(catalog, epoch) : '';
+    out.date = epoch != null ? kyivDateFromEpoch(epoch) : null;
+    out.groups = Object.keys(dayObj).filter(isGroupKey).sort(compareGroupKeys).map(k => {
+      const d = describeRow(dayObj[k], slots, { outageParts: OUTAGE_PARTS, possibleParts: MAYBE_PARTS });
+      return { group: k.replace(/^GPV/, ''), label: groupDisplayName(catalog, preset, k), outages: d.outages, possible: d.possible, allDay: d.allDay };
+    });
+    lines.push(`${withRegion(t('alt.title.groups', { date: date || t('day.todayInline') }))}.`);
+    for (const g of out.groups) lines.push(lineFor(t, g.label, g));
+    if (!out.groups.length) lines.push(t('error.noDayData', { when: t('error.selectedDate') }));
+    out.groups = out.groups.map(({ allDay, ...g }) => g);
+  } else {
+    lines.push(`${withRegion(t(kind === 'week' ? 'alt.title.week' : 'alt.title.group', { group: groupNum }))}.`);
+
+    if (kind !== 'week') {
+      const tomorrow = nextDayEpoch(fact);
+      const epochs = [todayEpoch];
+      if (kind !== 'summary' && tomorrow != null && tomorrow !== todayEpoch) epochs.push(tomorrow);
+      out.days = epochs.filter(ep => ep != null).map(ep => {
+        const d = describeRow(fact.data?.[String(ep)]?.[gpv], slots, { outageParts: OUTAGE_PARTS, possibleParts: MAYBE_PARTS });
+        const label = formatLongDate(catalog, ep) || t(ep === todayEpoch ? 'day.today' : 'day.tomorrow');
+        lines.push(lineFor(t, label, d));
+        return { date: kyivDateFromEpoch(ep), label, outages: d.outages, possible: d.possible };
+      });
+    }
+
+    if (kind === 'full' || kind === 'week') {
+      const week = preset.data?.[gpv];
+      if (kind === 'full') lines.push(t('alt.week'));
+      out.week = Object.keys(preset.days || {}).map(Number).sort((a, b) => a - b).map(dk => {
+        const d = describeRow(week?.[String(dk)], slots, { outageParts: null, possibleParts: POSSIBLE_PARTS });
+        const label = weekdayLabel(catalog, preset, dk);
+        lines.push(lineFor(t, label, d));
+        return { weekday: dk, label, possible: d.possible };
+      });
+    }
+  }
+
+  if (out.updated) lines.push(t('lastUpdated', { time: out.updated }));
+  out.lines = lines;
+  out.text = lines.join('\n');
+  return out;
+}
+
+// "images/kyiv/gpv-1-2.png" → { txt: "images/kyiv/gpv-1-2.txt", json: "images/kyiv/gpv-1-2.alt.json" }
+export function altPaths(imagePath) {
+  const base = imagePath.replace(/\.(png|svg)$/i, '');
+  return { txt: `${base}.txt`, json: `${base}.alt.json` };
+}
+
+async function writeIfChanged(file, text) {
+  let prev = null;
+  try { prev = await readFile(file, 'utf8'); } catch { }
+  if (prev === text) return false;
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, text);
+  return true;
+}
+
+/**
+ * Write <stem>.txt and <stem>.alt.json next to an image; files whose content did not change are left alone.
+ * @returns {Promise<number>} number of files written
+ */
+export async function writeAltFiles(imagePath, description) {
+  const { txt, json } = altPaths(imagePath);
+  const { lines, ...data } = description;
+  let written = 0;
+  if (await writeIfChanged(txt, `${description.text}\n`)) written++;
+  if (await writeIfChanged(json, `${JSON.stringify(data, null, 2)}\n`)) written++;
+  return written;
+}
@@ -0,0 +1,264 @@
+// Read-only HTTP API over data/<region>.json (see templates/json/openapi.json for the full description).
+//
+//   GET /regions                                  list of regions with status and groups
+//   GET /regions/:id                              one region: update stamps, status, groups, covered days
+//   GET /regions/:id/groups                       groups of a region with display names
+//   GET /regions/:id/groups/:gpv/today            outage / possible-outage intervals for fact.today
+//   GET /regions/:id/groups/:gpv/tomorrow         the day after (from fact when published, else preset only)
+//   GET /regions/:id/groups/:gpv/week             7 days starting today
+//   GET /regions/:id/groups/:gpv/now[?at=ISO]     state, current interval and next change (lib/now.mjs)
+//   GET /openapi.json
+//
+// Intervals are ISO-8601 in Europe/Kyiv (see buildGroupDay in lib/intervals.js), never raw slot maps.
+// Responses carry a weak ETag derived from meta.contentHash and Last-Modified from the later of fact.update and
+// preset.updateFact; conditional requests get 304. Only the two path shapes above are routed: region ids and group
+// keys are validated against strict patterns before a file name is built, so nothing outside the data directory
+// is ever read.
+
+import { readdir, readFile } from 'node:fs/promises';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import timeLib from './time.js';
+import intervalsLib from './intervals.js';
+import regionsLib from './regions.js';
+import { groupStatus } from './now.mjs';
+
+const { addDays, kyivDateFromEpoch, parseUpstreamStamp } = timeLib;
+const { buildGroupDay, isGroupKey, compareGroupKeys } = intervalsLib;
+const { loadRegions, groupLabel } = regionsLib;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const OPENAPI_PATH = path.resolve(__dirname, '..', '..', 'templates', 'json', 'openapi.json');
+
+const REGION_ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+const GPV_RE = /^GPV\d+\.\d+$/;
+const WEEK_DAYS = 7;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function groupKeys(json) {
+  const keys = new Set(Object.keys(json?.preset?.data || {}).filter(isGroupKey));
+  for (const day of Object.values(json?.fact?.data || {})) {
+    for (const k of Object.keys(day || {})) if (isGroupKey(k)) keys.add(k);
+  }
+  return [...keys].sort(compareGroupKeys);
+}
+
+function groupName(json, gpv, region) {
+  return json?.preset?.sch_names?.[gpv] || groupLabel(region, gpv);
+}
+
+function todayDate(json) {
+  return json?.fact?.today != null ? kyivDateFromEpoch(json.fact.today) : null;
+}
+
+function statusOf(json) {
+  const s = json?.lastUpdateStatus || {};
+  return { status: s.status ?? null, ok: s.ok ?? null, code: s.code ?? null, message: s.message ?? null, at: s.at ?? null };
+}
+
+function regionHeader(json, region) {
+  return {
+    id: json.regionId,
+    name: region?.name || json.regionAffiliation || null,
+    enabled: region ? region.enabled : true,
+    lastUpdated: json.lastUpdated || null,
+    factUpdate: json.fact?.update || null,
+    presetUpdate: json.preset?.updateFact || null,
+    contentHash: json.meta?.contentHash || null,
+    status: statusOf(json),
+  };
+}
+
+export function regionDetail(json, region) {
+  const days = Object.keys(json?.fact?.data || {}).map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+  return {
+    ...regionHeader(json, region),
+    timeZone: json.normalized?.timeZone || 'Europe/Kyiv',
+    today: todayDate(json),
+    factDays: days.map(kyivDateFromEpoch),
+    groups: groupKeys(json).map(gpv => ({ gpv, name: groupName(json, gpv, region) })),
+  };
+}
+
+export function groupDays(json, gpv, which) {
+  const today = todayDate(json);
+  if (!today) throw new HttpError(404, 'Region has no fact.today');
+  const dates = which === 'today' ? [today]
+    : which === 'tomorrow' ? [addDays(today, 1)]
+      : Array.from({ length: WEEK_DAYS }, (_, i) => addDays(today, i));
+  return dates.map(date => buildGroupDay(json.fact, json.preset, gpv, date));
+}
+
+function weakEtag(...parts) {
+  return `W/"${crypto.createHash('sha1').update(parts.join('|')).digest('hex')}"`;
+}
+
+// The later of fact.update and preset.updateFact: a preset-only republication must not look unmodified
+function lastModifiedOf(json) {
+  const stamps = [json?.fact?.update, json?.preset?.updateFact || json?.preset?.update].map(parseUpstreamStamp).filter(Boolean);
+  const d = stamps.length
+    ? new Date(Math.max(...stamps.map(s => s.getTime())))
+    : (json?.lastUpdated ? new Date(json.lastUpdated) : null);
+  return d && !Number.isNaN(d.getTime()) ? d : null;
+}
+
+function isNotModified(req, etag, lastModified) {
+  const inm = req.headers['if-none-match'];
+  if (inm) return inm.split(',').map(s => s.trim()).some(tag => tag === etag || tag === '*');
+  const ims = req.headers['if-modified-since'];
+  if (ims && lastModified) {
+    const since = Date.parse(ims);
+    // HTTP dates have one-second precision
+    return Number.isFinite(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+  }
+  return false;
+}
+
+function send(req, res, status, body, { etag, lastModified, cache = 'no-cache' } = {}) {
+  const headers = {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': cache,
+    'Access-Control-Allow-Origin': '*',
+  };
+  if (etag) headers.ETag = etag;
+  if (lastModified) headers['Last-Modified'] = lastModified.toUTCString();
+  if (status === 200 && etag && isNotModified(req, etag, lastModified)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  const text = JSON.stringify(body, null, 2);
+  headers['Content-Length'] = Buffer.byteLength(text);
+  res.writeHead(status, headers);
+  res.end(req.method === 'HEAD' ? undefined : text);
+}
+
+/**
+ * Create the request handler.
+ * @param {{ dataDir: string, now?: () => Date, regions?: Array<object> }} options
+ *   `regions` defaults to the registry without secrets (names, enabled flags only)
+ */
+export function createApiHandler({ dataDir, now = () => new Date(), regions } = {}) {
+  const root = path.resolve(dataDir);
+  const registry = new Map((regions || loadRegions({ env: {} })).map(r => [r.id, r]));
+
+  async function readRegion(id) {
+    if (!REGION_ID_RE.test(id)) throw new HttpError(400, `Invalid region id '${id}'`);
+    const file = path.join(root, `${id}.json`);
+    // Belt and braces: the id pattern already excludes separators and dots
+    if (path.dirname(file) !== root) throw new HttpError(400, `Invalid region id '${id}'`);
+    let json;
+    try {
+      json = JSON.parse(await readFile(file, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') throw new HttpError(404, `Unknown region '${id}'`);
+      throw new HttpError(500, `Failed to read region '${id}'`);
+    }
+    if (!json.regionId) json.regionId = id;
+    return json;
+  }
+
+  async function listRegionIds() {
+    try {
+      const entries = await readdir(root, { withFileTypes: true });
+      return entries
+        .filter(e => e.isFile() && e.name.endsWith('.json') && REGION_ID_RE.test(e.name.slice(0, -5)))
+        .map(e => e.name.slice(0, -5))
+        .sort();
+    } catch {
+      return [];
+    }
+  }
+
+  async function route(req, res, url) {
+    const parts = url.pathname.split('/').filter(Boolean).map(p => {
+      try { return decodeURIComponent(p); } catch { throw new HttpError(400, 'Malformed URL'); }
+    });
+
+    if (parts.length === 0) {
+      send(req, res, 200, { openapi: '/openapi.json', regions: '/regions' });
+      return;
+    }
+    if (parts.length === 1 && parts[0] === 'openapi.json') {
+      const text = await readFile(OPENAPI_PATH, 'utf8');
+      send(req, res, 200, JSON.parse(text), { etag: weakEtag(text), cache: 'public, max-age=3600' });
+      return;
+    }
+    if (parts[0] !== 'regions') throw new HttpError(404, 'Not found');
+
+    if (parts.length === 1) {
+      const items = [];
+      for (const id of await listRegionIds()) {
+        try {
+          const json = await readRegion(id);
+          items.push({ ...regionHeader(json, registry.get(id)), groups: groupKeys(json) });
+        } catch { /* skip unreadable files */ }
+      }
+      const etag = weakEtag('regions', ...items.map(r => `${r.id}:${r.contentHash}:${r.status.at}`));
+      send(req, res, 200, { regions: items }, { etag });
+      return;
+    }
+
+    const json = await readRegion(parts[1]);
+    const region = registry.get(json.regionId);
+    const hash = json.meta?.contentHash || '';
+    const lastModified = lastModifiedOf(json);
+
+    if (parts.length === 2) {
+      send(req, res, 200, regionDetail(json, region), { etag: weakEtag(url.pathname, hash, json.lastUpdateStatus?.at), lastModified });
+      return;
+    }
+    if (parts[2] !== 'groups') throw new HttpError(404, 'Not found');
+    if (parts.length === 3) {
+      const groups = groupKeys(json).map(gpv => ({ gpv, name: groupName(json, gpv, region) }));
+      send(req, res, 200, { regionId: json.regionId, groups }, { etag: weakEtag(url.pathname, hash), lastModified });
+      return;
+    }
+
+    const gpv = parts[3];
+    if (!GPV_RE.test(gpv)) throw new HttpError(400, `Invalid group '${gpv}' (expected e.g. GPV3.1)`);
+    if (!groupKeys(json).includes(gpv)) throw new HttpError(404, `Unknown group '${gpv}' in region '${json.regionId}'`);
+    const view = parts[4];
+    if (parts.length !== 5) throw new HttpError(404, 'Not found');
+    const base = { regionId: json.regionId, gpv, name: groupName(json, gpv, region), factUpdate: json.fact?.update || null };
+
+    if (view === 'today' || view === 'tomorrow') {
+      const [day] = groupDays(json, gpv, view);
+      send(req, res, 200, { ...base, ...day }, { etag: weakEtag(url.pathname, hash), lastModified });
+      return;
+    }
+    if (view === 'week') {
+      send(req, res, 200, { ...base, days: groupDays(json, gpv, 'week') }, { etag: weakEtag(url.pathname, hash), lastModified });
+      return;
+    }
+    if (view === 'now') {
+      const atParam = url.searchParams.get('at');
+      const at = atParam ? new Date(atParam) : now();
+      if (Number.isNaN(at.getTime())) throw new HttpError(400, `Invalid 'at' timestamp '${atParam}'`);
+      send(req, res, 200, { ...base, ...groupStatus(json, gpv, at) }, { cache: 'no-store' });
+      return;
+    }
+    throw new HttpError(404, 'Not found');
+  }
+
+  return async function handle(req, res) {
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+      }
+      await route(req, res, new URL(req.url, 'http://localhost'));
+    } catch (e) {
+      const status = e instanceof HttpError ? e.status : 500;
+      send(req, res, status, { error: { status, message: e instanceof HttpError ? e.message : 'Internal error' } }, { cache: 'no-store' });
+      if (status === 500) console.error(`[ERROR] ${req.method} ${req.url}: ${e?.stack || e}`);
+    }
+  };
+}
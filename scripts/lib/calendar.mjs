@@ -0,0 +1,154 @@
+// iCalendar (RFC 5545) builder for per-group outage feeds.
+// Confirmed events come from `fact.data` (today/tomorrow), tentative ones from the maybe/mfirst/msecond slots of the
+// weekly `preset.data` (POSSIBLE_ONLY_PARTS) for upcoming days that `fact` does not cover yet.
+//
+// UIDs are derived from region, group, local date, kind and the local start time of the interval, so an interval
+// keeps its UID when an earlier one on the same day appears or goes away, and republishing the same schedule with a
+// new `fact.update` updates the existing events instead of adding duplicates.
+
+import timeLib from './time.js';
+import intervalsLib from './intervals.js';
+import regionsLib from './regions.js';
+
+const { addDays, kyivDateFromEpoch, kyivWeekdayFromEpoch, parseUpstreamStamp } = timeLib;
+const { buildSlots, scheduleIntervals, toIsoInterval, formatMinutes, OUTAGE_PARTS, POSSIBLE_ONLY_PARTS } = intervalsLib;
+const { getRegion, groupLabel: registryGroupLabel } = regionsLib;
+
+const PRODID = '-//outage-data-ua//Outage schedules//UK';
+const UID_DOMAIN = 'outage-data-ua';
+
+// <region>-<group>-<date>-<kind>-<HHMM start>@outage-data-ua
+function eventUid(regionId, gpvKey, date, kind, [start]) {
+  return `${regionId}-${gpvKey}-${date}-${kind}-${formatMinutes(start).replace(':', '')}@${UID_DOMAIN}`;
+}
+
+// Escape TEXT values (RFC 5545 §3.3.11)
+function escapeText(s) {
+  return String(s)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 §3.1), never splitting a UTF-8 sequence
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let cur = '';
+  let curBytes = 0;
+  let limit = 75;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch, 'utf8');
+    if (curBytes + n > limit) {
+      parts.push(cur);
+      cur = '';
+      curBytes = 0;
+      limit = 74; // continuation lines start with a space
+    }
+    cur += ch;
+    curBytes += n;
+  }
+  if (cur) parts.push(cur);
+  return parts.join('\r\n ');
+}
+
+// Date → 20251206T040000Z
+function formatUtcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function groupLabel(json, gpvKey, regionId) {
+  const name = json?.preset?.sch_names?.[gpvKey];
+  if (name) return name;
+  // Registry only: group naming does not need the source URLs from secrets
+  return registryGroupLabel(getRegion(regionId, { env: {} }), gpvKey);
+}
+
+/**
+ * Collect calendar events for one group.
+ * @returns {Array<{ uid: string, kind: 'outage'|'possible', date: string, start: string, end: string }>}
+ */
+export function collectGroupEvents(json, gpvKey, { regionId, tentative = false, days = 7 } = {}) {
+  const fact = json?.fact || {};
+  const preset = json?.preset || {};
+  const slots = buildSlots(preset);
+  const events = [];
+  const covered = new Set();
+
+  const epochs = Object.keys(fact.data || {}).map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+  for (const ep of epochs) {
+    const row = fact.data[String(ep)]?.[gpvKey];
+    if (!row) continue;
+    const date = kyivDateFromEpoch(ep);
+    covered.add(date);
+    for (const chunk of scheduleIntervals(row, slots, OUTAGE_PARTS)) {
+      events.push({ uid: eventUid(regionId, gpvKey, date, 'outage', chunk), kind: 'outage', date, ...toIsoInterval(date, chunk) });
+    }
+  }
+
+  const weekly = preset.data?.[gpvKey];
+  if (tentative && weekly && fact.today != null) {
+    const firstDate = kyivDateFromEpoch(fact.today);
+    const firstWeekday = kyivWeekdayFromEpoch(fact.today);
+    for (let d = 0; d < days; d++) {
+      const date = addDays(firstDate, d);
+      if (covered.has(date)) continue;
+      const weekday = ((firstWeekday - 1 + d) % 7) + 1;
+      const row = weekly[String(weekday)];
+      if (!row) continue;
+      for (const chunk of scheduleIntervals(row, slots, POSSIBLE_ONLY_PARTS)) {
+        events.push({ uid: eventUid(regionId, gpvKey, date, 'possible', chunk), kind: 'possible', date, ...toIsoInterval(date, chunk) });
+      }
+    }
+  }
+  return events;
+}
+
+/**
+ * Build the .ics text for one group of a region.
+ * @param {object} json parsed data/<region>.json
+ * @param {string} gpvKey e.g. GPV3.1
+ * @param {{ regionId: string, tentative?: boolean, days?: number }} options
+ */
+export function buildGroupCalendar(json, gpvKey, options) {
+  const { regionId } = options;
+  const label = groupLabel(json, gpvKey, regionId);
+  const affiliation = (typeof json?.regionAffiliation === 'string' && json.regionAffiliation.trim()) || regionId;
+  const updated = parseUpstreamStamp(json?.fact?.update) || parseUpstreamStamp(json?.preset?.updateFact) || new Date(json?.lastUpdated || Date.now());
+  const stamp = formatUtcStamp(updated);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`${affiliation} — ${label}`)}`,
+    'X-WR-TIMEZONE:Europe/Kyiv',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT30M',
+    'X-PUBLISHED-TTL:PT30M',
+  ];
+
+  for (const ev of collectGroupEvents(json, gpvKey, options)) {
+    const confirmed = ev.kind === 'outage';
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${ev.uid}`,
+      `DTSTAMP:${stamp}`,
+      `LAST-MODIFIED:${stamp}`,
+      `DTSTART:${formatUtcStamp(new Date(ev.start))}`,
+      `DTEND:${formatUtcStamp(new Date(ev.end))}`,
+      `SUMMARY:${escapeText(confirmed ? `Відключення світла (${label})` : `Можливе відключення (${label})`)}`,
+      `DESCRIPTION:${escapeText(`${affiliation}, ${label}. ${confirmed ? 'Графік відключень' : 'Тижневий графік можливих відключень'}, оновлено ${json?.fact?.update || json?.preset?.updateFact || '—'}.`)}`,
+      `STATUS:${confirmed ? 'CONFIRMED' : 'TENTATIVE'}`,
+      `TRANSP:${confirmed ? 'OPAQUE' : 'TRANSPARENT'}`,
+      `CATEGORIES:${confirmed ? 'OUTAGE' : 'POSSIBLE-OUTAGE'}`,
+      'END:VEVENT',
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,130 @@
+// Option parsing, help text, region filters and exit codes shared by the `outage` subcommands (scripts/outage.mjs)
+// and the standalone scripts (parseScriptOptions()).
+//
+// Options are declared once per command: { name: { type: 'string'|'boolean'|'integer', multiple?, short?, choices?,
+// default?, required?, value?: '<placeholder>', describe } }. `multiple` string options accept repeats and comma lists
+// (--region kyiv --region odesa,dnipro). Every command gets --help; bad input throws UsageError.
+
+import { parseArgs } from 'node:util';
+
+export const EXIT = {
+  OK: 0,
+  // At least one region failed: fetch/parse error, failed render, health threshold breach
+  FAILED: 1,
+  USAGE: 2,
+  // A step could not run at all (crashed, missing dependency)
+  CRASHED: 3,
+};
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const HELP_OPTION = { type: 'boolean', short: 'h', describe: 'Show this help' };
+
+/**
+ * Parse a command's arguments.
+ * @param {string[]} argv arguments after the subcommand
+ * @param {Record<string, object>} options declarations (see the header)
+ * @returns {Record<string, any>} values by option name; `help: true` when asked for help
+ * @throws {UsageError} on unknown options, missing values, positionals, bad integers or choices, missing required options
+ */
+export function parseOptions(argv, options) {
+  const all = { ...options, help: HELP_OPTION };
+  const config = Object.fromEntries(Object.entries(all).map(([name, o]) => [name, {
+    type: o.type === 'boolean' ? 'boolean' : 'string',
+    ...(o.multiple ? { multiple: true } : {}),
+    ...(o.short ? { short: o.short } : {}),
+  }]));
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: config, strict: true, allowPositionals: false }));
+  } catch (e) {
+    throw new UsageError(e.message.split('\n')[0]);
+  }
+  const out = {};
+  for (const [name, o] of Object.entries(all)) {
+    let v = values[name];
+    if (v === undefined) {
+      if (o.default !== undefined) out[name] = o.default;
+      continue;
+    }
+    if (o.multiple) v = [...new Set(v.flatMap(x => x.split(',')).map(x => x.trim()).filter(Boolean))];
+    if (o.type === 'integer') {
+      const n = Number(v);
+      if (!Number.isInteger(n) || n < 0) throw new UsageError(`--${name} must be a non-negative integer, got '${v}'`);
+      v = n;
+    }
+    for (const x of o.choices ? [v].flat() : []) {
+      if (!o.choices.includes(x)) throw new UsageError(`--${name} must be one of ${o.choices.join(', ')}, got '${x}'`);
+    }
+    out[name] = v;
+  }
+  if (!out.help) {
+    const missing = Object.keys(all).filter(name => all[name].required && out[name] === undefined);
+    if (missing.length) throw new UsageError(`${missing.map(name => `--${name}`).join(', ')} ${missing.length > 1 ? 'are' : 'is'} required`);
+  }
+  return out;
+}
+
+/**
+ * Options of a standalone script: `--help` prints its help and exits 0, a usage error is logged and exits 2.
+ * @param {{ script: string, summary: string, options: Record<string, object>, notes?: string[] }} command
+ *   script path as run from the repo root (scripts/notify.mjs)
+ * @param {string[]} [argv] arguments after the script
+ * @returns {Record<string, any>} values by option name
+ */
+export function parseScriptOptions({ script, ...command }, argv = process.argv.slice(2)) {
+  let opts;
+  try {
+    opts = parseOptions(argv, command.options);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    console.error(`[ERROR] ${e.message}. See 'node ${script} --help'.`);
+    process.exit(EXIT.USAGE);
+  }
+  if (opts.help) {
+    process.stdout.write(formatHelp({ usage: `node ${script} [options]`, ...command }));
+    process.exit(EXIT.OK);
+  }
+  return opts;
+}
+
+/**
+ * Help text of a command.
+ * @param {{ usage: string, summary: string, options: Record<string, object>, notes?: string[] }} command
+ */
+export function formatHelp({ usage, summary, options, notes = [] }) {
+  const rows = Object.entries({ ...options, help: HELP_OPTION }).map(([name, o]) => {
+    const flag = `${o.short ? `-${o.short}, ` : '    '}--${name}${o.type === 'boolean' ? '' : ` ${o.value || '<value>'}`}`;
+    const extra = [o.required ? 'required' : null, o.choices ? `one of ${o.choices.join(', ')}` : null, o.multiple ? 'repeatable, comma-separated' : null].filter(Boolean);
+    return [flag, `${o.describe}${extra.length ? ` (${extra.join('; ')})` : ''}`];
+  });
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+  return [
+    `Usage: ${usage}`,
+    '',
+    summary,
+    '',
+    'Options:',
+    ...rows.map(([flag, text]) => `  ${flag.padEnd(width)}  ${text}`),
+    ...(notes.length ? ['', ...notes] : []),
+    '',
+  ].join('\n');
+}
+
+/**
+ * Registry entries for --region ids (all `fallback` regions when none are given).
+ * @throws {UsageError} for an id that is not in the registry
+ */
+export function selectRegions(registry, ids, fallback = registry.filter(r => r.enabled)) {
+  if (!ids || !ids.length) return fallback;
+  const unknown = ids.filter(id => !registry.some(r => r.id === id));
+  if (unknown.length) {
+    throw new UsageError(`Unknown region ${unknown.map(id => `'${id}'`).join(', ')} (known: ${registry.map(r => r.id).join(', ')})`);
+  }
+  return ids.map(id => registry.find(r => r.id === id));
+}
@@ -0,0 +1,212 @@
+// Structured diff between two parses of data/<region>.json.
+// Compares per GPV group and day which hour slots flipped and how, plus groups/days added or removed
+// and changes in the weekly `preset`. Used by batch_parse.mjs and scripts/diff_schedules.mjs.
+
+import timeLib from './time.js';
+import intervalsLib from './intervals.js';
+
+const { kyivDateFromEpoch } = timeLib;
+const { isGroupKey, compareGroupKeys } = intervalsLib;
+
+const EMPTY = '∅';
+
+function groupKeysOf(json) {
+  const set = new Set(Object.keys(json?.preset?.data || {}).filter(isGroupKey));
+  for (const day of Object.values(json?.fact?.data || {})) {
+    Object.keys(day || {}).filter(isGroupKey).forEach(k => set.add(k));
+  }
+  return set;
+}
+
+function slotLabel(preset, slotKey) {
+  return preset?.time_zone?.[slotKey]?.[0] || slotKey;
+}
+
+function sortedSlotKeys(...maps) {
+  const keys = new Set();
+  for (const m of maps) Object.keys(m || {}).forEach(k => keys.add(k));
+  return [...keys].sort((a, b) => Number(a) - Number(b));
+}
+
+function diffSlots(prevRow, nextRow) {
+  const out = [];
+  for (const k of sortedSlotKeys(prevRow, nextRow)) {
+    const from = prevRow?.[k] ?? null;
+    const to = nextRow?.[k] ?? null;
+    if (from !== to) out.push({ slot: k, from, to });
+  }
+  return out;
+}
+
+function epochsOf(json) {
+  return Object.keys(json?.fact?.data || {}).map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+}
+
+/**
+ * Diff two parsed region files. `prev` may be null (first parse).
+ * @returns {{
+ *   regionId: string|null, changed: boolean,
+ *   contentHash: { from: string|null, to: string|null },
+ *   factUpdate: { from: string|null, to: string|null },
+ *   presetUpdateFact: { from: string|null, to: string|null },
+ *   groupsAdded: string[], groupsRemoved: string[],
+ *   daysAdded: string[], daysRemoved: string[],
+ *   fact: Array<{ gpv: string, date: string, epoch: number, slot: string, label: string, from: string|null, to: string|null }>,
+ *   preset: Array<{ gpv: string, weekday: string, dayName: string|null, slot: string, label: string, from: string|null, to: string|null }>,
+ *   affectedGroups: string[]
+ * }}
+ */
+export function diffRegion(prev, next) {
+  const prevGroups = groupKeysOf(prev);
+  const nextGroups = groupKeysOf(next);
+  const groupsAdded = [...nextGroups].filter(g => !prevGroups.has(g)).sort(compareGroupKeys);
+  const groupsRemoved = [...prevGroups].filter(g => !nextGroups.has(g)).sort(compareGroupKeys);
+
+  const prevEpochs = epochsOf(prev);
+  const nextEpochs = epochsOf(next);
+  const daysAdded = nextEpochs.filter(e => !prevEpochs.includes(e)).map(kyivDateFromEpoch);
+  const daysRemoved = prevEpochs.filter(e => !nextEpochs.includes(e)).map(kyivDateFromEpoch);
+
+  const preset = next?.preset || prev?.preset || null;
+  const fact = [];
+  for (const ep of nextEpochs.filter(e => prevEpochs.includes(e))) {
+    const pDay = prev.fact.data[String(ep)] || {};
+    const nDay = next.fact.data[String(ep)] || {};
+    const date = kyivDateFromEpoch(ep);
+    const groups = [...new Set([...Object.keys(pDay), ...Object.keys(nDay)])].filter(isGroupKey).sort(compareGroupKeys);
+    for (const gpv of groups) {
+      // A group appearing or vanishing is reported via groupsAdded/groupsRemoved, not slot by slot
+      if (!pDay[gpv] || !nDay[gpv]) continue;
+      for (const d of diffSlots(pDay[gpv], nDay[gpv])) {
+        fact.push({ gpv, date, epoch: ep, ...d, label: slotLabel(preset, d.slot) });
+      }
+    }
+  }
+
+  const presetChanges = [];
+  const pData = prev?.preset?.data || {};
+  const nData = next?.preset?.data || {};
+  for (const gpv of Object.keys(nData).filter(g => isGroupKey(g) && pData[g]).sort(compareGroupKeys)) {
+    for (const wd of sortedSlotKeys(pData[gpv], nData[gpv])) {
+      for (const d of diffSlots(pData[gpv][wd], nData[gpv][wd])) {
+        presetChanges.push({ gpv, weekday: wd, dayName: preset?.days?.[wd] || null, ...d, label: slotLabel(preset, d.slot) });
+      }
+    }
+  }
+
+  const affected = new Set([...groupsAdded, ...groupsRemoved, ...fact.map(c => c.gpv), ...presetChanges.map(c => c.gpv)]);
+  const hashFrom = prev?.meta?.contentHash || null;
+  const hashTo = next?.meta?.contentHash || null;
+
+  return {
+    regionId: next?.regionId || prev?.regionId || null,
+    changed: affected.size > 0 || daysAdded.length > 0 || daysRemoved.length > 0,
+    contentHash: { from: hashFrom, to: hashTo },
+    factUpdate: { from: prev?.fact?.update || null, to: next?.fact?.update || null },
+    presetUpdateFact: { from: prev?.preset?.updateFact || null, to: next?.preset?.updateFact || null },
+    groupsAdded,
+    groupsRemoved,
+    daysAdded,
+    daysRemoved,
+    fact,
+    preset: presetChanges,
+    affectedGroups: [...affected].sort(compareGroupKeys),
+  };
+}
+
+// "2025-12-07" → "07.12"
+function shortDate(date) {
+  const m = String(date).match(/^\d{4}-(\d{2})-(\d{2})$/);
+  return m ? `${m[2]}.${m[1]}` : String(date);
+}
+
+// Collapse consecutive slot changes with identical transition into one range label ("14-15" + "15-16" → "14-16")
+function collapseRuns(changes, keyOf) {
+  const out = [];
+  for (const c of changes) {
+    const last = out[out.length - 1];
+    const contiguous = last && keyOf(last) === keyOf(c) && last.from === c.from && last.to === c.to
+      && Number(c.slot) === Number(last.lastSlot) + 1;
+    if (contiguous) {
+      last.lastSlot = c.slot;
+      last.endLabel = c.label;
+    } else {
+      out.push({ ...c, lastSlot: c.slot, endLabel: c.label });
+    }
+  }
+  return out;
+}
+
+function rangeLabel(run) {
+  if (run.slot === run.lastSlot) return run.label;
+  const a = String(run.label).split('-')[0];
+  const b = String(run.endLabel).split('-')[1];
+  return a && b ? `${a}-${b}` : `${run.label}…${run.endLabel}`;
+}
+
+// Human-readable lines for `fact` slot changes, e.g. "GPV4.2 07.12 14-15: yes→no"
+export function formatFactChanges(changes) {
+  return collapseRuns(changes, c => `${c.gpv}|${c.date}`)
+    .map(run => `${run.gpv} ${shortDate(run.date)} ${rangeLabel(run)}: ${run.from || EMPTY}→${run.to || EMPTY}`);
+}
+
+// Human-readable report of a whole region diff
+export function formatDiff(diff) {
+  const lines = [];
+  const region = diff.regionId || '?';
+  if (!diff.changed) {
+    lines.push(`[${region}] no schedule changes`);
+    return lines;
+  }
+  lines.push(`[${region}] fact.update ${diff.factUpdate.from || EMPTY} → ${diff.factUpdate.to || EMPTY}`);
+  for (const g of diff.groupsAdded) lines.push(`  + group ${g}`);
+  for (const g of diff.groupsRemoved) lines.push(`  - group ${g}`);
+  for (const d of diff.daysAdded) lines.push(`  + day ${shortDate(d)}`);
+  for (const d of diff.daysRemoved) lines.push(`  - day ${shortDate(d)}`);
+  for (const line of formatFactChanges(diff.fact)) lines.push(`  ${line}`);
+  const presetRuns = collapseRuns(diff.preset, c => `${c.gpv}|${c.weekday}`);
+  if (presetRuns.length) lines.push(`  preset (weekly), updateFact ${diff.presetUpdateFact.from || EMPTY} → ${diff.presetUpdateFact.to || EMPTY}:`);
+  for (const run of presetRuns) {
+    lines.push(`    ${run.gpv} ${run.dayName || run.weekday} ${rangeLabel(run)}: ${run.from || EMPTY}→${run.to || EMPTY}`);
+  }
+  return lines;
+}
+
+const SUBJECT_MAX = 100;
+const GROUPS_IN_SUBJECT = 4;
+
+// Short summary of one region for a commit subject: "kyiv (GPV1.1, GPV4.2)", "odesa (+day 08.12)"
+function regionSummary(id, diff) {
+  if (!diff) return id;
+  const groups = diff.affectedGroups || [];
+  const parts = [];
+  if (groups.length) {
+    const more = groups.length > GROUPS_IN_SUBJECT ? ` +${groups.length - GROUPS_IN_SUBJECT}` : '';
+    parts.push(`${groups.slice(0, GROUPS_IN_SUBJECT).join(', ')}${more}`);
+  }
+  for (const d of diff.daysAdded || []) parts.push(`+day ${shortDate(d)}`);
+  for (const d of diff.daysRemoved || []) parts.push(`-day ${shortDate(d)}`);
+  if (!parts.length) parts.push(diff.factUpdate?.from !== diff.factUpdate?.to ? 'update time only' : 'no slot changes');
+  return `${id} (${parts.join('; ')})`;
+}
+
+/**
+ * Commit message for regions whose data changed: a subject naming the regions and their changed groups/days,
+ * then the formatDiff() lines of each region. Falls back to a region count when the subject gets too long.
+ * @param {Array<{ id: string, diff: ReturnType<typeof diffRegion>|null }>} regions
+ * @param {{ runId?: string|null }} [options]
+ */
+export function formatCommitMessage(regions, { runId = null } = {}) {
+  const prefix = 'chore: update schedules';
+  if (!regions.length) return `${prefix}${runId ? ` — run #${runId}` : ''}\n`;
+  let subject = `${prefix} — ${regions.map(r => regionSummary(r.id, r.diff)).join(', ')}`;
+  if (subject.length > SUBJECT_MAX) subject = `${prefix} — ${regions.length} regions (${regions.map(r => r.id).join(', ')})`;
+  if (subject.length > SUBJECT_MAX) subject = `${prefix} — ${regions.length} regions`;
+  const body = regions.flatMap(({ id, diff }) => {
+    if (!diff) return [`[${id}] changed`];
+    if (!diff.changed) return [`[${id}] fact.update ${diff.factUpdate.from || EMPTY} → ${diff.factUpdate.to || EMPTY}, no slot changes`];
+    return formatDiff(diff);
+  });
+  if (runId) body.push('', `Run #${runId}`);
+  return `${subject}\n\n${body.join('\n')}\n`;
+}
@@ -0,0 +1,163 @@
+// Fetch scheduling across regions: a concurrency limit, per-host politeness and an overall deadline.
+//
+// Regions run in parallel lanes (`concurrency`). Requests to one host additionally wait for a free host slot
+// (`hostConcurrency`), a minimum gap since the previous request to that host started (`hostDelayMs`) and, when set,
+// a requests-per-minute cap (`hostPerMinute`). After `deadlineMs` the run stops waiting: running regions are
+// reported as unfinished and the ones not started yet as skipped. Used by scripts/fetch_regions_playwright.mjs.
+
+export const DEFAULT_SCHEDULE = {
+  concurrency: 3,
+  hostConcurrency: 1,
+  hostDelayMs: 2000,
+  hostPerMinute: 0,
+  deadlineMs: 0,
+};
+
+// Env knob per setting (0 turns hostPerMinute and deadlineMs off)
+export const SCHEDULE_ENV = {
+  concurrency: 'FETCH_CONCURRENCY',
+  hostConcurrency: 'FETCH_HOST_CONCURRENCY',
+  hostDelayMs: 'FETCH_HOST_DELAY_MS',
+  hostPerMinute: 'FETCH_HOST_RPM',
+  deadlineMs: 'FETCH_DEADLINE_MS',
+};
+
+/**
+ * Schedule settings from the environment on top of DEFAULT_SCHEDULE.
+ * @throws {Error} on a value that is not a non-negative integer, or a zero concurrency
+ */
+export function scheduleFromEnv(env = process.env) {
+  const schedule = { ...DEFAULT_SCHEDULE };
+  for (const [key, name] of Object.entries(SCHEDULE_ENV)) {
+    const raw = env[name];
+    if (raw === undefined || raw === '') continue;
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`${name} must be a non-negative integer, got '${raw}'`);
+    schedule[key] = n;
+  }
+  for (const key of ['concurrency', 'hostConcurrency']) {
+    if (schedule[key] < 1) throw new Error(`${SCHEDULE_ENV[key]} must be at least 1`);
+  }
+  return schedule;
+}
+
+export function hostOf(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+// Resolves true after `ms`, or false as soon as the signal aborts
+export function sleep(ms, signal = null) {
+  if (signal?.aborted) return Promise.resolve(false);
+  return new Promise((resolve) => {
+    const done = (slept) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      resolve(slept);
+    };
+    const onAbort = () => done(false);
+    const timer = setTimeout(() => done(true), Math.max(0, ms));
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Per-host politeness shared by all lanes.
+ * `acquire(host, signal)` waits for the host's turn and resolves to a release function, or null when aborted.
+ */
+export function createHostLimiter({ hostConcurrency = 1, hostDelayMs = 0, hostPerMinute = 0 } = {}, { now = Date.now } = {}) {
+  const hosts = new Map();
+  const stateOf = (host) => {
+    if (!hosts.has(host)) hosts.set(host, { active: 0, lastStart: null, starts: [], released: [] });
+    return hosts.get(host);
+  };
+
+  async function acquire(host, signal = null) {
+    const s = stateOf(host);
+    for (;;) {
+      if (signal?.aborted) return null;
+      if (s.active >= hostConcurrency) {
+        // One listener per wait on the shared signal, removed again when the waiter is released or aborted
+        await new Promise((resolve) => {
+          const done = () => {
+            signal?.removeEventListener('abort', done);
+            const i = s.released.indexOf(done);
+            if (i >= 0) s.released.splice(i, 1);
+            resolve();
+          };
+          s.released.push(done);
+          signal?.addEventListener('abort', done, { once: true });
+        });
+        continue;
+      }
+      const t = now();
+      s.starts = s.starts.filter(x => t - x < 60_000);
+      let wait = s.lastStart == null ? 0 : s.lastStart + hostDelayMs - t;
+      if (hostPerMinute > 0 && s.starts.length >= hostPerMinute) wait = Math.max(wait, s.starts[0] + 60_000 - t);
+      if (wait > 0) {
+        if (!(await sleep(wait, signal))) return null;
+        continue;
+      }
+      s.active++;
+      s.lastStart = t;
+      s.starts.push(t);
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        s.active--;
+        const waiters = s.released.splice(0);
+        for (const resolve of waiters) resolve();
+      };
+    }
+  }
+
+  return { acquire };
+}
+
+/**
+ * Run `worker(item, { signal })` over the items, at most `concurrency` at a time, until they are done or the
+ * deadline passes. The signal aborts at the deadline; workers should stop waiting then (their late results are
+ * ignored).
+ * @returns {Promise<Array<{ item: any, state: 'done'|'failed'|'unfinished'|'skipped', value?: any, error?: Error,
+ *   startedAt: number|null, finishedAt: number|null }>>} one entry per item, in input order
+ */
+export async function runScheduled(items, worker, { concurrency = 1, deadlineMs = 0 } = {}) {
+  const controller = new AbortController();
+  const entries = items.map(item => ({ item, state: 'skipped', startedAt: null, finishedAt: null }));
+  let next = 0;
+
+  const lane = async () => {
+    while (!controller.signal.aborted && next < entries.length) {
+      const entry = entries[next++];
+      entry.state = 'running';
+      entry.startedAt = Date.now();
+      try {
+        const value = await worker(entry.item, { signal: controller.signal });
+        if (entry.state === 'running') Object.assign(entry, { state: 'done', value });
+      } catch (error) {
+        if (entry.state === 'running') Object.assign(entry, { state: 'failed', error });
+      }
+      if (entry.state !== 'unfinished') entry.finishedAt = Date.now();
+    }
+  };
+
+  let settled = false;
+  const lanes = Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), entries.length) }, lane))
+    .then(() => { settled = true; });
+  let timer = null;
+  const deadline = deadlineMs > 0 ? new Promise((resolve) => { timer = setTimeout(resolve, deadlineMs); }) : null;
+  await (deadline ? Promise.race([lanes, deadline]) : lanes);
+  clearTimeout(timer);
+
+  if (!settled) {
+    controller.abort();
+    for (const entry of entries) {
+      if (entry.state === 'running') entry.state = 'unfinished';
+    }
+  }
+  return entries;
+}
@@ -0,0 +1,134 @@
+/**
+ * Fetch outcomes: how a fetched upstream page is classified and how the result travels to the parser.
+ *
+ * The fetcher writes outputs/<region>.fetch.json next to outputs/<region>.html on every run:
+ *   { version, regionId, at, ok, outcome, code, message, httpStatus, bytes, attempts, mode: 'http'|'browser',
+ *     notModified, adapter, archived: { html, screenshot } | null,
+ *     tries: [{ mode, attempt, outcome, httpStatus, bytes, message }] }
+ * A failed fetch leaves the last good outputs/<region>.html in place and archives the suspect page under
+ * outputs/suspect/<region>/<timestamp>.html (+ .png screenshot). parse_fact.js reads the result and records a
+ * failed fetch in lastUpdateStatus with the outcome's code instead of re-parsing the old page.
+ *
+ * Outcomes and lastUpdateStatus codes:
+ *   ok 200 · waf 403 (challenge/placeholder page) · timeout 408 (navigation timeout) · layout 422 (the page has
+ *   schedule markers but they no longer parse) · no-markers 424 (full-size page without any marker) ·
+ *   http 502 (upstream answered 4xx/5xx) · network 503 (connection/DNS/TLS error)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FETCH_RESULT_VERSION = 1;
+const DEFAULT_MIN_BYTES = 1500;
+
+const FETCH_OUTCOMES = {
+  ok: { code: 200, label: 'OK' },
+  waf: { code: 403, label: 'WAF/challenge page' },
+  timeout: { code: 408, label: 'Navigation timeout' },
+  layout: { code: 422, label: 'Upstream layout changed' },
+  'no-markers': { code: 424, label: 'Schedule markers missing in a full-size page' },
+  http: { code: 502, label: 'Upstream HTTP error' },
+  network: { code: 503, label: 'Network error' },
+};
+
+// Signatures of anti-bot interstitials (Cloudflare, DDoS-Guard, Imperva, Sucuri, generic captchas)
+const CHALLENGE_RE = /cf-chl|challenge-platform|cdn-cgi\/challenge|just a moment\.\.\.|attention required|ddos-guard|incapsula|sucuri|captcha/i;
+
+function outcome(name, message, extra = {}) {
+  return { outcome: name, ok: name === 'ok', code: FETCH_OUTCOMES[name].code, message, ...extra };
+}
+
+/**
+ * Classify a fetched page.
+ * @param {{ html: string, status?: number|null, adapter: object, minBytes?: number }} page
+ *   `status`: HTTP status of the response (null when unknown, e.g. a page read from disk)
+ * @returns {{ outcome: string, ok: boolean, code: number, message: string|null }}
+ */
+function classifyPage({ html, status = null, adapter, minBytes = DEFAULT_MIN_BYTES }) {
+  const body = html || '';
+  const bytes = body.length;
+  const challenge = CHALLENGE_RE.test(body);
+  if (status != null && status >= 400) {
+    const name = challenge || status === 403 || status === 429 ? 'waf' : 'http';
+    return outcome(name, `HTTP ${status}, ${bytes} bytes`);
+  }
+  const allMarkers = adapter.missingMarkers ? adapter.missingMarkers('') : [];
+  const missing = adapter.missingMarkers ? adapter.missingMarkers(body) : (adapter.detect(body) ? [] : [`${adapter.id} data`]);
+  const noMarkers = adapter.missingMarkers ? missing.length === allMarkers.length : missing.length > 0;
+  const missingText = missing.map(m => `, missing ${m}`).join('');
+
+  if (noMarkers) {
+    if (challenge || bytes < minBytes) {
+      return outcome('waf', `${bytes} bytes${bytes < minBytes ? ' < MIN_HTML_BYTES' : ''}${challenge ? ', challenge page' : ''}${missingText}`);
+    }
+    return outcome('no-markers', `${bytes} bytes${missingText}`);
+  }
+  if (missing.length) return outcome('layout', `${bytes} bytes${missingText}`);
+  const extracted = adapter.extract(body);
+  if (extracted.error) return outcome('layout', extracted.error);
+  return outcome('ok', null);
+}
+
+// outputs/kyiv.html → outputs/kyiv.fetch.json
+function fetchResultPath(htmlPath) {
+  return path.join(path.dirname(htmlPath), `${path.basename(htmlPath, path.extname(htmlPath))}.fetch.json`);
+}
+
+/**
+ * The fetch result for a page, or null when there is none or it is older than the page itself
+ * (a page saved by hand after the last fetch is parsed as is).
+ */
+function readFetchResult(file, htmlPath) {
+  let result;
+  try {
+    result = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (_) {
+    return null;
+  }
+  if (!result || typeof result.outcome !== 'string' || !FETCH_OUTCOMES[result.outcome]) return null;
+  try {
+    if (htmlPath && fs.statSync(htmlPath).mtimeMs > fs.statSync(file).mtimeMs) return null;
+  } catch (_) { /* no page on disk: the result stands */ }
+  return result;
+}
+
+// lastUpdateStatus message for a failed fetch
+function describeFetchFailure(result) {
+  const def = FETCH_OUTCOMES[result.outcome];
+  const attempts = result.attempts ? ` after ${result.attempts} attempt(s)` : '';
+  const archived = result.archived && result.archived.html ? `; page saved to ${result.archived.html}` : '';
+  return `${def.label}${result.message ? ` (${result.message})` : ''}${attempts}${archived}`;
+}
+
+/**
+ * Save a suspect page (and its screenshot) under <dir>/<region>/<timestamp>.html|.png and keep the latest `keep`.
+ * @returns {Promise<{ html: string, screenshot: string|null }>} paths of the saved files
+ */
+async function archiveSuspect({ dir, regionId, html, screenshot = null, at = new Date(), keep = 20 }) {
+  const regionDir = path.join(dir, regionId);
+  await fs.promises.mkdir(regionDir, { recursive: true });
+  const stem = at.toISOString().replace(/[:.]/g, '-');
+  const htmlFile = path.join(regionDir, `${stem}.html`);
+  await fs.promises.writeFile(htmlFile, html || '<!-- empty -->');
+  let shotFile = null;
+  if (screenshot) {
+    shotFile = path.join(regionDir, `${stem}.png`);
+    await fs.promises.writeFile(shotFile, screenshot);
+  }
+  const stems = [...new Set((await fs.promises.readdir(regionDir)).map(f => f.replace(/\.(html|png)$/, '')))].sort();
+  for (const old of stems.slice(0, Math.max(0, stems.length - keep))) {
+    for (const ext of ['.html', '.png']) await fs.promises.rm(path.join(regionDir, old + ext), { force: true });
+  }
+  return { html: htmlFile, screenshot: shotFile };
+}
+
+module.exports = {
+  FETCH_RESULT_VERSION,
+  FETCH_OUTCOMES,
+  DEFAULT_MIN_BYTES,
+  classifyPage,
+  fetchResultPath,
+  readFetchResult,
+  describeFetchFailure,
+  archiveSuspect,
+};
@@ -0,0 +1,135 @@
+// Data freshness and pipeline health per region, from data/<region>.json.
+//
+// Ages are measured against `now`: fact.update and preset.updateFact are upstream "DD.MM.YYYY HH:mm" stamps
+// (Europe/Kyiv), the last successful parse is lastUpdateStatus.lastSuccessAt written by parse_fact.js (files
+// written before that field existed fall back to lastUpdated). Rates are shares of lastUpdateStatus.recent, the
+// codes of the latest runs ("waf" for 403, see lib/fetch_status.js for the fetch codes).
+//
+// Thresholds: DEFAULT_THRESHOLDS overridden by the region's "health" object in config/regions.json (null turns a
+// check off). A value above its limit is a breach; a missing stamp or a never successful parse is one too.
+
+import timeLib from './time.js';
+
+const { parseUpstreamStamp } = timeLib;
+
+export const HEALTH_VERSION = 1;
+export const OUTCOMES = ['200', 'waf', '404', '408', '422', '424', '500', '502', '503'];
+
+export const DEFAULT_THRESHOLDS = {
+  factAgeMinutes: 720,
+  presetAgeMinutes: 10080,
+  parseAgeMinutes: 60,
+  failures: 6,
+  errorRate: null,
+};
+
+// Breaches of these checks mean the published schedule may be outdated (the "stale" banner on images)
+export const STALE_CHECKS = ['data', 'factAge', 'parseAge'];
+
+const ageMinutes = (date, now) => (date ? Math.round((now.getTime() - date.getTime()) / 60000) : null);
+const round3 = x => Math.round(x * 1000) / 1000;
+
+function isoOrNull(str) {
+  if (typeof str !== 'string' || !str) return null;
+  const d = new Date(str);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+export function thresholdsFor(region) {
+  return { ...DEFAULT_THRESHOLDS, ...(region?.health || {}) };
+}
+
+function stamp(update, now) {
+  const label = typeof update === 'string' && update.trim() ? update.trim() : null;
+  const at = parseUpstreamStamp(label);
+  return { update: label, at: at ? at.toISOString() : null, ageMinutes: ageMinutes(at, now) };
+}
+
+// Share of each outcome among the recorded runs (null without any)
+export function outcomeRates(recent) {
+  const list = Array.isArray(recent) ? recent : [];
+  if (!list.length) return null;
+  const rates = Object.fromEntries(OUTCOMES.map(o => [o, 0]));
+  for (const o of list) rates[o] = (rates[o] || 0) + 1;
+  return Object.fromEntries(Object.entries(rates).map(([o, n]) => [o, round3(n / list.length)]));
+}
+
+/**
+ * Health of one region.
+ * @param {object|null} json parsed data/<region>.json (null when the file is missing or unreadable)
+ * @param {{ id: string, region?: object|null, now?: Date, error?: string }} options
+ *   `region`: registry entry (scripts/lib/regions.js) for the name and thresholds; `error`: why json is null
+ * @returns {{ id: string, name: string|null, ok: boolean, stale: boolean, fact?: object, preset?: object|null,
+ *   lastAttempt?: object, lastSuccessAt?: string|null, parseAgeMinutes?: number|null, failures?: number, runs?: number,
+ *   rates?: object|null, errorRate?: number|null, thresholds: object, breaches: Array<{ check: string, value: number|null, limit: number|null, message: string }> }}
+ */
+export function regionHealth(json, { id, region = null, now = new Date(), error = null }) {
+  const thresholds = thresholdsFor(region);
+  const name = region?.name || (typeof json?.regionAffiliation === 'string' && json.regionAffiliation.trim()) || null;
+  const breaches = [];
+  const breach = (check, value, limit, message) => breaches.push({ check, value, limit, message });
+  const over = (check, value, limit, what) => {
+    if (limit == null) return;
+    if (value == null) breach(check, null, limit, `${what}: unknown`);
+    else if (value > limit) breach(check, value, limit, `${what}: ${value} (limit ${limit})`);
+  };
+
+  if (!json) {
+    breach('data', null, null, error || 'no data file');
+    return { id, name, ok: false, stale: true, thresholds, breaches };
+  }
+
+  const status = json.lastUpdateStatus || {};
+  const fact = stamp(json.fact?.update, now);
+  const preset = json.preset ? stamp(json.preset.updateFact, now) : null;
+  const lastSuccessAt = status.lastSuccessAt !== undefined ? status.lastSuccessAt : (json.lastUpdated || null);
+  const parseAge = ageMinutes(isoOrNull(lastSuccessAt), now);
+  const failures = Number.isInteger(status.failures) ? status.failures : (status.ok === false ? 1 : 0);
+  const rates = outcomeRates(status.recent);
+  const errorRate = rates ? round3(1 - rates['200']) : null;
+
+  if (!json.fact) breach('data', null, null, 'no fact in the data file');
+  over('factAge', fact.ageMinutes, thresholds.factAgeMinutes, 'fact.update age, min');
+  if (preset) over('presetAge', preset.ageMinutes, thresholds.presetAgeMinutes, 'preset.updateFact age, min');
+  over('parseAge', parseAge, thresholds.parseAgeMinutes, 'minutes since the last successful parse');
+  over('failures', failures, thresholds.failures, 'consecutive failures');
+  if (rates) over('errorRate', errorRate, thresholds.errorRate, `error rate over ${status.recent.length} runs`);
+
+  return {
+    id,
+    name,
+    ok: breaches.length === 0,
+    stale: breaches.some(b => STALE_CHECKS.includes(b.check)),
+    fact,
+    preset,
+    lastAttempt: { at: status.at ?? null, status: status.status ?? null, code: status.code ?? null, message: status.message ?? null },
+    lastSuccessAt: lastSuccessAt || null,
+    parseAgeMinutes: parseAge,
+    failures,
+    runs: Array.isArray(status.recent) ? status.recent.length : 0,
+    rates,
+    errorRate,
+    thresholds,
+    breaches,
+  };
+}
+
+/**
+ * status.json: every region's health plus totals.
+ * @param {Array<ReturnType<typeof regionHealth>>} regions
+ */
+export function buildHealthReport(regions, { now = new Date() } = {}) {
+  const breached = regions.filter(r => !r.ok).map(r => r.id);
+  return {
+    version: HEALTH_VERSION,
+    generatedAt: now.toISOString(),
+    ok: breached.length === 0,
+    summary: { regions: regions.length, ok: regions.length - breached.length, breached, stale: regions.filter(r => r.stale).map(r => r.id) },
+    regions,
+  };
+}
+
+// Upstream label the "data may be outdated" banner shows, like the "last updated" line of the templates
+export function staleNotice(json) {
+  return { time: (json?.fact?.update || json?.preset?.updateFact || json?.preset?.update || '').trim() || null };
+}
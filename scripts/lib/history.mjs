@@ -0,0 +1,101 @@
+// Schedule history archive: history/<region>/<YYYY-MM-DD>.jsonl, one snapshot per line.
+// A snapshot is appended only when `meta.contentHash` differs from the latest archived one,
+// so the archive records real upstream changes rather than every pipeline run.
+// The file date is the Europe/Kyiv calendar date of the capture moment.
+
+import { readdir, readFile, appendFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import timeLib from './time.js';
+
+const { kyivDateFromEpoch } = timeLib;
+
+const FILE_RE = /^\d{4}-\d{2}-\d{2}\.jsonl$/;
+
+async function listArchiveFiles(regionDir) {
+  try {
+    const entries = await readdir(regionDir, { withFileTypes: true });
+    return entries.filter(e => e.isFile() && FILE_RE.test(e.name)).map(e => e.name).sort();
+  } catch {
+    return [];
+  }
+}
+
+function parseLines(text) {
+  const out = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try { out.push(JSON.parse(line)); } catch { /* skip a torn line */ }
+  }
+  return out;
+}
+
+// Build the archived record from a parsed data/<region>.json
+export function buildSnapshot(json, at = new Date()) {
+  const fact = json?.fact || {};
+  const epochs = Object.keys(fact.data || {}).map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+  return {
+    at: at.toISOString(),
+    regionId: json?.regionId || null,
+    contentHash: json?.meta?.contentHash || null,
+    factUpdate: fact.update || null,
+    presetUpdateFact: json?.preset?.updateFact || null,
+    today: fact.today != null ? Number(fact.today) : null,
+    days: epochs.map(ep => ({ epoch: ep, date: kyivDateFromEpoch(ep), groups: fact.data[String(ep)] || {} })),
+  };
+}
+
+// Latest archived snapshot for a region (or null when the archive is empty)
+export async function readLatestSnapshot(historyRoot, regionId) {
+  const regionDir = path.join(historyRoot, regionId);
+  const files = await listArchiveFiles(regionDir);
+  for (let i = files.length - 1; i >= 0; i--) {
+    const lines = parseLines(await readFile(path.join(regionDir, files[i]), 'utf8'));
+    if (lines.length) return lines[lines.length - 1];
+  }
+  return null;
+}
+
+/**
+ * Append a snapshot of `json` to the region archive unless its content hash equals the latest one.
+ * @returns {Promise<{ appended: boolean, file?: string, reason?: string }>}
+ */
+export async function appendSnapshotIfChanged(historyRoot, regionId, json, at = new Date()) {
+  const hash = json?.meta?.contentHash || null;
+  if (!hash || !json.fact) return { appended: false, reason: 'no content' };
+  const latest = await readLatestSnapshot(historyRoot, regionId);
+  if (latest && latest.contentHash === hash) return { appended: false, reason: 'unchanged' };
+
+  const snapshot = buildSnapshot(json, at);
+  const file = path.join(historyRoot, regionId, `${kyivDateFromEpoch(at.getTime() / 1000)}.jsonl`);
+  await mkdir(path.dirname(file), { recursive: true });
+  await appendFile(file, JSON.stringify(snapshot) + '\n');
+  return { appended: true, file };
+}
+
+/**
+ * Read archived snapshots for a region, optionally limited to capture dates [from, to] ("YYYY-MM-DD", inclusive).
+ */
+export async function readSnapshots(historyRoot, regionId, { from = null, to = null } = {}) {
+  const regionDir = path.join(historyRoot, regionId);
+  const files = (await listArchiveFiles(regionDir)).filter(f => {
+    const d = f.slice(0, 10);
+    return (!from || d >= from) && (!to || d <= to);
+  });
+  const out = [];
+  for (const f of files) {
+    out.push(...parseLines(await readFile(path.join(regionDir, f), 'utf8')));
+  }
+  return out;
+}
+
+// The snapshot that was current at `instant`: the last one captured at or before it
+export async function findSnapshotAt(historyRoot, regionId, instant) {
+  const ts = instant.getTime();
+  const day = kyivDateFromEpoch(ts / 1000);
+  const candidates = await readSnapshots(historyRoot, regionId, { to: day });
+  let found = null;
+  for (const s of candidates) {
+    if (Date.parse(s.at) <= ts) found = s; else break;
+  }
+  return found;
+}
@@ -0,0 +1,224 @@
+// Plain-HTTP fetching of upstream pages: the cheap path tried before a headless browser.
+//
+// - Cookie jar per region, kept between runs (WAF/session cookies set by the provider are sent back).
+// - Conditional requests: the ETag / Last-Modified of the saved page go out as If-None-Match / If-Modified-Since;
+//   a 304 reuses the saved page.
+// - gzip/deflate/br responses are decompressed by Node's fetch; redirects are followed by hand so cookies set on
+//   the way are kept.
+// - Per region fetch state (outputs/fetch-state.json): the mode that last worked, the validators of the saved page
+//   and the cookies. A region whose plain-HTTP page last failed goes straight to the browser until `probeMs` passed.
+// The result is classified with lib/fetch_status.js like a browser fetch; see scripts/fetch_regions_playwright.mjs.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import fetchStatus from './fetch_status.js';
+
+const { FETCH_OUTCOMES, DEFAULT_MIN_BYTES, classifyPage } = fetchStatus;
+
+export const FETCH_STATE_VERSION = 1;
+export const FETCH_MODES = ['auto', 'http', 'browser'];
+export const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/128.0.0.0 Safari/537.36';
+const MAX_REDIRECTS = 5;
+
+function parseSetCookie(line, url, now) {
+  const [pair, ...attrs] = line.split(';');
+  const eq = pair.indexOf('=');
+  if (eq <= 0) return null;
+  const cookie = {
+    name: pair.slice(0, eq).trim(),
+    value: pair.slice(eq + 1).trim(),
+    domain: url.hostname.toLowerCase(),
+    hostOnly: true,
+    path: url.pathname.slice(0, url.pathname.lastIndexOf('/')) || '/',
+    expires: null,
+    secure: false,
+  };
+  let maxAge = null;
+  for (const attr of attrs) {
+    const i = attr.indexOf('=');
+    const key = (i < 0 ? attr : attr.slice(0, i)).trim().toLowerCase();
+    const value = i < 0 ? '' : attr.slice(i + 1).trim();
+    if (key === 'domain' && value) {
+      const domain = value.replace(/^\./, '').toLowerCase();
+      // A cookie for another site is ignored
+      if (cookie.domain !== domain && !cookie.domain.endsWith(`.${domain}`)) return null;
+      Object.assign(cookie, { domain, hostOnly: false });
+    } else if (key === 'path' && value.startsWith('/')) {
+      cookie.path = value;
+    } else if (key === 'expires') {
+      const t = Date.parse(value);
+      if (!Number.isNaN(t)) cookie.expires = t;
+    } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+      maxAge = Number(value);
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    }
+  }
+  if (maxAge != null) cookie.expires = now + maxAge * 1000;
+  return cookie;
+}
+
+/**
+ * Minimal cookie jar (domain, path, expiry and Secure are honoured).
+ * Cookies are plain objects { name, value, domain, hostOnly, path, expires: epoch ms|null, secure } so the jar can
+ * be stored in the fetch state and handed to a browser context.
+ */
+export function createCookieJar(initial = []) {
+  let cookies = Array.isArray(initial) ? initial.filter(c => c && c.name && c.domain) : [];
+  const alive = now => c => c.expires == null || c.expires > now;
+
+  return {
+    store(url, setCookies, now = Date.now()) {
+      const u = new URL(url);
+      for (const line of setCookies || []) {
+        const c = parseSetCookie(line, u, now);
+        if (!c) continue;
+        cookies = cookies.filter(x => !(x.name === c.name && x.domain === c.domain && x.path === c.path));
+        if (alive(now)(c)) cookies.push(c);
+      }
+    },
+    header(url, now = Date.now()) {
+      const u = new URL(url);
+      const host = u.hostname.toLowerCase();
+      return cookies
+        .filter(alive(now))
+        .filter(c => (c.hostOnly ? host === c.domain : host === c.domain || host.endsWith(`.${c.domain}`)))
+        .filter(c => u.pathname === c.path || u.pathname.startsWith(c.path.endsWith('/') ? c.path : `${c.path}/`))
+        .filter(c => !c.secure || u.protocol === 'https:')
+        .map(c => `${c.name}=${c.value}`)
+        .join('; ');
+    },
+    toJSON(now = Date.now()) {
+      return cookies.filter(alive(now));
+    },
+  };
+}
+
+// Jar cookies → Playwright's context.addCookies() format (expires in seconds, -1 for a session cookie)
+export function toBrowserCookies(cookies) {
+  return (cookies || []).map(c => ({
+    name: c.name,
+    value: c.value,
+    domain: c.hostOnly ? c.domain : `.${c.domain}`,
+    path: c.path,
+    expires: c.expires == null ? -1 : Math.floor(c.expires / 1000),
+    secure: Boolean(c.secure),
+    httpOnly: false,
+    sameSite: 'Lax',
+  }));
+}
+
+// Playwright's context.cookies() → jar cookies, so clearance cookies earned by the browser serve plain HTTP later
+export function fromBrowserCookies(cookies) {
+  return (cookies || []).map(c => ({
+    name: c.name,
+    value: c.value,
+    domain: c.domain.replace(/^\./, '').toLowerCase(),
+    hostOnly: !c.domain.startsWith('.'),
+    path: c.path || '/',
+    expires: c.expires > 0 ? Math.round(c.expires * 1000) : null,
+    secure: Boolean(c.secure),
+  }));
+}
+
+/**
+ * One plain-HTTP GET of a page.
+ * @param {string} url
+ * @param {{ jar?: ReturnType<typeof createCookieJar>|null, validators?: { etag?: string|null, lastModified?: string|null }|null,
+ *   timeoutMs?: number, signal?: AbortSignal|null }} options
+ * @returns {Promise<{ status: number, html: string, notModified: boolean, validators: { etag: string|null, lastModified: string|null } }>}
+ * @throws the fetch error (TimeoutError on timeout) — callers classify it
+ */
+export async function fetchPage(url, { jar = null, validators = null, timeoutMs = 30_000, signal = null } = {}) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  const combined = signal ? AbortSignal.any([signal, timeout]) : timeout;
+  let current = url;
+  for (let hop = 0; ; hop++) {
+    const headers = {
+      'user-agent': USER_AGENT,
+      accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'accept-language': 'uk-UA,uk;q=0.9,en;q=0.8',
+      'accept-encoding': 'gzip, deflate, br',
+    };
+    const cookie = jar ? jar.header(current) : '';
+    if (cookie) headers.cookie = cookie;
+    if (validators?.etag) headers['if-none-match'] = validators.etag;
+    if (validators?.lastModified) headers['if-modified-since'] = validators.lastModified;
+
+    const res = await fetch(current, { headers, redirect: 'manual', signal: combined });
+    if (jar) jar.store(current, res.headers.getSetCookie());
+    const location = res.headers.get('location');
+    if (res.status >= 300 && res.status < 400 && res.status !== 304 && location) {
+      await res.body?.cancel();
+      if (hop >= MAX_REDIRECTS) throw new Error(`Too many redirects (${MAX_REDIRECTS})`);
+      current = new URL(location, current).toString();
+      continue;
+    }
+    const html = res.status === 304 ? '' : await res.text();
+    return {
+      status: res.status,
+      html,
+      notModified: res.status === 304,
+      validators: { etag: res.headers.get('etag'), lastModified: res.headers.get('last-modified') },
+    };
+  }
+}
+
+// First line of an error (undici hides the reason in `cause`), with the (secret) upstream URL taken out
+function errorMessage(e, url) {
+  const cause = e?.cause?.code || e?.cause?.message;
+  const first = String(e?.message || e).split('\n')[0] + (cause && e?.name !== 'TimeoutError' ? ` (${cause})` : '');
+  return url ? first.split(url).join('<url>') : first;
+}
+
+/**
+ * Fetch and classify a region's page over plain HTTP, updating its fetch state (cookies; validators when the page
+ * is good). A 304 answer reuses `cachedHtml`, the page saved by the last good fetch.
+ * @returns {Promise<{ ok: boolean, outcome: string, code: number, message: string|null, httpStatus: number|null,
+ *   bytes: number, html?: string, notModified: boolean }>}
+ */
+export async function fetchRegionHttp({ url, adapter, regionState, cachedHtml = null, minBytes = DEFAULT_MIN_BYTES, timeoutMs = 30_000, signal = null }) {
+  const jar = createCookieJar(regionState.cookies);
+  // Validators only make sense while the page they describe is still on disk
+  const validators = cachedHtml ? regionState.validators : null;
+  try {
+    const page = await fetchPage(url, { jar, validators, timeoutMs, signal });
+    const html = page.notModified ? (cachedHtml || '') : page.html;
+    const result = classifyPage({ html, status: page.notModified ? 200 : page.status, adapter, minBytes });
+    if (result.ok && !page.notModified) regionState.validators = page.validators;
+    return { ...result, httpStatus: page.status, bytes: html.length, html, notModified: page.notModified };
+  } catch (e) {
+    const outcome = e?.name === 'TimeoutError' ? 'timeout' : 'network';
+    return { outcome, ok: false, code: FETCH_OUTCOMES[outcome].code, message: errorMessage(e, url), httpStatus: null, bytes: 0, notModified: false };
+  } finally {
+    regionState.cookies = jar.toJSON();
+  }
+}
+
+/**
+ * Which path to try first for a region: `forced` unless it is 'auto'; otherwise plain HTTP, except for a region
+ * whose HTTP page failed less than `probeMs` ago while the browser worked.
+ */
+export function chooseMode(regionState, { forced = 'auto', now = Date.now(), probeMs = 0 } = {}) {
+  if (forced !== 'auto') return forced;
+  const failedAt = Date.parse(regionState?.httpFailedAt || '');
+  if (regionState?.mode === 'browser' && !Number.isNaN(failedAt) && now - failedAt < probeMs) return 'browser';
+  return 'http';
+}
+
+export function emptyRegionState() {
+  return { mode: null, at: null, httpFailedAt: null, validators: null, cookies: [] };
+}
+
+export async function loadFetchState(file) {
+  try {
+    const state = JSON.parse(await fs.readFile(file, 'utf8'));
+    if (state?.version === FETCH_STATE_VERSION && state.regions && typeof state.regions === 'object') return state;
+  } catch { /* missing or unreadable: start over */ }
+  return { version: FETCH_STATE_VERSION, regions: {} };
+}
+
+export async function saveFetchState(file, state) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(state, null, 2)}\n`);
+}
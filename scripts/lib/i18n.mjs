@@ -0,0 +1,107 @@
+// Message catalogs for rendered images and generated text: templates/i18n/<lang>.json.
+//
+// A catalog is { lang, locale, name, upstreamLabels, messages: { "key": "text with {params}" } }. The same files
+// are read by the HTML templates (schedule-shared.js, injected by renderer.mjs as window.__I18N__) and by the
+// Node side (svg_renderer.mjs, batch_render.mjs), so both produce the same words.
+//
+// `upstreamLabels: true` (uk) means weekday names, slot descriptions and group names come from the upstream
+// preset (preset.days / time_type / sch_names) as before; other languages use the catalog and Intl instead.
+// Keys missing from a catalog fall back to the default (uk) catalog.
+
+import { readFileSync } from 'node:fs';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const I18N_DIR = path.resolve(__dirname, '..', '..', 'templates', 'i18n');
+export const DEFAULT_LANG = 'uk';
+export const LANGS = ['uk', 'en'];
+
+const cache = new Map();
+
+/**
+ * Parse a --lang value ("en", "uk,en") into known language codes.
+ * @returns {{ langs: string[], unknown: string[] }}
+ */
+export function parseLangs(value) {
+  const list = typeof value === 'string' ? value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : [];
+  if (!list.length) return { langs: [DEFAULT_LANG], unknown: [] };
+  return { langs: [...new Set(list.filter(l => LANGS.includes(l)))], unknown: list.filter(l => !LANGS.includes(l)) };
+}
+
+function readCatalogFile(lang) {
+  const file = path.join(I18N_DIR, `${lang}.json`);
+  const text = readFileSync(file, 'utf8');
+  const parsed = JSON.parse(text);
+  if (!parsed || typeof parsed.messages !== 'object') throw new Error(`${file}: expected { "messages": {...} }`);
+  return { parsed, text };
+}
+
+/**
+ * Catalog for a language, with missing keys filled from the default one. Cached per process.
+ * @param {string} [lang]
+ * @returns {{ lang: string, locale: string, name: string, upstreamLabels: boolean, messages: Record<string, string>, hash: string }}
+ */
+export function loadCatalog(lang = DEFAULT_LANG) {
+  if (!LANGS.includes(lang)) throw new Error(`Unknown language '${lang}' (known: ${LANGS.join(', ')})`);
+  if (cache.has(lang)) return cache.get(lang);
+  const { parsed, text } = readCatalogFile(lang);
+  const base = lang === DEFAULT_LANG ? null : loadCatalog(DEFAULT_LANG);
+  const catalog = {
+    lang,
+    locale: parsed.locale || base?.locale || 'uk-UA',
+    name: parsed.name || lang,
+    upstreamLabels: parsed.upstreamLabels === true,
+    messages: { ...(base?.messages || {}), ...parsed.messages },
+    hash: crypto.createHash('sha256').update(base ? base.hash : '').update(text).digest('hex'),
+  };
+  cache.set(lang, catalog);
+  return catalog;
+}
+
+// "Черга {group}" + { group: '1.1' } → "Черга 1.1"; unknown placeholders stay as they are
+export function format(template, params = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (m, k) => (params[k] != null ? String(params[k]) : m));
+}
+
+/**
+ * Translator bound to one catalog: t('group.name', { group: '1.1' }). Unknown keys return the key itself.
+ */
+export function translator(catalog) {
+  return (key, params) => format(catalog.messages[key] ?? key, params);
+}
+
+// Output sub-directory for a language: '' for the default one (images/<region>/), '<lang>' otherwise
+export function langDir(lang) {
+  return lang && lang !== DEFAULT_LANG ? lang : '';
+}
+
+// ===== Labels shared by the Node renderers (same choices as schedule-shared.js) =====
+
+// Epoch seconds (00:00 of a day) → "6 грудня" / "6 December" in the catalog locale, Europe/Kyiv
+export function formatLongDate(catalog, epochSec) {
+  try {
+    return new Intl.DateTimeFormat(catalog.locale, { timeZone: 'Europe/Kyiv', day: 'numeric', month: 'long' }).format(new Date(Number(epochSec) * 1000));
+  } catch {
+    return '';
+  }
+}
+
+// preset.days key (1 = Monday) → upstream name for upstreamLabels catalogs, Intl weekday name otherwise
+export function weekdayLabel(catalog, preset, dayKey) {
+  const upstream = preset?.days?.[String(dayKey)];
+  if (catalog.upstreamLabels && upstream) return upstream;
+  // 2024-01-01 was a Monday
+  const s = new Intl.DateTimeFormat(catalog.locale, { timeZone: 'UTC', weekday: 'long' }).format(new Date(Date.UTC(2024, 0, Number(dayKey))));
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+// "GPV1.1" → preset.sch_names for upstreamLabels catalogs, "Group 1.1" from the catalog otherwise
+export function groupDisplayName(catalog, preset, gpv) {
+  const upstream = preset?.sch_names?.[gpv];
+  if (catalog.upstreamLabels && upstream) return upstream;
+  const m = String(gpv).match(/^GPV(\d+\.\d+)$/);
+  return m ? format(catalog.messages['group.name'] ?? '{group}', { group: m[1] }) : String(gpv);
+}
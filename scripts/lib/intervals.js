@@ -0,0 +1,257 @@
+/**
+ * Decoding of hour-slot schedules (`fact.data` / `preset.data`) into merged time intervals.
+ *
+ * Slot states follow upstream `preset.time_type`:
+ *   yes — power on; no — power off; maybe — possible outage;
+ *   first/second — off during the first/second half of the slot;
+ *   mfirst/msecond — possibly off during the first/second half of the slot.
+ *
+ * The half-hour handling mirrors `buildSummary` in templates/html/schedule-shared.js so that
+ * the normalized feed and the rendered images always agree.
+ */
+
+const { toKyivIso, kyivDateFromEpoch, kyivWeekdayFromEpoch, weekdayOfDate, pad2, KYIV_TZ } = require('./time');
+
+const DAY_MINUTES = 24 * 60;
+
+// Which part of a slot a state covers when collecting confirmed outages (fact)
+const OUTAGE_PARTS = {
+  no: 'full',
+  first: 'first',
+  mfirst: 'first',
+  second: 'second',
+  msecond: 'second',
+};
+
+// Which part of a slot a state covers when collecting possible outages (weekly preset)
+const POSSIBLE_PARTS = {
+  no: 'full',
+  maybe: 'full',
+  first: 'first',
+  mfirst: 'first',
+  second: 'second',
+  msecond: 'second',
+};
+
+// Possible outages in a confirmed `fact` row: only 'maybe' (the m* half-slots count as outages there)
+const MAYBE_PARTS = {
+  maybe: 'full',
+};
+
+// Only the "possibly off" states of a weekly preset row, without the planned no/first/second (calendar TENTATIVE events)
+const POSSIBLE_ONLY_PARTS = {
+  maybe: 'full',
+  mfirst: 'first',
+  msecond: 'second',
+};
+
+// Parse time label to start minutes (00:00 = 0): "HH:MM", "H-H+1" or plain "H"
+function parseTimeLabelStartMinutes(label) {
+  if (!label) return NaN;
+  const s = String(label).trim();
+  let m = s.match(/^([0-9]{1,2}):([0-9]{2})$/);
+  if (m) {
+    const hh = Math.min(24, Math.max(0, Number(m[1])));
+    const mm = Math.min(59, Math.max(0, Number(m[2])));
+    return (hh * 60) + mm;
+  }
+  m = s.match(/^([0-9]{1,2})\s*-\s*([0-9]{1,2})$/);
+  if (m) {
+    const hh = Math.min(24, Math.max(0, Number(m[1])));
+    return hh * 60;
+  }
+  m = s.match(/^([0-9]{1,2})$/);
+  if (m) {
+    const hh = Math.min(24, Math.max(0, Number(m[1])));
+    return hh * 60;
+  }
+  return NaN;
+}
+
+/**
+ * Build the ordered list of time slots from `preset.time_zone`.
+ * Each slot is { key, start, end } in minutes from local midnight; the last slot ends at 24:00.
+ * Falls back to 24 hourly slots keyed "1".."24" when the preset has no time_zone.
+ */
+function buildSlots(preset) {
+  const tz = (preset && preset.time_zone) || null;
+  const tzKeys = tz ? Object.keys(tz).map(Number).filter(Number.isFinite).sort((a, b) => a - b) : [];
+  if (!tzKeys.length) {
+    return Array.from({ length: 24 }, (_, i) => ({ key: String(i + 1), start: i * 60, end: (i + 1) * 60 }));
+  }
+  const starts = tzKeys.map(k => parseTimeLabelStartMinutes(tz[String(k)] && tz[String(k)][0]));
+  const slots = [];
+  for (let i = 0; i < tzKeys.length; i++) {
+    const start = starts[i];
+    const end = (i + 1 < tzKeys.length) ? starts[i + 1] : DAY_MINUTES;
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) continue;
+    slots.push({ key: String(tzKeys[i]), start, end });
+  }
+  return slots;
+}
+
+// Merge contiguous/overlapping [start, end] chunks into consolidated intervals
+function mergeChunks(chunks) {
+  if (!chunks.length) return [];
+  const sorted = chunks.map(c => c.slice()).sort((a, b) => a[0] - b[0]);
+  const out = [];
+  let cur = sorted[0];
+  for (let i = 1; i < sorted.length; i++) {
+    const [cs, ce] = sorted[i];
+    if (cs <= cur[1]) {
+      cur[1] = Math.max(cur[1], ce);
+    } else {
+      out.push(cur);
+      cur = [cs, ce];
+    }
+  }
+  out.push(cur);
+  return out;
+}
+
+/**
+ * Collect merged [startMin, endMin] intervals of one day's slot map whose states are listed in `parts`
+ * (OUTAGE_PARTS or POSSIBLE_PARTS). Half-hour states resolve to the :30 boundary of their slot.
+ */
+function scheduleIntervals(schedule, slots, parts) {
+  if (!schedule || typeof schedule !== 'object') return [];
+  const chunks = [];
+  for (const slot of slots) {
+    const part = parts[schedule[slot.key]];
+    if (!part) continue;
+    const mid = Math.min(slot.start + 30, slot.end);
+    if (part === 'full') chunks.push([slot.start, slot.end]);
+    else if (part === 'first' && mid > slot.start) chunks.push([slot.start, mid]);
+    else if (part === 'second' && slot.end > mid) chunks.push([mid, slot.end]);
+  }
+  return mergeChunks(chunks);
+}
+
+function formatMinutes(mins) {
+  return `${pad2(Math.floor(mins / 60))}:${pad2(mins % 60)}`;
+}
+
+// [startMin, endMin] on a local date → { start, end } ISO-8601 strings in Europe/Kyiv
+function toIsoInterval(dateStr, [s, e]) {
+  return { start: toKyivIso(dateStr, formatMinutes(s)), end: toKyivIso(dateStr, formatMinutes(e)) };
+}
+
+/**
+ * Epoch of the day shown as "tomorrow": the first `fact.data` day after `fact.today`, else any other day.
+ * Same choice as the groups view in templates/html/schedule-shared.js.
+ * @returns {number|null}
+ */
+function nextDayEpoch(fact) {
+  const today = fact && fact.today != null ? Number(fact.today) : null;
+  const keys = Object.keys((fact && fact.data) || {}).map(Number).filter(n => !Number.isNaN(n));
+  const greater = keys.filter(k => today != null ? k > today : true).sort((a, b) => a - b);
+  const next = greater.length ? greater[0] : keys.find(k => k !== today);
+  return next != null ? next : null;
+}
+
+function isGroupKey(k) {
+  return /^GPV\d+\.\d+$/i.test(k);
+}
+
+function compareGroupKeys(a, b) {
+  return a.localeCompare(b, 'en', { numeric: true });
+}
+
+// GPV1.2 -> gpv-1-2 (file stem used for images/, calendars/ etc.)
+function gpvToFileStem(gpvKey) {
+  const m = String(gpvKey).match(/^GPV(\d+)\.(\d+)$/i);
+  if (!m) return `gpv-${String(gpvKey).replace(/[^a-z0-9]+/gi, '-').toLowerCase()}`;
+  return `gpv-${m[1]}-${m[2]}`;
+}
+
+/**
+ * Build the normalized interval feed stored as `normalized` in data/<region>.json:
+ *   {
+ *     timeZone: 'Europe/Kyiv',
+ *     groups: {
+ *       GPV1.1: {
+ *         name: 'Черга 1.1',
+ *         days: [{ date, weekday, today, outages: [{ start, end }] | null, possible: [{ start, end }] | null }]
+ *       }
+ *     }
+ *   }
+ * One day entry per epoch in `fact.data`. `outages` come from `fact` (null when the day has no row for the
+ * group); `possible` comes from the weekly `preset` row for the same weekday (null when absent).
+ */
+function buildNormalized(fact, preset) {
+  const factData = (fact && fact.data) || {};
+  const presetData = (preset && preset.data) || {};
+  const names = (preset && preset.sch_names) || {};
+  const slots = buildSlots(preset);
+  const todayEpoch = fact && fact.today != null ? Number(fact.today) : null;
+
+  const dayEpochs = Object.keys(factData).map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+  const groupSet = new Set(Object.keys(presetData).filter(isGroupKey));
+  for (const ep of dayEpochs) {
+    for (const k of Object.keys(factData[String(ep)] || {})) {
+      if (isGroupKey(k)) groupSet.add(k);
+    }
+  }
+
+  const groups = {};
+  for (const gpv of [...groupSet].sort(compareGroupKeys)) {
+    const days = dayEpochs.map(ep => {
+      const date = kyivDateFromEpoch(ep);
+      const weekday = kyivWeekdayFromEpoch(ep);
+      const factRow = factData[String(ep)] && factData[String(ep)][gpv];
+      const presetRow = presetData[gpv] && weekday != null ? presetData[gpv][String(weekday)] : null;
+      return {
+        date,
+        weekday,
+        today: ep === todayEpoch,
+        outages: factRow ? scheduleIntervals(factRow, slots, OUTAGE_PARTS).map(c => toIsoInterval(date, c)) : null,
+        possible: presetRow ? scheduleIntervals(presetRow, slots, POSSIBLE_PARTS).map(c => toIsoInterval(date, c)) : null,
+      };
+    });
+    groups[gpv] = { name: names[gpv] || null, days };
+  }
+
+  return { timeZone: KYIV_TZ, groups };
+}
+
+/**
+ * Intervals of one group on one local date ("YYYY-MM-DD"):
+ *   { date, weekday, source: 'fact'|'preset'|null, outages: [{ start, end }] | null, possible: [{ start, end }] | null }
+ * `outages` come from `fact.data` when it has a row for that date (source 'fact'); otherwise only the weekly
+ * `preset` row is known (source 'preset', outages null). Both missing → source null.
+ */
+function buildGroupDay(fact, preset, gpv, date) {
+  const slots = buildSlots(preset);
+  const weekday = weekdayOfDate(date);
+  const factData = (fact && fact.data) || {};
+  const epoch = Object.keys(factData).find(ep => kyivDateFromEpoch(ep) === date);
+  const factRow = epoch != null && factData[epoch] ? factData[epoch][gpv] : null;
+  const presetRow = preset && preset.data && preset.data[gpv] ? preset.data[gpv][String(weekday)] : null;
+  return {
+    date,
+    weekday,
+    source: factRow ? 'fact' : (presetRow ? 'preset' : null),
+    outages: factRow ? scheduleIntervals(factRow, slots, OUTAGE_PARTS).map(c => toIsoInterval(date, c)) : null,
+    possible: presetRow ? scheduleIntervals(presetRow, slots, POSSIBLE_PARTS).map(c => toIsoInterval(date, c)) : null,
+  };
+}
+
+module.exports = {
+  DAY_MINUTES,
+  OUTAGE_PARTS,
+  POSSIBLE_PARTS,
+  MAYBE_PARTS,
+  POSSIBLE_ONLY_PARTS,
+  parseTimeLabelStartMinutes,
+  buildSlots,
+  mergeChunks,
+  scheduleIntervals,
+  formatMinutes,
+  toIsoInterval,
+  nextDayEpoch,
+  isGroupKey,
+  compareGroupKeys,
+  gpvToFileStem,
+  buildNormalized,
+  buildGroupDay,
+};
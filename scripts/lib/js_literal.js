@@ -0,0 +1,240 @@
+/**
+ * Safe reader for JavaScript object/array literals embedded in upstream HTML.
+ *
+ * Upstream pages sometimes assign plain JS literals rather than JSON (unquoted keys, single-quoted
+ * strings, trailing commas, comments). This module parses that subset without ever evaluating
+ * code: anything that is not a literal value (function calls, identifiers used as values,
+ * template interpolation, operators) is rejected with a position-annotated error.
+ *
+ * It also provides a string/comment-aware scanner to find the end of a balanced `{…}` / `[…]`
+ * so that braces inside string literals or comments do not confuse extraction.
+ */
+
+class JsLiteralError extends Error {
+  constructor(message, pos) {
+    super(`${message} at position ${pos}`);
+    this.name = 'JsLiteralError';
+    this.pos = pos;
+  }
+}
+
+const ID_START = /[A-Za-z_$\u00C0-\uFFFF]/;
+const ID_PART = /[A-Za-z0-9_$\u00C0-\uFFFF]/;
+
+// Skip a string literal starting at `i` (the opening quote); returns index after the closing quote or -1
+function skipString(src, i) {
+  const quote = src[i];
+  for (let j = i + 1; j < src.length; j++) {
+    const ch = src[j];
+    if (ch === '\\') { j++; continue; }
+    if (ch === quote) return j + 1;
+    if (quote !== '`' && (ch === '\n' || ch === '\r')) return -1;
+  }
+  return -1;
+}
+
+// Skip a comment starting at `i` ("//" or "/*"); returns index after it, or -1 when unterminated
+function skipComment(src, i) {
+  if (src[i + 1] === '/') {
+    const nl = src.indexOf('\n', i + 2);
+    return nl === -1 ? src.length : nl + 1;
+  }
+  const end = src.indexOf('*/', i + 2);
+  return end === -1 ? -1 : end + 2;
+}
+
+/**
+ * Find the balanced literal starting at `start` (which must point to "{" or "[").
+ * Strings and comments are skipped, so braces inside them do not count.
+ * @returns {{ end: number } | { error: string }} `end` is the index just past the closing bracket
+ */
+function scanBalanced(src, start) {
+  const stack = [];
+  for (let i = start; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      const next = skipString(src, i);
+      if (next === -1) return { error: `Unterminated string literal starting at position ${i}` };
+      i = next - 1;
+    } else if (ch === '/' && (src[i + 1] === '/' || src[i + 1] === '*')) {
+      const next = skipComment(src, i);
+      if (next === -1) return { error: `Unterminated comment starting at position ${i}` };
+      i = next - 1;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch);
+    } else if (ch === '}' || ch === ']') {
+      const open = stack.pop();
+      if ((ch === '}' && open !== '{') || (ch === ']' && open !== '[')) {
+        return { error: `Mismatched '${ch}' at position ${i}` };
+      }
+      if (stack.length === 0) return { end: i + 1 };
+    }
+  }
+  return { error: 'Unbalanced braces' };
+}
+
+function parseJsLiteral(text) {
+  const src = String(text);
+  let i = 0;
+
+  function skipWs() {
+    for (;;) {
+      while (i < src.length && /\s/.test(src[i])) i++;
+      if (src[i] === '/' && (src[i + 1] === '/' || src[i + 1] === '*')) {
+        const next = skipComment(src, i);
+        if (next === -1) throw new JsLiteralError('Unterminated comment', i);
+        i = next;
+        continue;
+      }
+      return;
+    }
+  }
+
+  function parseString() {
+    const quote = src[i];
+    const startPos = i;
+    i++;
+    let out = '';
+    while (i < src.length) {
+      const ch = src[i];
+      if (ch === quote) { i++; return out; }
+      if (quote === '`' && ch === '$' && src[i + 1] === '{') {
+        throw new JsLiteralError('Template interpolation is not allowed', i);
+      }
+      if (ch === '\\') {
+        const e = src[i + 1];
+        i += 2;
+        switch (e) {
+          case 'n': out += '\n'; break;
+          case 'r': out += '\r'; break;
+          case 't': out += '\t'; break;
+          case 'b': out += '\b'; break;
+          case 'f': out += '\f'; break;
+          case 'v': out += '\v'; break;
+          case '0': out += '\0'; break;
+          case 'x': {
+            const hex = src.slice(i, i + 2);
+            if (!/^[0-9a-fA-F]{2}$/.test(hex)) throw new JsLiteralError('Bad \\x escape', i - 2);
+            out += String.fromCharCode(parseInt(hex, 16));
+            i += 2;
+            break;
+          }
+          case 'u': {
+            let code;
+            if (src[i] === '{') {
+              const close = src.indexOf('}', i);
+              code = close === -1 ? NaN : parseInt(src.slice(i + 1, close), 16);
+              i = close + 1;
+            } else {
+              const hex = src.slice(i, i + 4);
+              code = /^[0-9a-fA-F]{4}$/.test(hex) ? parseInt(hex, 16) : NaN;
+              i += 4;
+            }
+            if (!Number.isFinite(code)) throw new JsLiteralError('Bad \\u escape', i);
+            out += String.fromCodePoint(code);
+            break;
+          }
+          case '\r': if (src[i] === '\n') i++; break; // line continuation
+          case '\n': break;
+          case undefined: throw new JsLiteralError('Unterminated string', startPos);
+          default: out += e;
+        }
+        continue;
+      }
+      if (quote !== '`' && (ch === '\n' || ch === '\r')) throw new JsLiteralError('Unterminated string', startPos);
+      out += ch;
+      i++;
+    }
+    throw new JsLiteralError('Unterminated string', startPos);
+  }
+
+  function parseNumber() {
+    const m = src.slice(i).match(/^[+-]?(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/);
+    if (!m) throw new JsLiteralError('Invalid number', i);
+    i += m[0].length;
+    const raw = m[0];
+    const sign = raw[0] === '-' ? -1 : 1;
+    const body = raw.replace(/^[+-]/, '');
+    return sign * (/^0[xX]/.test(body) ? parseInt(body, 16) : Number(body));
+  }
+
+  function parseIdentifier() {
+    const start = i;
+    if (!ID_START.test(src[i] || '')) throw new JsLiteralError(`Unexpected character '${src[i] || 'EOF'}'`, i);
+    i++;
+    while (i < src.length && ID_PART.test(src[i])) i++;
+    return src.slice(start, i);
+  }
+
+  function parseKey() {
+    const ch = src[i];
+    if (ch === '"' || ch === "'") return parseString();
+    if (/[0-9.]/.test(ch)) return String(parseNumber());
+    if (ch === '[') throw new JsLiteralError('Computed keys are not allowed', i);
+    return parseIdentifier();
+  }
+
+  function parseObject() {
+    const obj = {};
+    i++; // {
+    skipWs();
+    while (src[i] !== '}') {
+      if (i >= src.length) throw new JsLiteralError('Unterminated object', i);
+      const key = parseKey();
+      skipWs();
+      if (src[i] !== ':') throw new JsLiteralError(`Expected ':' after key '${key}'`, i);
+      i++;
+      // defineProperty so a "__proto__" key stays plain data instead of replacing the prototype
+      Object.defineProperty(obj, key, { value: parseValue(), enumerable: true, writable: true, configurable: true });
+      skipWs();
+      if (src[i] === ',') { i++; skipWs(); continue; }
+      if (src[i] !== '}') throw new JsLiteralError("Expected ',' or '}'", i);
+    }
+    i++; // }
+    return obj;
+  }
+
+  function parseArray() {
+    const arr = [];
+    i++; // [
+    skipWs();
+    while (src[i] !== ']') {
+      if (i >= src.length) throw new JsLiteralError('Unterminated array', i);
+      arr.push(parseValue());
+      skipWs();
+      if (src[i] === ',') { i++; skipWs(); continue; }
+      if (src[i] !== ']') throw new JsLiteralError("Expected ',' or ']'", i);
+    }
+    i++; // ]
+    return arr;
+  }
+
+  function parseValue() {
+    skipWs();
+    const ch = src[i];
+    if (ch === '{') return parseObject();
+    if (ch === '[') return parseArray();
+    if (ch === '"' || ch === "'" || ch === '`') return parseString();
+    if (ch === '-' || ch === '+' || ch === '.' || /[0-9]/.test(ch || '')) return parseNumber();
+    const pos = i;
+    const id = parseIdentifier();
+    if (id === 'true') return true;
+    if (id === 'false') return false;
+    if (id === 'null' || id === 'undefined') return null;
+    if (id === 'NaN') return NaN;
+    if (id === 'Infinity') return Infinity;
+    throw new JsLiteralError(`Identifier '${id}' is not a literal value`, pos);
+  }
+
+  const value = parseValue();
+  skipWs();
+  if (src[i] === ';') { i++; skipWs(); }
+  if (i < src.length) throw new JsLiteralError('Unexpected trailing content', i);
+  return value;
+}
+
+module.exports = {
+  JsLiteralError,
+  scanBalanced,
+  parseJsLiteral,
+};
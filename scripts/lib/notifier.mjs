@@ -0,0 +1,168 @@
+// Webhook notifier driven by schedule changes (outputs/changes/<region>.json from batch_parse.mjs).
+// Only real slot changes in today/tomorrow (`fact`) trigger a notification: bookkeeping fields such as
+// `lastUpdated` or `lastUpdateStatus.attempt` never reach the diff, and a newly published day counts as
+// a change for every group it contains.
+//
+// Endpoint config (config/notifiers.json or NOTIFIERS_JSON env):
+//   { "endpoints": [
+//       { "name": "team-hook", "url": "https://example.org/hook", "format": "json",
+//         "headers": { "Authorization": "Bearer ${HOOK_TOKEN}" }, "regions": ["kyiv"], "groups": ["GPV3.1"] },
+//       { "name": "tg", "url": "https://api.telegram.org/bot${TG_TOKEN}/sendMessage", "format": "telegram", "chatId": "${TG_CHAT}" }
+//   ],
+//     "imageBaseUrl": "https://raw.githubusercontent.com/<owner>/<repo>/main/" }
+// `${NAME}` placeholders are expanded from the environment so secrets stay out of the file.
+
+import timeLib from './time.js';
+import intervalsLib from './intervals.js';
+import regionsLib from './regions.js';
+import { formatFactChanges } from './diff.mjs';
+
+const { kyivDateFromEpoch } = timeLib;
+const { isGroupKey, compareGroupKeys, gpvToFileStem } = intervalsLib;
+const { getRegion, groupLabel } = regionsLib;
+
+const IMAGE_SUFFIXES = ['', '-emergency', '-summary'];
+
+function expandEnv(value, env) {
+  if (typeof value === 'string') return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (_, k) => env[k] ?? '');
+  if (Array.isArray(value)) return value.map(v => expandEnv(v, env));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expandEnv(v, env)]));
+  }
+  return value;
+}
+
+/**
+ * Validate and normalize a notifier config object.
+ * @returns {{ endpoints: Array<{ name: string, url: string, format: 'json'|'telegram', headers: object, regions: string[]|null, groups: string[]|null, chatId: string|null }>, imageBaseUrl: string|null }}
+ */
+export function normalizeConfig(raw, env = process.env) {
+  const cfg = expandEnv(raw || {}, env);
+  const endpoints = [];
+  for (const [i, ep] of (Array.isArray(cfg.endpoints) ? cfg.endpoints : []).entries()) {
+    if (!ep || typeof ep.url !== 'string' || !/^https?:\/\//.test(ep.url)) {
+      throw new Error(`endpoints[${i}]: "url" must be an http(s) URL`);
+    }
+    const format = ep.format || 'json';
+    if (format !== 'json' && format !== 'telegram') throw new Error(`endpoints[${i}]: unknown format '${format}'`);
+    if (format === 'telegram' && !ep.chatId) throw new Error(`endpoints[${i}]: "chatId" is required for telegram format`);
+    endpoints.push({
+      name: ep.name || `endpoint-${i + 1}`,
+      url: ep.url,
+      format,
+      headers: ep.headers && typeof ep.headers === 'object' ? ep.headers : {},
+      regions: Array.isArray(ep.regions) && ep.regions.length ? ep.regions : null,
+      groups: Array.isArray(ep.groups) && ep.groups.length ? ep.groups : null,
+      chatId: ep.chatId != null ? String(ep.chatId) : null,
+    });
+  }
+  const base = typeof cfg.imageBaseUrl === 'string' && cfg.imageBaseUrl ? cfg.imageBaseUrl.replace(/\/?$/, '/') : null;
+  return { endpoints, imageBaseUrl: base };
+}
+
+function groupName(json, gpv, region) {
+  return json?.preset?.sch_names?.[gpv] || groupLabel(region, gpv);
+}
+
+/**
+ * Turn one region diff into a per-group change list for today/tomorrow.
+ * @param {object} diff result of diffRegion()
+ * @param {object} json current data/<region>.json (for names and newly published days)
+ */
+export function collectGroupChanges(diff, json) {
+  const byGroup = new Map();
+  const region = getRegion(diff?.regionId || json?.regionId, { env: {} });
+  const add = (gpv) => {
+    if (!byGroup.has(gpv)) byGroup.set(gpv, { gpv, name: groupName(json, gpv, region), lines: [], newDays: [] });
+    return byGroup.get(gpv);
+  };
+  for (const c of diff?.fact || []) add(c.gpv);
+  for (const gpv of byGroup.keys()) {
+    byGroup.get(gpv).lines = formatFactChanges(diff.fact.filter(c => c.gpv === gpv));
+  }
+  for (const date of diff?.daysAdded || []) {
+    const ep = Object.keys(json?.fact?.data || {}).find(e => kyivDateFromEpoch(e) === date);
+    if (ep == null) continue;
+    for (const gpv of Object.keys(json.fact.data[ep] || {}).filter(isGroupKey)) add(gpv).newDays.push(date);
+  }
+  return [...byGroup.values()].sort((a, b) => compareGroupKeys(a.gpv, b.gpv));
+}
+
+function imagePaths(regionId, gpv, imageBaseUrl) {
+  return IMAGE_SUFFIXES.map(sfx => {
+    const rel = `images/${regionId}/${gpvToFileStem(gpv)}${sfx}.png`;
+    return imageBaseUrl ? imageBaseUrl + rel : rel;
+  });
+}
+
+function buildText(regionLabel, factUpdate, groups) {
+  const lines = [`⚡ ${regionLabel}: оновлено графік відключень${factUpdate ? ` (${factUpdate})` : ''}`];
+  for (const g of groups) {
+    lines.push('', `${g.name}:`);
+    for (const d of g.newDays) lines.push(`  опубліковано графік на ${d.slice(8, 10)}.${d.slice(5, 7)}`);
+    for (const l of g.lines) lines.push('  ' + l.replace(/^GPV\S+\s/, ''));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build the payloads to POST for one region change.
+ * @returns {Array<{ endpoint: object, body: object, groups: string[] }>}
+ */
+export function buildNotifications(diff, json, config) {
+  const regionId = diff?.regionId || json?.regionId;
+  const allGroups = collectGroupChanges(diff, json);
+  if (!regionId || !allGroups.length) return [];
+  const regionLabel = (typeof json?.regionAffiliation === 'string' && json.regionAffiliation.trim()) || regionId;
+  const factUpdate = json?.fact?.update || null;
+
+  const out = [];
+  for (const endpoint of config.endpoints) {
+    if (endpoint.regions && !endpoint.regions.includes(regionId)) continue;
+    const groups = endpoint.groups ? allGroups.filter(g => endpoint.groups.includes(g.gpv)) : allGroups;
+    if (!groups.length) continue;
+    const text = buildText(regionLabel, factUpdate, groups);
+    const body = endpoint.format === 'telegram'
+      ? { chat_id: endpoint.chatId, text, disable_web_page_preview: true }
+      : {
+        event: 'schedule.changed',
+        regionId,
+        regionAffiliation: json?.regionAffiliation || null,
+        factUpdate,
+        contentHash: diff?.contentHash?.to || null,
+        text,
+        groups: groups.map(g => ({
+          gpv: g.gpv,
+          name: g.name,
+          changes: g.lines,
+          newDays: g.newDays,
+          images: imagePaths(regionId, g.gpv, config.imageBaseUrl),
+        })),
+      };
+    out.push({ endpoint, body, groups: groups.map(g => g.gpv) });
+  }
+  return out;
+}
+
+/**
+ * POST one payload. Retries once on network errors and 5xx responses.
+ * @returns {Promise<{ ok: boolean, status: number|null, error?: string }>}
+ */
+export async function sendNotification(endpoint, body, { timeoutMs = 10_000, retries = 1, fetchImpl = fetch } = {}) {
+  let last = { ok: false, status: null, error: 'not sent' };
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const res = await fetchImpl(endpoint.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json; charset=utf-8', ...endpoint.headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      last = { ok: res.ok, status: res.status };
+      if (res.ok || res.status < 500) return last;
+    } catch (e) {
+      last = { ok: false, status: null, error: e?.message || String(e) };
+    }
+  }
+  return last;
+}
@@ -0,0 +1,123 @@
+// "Is there power right now and when does it change" for one group.
+//
+// The day the instant falls on, the day before and the next two days are turned into a timeline of
+// on / off / possible segments; adjacent equal segments are merged, so an outage running over midnight is
+// reported as one interval. Each day comes from `fact.data` when upstream published it (off = no/first/second
+// and the m* variants, possible = maybe) and otherwise from the weekly `preset.data` row for that weekday
+// (possible = no/maybe/first/second/m*). Days neither covers are 'unknown'. Half-hour states resolve to the
+// :30 boundary exactly like buildSummary in templates/html/schedule-shared.js (see lib/intervals.js).
+
+import timeLib from './time.js';
+import intervalsLib from './intervals.js';
+
+const { addDays, kyivDateFromEpoch, weekdayOfDate, zonedTimeToUtc, formatKyivIso, KYIV_TZ } = timeLib;
+const { buildSlots, scheduleIntervals, formatMinutes, OUTAGE_PARTS, POSSIBLE_PARTS, MAYBE_PARTS, DAY_MINUTES } = intervalsLib;
+
+function factRowFor(fact, gpv, date) {
+  const data = fact?.data || {};
+  const epoch = Object.keys(data).find(ep => kyivDateFromEpoch(ep) === date);
+  return epoch != null ? data[epoch]?.[gpv] || null : null;
+}
+
+function instantOf(date, minutes) {
+  if (minutes >= DAY_MINUTES) return zonedTimeToUtc(addDays(date, 1), '00:00', KYIV_TZ).getTime();
+  return zonedTimeToUtc(date, formatMinutes(minutes), KYIV_TZ).getTime();
+}
+
+function presetRowFor(preset, gpv, date) {
+  return preset?.data?.[gpv]?.[String(weekdayOfDate(date))] || null;
+}
+
+// Which data describes `gpv` on a local date: 'fact', 'preset' or null
+export function daySource(json, gpv, date) {
+  if (factRowFor(json?.fact, gpv, date)) return 'fact';
+  return presetRowFor(json?.preset, gpv, date) ? 'preset' : null;
+}
+
+// One local day → [{ state, start, end }] (epoch ms), covering the whole day
+function daySegments(json, gpv, date, slots) {
+  const factRow = factRowFor(json?.fact, gpv, date);
+  const presetRow = factRow ? null : presetRowFor(json?.preset, gpv, date);
+  const marks = [];
+  if (factRow) {
+    for (const c of scheduleIntervals(factRow, slots, OUTAGE_PARTS)) marks.push([...c, 'off']);
+    for (const c of scheduleIntervals(factRow, slots, MAYBE_PARTS)) marks.push([...c, 'possible']);
+  } else if (presetRow) {
+    for (const c of scheduleIntervals(presetRow, slots, POSSIBLE_PARTS)) marks.push([...c, 'possible']);
+  }
+  marks.sort((a, b) => a[0] - b[0]);
+
+  const base = factRow || presetRow ? 'on' : 'unknown';
+  const out = [];
+  let cursor = 0;
+  for (const [s, e, state] of marks) {
+    if (s > cursor) out.push({ state: base, start: cursor, end: s });
+    if (e > Math.max(s, cursor)) out.push({ state, start: Math.max(s, cursor), end: e });
+    cursor = Math.max(cursor, e);
+  }
+  if (cursor < DAY_MINUTES) out.push({ state: base, start: cursor, end: DAY_MINUTES });
+  return out.map(seg => ({ ...seg, start: instantOf(date, seg.start), end: instantOf(date, seg.end) }));
+}
+
+/**
+ * Merged timeline for `gpv` over local dates [from, from + days).
+ * @returns {Array<{ state: 'on'|'off'|'possible'|'unknown', start: number, end: number }>} epoch ms
+ */
+export function buildTimeline(json, gpv, from, days) {
+  const slots = buildSlots(json?.preset);
+  const merged = [];
+  for (let i = 0; i < days; i++) {
+    for (const seg of daySegments(json, gpv, addDays(from, i), slots)) {
+      const last = merged[merged.length - 1];
+      if (last && last.state === seg.state && last.end === seg.start) {
+        last.end = seg.end;
+      } else {
+        merged.push({ ...seg });
+      }
+    }
+  }
+  return merged;
+}
+
+// 135 → "2 год 15 хв"
+export function formatCountdown(minutes) {
+  if (minutes == null) return null;
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  if (!h) return `${m} хв`;
+  return m ? `${h} год ${m} хв` : `${h} год`;
+}
+
+/**
+ * State of a group at an instant.
+ * @param {object} json parsed data/<region>.json
+ * @param {string} gpv e.g. GPV3.1
+ * @param {Date} [at] defaults to now
+ * @returns {{ at: string, date: string, state: 'on'|'off'|'possible'|'unknown', source: 'fact'|'preset'|null,
+ *   interval: { start: string, end: string }|null, nextChange: string|null, nextState: string|null,
+ *   countdownMinutes: number|null, countdown: string|null }}
+ *   `interval` is the current state's interval (clipped to the known days); `nextChange` is null when the state
+ *   lasts until the end of published data.
+ */
+export function groupStatus(json, gpv, at = new Date()) {
+  const t = at.getTime();
+  const date = kyivDateFromEpoch(Math.floor(t / 1000));
+  const timeline = buildTimeline(json, gpv, addDays(date, -1), 4);
+  const idx = timeline.findIndex(seg => t >= seg.start && t < seg.end);
+  const cur = idx >= 0 ? timeline[idx] : null;
+  const next = idx >= 0 ? timeline[idx + 1] : null;
+  const known = cur && cur.state !== 'unknown';
+  const changes = known && next && next.state !== 'unknown';
+  const countdownMinutes = changes ? Math.max(0, Math.ceil((next.start - t) / 60000)) : null;
+  return {
+    at: formatKyivIso(t),
+    date,
+    state: cur ? cur.state : 'unknown',
+    source: daySource(json, gpv, date),
+    interval: known ? { start: formatKyivIso(cur.start), end: formatKyivIso(cur.end) } : null,
+    nextChange: changes ? formatKyivIso(next.start) : null,
+    nextState: changes ? next.state : null,
+    countdownMinutes,
+    countdown: formatCountdown(countdownMinutes),
+  };
+}
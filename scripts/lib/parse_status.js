@@ -0,0 +1,66 @@
+/**
+ * Parse status: the per-run bookkeeping of parse_fact.js, kept out of data/<region>.json so that a run which
+ * finds the same schedule leaves the data file (and git) untouched.
+ *
+ * outputs/parse-status.json (next to the data folder: <data>/../outputs/; PARSE_STATUS_FILE overrides it):
+ *   { version, regions: { <id>: { status, ok, code, message, at, attempt, failures, lastSuccessAt, recent,
+ *       contentHash, changed, changedAt } } }
+ * The first fields are lastUpdateStatus as described in parse_fact.js. `changed` tells whether this run changed
+ * data/<region>.json (meta.contentHash or anything else derived from the page), `changedAt` when it last did.
+ *
+ * data/<region>.json is only written when its content changes, so its lastUpdateStatus is the status of that run.
+ * Readers that judge freshness (scripts/lib/health.mjs through health_report, batch_render and render_svg)
+ * overlay the latest run with withRunStatus().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PARSE_STATUS_VERSION = 1;
+const STATUS_FIELDS = ['status', 'ok', 'code', 'message', 'at', 'attempt', 'failures', 'lastSuccessAt', 'recent'];
+
+// outputs/parse-status.json for the data files in `dataDir`
+function parseStatusPath(dataDir) {
+  return process.env.PARSE_STATUS_FILE || path.join(path.dirname(path.resolve(dataDir)), 'outputs', 'parse-status.json');
+}
+
+function readParseStatus(file) {
+  try {
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (state && state.version === PARSE_STATUS_VERSION && state.regions && typeof state.regions === 'object') return state;
+  } catch (_) { /* missing or unreadable: start over */ }
+  return { version: PARSE_STATUS_VERSION, regions: {} };
+}
+
+function writeRegionStatus(file, regionId, entry) {
+  const state = readParseStatus(file);
+  state.regions[regionId] = entry;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = file + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+}
+
+// The lastUpdateStatus part of a status entry
+function lastUpdateStatusOf(entry) {
+  return Object.fromEntries(STATUS_FIELDS.filter(k => k in entry).map(k => [k, entry[k]]));
+}
+
+/**
+ * A data file with lastUpdateStatus taken from the latest run, when the status file has one for the region.
+ * @param {object|null} json data/<region>.json
+ * @param {object|undefined} entry parse status entry of the same region
+ */
+function withRunStatus(json, entry) {
+  if (!json || !entry) return json;
+  return { ...json, lastUpdateStatus: lastUpdateStatusOf(entry) };
+}
+
+module.exports = {
+  PARSE_STATUS_VERSION,
+  parseStatusPath,
+  readParseStatus,
+  writeRegionStatus,
+  lastUpdateStatusOf,
+  withRunStatus,
+};
@@ -0,0 +1,154 @@
+/**
+ * Region registry: config/regions.json merged with source URLs from REGION_SOURCES_JSON.
+ *
+ * config/regions.json is committed and describes each region:
+ *   { "id": "kyiv", "name": "м. Київ", "adapter": "discon-schedule", "enabled": true,
+ *     "groupLabel": "Черга {group}", "url": "https://..." (optional),
+ *     "names": { "en": "Kyiv city" } (optional, region name per language for localized images),
+ *     "health": { "factAgeMinutes": 720, ... } (optional, thresholds of scripts/health_report.mjs; null turns a
+ *     check off, unset keys use the defaults in scripts/lib/health.mjs) }
+ * Upstream URLs usually stay in the REGION_SOURCES_JSON secret, keyed by region id; values are a URL string
+ * or `{ "url": "...", "adapter": "<id>" }`. A secret entry without a registry entry is still fetched (enabled,
+ * default adapter) so existing deployments keep working; an `adapter` in the secret overrides the registry.
+ * There is no per-region time zone: every supported region is in Europe/Kyiv (lib/time.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_ADAPTER_ID } = require('../adapters');
+
+const REGIONS_PATH = path.join(__dirname, '..', '..', 'config', 'regions.json');
+const DEFAULT_GROUP_LABEL = 'Черга {group}';
+const HEALTH_THRESHOLDS = ['factAgeMinutes', 'presetAgeMinutes', 'parseAgeMinutes', 'failures', 'errorRate'];
+
+function readRegistryFile(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const parsed = JSON.parse(raw);
+  const list = Array.isArray(parsed) ? parsed : parsed.regions;
+  if (!Array.isArray(list)) throw new Error(`${file}: expected { "regions": [...] }`);
+  return list;
+}
+
+function parseSourcesEnv(raw) {
+  if (!raw) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`REGION_SOURCES_JSON is not valid JSON: ${e.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('REGION_SOURCES_JSON must be a JSON object keyed by region id');
+  }
+  return parsed;
+}
+
+function normalizeEntry(entry, i) {
+  if (!entry || typeof entry.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(entry.id)) {
+    throw new Error(`regions[${i}]: "id" must be a lowercase slug (a-z, 0-9, -)`);
+  }
+  return {
+    id: entry.id,
+    name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : null,
+    adapter: typeof entry.adapter === 'string' && entry.adapter ? entry.adapter : DEFAULT_ADAPTER_ID,
+    enabled: entry.enabled !== false,
+    groupLabel: typeof entry.groupLabel === 'string' && entry.groupLabel.includes('{group}') ? entry.groupLabel : DEFAULT_GROUP_LABEL,
+    url: typeof entry.url === 'string' ? entry.url : '',
+    names: normalizeNames(entry.names),
+    health: normalizeHealth(entry.health, i),
+  };
+}
+
+function normalizeHealth(health, i) {
+  if (health == null) return {};
+  if (typeof health !== 'object' || Array.isArray(health)) throw new Error(`regions[${i}]: "health" must be an object`);
+  const out = {};
+  for (const [key, value] of Object.entries(health)) {
+    if (!HEALTH_THRESHOLDS.includes(key)) {
+      throw new Error(`regions[${i}]: unknown health threshold '${key}' (known: ${HEALTH_THRESHOLDS.join(', ')})`);
+    }
+    if (value !== null && !(typeof value === 'number' && value >= 0)) {
+      throw new Error(`regions[${i}]: health.${key} must be a non-negative number or null`);
+    }
+    out[key] = value;
+  }
+  return out;
+}
+
+function normalizeNames(names) {
+  if (!names || typeof names !== 'object' || Array.isArray(names)) return {};
+  const out = {};
+  for (const [lang, name] of Object.entries(names)) {
+    if (typeof name === 'string' && name.trim()) out[lang] = name.trim();
+  }
+  return out;
+}
+
+/**
+ * Load the merged region list (registry order first, then secret-only regions sorted by id).
+ * The registry file is config/regions.json unless REGIONS_FILE points elsewhere.
+ * @param {{ file?: string, env?: object }} [options]
+ * @returns {Array<{ id: string, name: string|null, adapter: string, enabled: boolean, groupLabel: string, url: string,
+ *   names: Object<string, string>, health: Object<string, number|null> }>}
+ */
+function loadRegions({ file = process.env.REGIONS_FILE || REGIONS_PATH, env = process.env } = {}) {
+  const seen = new Set();
+  const regions = readRegistryFile(file).map((entry, i) => {
+    const r = normalizeEntry(entry, i);
+    if (seen.has(r.id)) throw new Error(`regions[${i}]: duplicate id '${r.id}'`);
+    seen.add(r.id);
+    return r;
+  });
+
+  const sources = parseSourcesEnv(env.REGION_SOURCES_JSON);
+  for (const id of Object.keys(sources).sort()) {
+    if (!seen.has(id)) regions.push(normalizeEntry({ id }, id));
+  }
+  for (const r of regions) {
+    const src = sources[r.id];
+    if (typeof src === 'string') r.url = src;
+    else if (src && typeof src === 'object') {
+      if (typeof src.url === 'string') r.url = src.url;
+      if (typeof src.adapter === 'string' && src.adapter) r.adapter = src.adapter;
+    }
+  }
+  return regions;
+}
+
+function getRegion(id, options) {
+  return loadRegions(options).find(r => r.id === id) || null;
+}
+
+// enabled: true → only enabled, false → only disabled, undefined → all; adapter: exact id
+function filterRegions(regions, { enabled, adapter } = {}) {
+  return regions.filter(r => (enabled == null || r.enabled === enabled) && (!adapter || r.adapter === adapter));
+}
+
+// "GPV3.1" → "Черга 3.1" (by the region's groupLabel pattern)
+function groupLabel(region, gpvKey) {
+  const m = String(gpvKey).match(/^GPV(\d+\.\d+)$/i);
+  if (!m) return String(gpvKey);
+  return ((region && region.groupLabel) || DEFAULT_GROUP_LABEL).replace('{group}', m[1]);
+}
+
+// Region name for a language: names[lang] when the registry has one, otherwise null
+// (the caller keeps the upstream regionAffiliation, which is Ukrainian)
+function regionName(region, lang) {
+  return (region && region.names && region.names[lang]) || null;
+}
+
+module.exports = {
+  REGIONS_PATH,
+  HEALTH_THRESHOLDS,
+  loadRegions,
+  getRegion,
+  filterRegions,
+  groupLabel,
+  regionName,
+};
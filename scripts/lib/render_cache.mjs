@@ -0,0 +1,159 @@
+// Incremental rendering: which images of a region actually need to be re-rendered.
+//
+// Every image gets a key — sha256 over exactly what it shows: the group's rows in fact.data for today and
+// tomorrow, the group's weekly preset.data row, regionAffiliation, the labels it prints (time slots, weekdays,
+// group name), the template with the shared CSS/JS/icons and the renderer, the message catalog and localized
+// region name, plus theme and scale. Keys are stored in images/<region>/render-manifest.json next to the PNGs
+// (images/<region>/<lang>/ for non-default languages, committed with them), so an image whose key did not change
+// is skipped and keeps its bytes.
+//
+// Images rendered with the "data may be outdated" banner carry `stale: true` in their manifest entry, so
+// staleBannerMismatches() can tell which regions show the wrong state now that they became stale or fresh again.
+//
+// Images that print the "last updated" line (full, emergency, week, groups) also key on fact.update and
+// preset.updateFact, so none of them is published with an older update time than its data file. The summary
+// card does not show it and stays cached across updates.
+
+import { readFile, writeFile, readdir, rename } from 'node:fs/promises';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import intervalsLib from './intervals.js';
+import regionsLib from './regions.js';
+import parseStatusLib from './parse_status.js';
+import { regionHealth } from './health.mjs';
+
+const { nextDayEpoch } = intervalsLib;
+const { getRegion } = regionsLib;
+const { parseStatusPath, readParseStatus, withRunStatus } = parseStatusLib;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, '..', '..');
+
+export const MANIFEST_NAME = 'render-manifest.json';
+export const MANIFEST_VERSION = 1;
+
+// JSON with sorted object keys, so the hash does not depend on upstream key order
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * The part of the data one image depends on.
+ * @param {object} json parsed data/<region>.json
+ * @param {{ kind: 'full'|'emergency'|'week'|'summary'|'groups', gpv?: string, day?: 'today'|'tomorrow' }} image
+ */
+export function imageInputs(json, { kind, gpv, day = 'today' }) {
+  const fact = json?.fact || {};
+  const preset = json?.preset || {};
+  const today = fact.today != null ? Number(fact.today) : null;
+  const tomorrow = nextDayEpoch(fact);
+  const factRow = epoch => (epoch != null ? fact.data?.[String(epoch)]?.[gpv] ?? null : null);
+  const common = { regionAffiliation: json?.regionAffiliation ?? null, timeZone: preset.time_zone ?? null };
+  const update = { fact: fact.update ?? null, preset: preset.updateFact ?? preset.update ?? null };
+
+  switch (kind) {
+    case 'groups': {
+      const epoch = day === 'tomorrow' ? (tomorrow ?? today) : today;
+      return { ...common, update, kind, epoch, day: epoch != null ? fact.data?.[String(epoch)] ?? null : null, names: preset.sch_names ?? null };
+    }
+    case 'summary':
+      return { ...common, kind, gpv, today, row: factRow(today) };
+    case 'emergency':
+      return { ...common, update, kind, gpv, name: preset.sch_names?.[gpv] ?? null, today, tomorrow, rows: [factRow(today), factRow(tomorrow)] };
+    case 'week':
+      return { ...common, update, kind, gpv, name: preset.sch_names?.[gpv] ?? null, today, days: preset.days ?? null, week: preset.data?.[gpv] ?? null };
+    default:
+      return {
+        ...common, update, kind, gpv, name: preset.sch_names?.[gpv] ?? null, today, tomorrow,
+        rows: [factRow(today), factRow(tomorrow)], days: preset.days ?? null, week: preset.data?.[gpv] ?? null,
+      };
+  }
+}
+
+/**
+ * Hash of the template and everything it loads (shared CSS/JS, icons) plus the renderer itself.
+ * Computed once per template per run.
+ */
+export async function templateFingerprint(htmlPath, { root = projectRoot } = {}) {
+  const dir = path.dirname(htmlPath);
+  const files = [htmlPath, path.join(dir, 'schedule-shared.css'), path.join(dir, 'schedule-shared.js'), path.join(root, 'scripts', 'lib', 'renderer.mjs')];
+  try {
+    const icons = (await readdir(path.join(dir, 'icons'))).filter(f => f.endsWith('.svg')).sort();
+    files.push(...icons.map(f => path.join(dir, 'icons', f)));
+  } catch { /* no icons directory */ }
+  const hash = crypto.createHash('sha256');
+  for (const f of files) {
+    hash.update(path.relative(root, f));
+    try { hash.update(await readFile(f)); } catch { hash.update('<missing>'); }
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * @param {{ inputs: object, template: string, theme: string, scale: number, i18n?: { lang: string, hash: string, regionName?: string|null },
+ *   stale?: { time: string|null }|null }} parts
+ *   `i18n`: the catalog the image was rendered with (scripts/lib/i18n.mjs loadCatalog().hash) and the region name;
+ *   `stale`: the "data may be outdated" banner, when shown (keys of images without it stay as they were)
+ */
+export function renderKey({ inputs, template, theme, scale, i18n = null, stale = null }) {
+  return sha256(stableStringify({ v: MANIFEST_VERSION, inputs, template, theme, scale, i18n, ...(stale ? { stale } : {}) }));
+}
+
+export async function loadManifest(dir) {
+  try {
+    const m = JSON.parse(await readFile(path.join(dir, MANIFEST_NAME), 'utf8'));
+    if (m?.version === MANIFEST_VERSION && m.images && typeof m.images === 'object') return m;
+  } catch { /* missing or unreadable → empty */ }
+  return { version: MANIFEST_VERSION, images: {} };
+}
+
+// Written only when an entry changed, so an all-skipped run leaves the file untouched
+export async function saveManifest(dir, manifest) {
+  const sorted = Object.fromEntries(Object.keys(manifest.images).sort().map(k => [k, manifest.images[k]]));
+  const text = `${JSON.stringify({ version: MANIFEST_VERSION, images: sorted }, null, 2)}\n`;
+  const file = path.join(dir, MANIFEST_NAME);
+  let prev = null;
+  try { prev = await readFile(file, 'utf8'); } catch { }
+  if (prev === text) return false;
+  await writeFile(`${file}.tmp`, text);
+  await rename(`${file}.tmp`, file);
+  return true;
+}
+
+/**
+ * Data files whose published images show the wrong "data may be outdated" state for `--stale-banner`: stale now
+ * (scripts/lib/health.mjs with the latest run from outputs/parse-status.json, as batch_render.mjs decides) but
+ * rendered without the banner, or rendered with it and fresh again.
+ * @param {string} dataDir folder with <region>.json
+ * @param {{ imagesDir?: string, now?: Date }} options
+ * @returns {Promise<string[]>} file stems, sorted
+ */
+export async function staleBannerMismatches(dataDir, { imagesDir = path.join(projectRoot, 'images'), now = new Date() } = {}) {
+  let files = [];
+  try {
+    files = (await readdir(dataDir)).filter(f => f.endsWith('.json')).sort();
+  } catch { /* no data folder: nothing to render */ }
+  const runs = readParseStatus(parseStatusPath(dataDir)).regions;
+  const out = [];
+  for (const f of files) {
+    const fileStem = path.basename(f, '.json');
+    let json;
+    try { json = JSON.parse(await readFile(path.join(dataDir, f), 'utf8')); } catch { continue; }
+    if (!json?.fact || !json?.preset) continue;
+    const regionId = (typeof json.regionId === 'string' && json.regionId.trim()) || fileStem;
+    const { stale } = regionHealth(withRunStatus(json, runs[regionId] || runs[fileStem]), { id: regionId, region: getRegion(regionId, { env: {} }), now });
+    const manifest = await loadManifest(path.join(imagesDir, regionId));
+    const shown = Object.values(manifest.images).some(e => e.stale === true);
+    if (stale !== shown) out.push(fileStem);
+  }
+  return out;
+}
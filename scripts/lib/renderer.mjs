@@ -2,6 +2,7 @@ import http from 'node:http';
 import { readFile, stat } from 'node:fs/promises';
 import path from 'node:path';
 import url from 'node:url';
+import { loadCatalog, DEFAULT_LANG } from './i18n.mjs';
 
 export async function ensureExists(p) {
     try { await stat(p); } catch (e) { return false; }
@@ -30,7 +31,10 @@ export async function startStaticServer(rootDir) {
             if (filePath === '/') {
                 filePath = '/README.md';
             }
-            const abs = path.join(rootDir, filePath);
+            // Confine to rootDir: normalize first so "/../" segments cannot climb out
+            const root = path.resolve(rootDir);
+            const abs = path.resolve(root, '.' + path.posix.normalize('/' + filePath));
+            if (abs !== root && !abs.startsWith(root + path.sep)) throw new Error('outside root');
             const data = await readFile(abs);
             res.writeHead(200, { 'Content-Type': contentTypeFor(abs) });
             res.end(data);
@@ -61,11 +65,18 @@ export async function renderPage({
     theme,
     deviceScaleFactor,
     timeoutMs = 30000,
-    projectRoot
+    projectRoot,
+    inspect,
+    lang = DEFAULT_LANG,
+    regionName = null,
+    stale = null
 }) {
+    // The template reads its strings from window.__I18N__; regionName replaces regionAffiliation in headings;
+    // stale ({ time }, see lib/health.mjs staleNotice) adds the "data may be outdated" banner
+    const catalog = loadCatalog(lang);
     const context = await browser.newContext({
         deviceScaleFactor,
-        locale: 'uk-UA',
+        locale: catalog.locale,
         timezoneId: 'Europe/Kyiv',
     });
     const page = await context.newPage();
@@ -77,19 +88,23 @@ export async function renderPage({
             throw new Error(`Failed to parse JSON: ${e?.message || e}`);
         }
 
-        await page.addInitScript(({ data, gpv }) => {
+        await page.addInitScript(({ data, gpv, i18n, region, staleNotice }) => {
             window.__SCHEDULE__ = data;
+            window.__I18N__ = i18n;
             if (gpv) window.__GPV_KEY__ = gpv;
-        }, { data: scheduleData, gpv: gpvKey });
+            if (region) window.__REGION_NAME__ = region;
+            if (staleNotice) window.__STALE__ = staleNotice;
+        }, { data: scheduleData, gpv: gpvKey, i18n: catalog, region: regionName, staleNotice: stale });
 
         const relHtml = path.relative(projectRoot, htmlPath).split(path.sep).join('/');
-        const urlToOpen = `${baseURL}/${relHtml}?theme=${theme}${dayArg ? `&day=${dayArg}` : ''}`;
+        const urlToOpen = `${baseURL}/${relHtml}?theme=${theme}&lang=${catalog.lang}${dayArg ? `&day=${dayArg}` : ''}`;
 
         await page.goto(urlToOpen, { waitUntil: 'networkidle', timeout: Math.max(timeoutMs, 10000) });
 
         const hasMatrix = await page.$('#matrix');
         const hasToday = await page.$('#today');
         const hasSummary = await page.$('.summary-card');
+        const hasStats = await page.$('#stats');
 
         if (hasMatrix) {
             await page.waitForSelector('#matrix tbody tr:last-child td:last-child', { timeout: timeoutMs });
@@ -105,17 +120,24 @@ export async function renderPage({
                 throw new Error('Summary template did not render intervals or ON badge in time');
             }
         }
-        if (!hasMatrix && !hasToday && !hasSummary) {
-            throw new Error('Template did not render #matrix nor #today nor summary-card');
+        if (hasStats) {
+            await page.waitForSelector('#stats tbody tr', { timeout: timeoutMs });
+        }
+        if (!hasMatrix && !hasToday && !hasSummary && !hasStats) {
+            throw new Error('Template did not render #matrix nor #today nor summary-card nor #stats');
         }
 
         const container = page.locator('.container');
         const bbox = await container.boundingBox();
         if (!bbox) throw new Error('Failed to measure .container bounding box');
 
-        await container.screenshot({ path: outPath, type: 'png' });
+        // Optional hook to read the rendered DOM (used by tests); outPath may be omitted to skip the screenshot
+        const inspected = inspect ? await inspect(page) : undefined;
+        if (outPath) {
+            await container.screenshot({ path: outPath, type: 'png' });
+        }
 
-        return { width: Math.round(bbox.width), height: Math.round(bbox.height) };
+        return { width: Math.round(bbox.width), height: Math.round(bbox.height), inspected };
     } finally {
         await page.close();
         await context.close();
@@ -0,0 +1,158 @@
+/**
+ * Minimal JSON Schema validator for templates/json/data.schema.json.
+ *
+ * Supports the subset of draft 2020-12 the schema uses: type, enum, const, required, properties,
+ * patternProperties, additionalProperties, minProperties, items, minItems, minLength, minimum,
+ * pattern, oneOf and local $ref ("#/$defs/..."). Errors carry JSON Pointer paths so the parser
+ * can report exactly which part of the upstream data is off.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'templates', 'json', 'data.schema.json');
+
+let cachedSchema = null;
+
+function loadDataSchema() {
+  if (!cachedSchema) cachedSchema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  return cachedSchema;
+}
+
+// meta.schemaVersion the schema pins (files are written with this version)
+function dataSchemaVersion() {
+  const s = loadDataSchema();
+  return (s.properties && s.properties.meta && s.properties.meta.properties.schemaVersion.const) || '1.0.0';
+}
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+function matchesType(v, type) {
+  const t = typeOf(v);
+  if (type === 'number') return t === 'number' || t === 'integer';
+  return t === type;
+}
+
+function escapePointer(k) {
+  return String(k).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(2).split('/').reduce((node, part) => node && node[part.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+}
+
+function validateNode(value, schema, root, at, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(root, schema.$ref), root, at, errors);
+    return;
+  }
+  if (schema.oneOf) {
+    const passing = schema.oneOf.map(sub => {
+      const subErrors = [];
+      validateNode(value, sub, root, at, subErrors);
+      return subErrors;
+    });
+    const ok = passing.filter(e => e.length === 0).length;
+    if (ok !== 1) {
+      // Report the errors of the alternative whose type matched (e.g. the object branch of `null | object`)
+      // rather than a bare "oneOf failed"
+      const typed = passing.filter(errs => !errs.some(e => e.typeMismatch && e.path === (at || '/')));
+      const pool = typed.length ? typed : passing;
+      const best = pool.reduce((a, b) => (b.length < a.length ? b : a));
+      if (ok === 0 && best.length) errors.push(...best);
+      else errors.push({ path: at || '/', message: `must match exactly one schema in oneOf (matched ${ok})` });
+    }
+    return;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path: at || '/', message: `must be ${types.join(' or ')}, got ${typeOf(value)}`, typeMismatch: true });
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push({ path: at || '/', message: `must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at || '/', message: `must be one of ${schema.enum.join('|')}, got ${JSON.stringify(value)}` });
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ path: at || '/', message: `must have at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path: at || '/', message: `must match ${schema.pattern}` });
+    }
+  }
+  if (typeof value === 'number' && schema.minimum != null && value < schema.minimum) {
+    errors.push({ path: at || '/', message: `must be >= ${schema.minimum}` });
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ path: at || '/', message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.items) value.forEach((item, i) => validateNode(item, schema.items, root, `${at}/${i}`, errors));
+  }
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value);
+    for (const req of schema.required || []) {
+      if (!(req in value)) errors.push({ path: `${at}/${escapePointer(req)}`, message: 'is required' });
+    }
+    if (schema.minProperties != null && keys.length < schema.minProperties) {
+      errors.push({ path: at || '/', message: `must have at least ${schema.minProperties} properties, got ${keys.length}` });
+    }
+    const patterns = Object.entries(schema.patternProperties || {}).map(([re, sub]) => [new RegExp(re, 'u'), sub]);
+    for (const k of keys) {
+      const childAt = `${at}/${escapePointer(k)}`;
+      let matched = false;
+      if (schema.properties && schema.properties[k]) {
+        matched = true;
+        validateNode(value[k], schema.properties[k], root, childAt, errors);
+      }
+      for (const [re, sub] of patterns) {
+        if (re.test(k)) {
+          matched = true;
+          validateNode(value[k], sub, root, childAt, errors);
+        }
+      }
+      if (!matched && schema.additionalProperties === false) {
+        errors.push({ path: childAt, message: 'is not allowed' });
+      } else if (!matched && schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(value[k], schema.additionalProperties, root, childAt, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema (defaults to the data/<region>.json schema).
+ * @returns {Array<{ path: string, message: string }>} empty when valid
+ */
+function validate(value, schema) {
+  const root = schema || loadDataSchema();
+  const errors = [];
+  validateNode(value, root, root, '', errors);
+  return errors;
+}
+
+// "/fact/data/1764972000/GPV1.1/7 must be one of …; /preset is required (+3 more)"
+function formatErrors(errors, limit = 10) {
+  const shown = errors.slice(0, limit).map(e => `${e.path} ${e.message}`);
+  const rest = errors.length - shown.length;
+  return shown.join('; ') + (rest > 0 ? ` (+${rest} more)` : '');
+}
+
+module.exports = {
+  SCHEMA_PATH,
+  loadDataSchema,
+  dataSchemaVersion,
+  validate,
+  formatErrors,
+};
@@ -0,0 +1,250 @@
+// Outage statistics per region and group: hours off / possible / on, the longest continuous outage and the
+// number of on/off switches per day, ISO week and month, plus how evenly the outages fall on the groups.
+//
+// Input is data/<region>.json and, when available, snapshots from the history/ archive (scripts/lib/history.mjs).
+// For every date the row of the latest snapshot that had it wins, and the current file wins over the archive, so
+// a "tomorrow" row is replaced by what was published once that day came. Only confirmed `fact` rows are
+// counted: off uses OUTAGE_PARTS (like the summary card and the text alternatives), possible is MAYBE_PARTS
+// ('maybe' slots), on is the rest of the day. Days without a row for a group are left out of that group's totals.
+
+import intervalsLib from './intervals.js';
+import timeLib from './time.js';
+import { loadCatalog, translator, groupDisplayName, DEFAULT_LANG } from './i18n.mjs';
+
+const { DAY_MINUTES, OUTAGE_PARTS, MAYBE_PARTS, buildSlots, scheduleIntervals, mergeChunks, isGroupKey, compareGroupKeys } = intervalsLib;
+const { kyivDateFromEpoch, addDays } = timeLib;
+
+export const STATS_VERSION = 1;
+export const PERIODS = ['day', 'week', 'month'];
+
+const hours = mins => Math.round((mins / 60) * 100) / 100;
+const dayNumber = date => Date.UTC(Number(date.slice(0, 4)), Number(date.slice(5, 7)) - 1, Number(date.slice(8, 10))) / 86400000;
+const sum = (list, f) => list.reduce((acc, x) => acc + f(x), 0);
+
+// "2025-12-06" → "2025-W49" (ISO 8601 week, Monday first)
+export function isoWeek(date) {
+  const d = new Date(dayNumber(date) * 86400000);
+  const weekday = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - weekday);
+  const year = d.getUTCFullYear();
+  const week = Math.ceil(((d - Date.UTC(year, 0, 1)) / 86400000 + 1) / 7);
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+function periodOf(type, date) {
+  if (type === 'week') {
+    const monday = addDays(date, 1 - (new Date(dayNumber(date) * 86400000).getUTCDay() || 7));
+    return { key: isoWeek(date), from: monday, to: addDays(monday, 6) };
+  }
+  if (type === 'month') {
+    const next = new Date(Date.UTC(Number(date.slice(0, 4)), Number(date.slice(5, 7)), 0)).getUTCDate();
+    return { key: date.slice(0, 7), from: `${date.slice(0, 7)}-01`, to: `${date.slice(0, 7)}-${String(next).padStart(2, '0')}` };
+  }
+  return { key: date, from: date, to: date };
+}
+
+/**
+ * Slot rows per date from the archive and the current file: Map "YYYY-MM-DD" → { GPVx.y: row }, sorted by date.
+ * @param {object} json parsed data/<region>.json
+ * @param {Array<object>} [snapshots] history snapshots ({ at, days: [{ date, groups }] })
+ */
+export function collectDays(json, snapshots = []) {
+  const byDate = new Map();
+  const put = (date, groups) => {
+    if (!date || !groups) return;
+    const day = byDate.get(date) || {};
+    for (const [gpv, row] of Object.entries(groups)) if (isGroupKey(gpv) && row) day[gpv] = row;
+    byDate.set(date, day);
+  };
+  for (const snap of [...snapshots].sort((a, b) => String(a.at).localeCompare(String(b.at)))) {
+    for (const d of snap.days || []) put(d.date || (d.epoch != null ? kyivDateFromEpoch(d.epoch) : null), d.groups);
+  }
+  for (const [epoch, groups] of Object.entries(json?.fact?.data || {})) put(kyivDateFromEpoch(epoch), groups);
+  return new Map([...byDate].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// One day of one group → minutes off / possible / on and the off intervals
+function dayMetrics(row, slots) {
+  const off = scheduleIntervals(row, slots, OUTAGE_PARTS);
+  const possible = scheduleIntervals(row, slots, MAYBE_PARTS);
+  const offMin = sum(off, ([s, e]) => e - s);
+  const possibleMin = sum(possible, ([s, e]) => e - s);
+  return { off, offMin, possibleMin, onMin: Math.max(0, DAY_MINUTES - offMin - possibleMin) };
+}
+
+/**
+ * Longest continuous outage and on/off switches over a run of days. Outages touching midnight join across
+ * consecutive dates; an outage edge at the start or end of the covered days (or next to a missing day) is not
+ * counted as a switch, since the state on the other side is unknown.
+ */
+function runMetrics(days) {
+  const covered = mergeChunks(days.map(d => [dayNumber(d.date) * DAY_MINUTES, (dayNumber(d.date) + 1) * DAY_MINUTES]));
+  const off = mergeChunks(days.flatMap(d => d.off.map(([s, e]) => [dayNumber(d.date) * DAY_MINUTES + s, dayNumber(d.date) * DAY_MINUTES + e])));
+  const inside = x => covered.some(([s, e]) => x > s && x < e);
+  return {
+    longestOff: off.reduce((max, [s, e]) => Math.max(max, e - s), 0),
+    switches: sum(off, ([s, e]) => (inside(s) ? 1 : 0) + (inside(e) ? 1 : 0)),
+  };
+}
+
+function groupTotals(days) {
+  const { longestOff, switches } = runMetrics(days);
+  const offMin = sum(days, d => d.offMin);
+  return {
+    days: days.length,
+    off: hours(offMin),
+    possible: hours(sum(days, d => d.possibleMin)),
+    on: hours(sum(days, d => d.onMin)),
+    longestOff: hours(longestOff),
+    switches,
+    offPerDay: days.length ? hours(offMin / days.length) : 0,
+  };
+}
+
+/**
+ * How evenly outages fall on the groups of one period, by hours off per day with data:
+ * mean, the least and most affected group, spread (max − min), standard deviation and the Gini coefficient
+ * (0 — every group equally, towards 1 — concentrated on few groups). null when no group has data.
+ */
+export function fairness(groups) {
+  const list = Object.entries(groups).filter(([, g]) => g.days > 0).map(([gpv, g]) => ({ gpv, value: g.offPerDay }));
+  if (!list.length) return null;
+  const values = list.map(x => x.value);
+  const mean = sum(values, v => v) / values.length;
+  const min = list.reduce((a, b) => (b.value < a.value ? b : a));
+  const max = list.reduce((a, b) => (b.value > a.value ? b : a));
+  const variance = sum(values, v => (v - mean) ** 2) / values.length;
+  const gini = mean > 0 ? sum(values, a => sum(values, b => Math.abs(a - b))) / (2 * values.length ** 2 * mean) : 0;
+  const round = v => Math.round(v * 1000) / 1000;
+  return {
+    groups: list.length,
+    mean: hours(mean * 60),
+    min: { gpv: min.gpv, offPerDay: min.value },
+    max: { gpv: max.gpv, offPerDay: max.value },
+    spread: hours((max.value - min.value) * 60),
+    stdDev: round(Math.sqrt(variance)),
+    gini: round(gini),
+  };
+}
+
+/**
+ * Statistics report for one region.
+ * @param {object} json parsed data/<region>.json (slot layout from its preset, current fact rows)
+ * @param {{ snapshots?: Array<object>, from?: string|null, to?: string|null, groups?: string[]|null, regionId?: string|null }} [options]
+ * @returns {{ version: number, regionId: string|null, from: string|null, to: string|null, snapshots: number, groups: string[],
+ *   periods: Record<'day'|'week'|'month', Array<{ period: string, from: string, to: string,
+ *     groups: Record<string, { days: number, off: number, possible: number, on: number, longestOff: number, switches: number, offPerDay: number }>,
+ *     fairness: object|null }>> }}
+ */
+export function buildStats(json, { snapshots = [], from = null, to = null, groups = null, regionId = null } = {}) {
+  const slots = buildSlots(json?.preset);
+  const dates = [...collectDays(json, snapshots)].filter(([date]) => (!from || date >= from) && (!to || date <= to));
+
+  // gpv → [{ date, off, offMin, possibleMin, onMin }]
+  const perGroup = new Map();
+  for (const [date, rows] of dates) {
+    for (const [gpv, row] of Object.entries(rows)) {
+      if (groups && !groups.includes(gpv)) continue;
+      if (!perGroup.has(gpv)) perGroup.set(gpv, []);
+      perGroup.get(gpv).push({ date, ...dayMetrics(row, slots) });
+    }
+  }
+  const groupKeys = [...perGroup.keys()].sort(compareGroupKeys);
+
+  const periods = {};
+  for (const type of PERIODS) {
+    const buckets = new Map();
+    for (const [date] of dates) {
+      const p = periodOf(type, date);
+      if (!buckets.has(p.key)) buckets.set(p.key, p);
+    }
+    periods[type] = [...buckets.values()].map(p => {
+      const totals = {};
+      for (const gpv of groupKeys) {
+        const days = perGroup.get(gpv).filter(d => d.date >= p.from && d.date <= p.to);
+        if (days.length) totals[gpv] = groupTotals(days);
+      }
+      return { period: p.key, from: p.from, to: p.to, groups: totals, fairness: fairness(totals) };
+    });
+  }
+
+  return {
+    version: STATS_VERSION,
+    regionId: regionId || json?.regionId || null,
+    from: dates.length ? dates[0][0] : null,
+    to: dates.length ? dates[dates.length - 1][0] : null,
+    snapshots: snapshots.length,
+    groups: groupKeys,
+    periods,
+  };
+}
+
+const CSV_COLUMNS = ['period_type', 'period', 'from', 'to', 'group', 'days', 'off_hours', 'possible_hours', 'on_hours', 'longest_off_hours', 'switches', 'off_per_day_hours'];
+
+// One row per period and group; fairness stays in the JSON report
+export function statsToCsv(report) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const type of PERIODS) {
+    for (const p of report.periods[type] || []) {
+      for (const [gpv, g] of Object.entries(p.groups)) {
+        lines.push([type, p.period, p.from, p.to, gpv, g.days, g.off, g.possible, g.on, g.longestOff, g.switches, g.offPerDay].join(','));
+      }
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function formatDate(catalog, date, options) {
+  return new Intl.DateTimeFormat(catalog.locale, { timeZone: 'UTC', ...options }).format(new Date(dayNumber(date) * 86400000));
+}
+
+/**
+ * Input of templates/html/stats-template.html for one period (default: the latest week), with labels in `lang`.
+ * @param {object} report buildStats() result
+ * @param {{ period?: 'day'|'week'|'month', at?: string|null, lang?: string, preset?: object, regionAffiliation?: string|null }} [options]
+ *   `at` ("YYYY-MM-DD") picks the period containing that date
+ * @returns {object|null} null when the report has no such period
+ */
+export function chartData(report, { period = 'week', at = null, lang = DEFAULT_LANG, preset = null, regionAffiliation = null } = {}) {
+  const list = report.periods[period] || [];
+  const p = at ? list.find(x => at >= x.from && at <= x.to) : list[list.length - 1];
+  if (!p) return null;
+  const catalog = loadCatalog(lang);
+  const t = translator(catalog);
+  const long = date => formatDate(catalog, date, { day: 'numeric', month: 'long' });
+  const label = period === 'day' ? long(p.from)
+    : period === 'week' ? t('stats.period.week', { from: long(p.from), to: long(p.to) })
+      : formatDate(catalog, p.from, { month: 'long', year: 'numeric' });
+  const name = gpv => groupDisplayName(catalog, preset, gpv);
+  return {
+    kind: 'outage-stats',
+    regionId: report.regionId,
+    regionAffiliation,
+    period: { type: period, key: p.period, from: p.from, to: p.to, label },
+    groups: Object.entries(p.groups).map(([gpv, g]) => ({ gpv, label: name(gpv), ...g })),
+    fairness: p.fairness && { ...p.fairness, min: { ...p.fairness.min, label: name(p.fairness.min.gpv) }, max: { ...p.fairness.max, label: name(p.fairness.max.gpv) } },
+  };
+}
+
+/**
+ * Text alternative of a stats chart: the same lines schedule-shared.js puts into the table caption.
+ * @returns {{ version: number, lang: string, kind: 'stats', region: string|null, period: object, lines: string[], text: string }}
+ */
+export function describeChart(chart, { lang = DEFAULT_LANG, regionName = null } = {}) {
+  const catalog = loadCatalog(lang);
+  const t = translator(catalog);
+  const num = new Intl.NumberFormat(catalog.locale, { maximumFractionDigits: 1 });
+  const h = v => t('stats.hours', { hours: num.format(v) });
+  const region = (regionName || chart.regionAffiliation || '').trim() || null;
+  const title = t('stats.title', { period: chart.period.label });
+  const lines = [`${region ? title.replace(/:\s*/, ` (${region}): `) : title}.`];
+  for (const g of chart.groups) {
+    lines.push(t('stats.line', { group: g.label, off: h(g.off), possible: h(g.possible), longest: h(g.longestOff), switches: g.switches, days: g.days }));
+  }
+  if (!chart.groups.length) lines.push(t('stats.noData'));
+  if (chart.fairness) {
+    const f = chart.fairness;
+    lines.push(t('stats.fairness', { mean: h(f.mean), max: f.max.label, maxValue: h(f.max.offPerDay), min: f.min.label, minValue: h(f.min.offPerDay) }));
+  }
+  return { version: STATS_VERSION, lang, kind: 'stats', region, period: chart.period, lines, text: lines.join('\n') };
+}
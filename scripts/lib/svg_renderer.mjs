@@ -0,0 +1,488 @@
+// Browser-free renderer: data/<region>.json → SVG for the same views as templates/html
+// (full, emergency, week, groups, summary).
+//
+// Layout and colours follow templates/html/schedule-shared.css (30×38 state cells, 55px header row with vertical
+// time labels, 835px panel, rounded table corners, row-header gradient, warm today row in the weekly matrix,
+// yellow group badge) and the table contents follow schedule-shared.js (which rows, labels, icons and titles
+// each template shows). Half-hour icons are inlined from templates/html/icons as <symbol>s. There is no text
+// shaping here, so label widths are estimated; the result is close to, not pixel-identical with, the PNGs.
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import intervalsLib from './intervals.js';
+import timeLib from './time.js';
+import { loadCatalog, translator, formatLongDate, weekdayLabel, groupDisplayName, DEFAULT_LANG } from './i18n.mjs';
+
+const { buildSlots, scheduleIntervals, formatMinutes, nextDayEpoch, isGroupKey, compareGroupKeys, OUTAGE_PARTS } = intervalsLib;
+const { kyivWeekdayFromEpoch } = timeLib;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const ICONS_DIR = path.resolve(__dirname, '..', '..', 'templates', 'html', 'icons');
+
+export const SVG_VIEWS = ['full', 'emergency', 'week', 'groups', 'summary'];
+
+// :root and .theme-dark custom properties from schedule-shared.css
+export const THEMES = {
+  light: {
+    bg: '#f6f8fb', panel: '#ffffff', text: '#0e1624', muted: '#6b7785', grid: '#e2e8f0', gridStrong: '#cbd5e1',
+    head: '#f1f5f9', maybeBg: 'rgba(15, 23, 42, 0.12)', todayBorder: '#f2b200', todayBg: '#fff4cc',
+    staleBg: '#fde2e1', staleBorder: '#f3a5a0', staleText: '#8a1c14',
+  },
+  dark: {
+    bg: '#0b0d12', panel: '#121621', text: '#e8ecf1', muted: '#9aa7b2', grid: '#2a3242', gridStrong: '#3a4458',
+    head: '#0f1522', maybeBg: 'rgba(160,170,180,0.7)', todayBorder: '#f2b200', todayBg: '#3a2a00',
+    staleBg: '#3b1414', staleBorder: '#7a2a24', staleText: '#ffb4ab',
+  },
+};
+
+const FONT = '-apple-system, BlinkMacSystemFont, Segoe UI, Roboto, Inter, Helvetica, Arial, sans-serif';
+const BADGE = { fill: '#ffd666', stroke: '#e3b617', text: '#000' };
+const PAD = 24; // body padding is outside the screenshot; .container padding is inside
+const PANEL_WIDTH = 835;
+const CELL_W = 30;
+const CELL_H = 38;
+const HEAD_H = 55;
+const ROW_HEAD_MIN = 70;
+const RADIUS = 10;
+const STALE_H = 34; // .stale-banner: 16px line + 2×8px padding + borders, then a 12px margin
+const STALE_GAP = 12;
+
+// schedule-shared.js stateIconSrc / stateIconSrcToday
+const ICON_WEEK = { no: 'no', maybe: 'maybe', first: 'mfirst', mfirst: 'mfirst', second: 'msecond', msecond: 'msecond' };
+const ICON_TODAY = { ...ICON_WEEK, first: 'nfirst', mfirst: 'nfirst', second: 'nsecond', msecond: 'nsecond' };
+
+// [state, icon, catalog key] per template legend
+const LEGENDS = {
+  full: [['yes', null, 'legend.yes'], ['no', 'no', 'legend.no'], ['maybe', 'maybe', 'legend.maybe'], ['mfirst', 'mfirst', 'legend.first'], ['msecond', 'msecond', 'legend.second']],
+  emergency: [['yes', null, 'legend.yes'], ['no', 'no', 'legend.no'], ['mfirst', 'nfirst', 'legend.first'], ['msecond', 'nsecond', 'legend.second']],
+  week: [['yes', null, 'legend.yes'], ['maybe', 'maybe', 'legend.maybe'], ['mfirst', 'mfirst', 'legend.first'], ['msecond', 'msecond', 'legend.second']],
+  groups: [['yes', null, 'legend.yes'], ['no', 'no', 'legend.no'], ['mfirst', 'nfirst', 'legend.first'], ['msecond', 'nsecond', 'legend.second']],
+};
+
+export function escapeXml(s) {
+  return String(s ?? '').replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[ch]);
+}
+
+// Rough advance widths (em) for the sans-serif stack; good enough to size badges and the summary card
+export function measureText(text, size, weight = 400) {
+  let em = 0;
+  for (const ch of String(text)) {
+    if (ch === ' ') em += 0.28;
+    else if (/[.,:;'’!|()\-–]/.test(ch)) em += 0.3;
+    else if (/\d/.test(ch)) em += 0.56;
+    else if (/[A-ZА-ЯІЇЄҐ]/.test(ch)) em += 0.68;
+    else if (/[шщжмюфШЩЖМЮФ]/.test(ch)) em += 0.78;
+    else em += 0.55;
+  }
+  return em * size * (weight >= 600 ? 1.06 : 1);
+}
+
+let iconCache = null;
+
+// templates/html/icons/<name>.svg → <symbol id="icon-<name>">, with inner ids prefixed (the icons reuse ids)
+function loadIcons() {
+  if (iconCache) return iconCache;
+  iconCache = {};
+  for (const name of ['no', 'maybe', 'mfirst', 'msecond', 'nfirst', 'nsecond']) {
+    const src = readFileSync(path.join(ICONS_DIR, `${name}.svg`), 'utf8');
+    const inner = src.replace(/^[\s\S]*?<svg[^>]*>/, '').replace(/<\/svg>\s*$/, '')
+      .replace(/\bid="([^"]+)"/g, `id="icon-${name}-$1"`)
+      .replace(/url\(#([^)]+)\)/g, `url(#icon-${name}-$1)`);
+    iconCache[name] = `<symbol id="icon-${name}" viewBox="0 0 20 20">${inner.trim()}</symbol>`;
+  }
+  return iconCache;
+}
+
+// Collects elements and the <defs> they reference
+class Canvas {
+  constructor(theme) {
+    this.t = theme;
+    this.parts = [];
+    this.defs = new Map();
+    this.icons = new Set();
+    this.ids = 0;
+  }
+
+  id(prefix) {
+    this.ids += 1;
+    return `${prefix}${this.ids}`;
+  }
+
+  add(s) {
+    this.parts.push(s);
+  }
+
+  text(x, y, str, { size = 12, weight = 400, fill = this.t.text, anchor = 'start', baseline = 'central', extra = '' } = {}) {
+    this.add(`<text x="${x}" y="${y}" font-size="${size}" font-weight="${weight}" fill="${fill}" text-anchor="${anchor}" dominant-baseline="${baseline}"${extra}>${escapeXml(str)}</text>`);
+  }
+
+  rect(x, y, w, h, fill, extra = '') {
+    this.add(`<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="${fill}"${extra}/>`);
+  }
+
+  line(x1, y1, x2, y2, stroke) {
+    this.add(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${stroke}" stroke-width="1"/>`);
+  }
+
+  icon(name, x, y) {
+    this.icons.add(name);
+    this.add(`<use href="#icon-${name}" x="${x}" y="${y}" width="20" height="20"/>`);
+  }
+
+  toString(width, height, title) {
+    const icons = loadIcons();
+    const defs = [...this.defs.values(), ...[...this.icons].map(n => icons[n])];
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXml(FONT)}">`,
+      title ? `<title>${escapeXml(title)}</title>` : '',
+      defs.length ? `<defs>${defs.join('')}</defs>` : '',
+      `<rect width="${width}" height="${height}" fill="${this.t.bg}"/>`,
+      ...this.parts,
+      '</svg>',
+      '',
+    ].filter(Boolean).join('\n');
+  }
+}
+
+// ===== data helpers (same choices as schedule-shared.js) =====
+
+export function pickGpvKey(json, gpv) {
+  const data = json?.preset?.data || {};
+  if (gpv && data[gpv]) return gpv;
+  return Object.keys(data).find(k => /^GPV\d+\.\d+$/.test(k)) || 'GPV1.2';
+}
+
+function timeLabels(preset) {
+  const keys = Object.keys(preset?.time_zone || {}).map(Number).sort((a, b) => a - b);
+  return keys.map(k => ({ key: String(k), label: preset.time_zone[String(k)]?.[0] || '' }));
+}
+
+// Catalog and translator for one language
+function i18nFor(lang = DEFAULT_LANG) {
+  const catalog = loadCatalog(lang);
+  return { catalog, t: translator(catalog) };
+}
+
+const formatDate = (i18n, epochSec) => formatLongDate(i18n.catalog, epochSec);
+
+function groupBadgeLabel(i18n, json, gpv) {
+  const label = i18n.catalog.upstreamLabels ? json?.preset?.sch_names?.[gpv] || '' : '';
+  if (label) return label.replace(/^Черга\b\s*/, 'Черга: ');
+  const m = String(gpv).match(/^GPV(\d+)\.(\d+)$/);
+  return m ? i18n.t('group.badge', { group: `${m[1]}.${m[2]}` }) : '';
+}
+
+function withAffiliation(title, aff) {
+  if (!aff) return title;
+  const i = title.indexOf(':');
+  return i === -1 ? `${title} (${aff})` : `${title.slice(0, i).trim()} (${aff})${title.slice(i)}`;
+}
+
+function lastUpdatedLabel(i18n, json) {
+  const fact = (json?.fact?.update || '').trim();
+  const preset = (json?.preset?.updateFact || json?.preset?.update || '').trim();
+  const label = fact || preset;
+  return label ? i18n.t('lastUpdated', { time: label }) : '';
+}
+
+// ===== building blocks =====
+
+// <h1> with an optional right-aligned (or left) badge; returns the height used including margin
+function heading(c, x, y, width, text, { badge = null, marginBottom = 16 } = {}) {
+  const h = badge ? 35 : 24;
+  c.text(x, y + h / 2, text, { size: 20, weight: 600 });
+  if (badge) {
+    const bw = Math.round(measureText(badge, 22) + 30);
+    const bx = x + width - bw;
+    c.rect(bx + 0.5, y + 0.5, bw - 1, h - 1, BADGE.fill, ` rx="17" stroke="${BADGE.stroke}"`);
+    c.text(bx + bw / 2, y + h / 2, badge, { size: 22, fill: BADGE.text, anchor: 'middle' });
+  }
+  return h + marginBottom;
+}
+
+function mutedLine(c, x, y, text) {
+  if (!text) return 10;
+  c.text(x, y + 6, text, { size: 10, weight: 100, fill: c.t.muted });
+  return 22;
+}
+
+function cellFill(c, x, y, state) {
+  const t = c.t;
+  const half = CELL_W / 2;
+  if (state === 'no' || state === 'maybe') c.rect(x, y, CELL_W, CELL_H, t.maybeBg);
+  else if (state === 'first' || state === 'mfirst') { c.rect(x, y, CELL_W, CELL_H, 'white'); c.rect(x, y, half, CELL_H, t.maybeBg); }
+  else if (state === 'second' || state === 'msecond') { c.rect(x, y, CELL_W, CELL_H, 'white'); c.rect(x + half, y, half, CELL_H, t.maybeBg); }
+  else if (state === 'yes') c.rect(x, y, CELL_W, CELL_H, 'white');
+}
+
+// The table stretches to the 835px panel; with many slots it grows past it (min-width of the row header)
+function rowHeadWidth(cols) {
+  return Math.max(ROW_HEAD_MIN, PANEL_WIDTH - cols * CELL_W);
+}
+
+/**
+ * Draw a schedule table.
+ * @param {{ corner: 'lines'|'split', columns: Array<{ label: string }>, rows: Array<{ label: string, cells?: Array<string|null>, today?: boolean }>,
+ *   icons: object, error?: string }} spec
+ * @param {{ t: Function }} i18n
+ * @returns {number} height used including the 24px margin under .table-wrap
+ */
+function table(c, x, y, spec, i18n) {
+  const t = c.t;
+  const cols = spec.columns.length;
+  const rowHead = rowHeadWidth(cols);
+  const width = rowHead + cols * CELL_W;
+  const rows = spec.error ? [{ label: spec.error }] : spec.rows;
+  const height = HEAD_H + rows.length * CELL_H;
+
+  const clip = c.id('tbl');
+  const grad = c.id('rowhead');
+  c.defs.set(clip, `<clipPath id="${clip}"><rect x="${x}" y="${y}" width="${width}" height="${height}" rx="${RADIUS}"/></clipPath>`);
+  c.defs.set(grad, `<linearGradient id="${grad}" x1="0" y1="0" x2="1" y2="0"><stop offset="0" stop-color="${t.head}"/><stop offset="1" stop-color="${t.panel}"/></linearGradient>`);
+
+  c.add(`<g clip-path="url(#${clip})">`);
+  c.rect(x, y, width, height, t.panel);
+  c.rect(x, y, width, HEAD_H, t.head);
+
+  // Header: corner and vertical time labels (writing-mode: vertical-rl, aligned to the bottom)
+  if (spec.corner === 'split') {
+    c.line(x, y, x + rowHead, y + HEAD_H, t.gridStrong);
+    c.text(x + rowHead - 10, y + 12, i18n.t('table.time'), { weight: 600, anchor: 'end' });
+    c.text(x + 10, y + HEAD_H - 12, i18n.t('table.group'), { weight: 600 });
+  } else {
+    const [first, second = ''] = i18n.t('table.slots').split('\n');
+    c.text(x + 10, y + HEAD_H / 2 - 7, first, { weight: 600 });
+    c.text(x + 10, y + HEAD_H / 2 + 7, second, { weight: 600 });
+  }
+  spec.columns.forEach((col, i) => {
+    const cx = x + rowHead + i * CELL_W + CELL_W / 2;
+    c.text(cx, y + HEAD_H - 10, col.label, { weight: 600, anchor: 'end', extra: ` transform="rotate(90 ${cx} ${y + HEAD_H - 10})"` });
+  });
+
+  rows.forEach((row, r) => {
+    const ry = y + HEAD_H + r * CELL_H;
+    if (spec.error) {
+      c.rect(x, ry, width, CELL_H, `url(#${grad})`);
+      c.text(x + 10, ry + CELL_H / 2, row.label, { weight: 600 });
+      return;
+    }
+    c.rect(x, ry, rowHead, CELL_H, row.today ? t.todayBg : `url(#${grad})`);
+    c.text(x + 10, ry + CELL_H / 2, row.label, { weight: 600 });
+    (row.cells || []).forEach((state, i) => {
+      const cx = x + rowHead + i * CELL_W;
+      cellFill(c, cx, ry, state);
+      const icon = state ? spec.icons[state] : null;
+      if (icon) c.icon(icon, cx + (CELL_W - 20) / 2, ry + (CELL_H - 20) / 2);
+    });
+  });
+
+  // Grid: 1px right/bottom borders per cell, strong outer border
+  for (let i = 0; i <= cols; i++) {
+    const lx = x + rowHead + i * CELL_W - 0.5;
+    if (i < cols) c.line(lx, y, lx, y + (spec.error ? HEAD_H : height), t.grid);
+  }
+  for (let r = 0; r <= rows.length; r++) {
+    const ly = y + HEAD_H + r * CELL_H - 0.5;
+    c.line(x, ly, x + width, ly, t.grid);
+  }
+  rows.forEach((row, r) => {
+    if (!row.today) return;
+    const ry = y + HEAD_H + r * CELL_H;
+    c.line(x, ry - 0.5, x + width, ry - 0.5, t.todayBorder);
+    c.line(x, ry + CELL_H - 0.5, x + width, ry + CELL_H - 0.5, t.todayBorder);
+  });
+  c.add('</g>');
+  c.add(`<rect x="${x + 0.5}" y="${y + 0.5}" width="${width - 1}" height="${height - 1}" rx="${RADIUS}" fill="none" stroke="${t.gridStrong}"/>`);
+  return height + 24;
+}
+
+function legend(c, x, y, items, i18n) {
+  let cx = x;
+  for (const [state, icon, key] of items) {
+    const label = i18n.t(key);
+    cellFill(c, cx, y, state);
+    c.rect(cx + 0.5, y + 0.5, CELL_W - 1, CELL_H - 1, 'none', ` stroke="${c.t.grid}"`);
+    if (icon) c.icon(icon, cx + 5, y + 9);
+    c.text(cx + CELL_W + 8, y + CELL_H / 2, label, { size: 10 });
+    cx += CELL_W + 8 + measureText(label, 10) + 24;
+  }
+  return CELL_H;
+}
+
+// ===== views =====
+
+function todayRows(i18n, json, gpv) {
+  const { preset, fact } = json;
+  const cols = timeLabels(preset);
+  const rows = [];
+  const row = (label, epoch) => {
+    const schedule = fact?.data?.[String(epoch)]?.[gpv];
+    return { label, cells: cols.map(col => schedule?.[col.key] || null) };
+  };
+  const todayEpoch = fact?.today != null ? Number(fact.today) : null;
+  if (todayEpoch != null) rows.push(row(formatDate(i18n, todayEpoch) || i18n.t('day.today'), todayEpoch));
+  const tomorrow = nextDayEpoch(fact);
+  if (tomorrow != null && tomorrow !== todayEpoch) rows.push(row(formatDate(i18n, tomorrow) || i18n.t('day.tomorrow'), tomorrow));
+  return { columns: cols, rows, icons: ICON_TODAY, corner: 'lines' };
+}
+
+function weekRows(i18n, json, gpv) {
+  const { preset, fact } = json;
+  const cols = timeLabels(preset);
+  const schedule = preset?.data?.[gpv];
+  if (!schedule) return { columns: cols, rows: [], icons: ICON_WEEK, corner: 'lines', error: i18n.t('error.noGroupData', { gpv }) };
+  const todayIdx = fact?.today != null ? kyivWeekdayFromEpoch(fact.today) : null;
+  const dayKeys = Object.keys(preset.days || {}).map(Number).sort((a, b) => a - b);
+  const rows = dayKeys.map(dk => ({
+    label: weekdayLabel(i18n.catalog, preset, dk),
+    today: todayIdx != null && dk === Number(todayIdx),
+    cells: cols.map(col => schedule?.[String(dk)]?.[col.key] || null),
+  }));
+  return { columns: cols, rows, icons: ICON_WEEK, corner: 'lines' };
+}
+
+function groupsRows(i18n, json, epoch) {
+  const { preset, fact } = json;
+  const cols = timeLabels(preset);
+  const dayObj = epoch != null ? fact?.data?.[String(epoch)] : null;
+  const keys = dayObj ? Object.keys(dayObj).filter(isGroupKey).sort(compareGroupKeys) : [];
+  if (!keys.length) {
+    return { columns: cols, rows: [], icons: ICON_TODAY, corner: 'split', error: i18n.t('error.noDayData', { when: i18n.t('error.selectedDate') }) };
+  }
+  const rows = keys.map(k => ({ label: groupDisplayName(i18n.catalog, preset, k), cells: cols.map(col => dayObj[k]?.[col.key] || null) }));
+  return { columns: cols, rows, icons: ICON_TODAY, corner: 'split' };
+}
+
+// buildSummary: strict outages for fact.today; "ON all day" only when every slot is 'yes'
+export function summaryOf(json, gpv, { lang = DEFAULT_LANG } = {}) {
+  const i18n = i18nFor(lang);
+  const { preset, fact } = json;
+  const todayEpoch = fact?.today != null ? Number(fact.today) : null;
+  const schedule = todayEpoch != null ? fact?.data?.[String(todayEpoch)]?.[gpv] : null;
+  const slots = buildSlots(preset);
+  const intervals = schedule ? scheduleIntervals(schedule, slots, OUTAGE_PARTS) : [];
+  const allYes = !!schedule && slots.every(s => schedule[s.key] === 'yes');
+  let note = i18n.t('summary.off');
+  if (!intervals.length && allYes) note = i18n.t('summary.allDay');
+  else if (!intervals.length) note = i18n.t('summary.none');
+  const m = String(gpv).match(/^GPV(\d+)\.(\d+)$/);
+  return {
+    number: m ? `${m[1]}.${m[2]}` : '',
+    date: todayEpoch != null ? formatDate(i18n, todayEpoch) : '',
+    note,
+    on: !intervals.length && allYes,
+    lines: intervals.map(([s, e]) => i18n.t('summary.interval', { from: formatMinutes(s), to: formatMinutes(e) })),
+  };
+}
+
+function renderSummary(c, json, gpv, i18n, aff) {
+  const s = summaryOf(json, gpv, { lang: i18n.catalog.lang });
+  const on = i18n.t('summary.badgeOn');
+  const off = i18n.t('summary.badgeOff');
+  const dateText = s.date ? i18n.t('summary.date', { date: s.date }) : i18n.t('summary.datePlaceholder');
+  const lines = s.on ? [] : (s.lines.length ? s.lines : [i18n.t('summary.empty')]);
+  const badgeW = Math.round(measureText(s.number, 22) + 30);
+  const statusW = Math.round(measureText(s.on ? on : off, 10, 700) + 16);
+  const innerW = Math.ceil(Math.max(
+    badgeW + 10 + measureText(aff, 20, 600),
+    measureText(dateText, 16),
+    measureText(s.note, 16),
+    statusW + 8 + Math.max(0, ...lines.map(l => measureText(l, 16))),
+  ));
+
+  // The card goes under the content, so it is inserted once the content height is known
+  const cardIdx = c.parts.length;
+  const x = PAD + 16;
+  let y = PAD + 16;
+  c.rect(x, y + 0.5, badgeW, 34, BADGE.fill, ` rx="17" stroke="${BADGE.stroke}"`);
+  c.text(x + badgeW / 2, y + 17.5, s.number, { size: 22, fill: BADGE.text, anchor: 'middle' });
+  c.text(x + badgeW + 10, y + 17.5, aff, { size: 20, weight: 600 });
+  y += 35 + 10;
+  c.text(x, y + 9.5, dateText, { size: 16 });
+  y += 19;
+  c.text(x, y + 9.5, s.note, { size: 16 });
+  y += 19 + 12;
+  if (s.on) {
+    c.rect(x + 0.5, y + 3.5, statusW - 1, 19, BADGE.fill, ` rx="6" stroke="${BADGE.stroke}"`);
+    c.text(x + statusW / 2, y + 13, on, { size: 10, weight: 700, fill: BADGE.text, anchor: 'middle' });
+  } else {
+    c.rect(x + 0.5, y + 3.5, statusW - 1, 19, c.t.maybeBg, ` rx="6" stroke="${c.t.grid}"`);
+    c.text(x + statusW / 2, y + 13, off, { size: 10, weight: 700, fill: c.t.muted, anchor: 'middle' });
+  }
+  lines.forEach((l, i) => c.text(x + statusW + 8, y + 12.8 + i * 25.6, l, { size: 16 }));
+  y += Math.max(23, lines.length * 25.6);
+
+  const cardW = innerW + 32;
+  const cardH = Math.ceil(y + 16 - PAD);
+  c.parts.splice(cardIdx, 0, `<rect x="${PAD}" y="${PAD}" width="${cardW}" height="${cardH}" rx="${RADIUS}" fill="${c.t.panel}"/>`);
+  return { width: cardW + PAD * 2, height: cardH + PAD * 2 };
+}
+
+// "Data may be outdated" strip on top (.stale-banner): everything drawn so far moves down under it
+function addStaleBanner(c, i18n, stale, { width, height }) {
+  const text = stale.time ? i18n.t('stale.banner', { time: stale.time }) : i18n.t('stale.bannerNoTime');
+  const inner = Math.max(width - PAD * 2, Math.ceil(measureText(text, 13, 600) + 26));
+  const body = c.parts;
+  c.parts = [];
+  c.rect(PAD + 0.5, PAD + 0.5, inner - 1, STALE_H - 1, c.t.staleBg, ` rx="8" stroke="${c.t.staleBorder}"`);
+  c.text(PAD + 13, PAD + STALE_H / 2, text, { size: 13, weight: 600, fill: c.t.staleText });
+  c.add(`<g transform="translate(0 ${STALE_H + STALE_GAP})">`);
+  c.parts.push(...body);
+  c.add('</g>');
+  return { width: inner + PAD * 2, height: height + STALE_H + STALE_GAP };
+}
+
+/**
+ * Render one view as an SVG document.
+ * @param {object} json parsed data/<region>.json
+ * @param {{ view?: 'full'|'emergency'|'week'|'groups'|'summary', gpv?: string, day?: 'today'|'tomorrow', theme?: 'light'|'dark',
+ *   lang?: string, regionName?: string|null, stale?: { time: string|null }|null }} [options]
+ *   `gpv` falls back to the first group in preset.data (like the templates); `day` applies to the groups view;
+ *   `lang` picks the catalog in templates/i18n; `regionName` replaces regionAffiliation in titles;
+ *   `stale` adds the "data may be outdated" banner (scripts/lib/health.mjs staleNotice)
+ * @returns {{ svg: string, width: number, height: number, gpv: string|null }}
+ */
+export function renderScheduleSvg(json, { view = 'full', gpv, day = 'today', theme = 'light', lang = DEFAULT_LANG, regionName = null, stale = null } = {}) {
+  if (!SVG_VIEWS.includes(view)) throw new Error(`Unknown view '${view}' (known: ${SVG_VIEWS.join(', ')})`);
+  if (!json?.preset || !json?.fact) throw new Error('Data has no preset/fact');
+  const c = new Canvas(THEMES[theme] || THEMES.light);
+  const gpvKey = view === 'groups' ? null : pickGpvKey(json, gpv);
+  const i18n = i18nFor(lang);
+  const aff = (regionName || json.regionAffiliation || '').trim();
+
+  if (view === 'summary') {
+    const label = aff || i18n.t('summary.title');
+    let size = renderSummary(c, json, gpvKey, i18n, label);
+    if (stale) size = addStaleBanner(c, i18n, stale, size);
+    const { width, height } = size;
+    return { svg: c.toString(width, height, `${label} ${gpvKey}`), width, height, gpv: gpvKey };
+  }
+
+  const cols = timeLabels(json.preset).length;
+  const panel = rowHeadWidth(cols) + cols * CELL_W;
+  const x = PAD;
+  let y = PAD;
+  let title;
+  if (view === 'groups') {
+    const epoch = day === 'tomorrow' ? (nextDayEpoch(json.fact) ?? json.fact.today) : json.fact.today;
+    const date = epoch != null ? formatDate(i18n, epoch) : '';
+    title = `${i18n.t('title.groups', { date: date || i18n.t('day.todayInline') })}${aff ? ` (${aff})` : ''}`;
+    y += heading(c, x, y, panel, title);
+    y += mutedLine(c, x, y, lastUpdatedLabel(i18n, json));
+    y += table(c, x, y, groupsRows(i18n, json, epoch), i18n);
+  } else {
+    title = withAffiliation(i18n.t(view === 'week' ? 'title.week' : 'title.schedule'), aff);
+    y += heading(c, x, y, panel, title, { badge: groupBadgeLabel(i18n, json, gpvKey) });
+    y += mutedLine(c, x, y, lastUpdatedLabel(i18n, json));
+    if (view === 'full' || view === 'emergency') y += table(c, x, y, todayRows(i18n, json, gpvKey), i18n);
+    if (view === 'full') y += heading(c, x, y, panel, i18n.t('title.possibleWeek'));
+    if (view === 'full' || view === 'week') y += table(c, x, y, weekRows(i18n, json, gpvKey), i18n);
+  }
+  y += legend(c, x, y, LEGENDS[view], i18n);
+
+  let size = { width: panel + PAD * 2, height: Math.ceil(y + PAD) };
+  if (stale) size = addStaleBanner(c, i18n, stale, size);
+  const { width, height } = size;
+  return { svg: c.toString(width, height, title), width, height, gpv: gpvKey };
+}
@@ -0,0 +1,120 @@
+/**
+ * Europe/Kyiv wall-clock helpers shared by the parser and the Node-side tools.
+ * Upstream data is expressed in local Kyiv time (day epochs are local midnights,
+ * slot labels are "HH:MM"), so everything here converts between that wall clock
+ * and absolute instants without pulling in a timezone library.
+ */
+
+const KYIV_TZ = 'Europe/Kyiv';
+
+function pad2(n) { return String(n).padStart(2, '0'); }
+
+function tzOffsetMinutes(utcTs, timeZone) {
+  const dtf = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour12: false,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+  const parts = dtf.formatToParts(new Date(utcTs));
+  const map = Object.fromEntries(parts.map(p => [p.type, p.value]));
+  // en-US reports midnight as hour "24"
+  const hour = parseInt(map.hour) % 24;
+  const asUTC = Date.UTC(parseInt(map.year), parseInt(map.month) - 1, parseInt(map.day), hour, parseInt(map.minute), parseInt(map.second));
+  // Difference between local wall clock expressed as UTC and the actual UTC instant gives offset
+  return (asUTC - utcTs) / 60000;
+}
+
+function zonedTimeToUtc(dateStr, timeStr, timeZone) {
+  const [Y, M, D] = dateStr.split('-').map(Number);
+  const [h, m] = timeStr.split(':').map(Number);
+  // Initial guess: UTC timestamp with same components
+  let ts = Date.UTC(Y, (M || 1) - 1, D || 1, h || 0, m || 0, 0);
+  // Compute offset for this instant, then adjust to get the UTC instant corresponding to the given local wall time
+  const off = tzOffsetMinutes(ts, timeZone);
+  ts = ts - off * 60000;
+  return new Date(ts);
+}
+
+function formatOffset(totalMinutes) {
+  const sign = totalMinutes >= 0 ? '+' : '-';
+  const a = Math.abs(totalMinutes);
+  const hh = pad2(Math.floor(a / 60));
+  const mm = pad2(a % 60);
+  return `${sign}${hh}:${mm}`;
+}
+
+// Format an absolute instant as ISO-8601 with the Kyiv offset, e.g. 2025-12-06T06:00:00+02:00
+function formatKyivIso(utcTs) {
+  const off = tzOffsetMinutes(utcTs, KYIV_TZ);
+  const local = new Date(utcTs + off * 60000);
+  const [Y, M, D] = [local.getUTCFullYear(), pad2(local.getUTCMonth() + 1), pad2(local.getUTCDate())];
+  const [h, m, s] = [pad2(local.getUTCHours()), pad2(local.getUTCMinutes()), pad2(local.getUTCSeconds())];
+  return `${Y}-${M}-${D}T${h}:${m}:${s}${formatOffset(off)}`;
+}
+
+// Local date + "HH:MM" (24:00 allowed, meaning the next midnight) → ISO-8601 in Europe/Kyiv
+function toKyivIso(dateStr, timeStr) {
+  return formatKyivIso(zonedTimeToUtc(dateStr, timeStr, KYIV_TZ).getTime());
+}
+
+// Epoch seconds → local calendar date "YYYY-MM-DD" in Europe/Kyiv
+function kyivDateFromEpoch(epochSec) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: KYIV_TZ, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).format(new Date(Number(epochSec) * 1000));
+}
+
+// Epoch seconds → ISO weekday in Europe/Kyiv (1 = Monday … 7 = Sunday), matching preset.days keys
+function kyivWeekdayFromEpoch(epochSec) {
+  const w = new Intl.DateTimeFormat('en-GB', { timeZone: KYIV_TZ, weekday: 'short' }).format(new Date(Number(epochSec) * 1000));
+  const map = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+  return map[w] || null;
+}
+
+// Shift a local calendar date "YYYY-MM-DD" by whole days
+function addDays(dateStr, n) {
+  const [Y, M, D] = dateStr.split('-').map(Number);
+  const d = new Date(Date.UTC(Y, M - 1, D + n));
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+}
+
+// Local calendar date "YYYY-MM-DD" → ISO weekday (1 = Monday … 7 = Sunday)
+function weekdayOfDate(dateStr) {
+  const [Y, M, D] = dateStr.split('-').map(Number);
+  return ((new Date(Date.UTC(Y, M - 1, D)).getUTCDay() + 6) % 7) + 1;
+}
+
+// CLI instant: "YYYY-MM-DDTHH:mm" (or with a space) is Europe/Kyiv wall time, anything else goes through Date;
+// empty → now, unparseable → null
+function parseKyivInstant(str) {
+  if (!str || str === true) return new Date();
+  const m = String(str).match(/^(\d{4}-\d{2}-\d{2})[T ](\d{1,2}:\d{2})$/);
+  if (m) return zonedTimeToUtc(m[1], m[2], KYIV_TZ);
+  const d = new Date(str);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Upstream update stamp "DD.MM.YYYY HH:mm" (Europe/Kyiv) → Date, or null when it does not parse
+function parseUpstreamStamp(str) {
+  if (!str || typeof str !== 'string') return null;
+  const m = str.trim().match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})\s+(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  return zonedTimeToUtc(`${m[3]}-${pad2(m[2])}-${pad2(m[1])}`, `${pad2(m[4])}:${m[5]}`, KYIV_TZ);
+}
+
+module.exports = {
+  KYIV_TZ,
+  pad2,
+  tzOffsetMinutes,
+  zonedTimeToUtc,
+  formatOffset,
+  formatKyivIso,
+  toKyivIso,
+  kyivDateFromEpoch,
+  kyivWeekdayFromEpoch,
+  addDays,
+  weekdayOfDate,
+  parseKyivInstant,
+  parseUpstreamStamp,
+};
@@ -1,14 +1,40 @@
 #!/usr/bin/env node
-// Extract list of regions from REGION_SOURCES_JSON secret
-// Usage: node scripts/list_regions.mjs
+// List region ids from config/regions.json merged with the REGION_SOURCES_JSON secret (see scripts/lib/regions.js)
+// Usage:
+//   node scripts/list_regions.mjs                              # enabled regions, JSON array for a GitHub Actions matrix
+//   node scripts/list_regions.mjs --all                        # include disabled regions
+//   node scripts/list_regions.mjs --disabled                   # only disabled regions
+//   node scripts/list_regions.mjs --adapter discon-schedule    # only regions using this source adapter
+//   node scripts/list_regions.mjs --with-url                   # only regions that have an upstream URL configured
+//   node scripts/list_regions.mjs --details                    # full entries (without URLs) instead of ids
 
-const regionsJson = process.env.REGION_SOURCES_JSON || '{}';
+import regionsLib from './lib/regions.js';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+const { loadRegions, filterRegions } = regionsLib;
+
+const args = parseScriptOptions({
+    script: 'scripts/list_regions.mjs',
+    summary: 'Region ids from config/regions.json merged with REGION_SOURCES_JSON, as a JSON array.',
+    options: {
+        all: { type: 'boolean', describe: 'Include disabled regions' },
+        disabled: { type: 'boolean', describe: 'Only disabled regions' },
+        adapter: { type: 'string', value: '<id>', describe: 'Only regions using this source adapter' },
+        'with-url': { type: 'boolean', describe: 'Only regions with an upstream URL' },
+        details: { type: 'boolean', describe: 'Full entries (without URLs) instead of ids' },
+    },
+});
 try {
-    const regions = JSON.parse(regionsJson);
-    const regionIds = Object.keys(regions);
-    // Output as JSON array for GitHub Actions matrix
-    console.log(JSON.stringify(regionIds));
+    const enabled = args.all ? undefined : !args.disabled;
+    let regions = filterRegions(loadRegions(), {
+        enabled,
+        adapter: args.adapter,
+    });
+    if (args['with-url']) regions = regions.filter(r => r.url);
+    // Output as JSON array for GitHub Actions matrix; URLs may come from secrets, so never print them
+    const out = args.details ? regions.map(({ url, ...rest }) => ({ ...rest, hasUrl: !!url })) : regions.map(r => r.id);
+    console.log(JSON.stringify(out));
 } catch (e) {
-    console.error('[ERROR] Failed to parse REGION_SOURCES_JSON:', e.message);
+    console.error('[ERROR] Failed to load regions:', e.message);
     process.exit(1);
 }
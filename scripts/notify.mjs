@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// POST schedule-change notifications to configured webhooks
+// Usage:
+//   node scripts/notify.mjs                                   # use config/notifiers.json (or NOTIFIERS_JSON env)
+//   node scripts/notify.mjs --config path/to/notifiers.json   # explicit config file
+//   node scripts/notify.mjs --region kyiv,odesa               # only these regions
+//   node scripts/notify.mjs --dry-run                         # print payloads instead of sending
+//   node scripts/notify.mjs --outputs dir --data dir          # other outputs/ and data/ folders
+//   node scripts/notify.mjs --help
+// Notes:
+// - Input: outputs/changes/<region>.json written by batch_parse.mjs, plus data/<region>.json for names.
+// - Sent notifications are remembered per endpoint and region in outputs/notify-state.json (by contentHash),
+//   so re-running on the same changes does not notify twice.
+// - Does not fail the process on delivery errors; prints a summary and exits 0 (2 on invalid config).
+
+import { readdir, readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { normalizeConfig, buildNotifications, sendNotification } from './lib/notifier.mjs';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, '..');
+
+const args = parseScriptOptions({
+  script: 'scripts/notify.mjs',
+  summary: 'POST schedule-change notifications to the configured webhooks.',
+  options: {
+    config: { type: 'string', default: 'config/notifiers.json', value: '<file>', describe: 'Notifier config (NOTIFIERS_JSON takes precedence)' },
+    region: { type: 'string', multiple: true, value: '<id>', describe: 'Only these regions' },
+    'dry-run': { type: 'boolean', describe: 'Print payloads instead of sending' },
+    outputs: { type: 'string', default: 'outputs', value: '<dir>', describe: 'Folder with changes/ and notify-state.json' },
+    data: { type: 'string', default: 'data', value: '<dir>', describe: 'Data folder (region names)' },
+  },
+});
+const onlyRegions = args.region || [];
+const dryRun = args['dry-run'] === true;
+
+const dataDir = path.resolve(projectRoot, args.data);
+const outputsDir = path.resolve(projectRoot, args.outputs);
+const changesDir = path.join(outputsDir, 'changes');
+const statePath = path.join(outputsDir, 'notify-state.json');
+const configPath = path.resolve(projectRoot, args.config);
+
+async function readJsonOrNull(p) {
+  try { return JSON.parse(await readFile(p, 'utf8')); } catch { return null; }
+}
+
+async function loadConfig() {
+  if (process.env.NOTIFIERS_JSON) return JSON.parse(process.env.NOTIFIERS_JSON);
+  return readJsonOrNull(configPath);
+}
+
+let config;
+try {
+  const raw = await loadConfig();
+  if (!raw) {
+    console.warn(`[WARN] No notifier config (NOTIFIERS_JSON or ${path.relative(projectRoot, configPath)}). Nothing to do.`);
+    process.exit(0);
+  }
+  config = normalizeConfig(raw);
+} catch (e) {
+  console.error(`[ERROR] Invalid notifier config: ${e?.message || e}`);
+  process.exit(2);
+}
+
+let changeFiles = [];
+try {
+  changeFiles = (await readdir(changesDir)).filter(f => f.endsWith('.json')).sort();
+} catch { }
+if (onlyRegions.length) changeFiles = changeFiles.filter(f => onlyRegions.includes(path.basename(f, '.json')));
+
+const state = (await readJsonOrNull(statePath)) || {};
+let sent = 0, skipped = 0, failed = 0;
+
+for (const f of changeFiles) {
+  const region = path.basename(f, '.json');
+  const diff = await readJsonOrNull(path.join(changesDir, f));
+  const json = await readJsonOrNull(path.join(dataDir, `${region}.json`));
+  if (!diff || !json) continue;
+
+  const hash = diff.contentHash?.to || null;
+  for (const { endpoint, body, groups } of buildNotifications(diff, json, config)) {
+    const key = `${endpoint.name}|${region}`;
+    if (hash && state[key] === hash) {
+      skipped++;
+      continue;
+    }
+    if (dryRun) {
+      console.log(`[DRY] ${endpoint.name} ← ${region} (${groups.join(', ')})\n${JSON.stringify(body, null, 2)}`);
+      continue;
+    }
+    const res = await sendNotification(endpoint, body);
+    if (res.ok) {
+      sent++;
+      if (hash) state[key] = hash;
+      console.log(`[OK] Notified ${endpoint.name} about ${region}: ${groups.join(', ')}`);
+    } else {
+      failed++;
+      console.warn(`[WARN] Notification to ${endpoint.name} for ${region} failed: ${res.status ?? res.error}`);
+    }
+  }
+}
+
+if (!dryRun) {
+  await mkdir(path.dirname(statePath), { recursive: true });
+  await writeFile(statePath, JSON.stringify(state, null, 2));
+}
+console.log(`[SUMMARY] Notifications sent: ${sent}, skipped (already sent): ${skipped}, failed: ${failed}`);
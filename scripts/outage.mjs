@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+// One entry point for the pipeline: `outage <command> [options]` (package.json "bin").
+// Usage:
+//   outage list-regions [--all] [--json]                       # registry entries (URLs never printed)
+//   outage fetch --region kyiv,odesa [--mode http] [--json]    # scripts/fetch_regions_playwright.mjs
+//   outage parse [--region kyiv] [--json]                      # scripts/batch_parse.mjs
+//   outage render [--region kyiv] [--format svg] [--json]      # scripts/batch_render.mjs or render_svg.mjs --all
+//   outage status [--region kyiv] [--json]                     # scripts/health_report.mjs
+//   outage run [--region kyiv] [--skip-render] [--json]        # fetch → parse → render (changed regions) → status
+//   outage <command> --help
+// Notes:
+// - Options are shared (scripts/lib/cli.mjs): --region is repeatable and takes comma lists, unknown regions and
+//   options are usage errors, --json prints one JSON document to stdout and sends all logs to stderr.
+// - Each step runs its script as a child process in the current directory, like `npm run fetch` etc.; the scripts
+//   keep working on their own. Results are read back from what the steps write (outputs/<region>.fetch.json,
+//   outputs/parse-status.json, the rendered list, the health report).
+// - `run` renders only the regions whose data changed in its parse step.
+// - Exit codes: 0 all good, 1 some region failed (fetch/parse error, failed image, health threshold breach),
+//   2 usage error, 3 a step could not run.
+
+import { readFile, readdir, mkdtemp, rm } from 'node:fs/promises';
+import { spawn } from 'node:child_process';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { EXIT, UsageError, parseOptions, formatHelp, selectRegions } from './lib/cli.mjs';
+import regionsLib from './lib/regions.js';
+import fetchStatus from './lib/fetch_status.js';
+import parseStatusLib from './lib/parse_status.js';
+
+const { loadRegions, filterRegions } = regionsLib;
+const { FETCH_OUTCOMES } = fetchStatus;
+const { parseStatusPath, readParseStatus } = parseStatusLib;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const cwd = process.cwd();
+
+const REGION = { type: 'string', multiple: true, short: 'r', value: '<id>', describe: 'Only these regions (default: all enabled)' };
+const JSON_OUT = { type: 'boolean', describe: 'Print a JSON result to stdout, logs to stderr' };
+const FETCH_OPTIONS = {
+  mode: { type: 'string', choices: ['auto', 'http', 'browser'], value: '<mode>', describe: 'Plain HTTP with a browser fallback, or only one of them (FETCH_MODE)' },
+  concurrency: { type: 'integer', value: '<n>', describe: 'Regions fetched at the same time (FETCH_CONCURRENCY)' },
+  deadline: { type: 'integer', value: '<seconds>', describe: 'Stop waiting for unfinished regions after this long (FETCH_DEADLINE_MS)' },
+};
+const RENDER_OPTIONS = {
+  format: { type: 'string', choices: ['png', 'svg'], default: 'png', value: '<format>', describe: 'PNG through the browser or SVG without it' },
+  theme: { type: 'string', choices: ['light', 'dark'], value: '<theme>', describe: 'Colour theme' },
+  lang: { type: 'string', multiple: true, value: '<lang>', describe: 'Image languages (templates/i18n)' },
+  'stale-banner': { type: 'boolean', describe: 'Mark regions past their freshness thresholds' },
+};
+
+const COMMANDS = {
+  'list-regions': {
+    summary: 'List regions from config/regions.json merged with REGION_SOURCES_JSON.',
+    options: {
+      all: { type: 'boolean', describe: 'Include disabled regions' },
+      disabled: { type: 'boolean', describe: 'Only disabled regions' },
+      adapter: { type: 'string', value: '<id>', describe: 'Only regions using this source adapter' },
+      'with-url': { type: 'boolean', describe: 'Only regions with an upstream URL' },
+      json: JSON_OUT,
+    },
+    run: listRegions,
+  },
+  fetch: {
+    summary: 'Fetch upstream pages into outputs/<region>.html and outputs/<region>.fetch.json.',
+    options: { region: REGION, ...FETCH_OPTIONS, json: JSON_OUT },
+    run: fetchCommand,
+  },
+  parse: {
+    summary: 'Parse fetched pages into data/<region>.json (default: every page or fetch result in outputs/).',
+    options: { region: REGION, json: JSON_OUT },
+    run: parseCommand,
+  },
+  render: {
+    summary: 'Render images for data/<region>.json into images/<region>/.',
+    options: {
+      region: REGION,
+      ...RENDER_OPTIONS,
+      scale: { type: 'string', value: '<factor>', describe: 'PNG device scale factor (up to 4)' },
+      force: { type: 'boolean', describe: 'Ignore the render cache' },
+      json: JSON_OUT,
+    },
+    run: renderCommand,
+  },
+  status: {
+    summary: 'Data freshness and pipeline health; writes outputs/status.json.',
+    options: {
+      region: REGION,
+      at: { type: 'string', value: '<time>', describe: 'Measure ages at this instant (Europe/Kyiv wall time or ISO)' },
+      out: { type: 'string', value: '<file>', describe: 'Report file (default outputs/status.json)' },
+      json: JSON_OUT,
+    },
+    run: statusCommand,
+  },
+  run: {
+    summary: 'The whole pipeline: fetch, parse, render (changed regions only) and status.',
+    options: {
+      region: REGION,
+      ...FETCH_OPTIONS,
+      ...RENDER_OPTIONS,
+      'skip-render': { type: 'boolean', describe: 'Do not render images' },
+      json: JSON_OUT,
+    },
+    run: runCommand,
+  },
+};
+
+function commandHelp(name) {
+  return formatHelp({ usage: `outage ${name} [options]`, summary: COMMANDS[name].summary, options: COMMANDS[name].options });
+}
+
+function mainHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map(n => n.length));
+  return [
+    'Usage: outage <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, c]) => `  ${name.padEnd(width)}  ${c.summary}`),
+    '',
+    "Run 'outage <command> --help' for the options of a command.",
+    'Exit codes: 0 ok, 1 a region failed, 2 usage error, 3 a step could not run.',
+    '',
+  ].join('\n');
+}
+
+// With --json stdout carries only the result
+let log = console.log;
+
+function worst(...codes) {
+  return Math.max(EXIT.OK, ...codes);
+}
+
+/**
+ * Run a pipeline script; its stdout goes to our stderr under --json.
+ * @returns {Promise<{ code: number|null, stdout: string }>} stdout only when `capture` is set
+ */
+function runScript(script, args, { env = {}, json = false, capture = false } = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(__dirname, script), ...args], {
+      cwd,
+      env: { ...process.env, ...env },
+      stdio: ['ignore', capture ? 'pipe' : (json ? 2 : 'inherit'), 'inherit'],
+    });
+    let stdout = '';
+    child.stdout?.on('data', (d) => { stdout += d; });
+    child.on('error', (e) => {
+      console.error(`[ERROR] ${script}: ${e.message}`);
+      resolve({ code: null, stdout });
+    });
+    child.on('close', (code) => resolve({ code, stdout }));
+  });
+}
+
+async function readJsonOrNull(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// A result written by this run, not left over from an earlier one
+const fresh = (at, since) => typeof at === 'string' && Date.parse(at) >= since;
+
+function loadRegistry() {
+  try {
+    return loadRegions();
+  } catch (e) {
+    throw Object.assign(new Error(e.message), { exitCode: EXIT.CRASHED });
+  }
+}
+
+async function listRegions(opts) {
+  const enabled = opts.all ? undefined : !opts.disabled;
+  let regions = filterRegions(loadRegistry(), { enabled, adapter: opts.adapter });
+  if (opts['with-url']) regions = regions.filter(r => r.url);
+  // URLs may come from secrets, so never print them
+  const entries = regions.map(({ url, ...rest }) => ({ ...rest, hasUrl: Boolean(url) }));
+  if (!opts.json) {
+    const width = Math.max(0, ...entries.map(r => r.id.length));
+    for (const r of entries) {
+      log(`${r.id.padEnd(width)}  ${r.name}  [${r.adapter}]${r.enabled ? '' : ' disabled'}${r.hasUrl ? '' : ' (no URL)'}`);
+    }
+  }
+  return { code: EXIT.OK, result: { regions: entries } };
+}
+
+async function fetchCommand(opts) {
+  const registry = loadRegistry();
+  const explicit = Boolean(opts.region?.length);
+  const selected = selectRegions(registry, opts.region);
+  const targets = explicit ? selected : selected.filter(r => r.url);
+  if (!targets.length) {
+    console.warn('[WARN] No region has an upstream URL (REGION_SOURCES_JSON); nothing to fetch');
+    return { code: EXIT.FAILED, result: { regions: [] } };
+  }
+  const env = { REGION: targets.map(r => r.id).join(',') };
+  if (opts.mode) env.FETCH_MODE = opts.mode;
+  if (opts.concurrency !== undefined) env.FETCH_CONCURRENCY = String(opts.concurrency);
+  if (opts.deadline !== undefined) env.FETCH_DEADLINE_MS = String(opts.deadline * 1000);
+
+  const since = Date.now();
+  const { code } = await runScript('fetch_regions_playwright.mjs', [], { env, json: opts.json });
+  const regions = [];
+  for (const r of targets) {
+    const res = await readJsonOrNull(path.join(cwd, 'outputs', `${r.id}.fetch.json`));
+    if (!r.url) regions.push({ id: r.id, ok: false, outcome: null, code: null, message: 'No URL configured' });
+    else if (!res || !fresh(res.at, since)) regions.push({ id: r.id, ok: false, outcome: null, code: null, message: 'No fetch result' });
+    else regions.push({ id: r.id, ok: res.ok, outcome: res.outcome, code: res.code, mode: res.mode ?? null, attempts: res.attempts, message: res.message });
+  }
+  const failed = regions.filter(r => !r.ok);
+  log(`[SUMMARY] fetch: ${regions.length - failed.length} ok, ${failed.length} failed${failed.length ? ` (${failed.map(r => `${r.id}: ${r.outcome ? FETCH_OUTCOMES[r.outcome].label : r.message}`).join('; ')})` : ''}`);
+  return { code: code === 0 ? (failed.length ? EXIT.FAILED : EXIT.OK) : EXIT.CRASHED, result: { regions } };
+}
+
+// Regions batch_parse.mjs would pick up: every page or fetch result in outputs/
+async function outputStems() {
+  try {
+    const names = await readdir(path.join(cwd, 'outputs'));
+    return [...new Set(names.map(n => n.match(/^(.+?)(?:\.html|\.fetch\.json)$/i)?.[1]).filter(Boolean))].sort();
+  } catch {
+    return [];
+  }
+}
+
+async function parseCommand(opts) {
+  const ids = opts.region?.length ? selectRegions(loadRegistry(), opts.region).map(r => r.id) : await outputStems();
+  if (!ids.length) {
+    console.warn('[WARN] No HTML files or fetch results in outputs/; nothing to parse');
+    return { code: EXIT.FAILED, result: { regions: [] } };
+  }
+  const since = Date.now();
+  const { code } = await runScript('batch_parse.mjs', [], { env: { REGION: ids.join(',') }, json: opts.json });
+  const runs = readParseStatus(parseStatusPath(path.join(cwd, 'data'))).regions;
+  const regions = [];
+  for (const id of ids) {
+    const run = runs[id];
+    if (!run || !fresh(run.at, since)) {
+      regions.push({ id, ok: false, code: null, message: 'Not parsed', changed: false });
+    } else {
+      regions.push({ id, ok: run.ok === true, code: run.code, message: run.message ?? null, changed: run.changed === true, contentHash: run.contentHash ?? null });
+    }
+  }
+  const failed = regions.filter(r => !r.ok);
+  const changed = regions.filter(r => r.changed).map(r => r.id);
+  log(`[SUMMARY] parse: ${regions.length - failed.length} ok, ${failed.length} failed${failed.length ? ` (${failed.map(r => `${r.id}: ${r.code != null ? `${r.code} ` : ''}${r.message}`).join('; ')})` : ''}, changed: ${changed.join(', ') || 'none'}`);
+  return { code: code === 0 ? (failed.length ? EXIT.FAILED : EXIT.OK) : EXIT.CRASHED, result: { regions } };
+}
+
+async function renderCommand(opts) {
+  const ids = opts.region?.length ? selectRegions(loadRegistry(), opts.region).map(r => r.id) : [];
+  const args = [];
+  if (ids.length) args.push('--region', ids.join(','));
+  if (opts.theme) args.push('--theme', opts.theme);
+  if (opts.lang?.length) args.push('--lang', opts.lang.join(','));
+  if (opts['stale-banner']) args.push('--stale-banner');
+
+  if (opts.format === 'svg') {
+    const { code } = await runScript('render_svg.mjs', ['--all', ...args], { json: opts.json });
+    return { code: code === 0 ? EXIT.OK : code === 1 ? EXIT.FAILED : EXIT.CRASHED, result: { format: 'svg', rendered: null } };
+  }
+
+  if (opts.scale) args.push('--scale', opts.scale);
+  if (opts.force) args.push('--force');
+  const tmp = await mkdtemp(path.join(os.tmpdir(), 'outage-render-'));
+  try {
+    const list = path.join(tmp, 'rendered.txt');
+    const { code } = await runScript('batch_render.mjs', [...args, '--rendered-list', list], { json: opts.json });
+    const rendered = ((await readFile(list, 'utf8').catch(() => '')).split('\n').filter(Boolean));
+    return { code: code === 0 ? EXIT.OK : code === 1 ? EXIT.FAILED : EXIT.CRASHED, result: { format: 'png', rendered } };
+  } finally {
+    await rm(tmp, { recursive: true, force: true });
+  }
+}
+
+async function statusCommand(opts) {
+  const ids = opts.region?.length ? selectRegions(loadRegistry(), opts.region).map(r => r.id) : [];
+  const args = ['--json', '--data', path.join(cwd, 'data'), '--status', parseStatusPath(path.join(cwd, 'data')), '--out', opts.out || path.join(cwd, 'outputs', 'status.json')];
+  if (ids.length) args.push('--region', ids.join(','));
+  if (opts.at) args.push('--at', opts.at);
+  const { code, stdout } = await runScript('health_report.mjs', args, { capture: true });
+  let report = null;
+  try {
+    report = JSON.parse(stdout);
+  } catch { /* no report: usage error or crash, already logged by the script */ }
+  if (code === 2) throw new UsageError('Invalid status options');
+  if (!report) return { code: EXIT.CRASHED, result: { report: null } };
+  return { code: code === 0 ? EXIT.OK : EXIT.FAILED, result: { report } };
+}
+
+async function runCommand(opts) {
+  const steps = {};
+  let code = EXIT.OK;
+  const step = async (name, fn) => {
+    log(`[INFO] === ${name} ===`);
+    const res = await fn();
+    steps[name] = { exitCode: res.code, ...res.result };
+    code = worst(code, res.code);
+    return res.code !== EXIT.CRASHED;
+  };
+  // Parse and status follow the fetched regions, render the changed ones; a step that could not run stops the pipeline
+  const fetched = await step('fetch', () => fetchCommand(opts));
+  const region = opts.region?.length ? opts.region : steps.fetch.regions.map(r => r.id);
+  const render = async () => {
+    const changed = steps.parse.regions.filter(r => r.changed).map(r => r.id);
+    if (opts['skip-render']) return true;
+    if (!changed.length) {
+      log('[INFO] No schedule changed; nothing to render');
+      return true;
+    }
+    return step('render', () => renderCommand({ ...opts, region: changed }));
+  };
+  const ok = fetched && region.length > 0
+    && await step('parse', () => parseCommand({ ...opts, region }))
+    && await render()
+    && await step('status', () => statusCommand({ ...opts, region, at: undefined, out: undefined }));
+  if (!ok) console.warn(`[WARN] Pipeline stopped after ${Object.keys(steps).at(-1)}: ${region.length ? 'the step could not run' : 'no regions to process'}`);
+  return { code, result: { steps } };
+}
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    const topic = name === 'help' ? rest[0] : null;
+    if (topic && COMMANDS[topic]) process.stdout.write(commandHelp(topic));
+    else if (topic) throw new UsageError(`Unknown command '${topic}'`);
+    else (name ? process.stdout : process.stderr).write(mainHelp());
+    return name ? EXIT.OK : EXIT.USAGE;
+  }
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(`Unknown command '${name}' (known: ${Object.keys(COMMANDS).join(', ')})`);
+  const opts = parseOptions(rest, command.options);
+  if (opts.help) {
+    process.stdout.write(commandHelp(name));
+    return EXIT.OK;
+  }
+  if (opts.json) log = console.error;
+  const { code, result } = await command.run(opts);
+  if (opts.json) process.stdout.write(`${JSON.stringify({ command: name, ok: code === EXIT.OK, exitCode: code, ...result }, null, 2)}\n`);
+  return code;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => process.exit(code),
+  (e) => {
+    if (e instanceof UsageError) {
+      console.error(`[ERROR] ${e.message}. See 'outage ${COMMANDS[process.argv[2]] ? `${process.argv[2]} ` : ''}--help'.`);
+      process.exit(EXIT.USAGE);
+    }
+    console.error(`[ERROR] ${e?.message || e}`);
+    process.exit(e?.exitCode ?? EXIT.CRASHED);
+  },
+);
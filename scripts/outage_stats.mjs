@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+// Outage statistics per group from data/<region>.json plus the history/ archive
+// Usage:
+//   node scripts/outage_stats.mjs --region kyiv                                  # JSON report to stdout
+//   node scripts/outage_stats.mjs --region kyiv --gpv GPV4.2,GPV1.1 --from 2025-12-01 --to 2025-12-07
+//   node scripts/outage_stats.mjs --region kyiv --format csv --out stats/kyiv.csv
+//   node scripts/outage_stats.mjs --region kyiv --chart images/kyiv/stats-week.png [--period week|month|day] [--at 2025-12-06]
+//                                                                                [--theme dark] [--lang en] [--scale 2]
+//   node scripts/outage_stats.mjs --region kyiv --json path/to/kyiv.json --history path/to/history
+// Notes:
+// - Per day, ISO week and month: hours off / possible / on, the longest continuous outage, on/off switches and
+//   fairness across groups (see scripts/lib/stats.mjs). --gpv limits the groups (and the fairness comparison).
+// - --chart renders templates/html/stats-template.html for one period (default: the latest week) through the
+//   same renderer as the schedule images and writes the text alternative (.txt / .alt.json) next to it.
+
+import { mkdtemp, readFile, writeFile, mkdir, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readSnapshots } from './lib/history.mjs';
+import { buildStats, statsToCsv, chartData, describeChart, PERIODS } from './lib/stats.mjs';
+import { parseLangs, LANGS } from './lib/i18n.mjs';
+import { writeAltFiles } from './lib/alt_text.mjs';
+import regionsLib from './lib/regions.js';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+const { getRegion, regionName } = regionsLib;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, '..');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function usage(message) {
+  console.error(`[ERROR] ${message}. See 'node scripts/outage_stats.mjs --help'.`);
+  process.exit(2);
+}
+
+const args = parseScriptOptions({
+  script: 'scripts/outage_stats.mjs',
+  summary: 'Outage statistics per group from data/<region>.json plus the history/ archive.',
+  options: {
+    region: { type: 'string', required: true, value: '<id>', describe: 'Region id' },
+    gpv: { type: 'string', multiple: true, value: '<GPVx.y>', describe: 'Only these groups (and the fairness comparison among them)' },
+    from: { type: 'string', value: '<YYYY-MM-DD>', describe: 'First day' },
+    to: { type: 'string', value: '<YYYY-MM-DD>', describe: 'Last day' },
+    format: { type: 'string', choices: ['json', 'csv'], default: 'json', value: '<format>', describe: 'Report format' },
+    out: { type: 'string', value: '<file>', describe: 'Write the report to this file instead of stdout' },
+    chart: { type: 'string', value: '<file.png>', describe: 'Render a chart of one period instead' },
+    period: { type: 'string', choices: PERIODS, default: 'week', value: '<period>', describe: 'Chart period' },
+    at: { type: 'string', value: '<YYYY-MM-DD>', describe: 'Chart the period containing this day (default: the latest)' },
+    theme: { type: 'string', choices: ['light', 'dark'], default: 'light', value: '<theme>', describe: 'Chart colour theme' },
+    lang: { type: 'string', value: '<lang>', describe: `Chart language (one of ${LANGS.join(', ')})` },
+    scale: { type: 'string', value: '<factor>', describe: 'Chart device scale factor (up to 4)' },
+    json: { type: 'string', value: '<file>', describe: 'Data file (default data/<region>.json)' },
+    history: { type: 'string', value: '<dir>', describe: 'History archive (default history/)' },
+  },
+});
+const regionId = path.basename(args.region);
+const { format, period } = args;
+for (const k of ['from', 'to', 'at']) {
+  if (args[k] !== undefined && !DATE_RE.test(args[k])) usage(`--${k} expects YYYY-MM-DD`);
+}
+const { langs, unknown: unknownLangs } = parseLangs(args.lang);
+if (unknownLangs.length || langs.length !== 1) usage(`--lang takes one of: ${LANGS.join(', ')}`);
+const lang = langs[0];
+const groups = args.gpv?.length ? args.gpv : null;
+
+const jsonPath = path.resolve(args.json ?? path.join(projectRoot, 'data', `${regionId}.json`));
+const historyDir = path.resolve(args.history ?? path.join(projectRoot, 'history'));
+
+async function renderChart(chart, outPath) {
+  const { startStaticServer, createBrowser, renderPage } = await import('./lib/renderer.mjs');
+  const localRegionName = regionName(getRegion(regionId, { env: {} }), lang);
+  const workDir = await mkdtemp(path.join(os.tmpdir(), 'outage-stats-'));
+  let server, baseURL, browser;
+  try {
+    const chartJson = path.join(workDir, 'stats.json');
+    await writeFile(chartJson, JSON.stringify(chart));
+    await mkdir(path.dirname(outPath), { recursive: true });
+    ({ server, baseURL } = await startStaticServer(projectRoot));
+    browser = await createBrowser();
+    const scale = Number(args.scale);
+    const { width, height } = await renderPage({
+      browser,
+      baseURL,
+      htmlPath: path.join(projectRoot, 'templates', 'html', 'stats-template.html'),
+      jsonPath: chartJson,
+      outPath,
+      theme: args.theme,
+      deviceScaleFactor: Number.isFinite(scale) && scale > 0 ? Math.min(scale, 4) : 1.5,
+      projectRoot,
+      lang,
+      regionName: localRegionName,
+    });
+    console.error(`[OK] Saved PNG: ${outPath} (${width}x${height})`);
+    await writeAltFiles(outPath, describeChart(chart, { lang, regionName: localRegionName }));
+  } finally {
+    if (browser) await browser.close();
+    if (server) server.close();
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+(async () => {
+  let json;
+  try {
+    json = JSON.parse(await readFile(jsonPath, 'utf8'));
+  } catch (e) {
+    console.error(`[ERROR] Cannot read ${jsonPath}: ${e?.message || e}`);
+    process.exit(1);
+  }
+  // Capture dates are not filtered by --from: a snapshot taken the day before still holds that day's row
+  const snapshots = await readSnapshots(historyDir, regionId, { to: args.to || null });
+  const report = buildStats(json, { snapshots, from: args.from || null, to: args.to || null, groups, regionId });
+  console.error(`[INFO] ${regionId}: ${report.groups.length} groups, ${report.from || '—'} … ${report.to || '—'}, ${snapshots.length} archived snapshot(s)`);
+
+  if (args.chart) {
+    const chart = chartData(report, { period, at: args.at || null, lang, preset: json.preset, regionAffiliation: json.regionAffiliation || null });
+    if (!chart) {
+      console.error(`[ERROR] No ${period} period${args.at ? ` containing ${args.at}` : ''} in the data`);
+      process.exit(1);
+    }
+    await renderChart(chart, path.resolve(args.chart));
+    return;
+  }
+
+  const text = format === 'csv' ? statsToCsv(report) : `${JSON.stringify(report, null, 2)}\n`;
+  if (args.out) {
+    await mkdir(path.dirname(path.resolve(args.out)), { recursive: true });
+    await writeFile(path.resolve(args.out), text);
+    console.error(`[OK] Saved ${format.toUpperCase()}: ${args.out}`);
+  } else {
+    process.stdout.write(text);
+  }
+})().catch(e => {
+  console.error(`[ERROR] ${e?.message || e}`);
+  process.exit(1);
+});
@@ -1,20 +1,52 @@
 #!/usr/bin/env node
 /**
- * Extracts `DisconSchedule.fact = {...}` and `DisconSchedule.preset = {...}` from an HTML file
- * and writes them verbatim to data/<region>.json with top-level `fact` and `preset` fields.
+ * Extracts the schedule (`fact` and `preset`) from a fetched upstream page and writes it to data/<region>.json.
+ * How the page is read is delegated to a source adapter (scripts/adapters/); the default one handles pages with
+ * `DisconSchedule.fact = {...}` / `DisconSchedule.preset = {...}` and stores them verbatim.
  *
  * Usage:
- *   node scripts/parse_fact.js --region <id> --in outputs/<region>.html --out data/<region>.json [--pretty]
+ *   node scripts/parse_fact.js --region <id> --in outputs/<region>.html --out data/<region>.json [--adapter <id>] [--pretty]
+ *                              [--fetch outputs/<region>.fetch.json] [--status outputs/parse-status.json]
  *
  * Notes:
  * - The script is defensive: it never overwrites the output with invalid/empty data.
- * - It attempts JSON.parse first; if that fails (JS literal), it falls back to a safe eval via Function().
- * - Output schema is defined by templates/json/data.json. Meta is minimal per requirements.
+ * - --adapter picks the adapter by id (see scripts/adapters/index.js); without it, or with "auto", the first adapter
+ *   whose detect() accepts the page is used.
+ * - The DisconSchedule adapter attempts JSON.parse first; if that fails (JS literal), it falls back to
+ *   lib/js_literal.js, which parses object literals (unquoted keys, single quotes, trailing commas, comments)
+ *   without executing any code. The method used is recorded in lastUpdateStatus.message.
+ * - Output schema is defined by templates/json/data.schema.json (example: templates/json/data.json). The assembled
+ *   object is validated before writing; failures go through updateStatusOnError (422) with the failing JSON paths.
+ * - Alongside the raw blobs it writes `normalized`: merged outage intervals per group and day (ISO-8601,
+ *   Europe/Kyiv) plus possible-outage intervals from the weekly preset. See scripts/lib/intervals.js.
+ * - The fetcher's result (outputs/<region>.fetch.json, or --fetch) is folded into lastUpdateStatus: a failed fetch
+ *   is recorded with its own code and message (403 WAF, 408 timeout, 424 no markers, 502 HTTP error, 503 network
+ *   error; see lib/fetch_status.js) and the previous page is not parsed again. Without a result the page itself is
+ *   classified: a challenge/placeholder page gives 403, a full-size page without markers 424, markers that no
+ *   longer parse 422.
+ * - lastUpdateStatus keeps the run bookkeeping read by scripts/health_report.mjs: `attempt` counts runs since the
+ *   last successful parse (1 = this run succeeded), `failures` the consecutive failed runs, `lastSuccessAt` the
+ *   time of the last successful parse and `recent` the codes of the last RECENT_RUNS runs ("waf" for 403), oldest
+ *   first.
+ * - Every run is recorded in the parse status file (--status, default <data>/../outputs/parse-status.json; see
+ *   lib/parse_status.js) together with whether the content changed. The output is only rewritten when it changes
+ *   (meta.contentHash or anything else taken from the page), so `lastUpdated` is the time of the last change and
+ *   an unchanged schedule leaves the file as it was. A failed run never touches an existing output.
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { buildNormalized } = require('./lib/intervals');
+const { validate, formatErrors, dataSchemaVersion } = require('./lib/schema');
+const { getAdapter, selectAdapter } = require('./adapters');
+const { getRegion } = require('./lib/regions');
+const {
+  FETCH_OUTCOMES, DEFAULT_MIN_BYTES, classifyPage, fetchResultPath, readFetchResult, describeFetchFailure,
+} = require('./lib/fetch_status');
+const { parseStatusPath, readParseStatus, writeRegionStatus } = require('./lib/parse_status');
+
+const RECENT_RUNS = 96;
 
 function parseArgs(argv) {
   const args = {};
@@ -24,6 +56,9 @@ function parseArgs(argv) {
     else if (a === '--in') args.input = argv[++i];
     else if (a === '--out') args.output = argv[++i];
     else if (a === '--upstream') args.upstream = argv[++i];
+    else if (a === '--adapter') args.adapter = argv[++i];
+    else if (a === '--fetch') args.fetch = argv[++i];
+    else if (a === '--status') args.status = argv[++i];
     else if (a === '--pretty') args.pretty = true;
   }
   return args;
@@ -49,52 +84,6 @@ function sha256(data) {
   return crypto.createHash('sha256').update(data).digest('hex');
 }
 
-function extractDisconObject(html, key) {
-  const marker = `DisconSchedule.${key} =`;
-  const idx = html.indexOf(marker);
-  if (idx === -1) {
-    return { error: `Marker \`DisconSchedule.${key} =\` not found` };
-  }
-  let i = idx + marker.length;
-  // Skip whitespace
-  while (i < html.length && /\s/.test(html[i])) i++;
-  const opener = html[i];
-  if (opener !== '{' && opener !== '[') {
-    return { error: `Expected '{' or '[' after \`DisconSchedule.${key} =\`` };
-  }
-  // Extract balanced braces/brackets, counting both types
-  let depthCurly = 0;
-  let depthSquare = 0;
-  let start = i;
-  for (; i < html.length; i++) {
-    const ch = html[i];
-    if (ch === '{') depthCurly++;
-    else if (ch === '}') depthCurly--;
-    else if (ch === '[') depthSquare++;
-    else if (ch === ']') depthSquare--;
-    if (depthCurly === 0 && depthSquare === 0) {
-      const jsonLike = html.slice(start, i + 1);
-      return { jsonLike, startIndex: start, endIndex: i + 1 };
-    }
-  }
-  return { error: `Unbalanced braces while extracting ${key} object` };
-}
-
-function tryParseObject(text) {
-  // First, try strict JSON
-  try {
-    return { value: JSON.parse(text), method: 'json' };
-  } catch (_) {}
-  // Fallback: attempt to evaluate as JS object literal safely.
-  try {
-    // Wrap in parentheses to form an expression
-    const val = Function('"use strict"; return (' + text + ');')();
-    return { value: val, method: 'eval' };
-  } catch (e) {
-    return { error: 'Failed to parse object: ' + e.message };
-  }
-}
-
 function loadExisting(file) {
   try {
     return JSON.parse(fs.readFileSync(file, 'utf8'));
@@ -116,9 +105,10 @@ function loadTemplateBase(regionId) {
       lastUpdated: null,
       fact: null,
       preset: null,
-      lastUpdateStatus: { status: 'idle', ok: true, code: null, message: null, at: null, attempt: 0 },
+      normalized: null,
+      lastUpdateStatus: { status: 'idle', ok: true, code: null, message: null, at: null, attempt: 0, failures: 0, lastSuccessAt: null, recent: [] },
       meta: {
-        schemaVersion: '1.0.0',
+        schemaVersion: dataSchemaVersion(),
         contentHash: null
       }
     };
@@ -128,109 +118,78 @@ function loadTemplateBase(regionId) {
   return template;
 }
 
-function updateStatusOnError(existingObj, regionId, _upstream, code, message) {
-  const now = isoNow();
-  const base = existingObj || loadTemplateBase(regionId);
-  // preserve fact/preset and lastUpdated as-is; only update status/meta fields
-  const prevAttempt = (base.lastUpdateStatus && typeof base.lastUpdateStatus.attempt === 'number') ? base.lastUpdateStatus.attempt : 0;
-  base.lastUpdateStatus = {
-    status: 'error',
-    ok: false,
-    code: code,
-    message: message,
-    at: now,
-    attempt: prevAttempt + 1,
-  };
-  // meta remains minimal per new schema
-  if (base.meta && typeof base.meta === 'object') {
-    base.meta.schemaVersion = base.meta.schemaVersion || '1.0.0';
+function loadRegionOrNull(regionId) {
+  try {
+    return getRegion(regionId);
+  } catch (e) {
+    console.error('[WARN] Region registry unavailable: ' + e.message);
+    return null;
   }
-  return base;
 }
 
-function isObject(x) { return x && typeof x === 'object' && !Array.isArray(x); }
-
-function pad2(n) { return String(n).padStart(2, '0'); }
-
-function tzOffsetMinutes(utcTs, timeZone) {
-  const dtf = new Intl.DateTimeFormat('en-US', {
-    timeZone,
-    hour12: false,
-    year: 'numeric', month: '2-digit', day: '2-digit',
-    hour: '2-digit', minute: '2-digit', second: '2-digit'
-  });
-  const parts = dtf.formatToParts(new Date(utcTs));
-  const map = Object.fromEntries(parts.map(p => [p.type, p.value]));
-  const asUTC = Date.UTC(parseInt(map.year), parseInt(map.month) - 1, parseInt(map.day), parseInt(map.hour), parseInt(map.minute), parseInt(map.second));
-  // Difference between local wall clock expressed as UTC and the actual UTC instant gives offset
-  return (asUTC - utcTs) / 60000;
-}
-
-function zonedTimeToUtc(dateStr, timeStr, timeZone) {
-  const [Y, M, D] = dateStr.split('-').map(Number);
-  const [h, m] = timeStr.split(':').map(Number);
-  // Initial guess: UTC timestamp with same components
-  let ts = Date.UTC(Y, (M || 1) - 1, D || 1, h || 0, m || 0, 0);
-  // Compute offset for this instant, then adjust to get the UTC instant corresponding to the given local wall time
-  const off = tzOffsetMinutes(ts, timeZone);
-  ts = ts - off * 60000;
-  return new Date(ts);
+/**
+ * lastUpdateStatus for this run, carrying the counters over from the previous one.
+ * Files written before the counters existed: a previous successful status still tells when the last success was.
+ */
+function nextStatus(prev, { ok, code, message, at }) {
+  const p = prev || {};
+  const prevFailures = Number.isInteger(p.failures) ? p.failures : 0;
+  const prevAttempt = typeof p.attempt === 'number' ? p.attempt : 0;
+  const lastSuccessAt = ok ? at : (p.lastSuccessAt !== undefined ? p.lastSuccessAt : (p.status === 'parsed' && p.at) || null);
+  return {
+    status: ok ? 'parsed' : 'error',
+    ok,
+    code,
+    message,
+    at,
+    attempt: ok ? 1 : prevAttempt + 1,
+    failures: ok ? 0 : prevFailures + 1,
+    lastSuccessAt,
+    recent: [...(Array.isArray(p.recent) ? p.recent : []), code === FETCH_OUTCOMES.waf.code ? 'waf' : String(code)].slice(-RECENT_RUNS),
+  };
 }
 
-function formatOffset(totalMinutes) {
-  const sign = totalMinutes >= 0 ? '+' : '-';
-  const a = Math.abs(totalMinutes);
-  const hh = pad2(Math.floor(a / 60));
-  const mm = pad2(a % 60);
-  return `${sign}${hh}:${mm}`;
+function statusFileOf(args) {
+  return args.status || parseStatusPath(path.dirname(path.resolve(args.output)));
 }
 
-function toKyivIso(dateStr, timeStr) {
-  const tz = 'Europe/Kyiv';
-  const utcDate = zonedTimeToUtc(dateStr, timeStr, tz);
-  const off = tzOffsetMinutes(utcDate.getTime(), tz);
-  const [Y, M, D] = [utcDate.getUTCFullYear(), pad2(utcDate.getUTCMonth() + 1), pad2(utcDate.getUTCDate())];
-  const [h, m, s] = [pad2(utcDate.getUTCHours()), pad2(utcDate.getUTCMinutes()), pad2(utcDate.getUTCSeconds())];
-  const offsetStr = formatOffset(off);
-  return `${Y}-${M}-${D}T${h}:${m}:${s}${offsetStr}`;
+// Parse status of the previous run; files written before the status file existed carry it in lastUpdateStatus
+function previousRun(args, existing) {
+  const entry = readParseStatus(statusFileOf(args)).regions[args.region];
+  return {
+    status: entry || (existing && existing.lastUpdateStatus) || null,
+    changedAt: entry ? entry.changedAt : (existing && existing.lastUpdated) || null,
+  };
 }
 
-function extractGroupsWithIso(data) {
-  // Keep only keys that look like group identifiers (e.g., GPV1.1, GPV4.1)
-  const out = {};
-  if (!isObject(data)) return null;
-  const keys = Object.keys(data);
-  const groupKeyRe = /^[A-ZА-Я]{2,}\d+\.\d+$/i; // broad match
-  for (const k of keys) {
-    const v = data[k];
-    if (!groupKeyRe.test(k)) continue;
-    if (!Array.isArray(v)) { out[k] = v; continue; }
-    // Try to map entries with date/start/end into ISO tuples
-    const items = [];
-    for (const entry of v) {
-      if (isObject(entry)) {
-        const date = entry.date || entry.day || entry.d || null;
-        let start = entry.start || entry.from || entry.begin || entry.s || null;
-        let end = entry.end || entry.to || entry.finish || entry.e || null;
-        const timeRe = /^\d{1,2}:\d{2}$/;
-        if (date && start && end && timeRe.test(start) && timeRe.test(end)) {
-          // Normalize HH:mm
-          if (start.length === 4) start = '0' + start;
-          if (end.length === 4) end = '0' + end;
-          try {
-            const startISO = toKyivIso(String(date), String(start));
-            const endISO = toKyivIso(String(date), String(end));
-            items.push({ date: String(date), startLocal: startISO, endLocal: endISO });
-            continue;
-          } catch (_) {}
-        }
-      }
-      // Fallback: keep raw entry if we couldn't normalize
-      items.push(entry);
+/**
+ * Record a failed run in the parse status. An existing output keeps its fact/preset untouched; without one a
+ * placeholder (fact/preset null) is written so that the region still has a data file.
+ */
+function recordError(args, code, message) {
+  const now = isoNow();
+  const existing = loadExisting(args.output);
+  const prev = previousRun(args, existing);
+  const status = nextStatus(prev.status, { ok: false, code, message, at: now });
+  writeRegionStatus(statusFileOf(args), args.region, {
+    ...status,
+    contentHash: (existing && existing.meta && existing.meta.contentHash) || null,
+    changed: false,
+    changedAt: prev.changedAt,
+  });
+  if (!existing) {
+    const base = loadTemplateBase(args.region);
+    base.lastUpdateStatus = status;
+    if (base.meta && typeof base.meta === 'object') {
+      base.meta.schemaVersion = base.meta.schemaVersion || dataSchemaVersion();
     }
-    out[k] = items;
+    writeFileAtomic(args.output, args.pretty ? JSON.stringify(base, null, 2) : JSON.stringify(base));
   }
-  return Object.keys(out).length ? out : null;
+}
+
+// What a run takes from the page; the run bookkeeping (lastUpdated, lastUpdateStatus) does not count as a change
+function contentKey(json) {
+  return JSON.stringify([json.regionId, json.regionAffiliation ?? null, json.fact, json.preset, json.normalized, json.meta]);
 }
 
 function buildOutput(regionId, factObj, presetObj) {
@@ -240,6 +199,7 @@ function buildOutput(regionId, factObj, presetObj) {
     lastUpdated: now,
     fact: factObj,
     preset: presetObj,
+    normalized: buildNormalized(factObj, presetObj),
     lastUpdateStatus: {
       status: 'parsed',
       ok: true,
@@ -249,104 +209,111 @@ function buildOutput(regionId, factObj, presetObj) {
       attempt: 1,
     },
     meta: {
-      schemaVersion: '1.0.0',
+      schemaVersion: dataSchemaVersion(),
       contentHash: null,
     },
   };
 }
 
-function updateMetaFromExisting(existing, now) {
-  if (!existing) return;
-  // Preserve fileCreated if present
-  if (existing.meta && existing.meta.fileCreated) return existing.meta.fileCreated;
-  return now;
-}
-
 function main() {
   const args = parseArgs(process.argv);
   if (!args.region || !args.input || !args.output) {
-    console.error('[ERROR] Usage: --region <id> --in <input.html> --out <output.json> [--upstream <url>] [--pretty]');
+    console.error('[ERROR] Usage: --region <id> --in <input.html> --out <output.json> [--upstream <url>] [--adapter <id>] [--pretty]');
     process.exit(2);
   }
 
   const regionId = args.region;
+  if (args.adapter && args.adapter !== 'auto') {
+    // Configuration error, not an upstream one: leave data/<region>.json untouched
+    try { getAdapter(args.adapter); } catch (e) {
+      console.error('[ERROR] ' + e.message);
+      process.exit(2);
+    }
+  }
+
+  // A failed fetch keeps the last good page on disk: record the failure instead of parsing that page again
+  const fetchFile = args.fetch || fetchResultPath(args.input);
+  const fetched = readFetchResult(fetchFile, args.input);
+  if (fetched && !fetched.ok) {
+    const message = describeFetchFailure(fetched);
+    console.error(`[WARN] ${message} (${fetchFile})`);
+    recordError(args, FETCH_OUTCOMES[fetched.outcome].code, message);
+    process.exit(0);
+  }
 
   if (!fs.existsSync(args.input)) {
     console.error(`[WARN] Input not found: ${args.input}`);
-    const existing = loadExisting(args.output);
-    const errObj = updateStatusOnError(existing, regionId, null, 404, `Input not found: ${args.input}`);
-    const jsonText = args.pretty ? JSON.stringify(errObj, null, 2) : JSON.stringify(errObj);
-    writeFileAtomic(args.output, jsonText);
+    recordError(args, 404, `Input not found: ${args.input}`);
     process.exit(0); // skip gracefully
   }
 
   const html = readFile(args.input);
-  const factExt = extractDisconObject(html, 'fact');
-  if (factExt.error) {
-    console.error('[WARN] ' + factExt.error + ` in ${args.input}`);
-    const existing = loadExisting(args.output);
-    const errObj = updateStatusOnError(existing, regionId, null, 422, factExt.error + ` in ${args.input}`);
-    const jsonText = args.pretty ? JSON.stringify(errObj, null, 2) : JSON.stringify(errObj);
-    writeFileAtomic(args.output, jsonText);
+  const adapter = selectAdapter(html, args.adapter);
+  const extracted = adapter.extract(html);
+  if (extracted.error) {
+    // WAF/placeholder page, full-size page without markers or a changed layout (see lib/fetch_status.js)
+    const page = classifyPage({ html, adapter, minBytes: Number(process.env.MIN_HTML_BYTES) || DEFAULT_MIN_BYTES });
+    const kind = page.ok ? FETCH_OUTCOMES.layout : FETCH_OUTCOMES[page.outcome];
+    const message = `${kind.label}: ${extracted.error} in ${args.input}`;
+    console.error('[WARN] ' + message);
+    recordError(args, kind.code, message);
     process.exit(0);
   }
+  for (const w of extracted.warnings || []) console.error('[WARN] ' + w + ` in ${args.input}`);
 
-  const presetExt = extractDisconObject(html, 'preset');
-  // preset is optional; if missing, we'll leave it null.
-
-  const factParsed = tryParseObject(factExt.jsonLike);
-  if (factParsed.error) {
-    console.error('[WARN] ' + factParsed.error + ` in ${args.input}`);
-    const existing = loadExisting(args.output);
-    const errObj = updateStatusOnError(existing, regionId, null, 422, factParsed.error + ` in ${args.input}`);
-    const jsonText = args.pretty ? JSON.stringify(errObj, null, 2) : JSON.stringify(errObj);
-    writeFileAtomic(args.output, jsonText);
-    process.exit(0);
-  }
-
-  let presetParsed = null;
-  if (!presetExt.error) {
-    const pp = tryParseObject(presetExt.jsonLike);
-    if (pp.error) {
-      console.error('[WARN] ' + pp.error + ` (preset) in ${args.input}`);
-      // If preset failed to parse, proceed with null but record error status
-      presetParsed = null;
-    } else {
-      presetParsed = pp.value;
-    }
-  }
+  const { fact, preset, methods, hashInput } = adapter.normalize(extracted);
 
   const now = isoNow();
 
-  let outObj = buildOutput(regionId, factParsed.value, presetParsed);
+  let outObj = buildOutput(regionId, fact, preset);
 
-  // Merge with existing to increment attempts
+  // Merge with existing to carry the run counters over
   const existing = loadExisting(args.output);
-  // Preserve regionAffiliation if it exists in the current file
-  if (existing && typeof existing.regionAffiliation === 'string' && existing.regionAffiliation.trim()) {
+  const prev = previousRun(args, existing);
+  // regionAffiliation: display name from config/regions.json, else whatever the current file has
+  const region = loadRegionOrNull(regionId);
+  if (region && region.name) {
+    outObj.regionAffiliation = region.name;
+  } else if (existing && typeof existing.regionAffiliation === 'string' && existing.regionAffiliation.trim()) {
     outObj.regionAffiliation = existing.regionAffiliation.trim();
   } else if (!('regionAffiliation' in outObj)) {
     // Ensure field exists (even if null) to avoid stripping it from schema
     outObj.regionAffiliation = null;
   }
-  const prevAttempt = (existing && existing.lastUpdateStatus && typeof existing.lastUpdateStatus.attempt === 'number') ? existing.lastUpdateStatus.attempt : 0;
-  outObj.lastUpdateStatus = {
-    status: 'parsed',
+  outObj.lastUpdateStatus = nextStatus(prev.status, {
     ok: true,
     code: 200,
-    message: null,
+    message: `fact: ${methods.fact}, preset: ${methods.preset}`,
     at: now,
-    attempt: prevAttempt + 1,
-  };
+  });
 
-  // Compute content hash based on the extracted JSON text of fact + preset (if any)
-  const hashInput = factExt.jsonLike + '|' + (presetExt.error ? '' : presetExt.jsonLike);
+  // Content hash input is chosen by the adapter (DisconSchedule: extracted text of fact + preset)
   const hash = sha256(hashInput);
   outObj.meta.contentHash = hash;
 
+  // Never write data that does not match templates/json/data.schema.json; keep the previous fact/preset instead
+  const schemaErrors = validate(outObj);
+  if (schemaErrors.length) {
+    const message = `Schema validation failed: ${formatErrors(schemaErrors)} in ${args.input}`;
+    console.error('[WARN] ' + message);
+    recordError(args, 422, message);
+    process.exit(0);
+  }
+
+  const changed = !existing || contentKey(existing) !== contentKey(outObj);
+  writeRegionStatus(statusFileOf(args), regionId, {
+    ...outObj.lastUpdateStatus,
+    contentHash: hash,
+    changed,
+    changedAt: changed ? outObj.lastUpdated : prev.changedAt,
+  });
+  if (!changed) {
+    console.log(`[OK] Parsed ${args.region}: unchanged (contentHash ${hash.slice(0, 12)}), ${args.output} left as is (adapter=${adapter.id})`);
+    return;
+  }
   const jsonText = args.pretty ? JSON.stringify(outObj, null, 2) : JSON.stringify(outObj);
   writeFileAtomic(args.output, jsonText);
-  console.log(`[OK] Parsed ${args.region} → ${args.output} (factMethod=${factParsed.method}${presetParsed ? `, presetMethod=${presetExt.error ? 'n/a' : (tryParseObject.name && 'parsed')}` : ''}, bytes=${jsonText.length})`);
+  console.log(`[OK] Parsed ${args.region} → ${args.output} (adapter=${adapter.id}, factMethod=${methods.fact}, presetMethod=${methods.preset}, bytes=${jsonText.length}, contentHash ${existing?.meta?.contentHash?.slice(0, 12) || '∅'} → ${hash.slice(0, 12)})`);
 }
 
 if (require.main === module) {
@@ -354,17 +321,10 @@ if (require.main === module) {
     main();
   } catch (e) {
     console.error('[WARN] parse_fact crashed: ' + e.message);
-    // On crash, also update status in output file if possible
+    // On crash, also record the failed run if possible
     try {
       const args = parseArgs(process.argv);
-      const regionId = args.region;
-      const upstream = args.upstream || null;
-      const existing = args.output ? loadExisting(args.output) : null;
-      const errObj = updateStatusOnError(existing, regionId, upstream, 500, 'parse_fact crashed: ' + e.message);
-      if (args.output) {
-        const jsonText = args.pretty ? JSON.stringify(errObj, null, 2) : JSON.stringify(errObj);
-        writeFileAtomic(args.output, jsonText);
-      }
+      if (args.region && args.output) recordError(args, 500, 'parse_fact crashed: ' + e.message);
     } catch (_) {}
     process.exit(0);
   }
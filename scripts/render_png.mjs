@@ -4,41 +4,94 @@
 //   node scripts/render_png.mjs --json data/odesa.json --gpv GPV3.1 --html templates/html/full-template.html --out images/odesa/gpv-3-1.png
 //   node scripts/render_png.mjs --theme dark --scale 2            # optional dark theme and higher DPR
 //   node scripts/render_png.mjs --max                             # render at maximum quality (DPR=4 unless --scale provided)
+//   node scripts/render_png.mjs --region kyiv --address "вул. Хрещатик, 22"   # group from addresses/kyiv.csv,
+//                                                                 # data/kyiv.json → images/kyiv/gpv-x-y.png
+//   node scripts/render_png.mjs --json data/kyiv.json --gpv GPV1.2 --lang en   # English → images/kyiv/en/gpv-1-2.png
+//   node scripts/render_png.mjs --json data/kyiv.json --gpv GPV1.2 --stale-banner   # "data may be outdated" banner
+//                                                                 # when the region is past its thresholds (lib/health.mjs)
 //
 // Requirements:
 //   Node.js 18+
 //   Playwright Chromium installed: npx playwright install --with-deps chromium
 
 import path from 'node:path';
+import { readFile } from 'node:fs/promises';
 import { ensureExists, startStaticServer, createBrowser, renderPage } from './lib/renderer.mjs';
+import { loadAddressIndex, resolveGroup, imagePathFor } from './lib/addresses.mjs';
+import { parseLangs, langDir, LANGS } from './lib/i18n.mjs';
+import { describeImage, writeAltFiles } from './lib/alt_text.mjs';
+import { pickGpvKey } from './lib/svg_renderer.mjs';
+import { regionHealth, staleNotice } from './lib/health.mjs';
+import regionsLib from './lib/regions.js';
+import { parseScriptOptions } from './lib/cli.mjs';
 
-function parseArgs(argv) {
-  const args = {};
-  for (let i = 2; i < argv.length; i++) {
-    const a = argv[i];
-    if (a.startsWith('--')) {
-      const key = a.slice(2);
-      const val = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
-      args[key] = val;
-    }
-  }
-  return args;
-}
+const { getRegion, regionName } = regionsLib;
 
-const args = parseArgs(process.argv);
+const args = parseScriptOptions({
+  script: 'scripts/render_png.mjs',
+  summary: 'Render a PNG image of the schedule through an HTML template (Playwright Chromium).',
+  options: {
+    json: { type: 'string', value: '<file>', describe: 'Data file (default data/<region>.json or data/kyiv-region.json)' },
+    gpv: { type: 'string', value: '<GPVx.y>', describe: 'Group' },
+    day: { type: 'string', choices: ['today', 'tomorrow'], value: '<day>', describe: 'Day of the groups view' },
+    html: { type: 'string', default: 'templates/html/full-template.html', value: '<file>', describe: 'Template' },
+    out: { type: 'string', value: '<file>', describe: 'Output PNG' },
+    region: { type: 'string', value: '<id>', describe: 'Region (data file, output folder and address index)' },
+    address: { type: 'string', value: '<address>', describe: 'Take the group from addresses/<region>.csv (needs --region; no region has one yet, see addresses/README.md)' },
+    theme: { type: 'string', choices: ['light', 'dark'], default: 'light', value: '<theme>', describe: 'Colour theme' },
+    scale: { type: 'string', value: '<factor>', describe: 'Device scale factor (default 1.5, up to 4)' },
+    max: { type: 'boolean', describe: 'Maximum quality (scale 4 unless --scale is given)' },
+    quality: { type: 'string', value: '<max>', describe: 'Same as --max when "max"' },
+    timeout: { type: 'integer', default: 30000, value: '<ms>', describe: 'Rendering timeout' },
+    lang: { type: 'string', value: '<lang>', describe: `Image language (one of ${LANGS.join(', ')})` },
+    'stale-banner': { type: 'boolean', describe: 'Banner when the region is past its freshness thresholds' },
+  },
+});
 const projectRoot = process.cwd();
 
-const htmlPath = path.resolve(args.html || 'templates/html/full-template.html');
-const jsonPath = path.resolve(args.json || 'data/kyiv-region.json');
-const outPath = path.resolve(args.out || 'images/kyiv-region/gpv-1-2.png');
-const gpvKey = args.gpv || null; // e.g., GPV1.2
+const { langs, unknown: unknownLangs } = parseLangs(args.lang);
+if (unknownLangs.length || langs.length !== 1) {
+  console.error(`[ERROR] --lang takes one of: ${LANGS.join(', ')}`);
+  process.exit(2);
+}
+const lang = langs[0];
+
+// --address: resolve the group through the region's address index; data and output paths follow the region
+let addressGpv = null;
+if (args.address !== undefined) {
+  if (args.region === undefined) {
+    console.error('[ERROR] --address requires --region <id>');
+    process.exit(2);
+  }
+  const index = await loadAddressIndex(args.region);
+  const { gpv, matches, ambiguous } = resolveGroup(index, args.address);
+  if (!gpv) {
+    const why = !index.file ? `no address index for region '${args.region}' (see addresses/README.md)`
+      : ambiguous ? `address matches several groups (${[...new Set(matches.map(m => m.gpv))].join(', ')}), add a house number`
+        : 'address not found';
+    console.error(`[ERROR] ${why}: ${args.address}`);
+    process.exit(1);
+  }
+  addressGpv = gpv;
+  console.log(`[INFO] ${args.address} → ${gpv}`);
+}
+const regionId = args.region !== undefined ? path.basename(args.region) : null;
+
+const htmlPath = path.resolve(args.html);
+const jsonPath = path.resolve(args.json || (regionId ? `data/${regionId}.json` : 'data/kyiv-region.json'));
+// Default output paths get a <lang>/ directory for non-default languages, like batch_render.mjs
+const defaultOut = regionId && addressGpv ? imagePathFor(regionId, addressGpv) : 'images/kyiv-region/gpv-1-2.png';
+const outPath = path.resolve(args.out || path.join(path.dirname(defaultOut), langDir(lang), path.basename(defaultOut)));
+const region = getRegion(regionId || path.basename(jsonPath, '.json'), { env: {} });
+const localRegionName = regionName(region, lang);
+const gpvKey = addressGpv || args.gpv || null; // e.g., GPV1.2
 const dayArg = args.day || null; // e.g., 'tomorrow'
-const theme = (args.theme === 'dark') ? 'dark' : 'light';
+const { theme } = args;
 
 // Determine desired device scale factor (DPR). If --scale provided, use it. If --max or --quality max provided, use 4.
 let deviceScaleFactor = Number(args.scale || NaN);
 if (!Number.isFinite(deviceScaleFactor) || deviceScaleFactor <= 0) {
-  if (args.max === true || String(args.quality || '').toLowerCase() === 'max') {
+  if (args.max || String(args.quality || '').toLowerCase() === 'max') {
     deviceScaleFactor = 4; // maximum crispness, larger files
   } else {
     deviceScaleFactor = 1.5; // default to 1.5x (better quality, still reasonable size for Telegram)
@@ -46,7 +99,7 @@ if (!Number.isFinite(deviceScaleFactor) || deviceScaleFactor <= 0) {
 }
 // Cap to a reasonable upper bound to avoid extreme memory usage in CI
 if (deviceScaleFactor > 4) deviceScaleFactor = 4;
-const timeoutMs = Number(args.timeout || 30000);
+const timeoutMs = args.timeout || 30000;
 
 (async () => {
   if (!(await ensureExists(htmlPath))) {
@@ -64,6 +117,22 @@ const timeoutMs = Number(args.timeout || 30000);
   const { mkdir } = await import('node:fs/promises');
   await mkdir(path.dirname(outPath), { recursive: true });
 
+  let json;
+  try {
+    json = JSON.parse(await readFile(jsonPath, 'utf8'));
+  } catch (e) {
+    console.error(`[ERROR] Failed to parse JSON: ${e?.message || e}`);
+    process.exit(1);
+  }
+  let stale = null;
+  if (args['stale-banner']) {
+    const health = regionHealth(json, { id: json.regionId || path.basename(jsonPath, '.json'), region });
+    if (health.stale) {
+      stale = staleNotice(json);
+      console.warn(`[WARN] Data may be outdated (${health.breaches.map(b => b.message).join('; ')}) — adding the banner`);
+    }
+  }
+
   let server, baseURL, browser;
   try {
     ({ server, baseURL } = await startStaticServer(projectRoot));
@@ -80,10 +149,19 @@ const timeoutMs = Number(args.timeout || 30000);
       theme,
       deviceScaleFactor,
       timeoutMs,
-      projectRoot
+      projectRoot,
+      lang,
+      regionName: localRegionName,
+      stale
     });
 
     console.log(`[OK] Saved PNG: ${outPath} (${width}x${height} @ dpr=${deviceScaleFactor})`);
+
+    // Text alternative next to the PNG for the stock templates (full-template.html → full, summary-item.html → summary, ...)
+    const kind = path.basename(htmlPath).match(/^(full|emergency|week|groups|summary)-/)?.[1];
+    if (kind) {
+      await writeAltFiles(outPath, describeImage(json, { kind, gpv: pickGpvKey(json, gpvKey), day: dayArg || 'today', lang, regionName: localRegionName, stale }));
+    }
   } catch (e) {
     console.error('[ERROR] Rendering failed:', e?.message || e);
     process.exitCode = 1;
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// Regions the render step has to process after a parse run
+// Usage:
+//   node scripts/render_regions.mjs                          # outputs/changed-regions.json
+//   node scripts/render_regions.mjs --stale-banner           # + regions whose images show the wrong stale banner
+//   node scripts/render_regions.mjs --stale-banner --out outputs/render-regions.json
+//   node scripts/render_regions.mjs --stale-banner --region kyiv  # + regions to render anyway (manual dispatch)
+//   node scripts/render_regions.mjs --outputs dir --data dir --images dir
+// Notes:
+// - The changed regions come from batch_parse.mjs. With --stale-banner the regions that became stale (banner to add)
+//   or fresh again (banner to remove) are added, as decided by scripts/lib/render_cache.mjs staleBannerMismatches()
+//   with the same health check batch_render.mjs --stale-banner uses.
+// - --region adds regions even without changes, as long as they have a data file (the workflow passes the region
+//   a manual run was dispatched for, so that it is rendered again).
+// - Prints a JSON array of region ids (data file stems) and always exits 0.
+
+import { readFile, writeFile, mkdir, access } from 'node:fs/promises';
+import path from 'node:path';
+import { staleBannerMismatches } from './lib/render_cache.mjs';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+async function readJsonOrNull(file) {
+  try { return JSON.parse(await readFile(file, 'utf8')); } catch { return null; }
+}
+
+const args = parseScriptOptions({
+  script: 'scripts/render_regions.mjs',
+  summary: 'Regions the render step has to process after a parse run, as a JSON array.',
+  options: {
+    'stale-banner': { type: 'boolean', describe: 'Add the regions whose images show the wrong stale banner' },
+    region: { type: 'string', multiple: true, value: '<id>', describe: 'Add these regions even without changes' },
+    out: { type: 'string', value: '<file>', describe: 'Also write the list to this file' },
+    outputs: { type: 'string', default: 'outputs', value: '<dir>', describe: 'Folder with changed-regions.json' },
+    data: { type: 'string', default: 'data', value: '<dir>', describe: 'Data folder' },
+    images: { type: 'string', default: 'images', value: '<dir>', describe: 'Images folder (render manifests)' },
+  },
+});
+const outputsDir = path.resolve(args.outputs);
+const dataDir = path.resolve(args.data);
+const imagesDir = path.resolve(args.images);
+
+const changed = await readJsonOrNull(path.join(outputsDir, 'changed-regions.json'));
+if (!Array.isArray(changed)) console.warn(`[WARN] No changed list in ${path.join(outputsDir, 'changed-regions.json')}`);
+const regions = new Set(Array.isArray(changed) ? changed : []);
+
+if (args['stale-banner']) {
+  const banner = await staleBannerMismatches(dataDir, { imagesDir });
+  if (banner.length) console.error(`[INFO] Stale banner to add or remove: ${banner.join(', ')}`);
+  banner.forEach(id => regions.add(id));
+}
+
+for (const id of args.region || []) {
+  try {
+    await access(path.join(dataDir, `${id}.json`));
+    regions.add(id);
+  } catch {
+    console.warn(`[WARN] No data file for requested region '${id}'; not rendering it`);
+  }
+}
+
+const text = JSON.stringify([...regions].sort());
+if (args.out) {
+  await mkdir(path.dirname(path.resolve(args.out)), { recursive: true });
+  await writeFile(path.resolve(args.out), `${text}\n`);
+}
+console.log(text);
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+// Render schedules as SVG without a browser (scripts/lib/svg_renderer.mjs)
+// Usage examples:
+//   node scripts/render_svg.mjs --json data/kyiv.json --gpv GPV1.2 --out images/kyiv/gpv-1-2.svg
+//   node scripts/render_svg.mjs --json data/kyiv.json --view groups --day tomorrow --out /tmp/groups.svg
+//   node scripts/render_svg.mjs --all                      # every data/*.json → images/<region>/*.svg
+//   node scripts/render_svg.mjs --all --region kyiv --theme dark
+//   node scripts/render_svg.mjs --all --region kyiv,odesa         # only these regions
+//   node scripts/render_svg.mjs --all --lang uk,en                # English copies go to images/<region>/en/
+//   node scripts/render_svg.mjs --all --stale-banner              # "data may be outdated" banner on stale regions
+// Notes:
+// - Views: full (default), emergency, week, groups, summary — the same as templates/html.
+// - --all writes the same file set as batch_render.mjs with .svg instead of .png: gpv-x-y.svg, gpv-x-y-emergency.svg,
+//   gpv-x-y-week.svg, gpv-x-y-summary.svg per group and gpv-all-today.svg / gpv-all-tomorrow.svg per region.
+// - No Playwright needed; SVG scales by itself, so there is no --scale.
+// - --lang picks catalogs from templates/i18n (default uk); non-default languages are written to a <lang>/
+//   sub-directory and use the region's registry name for that language when config/regions.json has one.
+// - Each SVG gets <stem>.txt / <stem>.alt.json text alternatives next to it (scripts/lib/alt_text.mjs).
+// - --stale-banner: regions past their freshness thresholds (scripts/lib/health.mjs) get the banner, like batch_render.mjs;
+//   the latest parse comes from outputs/parse-status.json next to the data folder (scripts/lib/parse_status.js).
+
+import { readdir, readFile, mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import intervalsLib from './lib/intervals.js';
+import regionsLib from './lib/regions.js';
+import { renderScheduleSvg, pickGpvKey, SVG_VIEWS } from './lib/svg_renderer.mjs';
+import { parseLangs, langDir, LANGS } from './lib/i18n.mjs';
+import { describeImage, writeAltFiles } from './lib/alt_text.mjs';
+import { regionHealth, staleNotice } from './lib/health.mjs';
+import parseStatusLib from './lib/parse_status.js';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+const { isGroupKey, compareGroupKeys, gpvToFileStem } = intervalsLib;
+const { getRegion, regionName } = regionsLib;
+const { parseStatusPath, readParseStatus, withRunStatus } = parseStatusLib;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, '..');
+
+const args = parseScriptOptions({
+  script: 'scripts/render_svg.mjs',
+  summary: 'Render schedules as SVG without a browser.',
+  options: {
+    all: { type: 'boolean', describe: 'Every data/*.json → images/<region>/*.svg' },
+    region: { type: 'string', multiple: true, value: '<id>', describe: 'With --all: only these regions (regionId or file stem)' },
+    json: { type: 'string', default: 'data/kyiv-region.json', value: '<file>', describe: 'Data file of a single image' },
+    gpv: { type: 'string', value: '<GPVx.y>', describe: 'Group of a single image' },
+    view: { type: 'string', choices: SVG_VIEWS, default: 'full', value: '<view>', describe: 'View of a single image' },
+    day: { type: 'string', choices: ['today', 'tomorrow'], default: 'today', value: '<day>', describe: 'Day of the groups view' },
+    out: { type: 'string', value: '<file>', describe: 'Output of a single image (default images/<region>/…)' },
+    theme: { type: 'string', choices: ['light', 'dark'], default: 'light', value: '<theme>', describe: 'Colour theme' },
+    lang: { type: 'string', multiple: true, value: '<lang>', describe: `Image languages (${LANGS.join(', ')}; default uk)` },
+    'stale-banner': { type: 'boolean', describe: 'Mark regions past their freshness thresholds' },
+    data: { type: 'string', default: 'data', value: '<dir>', describe: 'With --all: data folder' },
+    images: { type: 'string', default: 'images', value: '<dir>', describe: 'With --all: images folder' },
+  },
+});
+const { theme, view } = args;
+const onlyRegions = args.region || [];
+const { langs, unknown } = parseLangs(args.lang?.join(','));
+if (unknown.length || !langs.length) {
+  console.error(`[ERROR] Unknown --lang '${unknown.join(',') || args.lang?.join(',')}' (known: ${LANGS.join(', ')})`);
+  process.exit(2);
+}
+
+// Banner notice for a stale region with --stale-banner, otherwise null
+function staleFor(json, regionId, region, dataDir) {
+  if (!args['stale-banner']) return null;
+  const run = readParseStatus(parseStatusPath(dataDir)).regions[regionId];
+  const health = regionHealth(withRunStatus(json, run), { id: regionId, region });
+  if (!health.stale) return null;
+  console.warn(`[WARN] ${regionId}: data may be outdated (${health.breaches.map(b => b.message).join('; ')}) — adding the banner`);
+  return staleNotice(json);
+}
+
+async function writeSvg(outPath, json, options) {
+  const { svg, width, height, gpv } = renderScheduleSvg(json, { theme, ...options });
+  await mkdir(path.dirname(outPath), { recursive: true });
+  await writeFile(outPath, svg);
+  await writeAltFiles(outPath, describeImage(json, { ...options, kind: options.view, gpv: gpv ?? undefined }));
+  return { width, height };
+}
+
+async function renderAll() {
+  const dataDir = path.resolve(projectRoot, args.data);
+  const imagesDir = path.resolve(projectRoot, args.images);
+  const entries = await readdir(dataDir, { withFileTypes: true });
+  let ok = 0;
+  let failed = 0;
+  for (const e of entries.filter(f => f.isFile() && f.name.endsWith('.json'))) {
+    const fileStem = path.basename(e.name, '.json');
+    let json;
+    try {
+      json = JSON.parse(await readFile(path.join(dataDir, e.name), 'utf8'));
+    } catch (err) {
+      console.warn(`[WARN] Cannot read ${e.name}: ${err?.message || err}`);
+      continue;
+    }
+    if (!json?.preset || !json?.fact) continue;
+    const regionId = (typeof json.regionId === 'string' && json.regionId.trim()) || fileStem;
+    if (onlyRegions.length && !onlyRegions.includes(regionId) && !onlyRegions.includes(fileStem)) continue;
+
+    const region = getRegion(regionId, { env: {} });
+    const stale = staleFor(json, regionId, region, dataDir);
+    const jobs = [];
+    for (const gpv of Object.keys(json.preset.data || {}).filter(isGroupKey).sort(compareGroupKeys)) {
+      const stem = gpvToFileStem(gpv);
+      jobs.push([`${stem}.svg`, { view: 'full', gpv }]);
+      jobs.push([`${stem}-emergency.svg`, { view: 'emergency', gpv }]);
+      jobs.push([`${stem}-week.svg`, { view: 'week', gpv }]);
+      jobs.push([`${stem}-summary.svg`, { view: 'summary', gpv }]);
+    }
+    jobs.push(['gpv-all-today.svg', { view: 'groups', day: 'today' }]);
+    jobs.push(['gpv-all-tomorrow.svg', { view: 'groups', day: 'tomorrow' }]);
+
+    for (const lang of langs) {
+      const outDir = path.join(imagesDir, regionId, langDir(lang));
+      for (const [name, options] of jobs) {
+        try {
+          await writeSvg(path.join(outDir, name), json, { ...options, lang, regionName: regionName(region, lang), stale });
+          ok++;
+        } catch (err) {
+          console.error(`[ERROR] ${regionId}/${path.join(langDir(lang), name)}: ${err?.message || err}`);
+          failed++;
+        }
+      }
+      console.log(`[INFO] Rendered ${jobs.length} SVG for ${regionId} (${lang})`);
+    }
+  }
+  console.log(`[SUMMARY] Rendered: ${ok}/${ok + failed} succeeded, ${failed} failed. Theme=${theme}`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+async function renderOne() {
+  const jsonPath = path.resolve(args.json);
+  let json;
+  try {
+    json = JSON.parse(await readFile(jsonPath, 'utf8'));
+  } catch (err) {
+    console.error(`[ERROR] Cannot read JSON data file ${jsonPath}: ${err?.message || err}`);
+    process.exit(1);
+  }
+  const gpv = pickGpvKey(json, args.gpv ?? null);
+  const { day } = args;
+  const regionId = json?.regionId || path.basename(jsonPath, '.json');
+  const lang = langs[0];
+  const defaultName = view === 'groups' ? `gpv-all-${day}.svg`
+    : `${gpvToFileStem(gpv)}${view === 'full' ? '' : `-${view}`}.svg`;
+  const outPath = path.resolve(args.out ?? path.join('images', regionId, langDir(lang), defaultName));
+  try {
+    const region = getRegion(regionId, { env: {} });
+    const stale = staleFor(json, regionId, region, path.dirname(jsonPath));
+    const { width, height } = await writeSvg(outPath, json, { view, gpv, day, lang, regionName: regionName(region, lang), stale });
+    console.log(`[OK] Saved SVG: ${outPath} (${width}x${height})`);
+  } catch (err) {
+    console.error('[ERROR] Rendering failed:', err?.message || err);
+    process.exitCode = 1;
+  }
+}
+
+await (args.all ? renderAll() : renderOne());
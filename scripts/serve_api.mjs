@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Local read-only HTTP API over data/*.json (routes: scripts/lib/api.mjs, description: templates/json/openapi.json)
+// Usage:
+//   node scripts/serve_api.mjs                          # http://127.0.0.1:8787
+//   node scripts/serve_api.mjs --port 9000 --host 0.0.0.0
+//   node scripts/serve_api.mjs --data path/to/data      # serve another data directory
+// Example:
+//   curl http://127.0.0.1:8787/regions/kyiv/groups/GPV3.1/today
+
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createApiHandler } from './lib/api.mjs';
+import { parseScriptOptions } from './lib/cli.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, '..');
+
+const args = parseScriptOptions({
+  script: 'scripts/serve_api.mjs',
+  summary: 'Local read-only HTTP API over data/*.json (OpenAPI description at /openapi.json).',
+  options: {
+    port: { type: 'integer', value: '<port>', describe: 'Port (default PORT or 8787)' },
+    host: { type: 'string', default: '127.0.0.1', value: '<host>', describe: 'Address to listen on' },
+    data: { type: 'string', default: 'data', value: '<dir>', describe: 'Data folder to serve' },
+  },
+});
+const port = args.port ?? Number(process.env.PORT || 8787);
+const host = args.host;
+const dataDir = path.resolve(projectRoot, args.data);
+
+if (!Number.isInteger(port) || port < 0 || port > 65535) {
+  console.error(`[ERROR] Invalid port '${port}'`);
+  process.exit(2);
+}
+
+const server = http.createServer(createApiHandler({ dataDir }));
+server.on('error', (e) => {
+  console.error(`[ERROR] ${e?.message || e}`);
+  process.exit(1);
+});
+server.listen(port, host, () => {
+  const addr = server.address();
+  console.log(`[INFO] Serving ${path.relative(projectRoot, dataDir) || dataDir} at http://${addr.address}:${addr.port} (OpenAPI: /openapi.json)`);
+});
+
+for (const sig of ['SIGINT', 'SIGTERM']) {
+  process.on(sig, () => server.close(() => process.exit(0)));
+}
@@ -1,7 +1,9 @@
 /* Shared JS logic for schedule templates (full, emergency, week, groups)
  * Exposes global: window.Schedule.scheduleInit(options)
- * Options: { mode: 'full' | 'emergency' | 'week' | 'groups' | 'summary' | 'auto' }
+ * Options: { mode: 'full' | 'emergency' | 'week' | 'groups' | 'summary' | 'stats' | 'auto' }
  * Behavior keeps parity with previous inline scripts in all templates.
+ * The static dashboard (templates/site) re-renders through Schedule.render(data, options) with
+ * { gpv, day } options and a catalog set by Schedule.useCatalog(catalog).
  */
 (function () {
   'use strict';
@@ -13,7 +15,154 @@
     } catch (_) { }
   }
 
-  function pickGpvKey(data) {
+  // ===== Localization: catalogs live in templates/i18n/<lang>.json (see scripts/lib/i18n.mjs) =====
+  // The renderer injects the catalog as window.__I18N__; otherwise it is fetched by ?lang= (default uk).
+  // With upstreamLabels (uk) weekday names, slot descriptions and group names come from the preset as before.
+  let I18N = { lang: 'uk', locale: 'uk-UA', upstreamLabels: true, messages: {} };
+
+  async function loadI18n() {
+    if (window.__I18N__ && window.__I18N__.messages) {
+      I18N = window.__I18N__;
+      return;
+    }
+    let lang = 'uk';
+    try {
+      lang = new URLSearchParams(location.search).get('lang') || lang;
+    } catch (e) { }
+    try {
+      const res = await fetch(`../i18n/${encodeURIComponent(lang)}.json`);
+      const catalog = await res.json();
+      if (catalog && catalog.messages) I18N = catalog;
+    } catch (e) { }
+  }
+
+  // t('group.name', { group: '1.1' }) → "Черга 1.1"; unknown keys return the key itself
+  function t(key, params) {
+    const msg = Object.prototype.hasOwnProperty.call(I18N.messages, key) ? I18N.messages[key] : key;
+    return String(msg).replace(/\{(\w+)\}/g, (m, k) => (params && params[k] != null ? String(params[k]) : m));
+  }
+
+  // Static template text marked with data-i18n / data-i18n-title / data-i18n-aria
+  function applyI18n() {
+    if (I18N.lang) document.documentElement.lang = I18N.lang;
+    const defaults = { date: t('day.todayInline') };
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+      const key = el.getAttribute('data-i18n');
+      if (I18N.messages[key] != null) el.textContent = t(key, defaults);
+    });
+    document.querySelectorAll('[data-i18n-title]').forEach(el => {
+      const key = el.getAttribute('data-i18n-title');
+      if (I18N.messages[key] != null) el.title = t(key);
+    });
+    document.querySelectorAll('[data-i18n-aria]').forEach(el => {
+      const key = el.getAttribute('data-i18n-aria');
+      if (I18N.messages[key] != null) el.setAttribute('aria-label', t(key));
+    });
+  }
+
+  // Epoch seconds (00:00 of a day) → "8 листопада" / "8 November" in the catalog locale, Europe/Kyiv
+  function formatLongDate(epochSec) {
+    try {
+      const d = new Date(Number(epochSec) * 1000);
+      return new Intl.DateTimeFormat(I18N.locale || 'uk-UA', { timeZone: 'Europe/Kyiv', day: 'numeric', month: 'long' }).format(d);
+    } catch (_) { return ''; }
+  }
+
+  // preset.days key 1..7 (Monday first)
+  function dayLabel(preset, dayKey) {
+    const upstream = preset?.days?.[String(dayKey)];
+    if (I18N.upstreamLabels && upstream) return upstream;
+    try {
+      // 2024-01-01 was a Monday
+      const s = new Intl.DateTimeFormat(I18N.locale, { timeZone: 'UTC', weekday: 'long' }).format(new Date(Date.UTC(2024, 0, Number(dayKey))));
+      return s.charAt(0).toUpperCase() + s.slice(1);
+    } catch (_) { return upstream || String(dayKey); }
+  }
+
+  function stateLabel(preset, state) {
+    const upstream = preset?.time_type?.[state];
+    if (I18N.upstreamLabels && upstream) return upstream;
+    return I18N.messages['state.' + state] != null ? t('state.' + state) : (upstream || state);
+  }
+
+  function groupNumber(gpvKey) {
+    const m = String(gpvKey || '').match(/^GPV(\d+)\.(\d+)$/);
+    return m ? `${m[1]}.${m[2]}` : '';
+  }
+
+  function groupName(preset, gpvKey) {
+    const upstream = preset?.sch_names?.[gpvKey];
+    if (I18N.upstreamLabels && upstream) return upstream;
+    const num = groupNumber(gpvKey);
+    return num ? t('group.name', { group: num }) : String(gpvKey);
+  }
+
+  // ===== Text alternative (table captions); same lines as scripts/lib/alt_text.mjs writes to <stem>.txt =====
+  const OUTAGE_PARTS = { no: 'full', first: 'first', mfirst: 'first', second: 'second', msecond: 'second' };
+  const POSSIBLE_PARTS = { ...OUTAGE_PARTS, maybe: 'full' };
+  const MAYBE_PARTS = { maybe: 'full' };
+
+  // Merged [startMin, endMin] intervals of one slot map for the states listed in `parts`
+  function rowIntervals(preset, row, parts) {
+    const { tzKeys, starts } = buildStartsMinutesFromPreset(preset);
+    const chunks = [];
+    tzKeys.forEach((k, i) => {
+      const part = parts[row[String(k)]];
+      const s = starts[i];
+      const e = i + 1 < starts.length ? starts[i + 1] : 24 * 60;
+      if (!part || !Number.isFinite(s) || !Number.isFinite(e) || e <= s) return;
+      const mid = Math.min(s + 30, e);
+      if (part === 'full') chunks.push([s, e]);
+      else if (part === 'first' && mid > s) chunks.push([s, mid]);
+      else if (part === 'second' && e > mid) chunks.push([mid, e]);
+    });
+    chunks.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const c of chunks) {
+      const last = merged[merged.length - 1];
+      if (last && c[0] <= last[1]) last[1] = Math.max(last[1], c[1]);
+      else merged.push(c.slice());
+    }
+    return merged;
+  }
+
+  // "6 грудня: світла не буде з 06:00 до 10:30; можливі відключення з 12:00 до 13:00."
+  function describeRowLine(preset, label, row, outageParts, possibleParts) {
+    if (!row) return t('alt.line', { label, text: t('alt.noData') });
+    const pad = (n) => String(n).padStart(2, '0');
+    const fmt = (mins) => `${pad(Math.floor(mins / 60))}:${pad(mins % 60)}`;
+    const list = (items) => items.map(([s, e]) => t('summary.interval', { from: fmt(s), to: fmt(e) })).join(t('alt.listSeparator'));
+    const outages = outageParts ? rowIntervals(preset, row, outageParts) : [];
+    const possible = rowIntervals(preset, row, possibleParts);
+    const parts = [];
+    if (outages.length) parts.push(t('alt.off', { intervals: list(outages) }));
+    if (possible.length) parts.push(t('alt.possible', { intervals: list(possible) }));
+    let text = parts.join(t('alt.partSeparator'));
+    if (!text) {
+      const tzKeys = Object.keys(preset?.time_zone || {});
+      text = tzKeys.length && tzKeys.every(k => row[k] === 'yes') ? t('alt.allDay') : t('alt.noOutages');
+    }
+    return t('alt.line', { label, text });
+  }
+
+  function setTableCaption(table, lines) {
+    if (!table || !lines.length) return;
+    const caption = document.createElement('caption');
+    caption.className = 'sr-only';
+    appendLines(caption, lines.join('\n'));
+    table.insertBefore(caption, table.firstChild);
+  }
+
+  // "Часові\nпроміжки" → text nodes separated by <br>
+  function appendLines(el, text) {
+    String(text).split('\n').forEach((line, i) => {
+      if (i) el.appendChild(document.createElement('br'));
+      el.appendChild(document.createTextNode(line));
+    });
+  }
+
+  function pickGpvKey(data, preferred) {
+    if (preferred && data?.preset?.data && data.preset.data[preferred]) return preferred;
     try {
       const qs = new URLSearchParams(location.search);
       const fromUrl = qs.get('gpv');
@@ -158,7 +307,7 @@
       return await res.json();
     } catch (e) {
       const meta = document.getElementById('meta');
-      if (meta) meta.textContent = 'Не вдалося завантажити дані (' + url + '). Запустіть локальний сервер (наприклад: npx serve або python3 -m http.server) з кореня проєкту.';
+      if (meta) meta.textContent = t('meta.loadFailed', { url });
       throw e;
     }
   }
@@ -193,7 +342,28 @@
     // Requirement: show date/time from fact.update if present
     const preferFact = (data?.fact?.update || '').trim();
     const label = preferFact || formatLastUpdated(data);
-    if (label) el.textContent = 'Дата та час останнього оновлення інформації на графіку: ' + label;
+    el.textContent = label ? t('lastUpdated', { time: label }) : '';
+  }
+
+  // "Data may be outdated" strip at the top of the image: the renderer sets window.__STALE__ = { time } when the
+  // region breaches its freshness thresholds (scripts/lib/health.mjs, batch_render.mjs --stale-banner)
+  function injectStaleBanner() {
+    const container = document.querySelector('.container');
+    if (!container) return;
+    const stale = window.__STALE__;
+    let el = document.getElementById('staleBanner');
+    if (!stale) {
+      if (el) el.remove();
+      return;
+    }
+    if (!el) {
+      el = document.createElement('p');
+      el.id = 'staleBanner';
+      el.className = 'stale-banner';
+      el.setAttribute('role', 'alert');
+      container.insertBefore(el, container.firstChild);
+    }
+    el.textContent = stale.time ? t('stale.banner', { time: stale.time }) : t('stale.bannerNoTime');
   }
 
   function injectMetaIfPresent(data) {
@@ -203,7 +373,7 @@
     if (hash) {
       meta.textContent = 'contentHash: ' + hash;
     } else if (data.fact && data.fact.update) {
-      meta.textContent = 'Оновлено: ' + data.fact.update;
+      meta.textContent = t('meta.updated', { time: data.fact.update });
     }
   }
 
@@ -212,12 +382,11 @@
       const h1 = document.querySelector('.container > h1');
       if (h1) {
         const names = data?.preset?.sch_names || {};
-        let label = names[gpvKey] || '';
+        let label = I18N.upstreamLabels ? (names[gpvKey] || '') : '';
         if (label) {
           label = label.replace(/^Черга\b\s*/, 'Черга: ');
-        } else if (gpvKey) {
-          const m = String(gpvKey).match(/^GPV(\d+)\.(\d+)$/);
-          if (m) label = `Черга: ${m[1]}.${m[2]}`;
+        } else if (groupNumber(gpvKey)) {
+          label = t('group.badge', { group: groupNumber(gpvKey) });
         }
         if (label) {
           let badge = h1.querySelector('.group-badge');
@@ -260,14 +429,14 @@
     const hr = document.createElement('tr');
 
     const corner = document.createElement('th');
-    corner.innerHTML = 'Часові<br>проміжки';
+    appendLines(corner, t('table.slots'));
     hr.appendChild(corner);
 
-    for (const t of times) {
+    for (const label of times) {
       const th = document.createElement('th');
       const div = document.createElement('div');
       div.className = 'vlabel';
-      div.textContent = t;
+      div.textContent = label;
       th.appendChild(div);
       hr.appendChild(th);
     }
@@ -279,7 +448,7 @@
     if (!schedule) {
       const tr = document.createElement('tr');
       const th = document.createElement('th');
-      th.textContent = 'Помилка: відсутні дані для ' + gpvKey;
+      th.textContent = t('error.noGroupData', { gpv: gpvKey });
       th.colSpan = 1 + tzKeys.length;
       tr.appendChild(th);
       tbody.appendChild(tr);
@@ -288,8 +457,10 @@
       return;
     }
 
+    const captionLines = [];
     dayKeys.forEach(dk => {
-      const dayName = preset.days[String(dk)];
+      const dayName = dayLabel(preset, dk);
+      captionLines.push(describeRowLine(preset, dayName, schedule?.[String(dk)], null, POSSIBLE_PARTS));
       const tr = document.createElement('tr');
       if (todayWeekdayIdx && Number(dk) === Number(todayWeekdayIdx)) {
         tr.classList.add('is-today');
@@ -303,7 +474,7 @@
         if (value) {
           td.classList.add('state-' + value);
           const timeLabel = preset.time_zone[String(hk)]?.[0] || '';
-          const desc = preset.time_type?.[value] || value;
+          const desc = stateLabel(preset, value);
           td.title = dayName + ' ' + timeLabel + ' — ' + desc;
           const iconSrc = stateIconSrc(value);
           if (iconSrc) {
@@ -319,6 +490,7 @@
       tbody.appendChild(tr);
     });
 
+    setTableCaption(table, captionLines);
     table.appendChild(thead);
     table.appendChild(tbody);
 
@@ -326,7 +498,8 @@
     return { tzKeys, times };
   }
 
-  function buildToday(preset, fact, gpvKey) {
+  // `only` ('today' | 'tomorrow') keeps a single row (dashboard tabs); the templates show both
+  function buildToday(preset, fact, gpvKey, only) {
     const table = document.getElementById('today');
     if (!table) return;
     table.innerHTML = '';
@@ -336,7 +509,7 @@
     const thead = document.createElement('thead');
     const hr = document.createElement('tr');
     const corner = document.createElement('th');
-    corner.innerHTML = 'Часові<br>проміжки';
+    appendLines(corner, t('table.slots'));
     hr.appendChild(corner);
     for (const hk of tzKeys) {
       const th = document.createElement('th');
@@ -348,6 +521,7 @@
     }
     thead.appendChild(hr);
 
+    const captionLines = [];
     function renderRow(label, dayEpoch) {
       const tr = document.createElement('tr');
       const rowTh = document.createElement('th');
@@ -356,13 +530,14 @@
 
       const dayObj = fact && fact.data && (dayEpoch != null) && fact.data[String(dayEpoch)];
       const schedule = dayObj && (dayObj[gpvKey]);
+      captionLines.push(describeRowLine(preset, label, schedule, OUTAGE_PARTS, MAYBE_PARTS));
 
       tzKeys.forEach(hk => {
         const td = document.createElement('td');
         const raw = schedule?.[String(hk)];
         if (raw) td.classList.add('state-' + raw);
         const timeLabel = preset.time_zone[String(hk)]?.[0] || '';
-        const desc = raw ? (preset.time_type?.[raw] || raw) : '';
+        const desc = raw ? stateLabel(preset, raw) : '';
         if (desc) td.title = label + ' ' + timeLabel + ' — ' + desc;
         const iconSrc = raw ? stateIconSrcToday(raw) : null;
         if (iconSrc) {
@@ -379,17 +554,9 @@
 
     const tbody = document.createElement('tbody');
 
-    // Format epoch seconds (00:00 of a day) to 'D місяця' in Ukrainian, Europe/Kyiv timezone
-    function formatUkDate(epochSec) {
-      try {
-        const d = new Date(Number(epochSec) * 1000);
-        return new Intl.DateTimeFormat('uk-UA', { timeZone: 'Europe/Kyiv', day: 'numeric', month: 'long' }).format(d);
-      } catch (_) { return ''; }
-    }
-
     const todayEpoch = (fact && fact.today != null) ? Number(fact.today) : null;
-    if (todayEpoch != null) {
-      const todayLabel = formatUkDate(todayEpoch) || 'Сьогодні';
+    if (todayEpoch != null && only !== 'tomorrow') {
+      const todayLabel = formatLongDate(todayEpoch) || t('day.today');
       tbody.appendChild(renderRow(todayLabel, todayEpoch));
     }
 
@@ -402,11 +569,12 @@
       }
     } catch (_) { }
 
-    if (tomorrowEpoch != null && tomorrowEpoch !== todayEpoch) {
-      const label = formatUkDate(tomorrowEpoch) || 'Завтра';
+    if (tomorrowEpoch != null && tomorrowEpoch !== todayEpoch && only !== 'today') {
+      const label = formatLongDate(tomorrowEpoch) || t('day.tomorrow');
       tbody.appendChild(renderRow(label, tomorrowEpoch));
     }
 
+    setTableCaption(table, captionLines);
     table.appendChild(thead);
     table.appendChild(tbody);
 
@@ -436,13 +604,19 @@
     const hr = document.createElement('tr');
     const corner = document.createElement('th');
     corner.className = 'corner-split';
-    corner.innerHTML = '<span class="corner-top">Час</span><span class="corner-bottom">Черга</span>';
+    const cornerTop = document.createElement('span');
+    cornerTop.className = 'corner-top';
+    cornerTop.textContent = t('table.time');
+    const cornerBottom = document.createElement('span');
+    cornerBottom.className = 'corner-bottom';
+    cornerBottom.textContent = t('table.group');
+    corner.append(cornerTop, cornerBottom);
     hr.appendChild(corner);
-    for (const t of times) {
+    for (const label of times) {
       const th = document.createElement('th');
       const div = document.createElement('div');
       div.className = 'vlabel';
-      div.textContent = t;
+      div.textContent = label;
       th.appendChild(div);
       hr.appendChild(th);
     }
@@ -453,7 +627,7 @@
     if (!gpvKeys.length) {
       const tr = document.createElement('tr');
       const th = document.createElement('th');
-      th.textContent = 'Помилка: відсутні дані на ' + (targetEpoch ? 'обрану дату' : 'сьогодні');
+      th.textContent = t('error.noDayData', { when: targetEpoch ? t('error.selectedDate') : t('day.todayInline') });
       th.colSpan = 1 + tzKeys.length;
       tr.appendChild(th);
       tbody.appendChild(tr);
@@ -462,12 +636,12 @@
       return;
     }
 
-    const names = preset?.sch_names || {};
-
+    const captionLines = [];
     for (const gpvKey of gpvKeys) {
       const tr = document.createElement('tr');
       const th = document.createElement('th');
-      th.textContent = names[gpvKey] || gpvKey.replace(/^GPV/, 'Черга ');
+      th.textContent = groupName(preset, gpvKey);
+      captionLines.push(describeRowLine(preset, groupName(preset, gpvKey), dayObj?.[gpvKey], OUTAGE_PARTS, MAYBE_PARTS));
       tr.appendChild(th);
 
       tzKeys.forEach(hk => {
@@ -475,8 +649,8 @@
         const raw = dayObj?.[gpvKey]?.[String(hk)];
         if (raw) td.classList.add('state-' + raw);
         const timeLabel = preset.time_zone[String(hk)]?.[0] || '';
-        const desc = raw ? (preset.time_type?.[raw] || raw) : '';
-        if (desc) td.title = (names[gpvKey] || gpvKey) + ' ' + timeLabel + ' — ' + desc;
+        const desc = raw ? stateLabel(preset, raw) : '';
+        if (desc) td.title = groupName(preset, gpvKey) + ' ' + timeLabel + ' — ' + desc;
         // For groups template, use the 'nfirst/nsecond' icons like in the Today table
         const iconSrc = raw ? stateIconSrcToday(raw) : null;
         if (iconSrc) {
@@ -492,6 +666,7 @@
       tbody.appendChild(tr);
     }
 
+    setTableCaption(table, captionLines);
     table.appendChild(thead);
     table.appendChild(tbody);
 
@@ -522,11 +697,12 @@
     if (!note || !list) return;
 
     // Replace the static label "Черга" in the summary title with regionAffiliation from JSON
+    // (or with the catalog's label when there is no affiliation)
     try {
       const titleEl = document.querySelector('.summary-title');
       if (titleEl) {
         const dataAll = (typeof window !== 'undefined') ? (window.__SCHEDULE__ || null) : null;
-        const aff = (dataAll && typeof dataAll.regionAffiliation === 'string') ? dataAll.regionAffiliation.trim() : '';
+        const aff = getRegionAffiliation(dataAll) || t('summary.title');
         if (aff) {
           // Remove any existing text nodes (including the original "Черга")
           const toRemove = [];
@@ -554,13 +730,10 @@
     const dayObj = (todayEpoch != null) ? (fact && fact.data && fact.data[String(todayEpoch)]) : null;
     const schedule = dayObj && (dayObj[gpvKey]);
 
-    // Inject date line with full Ukrainian date like "8 листопада,"
+    // Inject date line with the full date like "8 листопада,"
     if (dateEl && Number.isFinite(todayEpoch)) {
-      try {
-        const d = new Date(todayEpoch * 1000);
-        const longDate = new Intl.DateTimeFormat('uk-UA', { timeZone: 'Europe/Kyiv', day: 'numeric', month: 'long' }).format(d);
-        if (longDate) dateEl.textContent = `${longDate},`;
-      } catch (_) { }
+      const longDate = formatLongDate(todayEpoch);
+      if (longDate) dateEl.textContent = t('summary.date', { date: longDate });
     }
 
     const tzKeys = Object.keys(preset.time_zone || {}).map(Number).sort((a, b) => a - b);
@@ -652,32 +825,32 @@
 
     if (intervals.length === 0 && allYes) {
       // All YES for today: ON all day
-      note.textContent = 'світло буде весь день';
+      note.textContent = t('summary.allDay');
       if (statusBadge) {
-        statusBadge.textContent = 'ON';
+        statusBadge.textContent = t('summary.badgeOn');
         statusBadge.className = 'badge-on status-badge';
       }
       // No intervals/placeholder needed when ON all day
     } else if (intervals.length === 0) {
       // No OFF chunks but not all strictly yes (missing data or maybe values)
-      note.textContent = 'Відключень за даними графіка не очікується';
+      note.textContent = t('summary.none');
       if (statusBadge) {
-        statusBadge.textContent = 'OFF';
+        statusBadge.textContent = t('summary.badgeOff');
         statusBadge.className = 'legend-box state-no badge-off status-badge';
       }
       const div = document.createElement('div');
-      div.textContent = '—';
+      div.textContent = t('summary.empty');
       list.appendChild(div);
     } else {
       // There are OFF intervals
-      note.textContent = 'світло буде відсутнє';
+      note.textContent = t('summary.off');
       if (statusBadge) {
-        statusBadge.textContent = 'OFF';
+        statusBadge.textContent = t('summary.badgeOff');
         statusBadge.className = 'legend-box state-no badge-off status-badge';
       }
       for (const [s, e] of intervals) {
         const row = document.createElement('div');
-        row.textContent = `з ${fmt(s)} до ${fmt(e)}`;
+        row.textContent = t('summary.interval', { from: fmt(s), to: fmt(e) });
         list.appendChild(row);
       }
     }
@@ -689,6 +862,87 @@
     }
   }
 
+  // ===== Statistics chart (stats-template.html); data is chartData() from scripts/lib/stats.mjs =====
+  // Caption lines match describeChart() there, which writes the chart's text alternative
+  function buildStatsChart(data) {
+    const table = document.getElementById('stats');
+    if (!table) return;
+    table.innerHTML = '';
+    const num = new Intl.NumberFormat(I18N.locale || 'uk-UA', { maximumFractionDigits: 1 });
+    const hours = (v) => t('stats.hours', { hours: num.format(v) });
+    const groups = Array.isArray(data?.groups) ? data.groups : [];
+
+    const title = t('stats.title', { period: data?.period?.label || '' });
+    document.title = title;
+    const h1 = document.querySelector('.container > h1');
+    if (h1) {
+      h1.textContent = title;
+      const aff = getRegionAffiliation(data);
+      if (aff) insertAffilBeforeColon(h1, aff);
+    }
+
+    const thead = document.createElement('thead');
+    const hr = document.createElement('tr');
+    [t('table.group'), '', t('stats.off'), t('stats.possible'), t('stats.longest'), t('stats.switches')].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      hr.appendChild(th);
+    });
+    thead.appendChild(hr);
+
+    const tbody = document.createElement('tbody');
+    const captionLines = [`${h1 ? h1.textContent : title}.`];
+    if (!groups.length) {
+      const tr = document.createElement('tr');
+      const th = document.createElement('th');
+      th.textContent = t('stats.noData');
+      th.colSpan = 6;
+      tr.appendChild(th);
+      tbody.appendChild(tr);
+      captionLines.push(t('stats.noData'));
+    }
+    for (const g of groups) {
+      const tr = document.createElement('tr');
+      const th = document.createElement('th');
+      th.textContent = g.label;
+      tr.appendChild(th);
+
+      // Share of the group's covered hours: off, then possible; the rest of the track is "power on"
+      const total = (g.days || 0) * 24 || 1;
+      const bar = document.createElement('td');
+      bar.className = 'stats-bar';
+      const track = document.createElement('div');
+      track.className = 'stats-track';
+      [['stats-off', g.off], ['stats-possible', g.possible]].forEach(([cls, value]) => {
+        const seg = document.createElement('span');
+        seg.className = cls;
+        seg.style.width = `${Math.min(100, (100 * (value || 0)) / total)}%`;
+        track.appendChild(seg);
+      });
+      bar.appendChild(track);
+      tr.appendChild(bar);
+
+      [hours(g.off), hours(g.possible), hours(g.longestOff), String(g.switches)].forEach(text => {
+        const td = document.createElement('td');
+        td.className = 'stats-value';
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+      captionLines.push(t('stats.line', { group: g.label, off: hours(g.off), possible: hours(g.possible), longest: hours(g.longestOff), switches: g.switches, days: g.days }));
+    }
+
+    const fairnessEl = document.getElementById('statsFairness');
+    const f = data?.fairness;
+    const fairnessText = f ? t('stats.fairness', { mean: hours(f.mean), max: f.max.label, maxValue: hours(f.max.offPerDay), min: f.min.label, minValue: hours(f.min.offPerDay) }) : '';
+    if (fairnessEl) fairnessEl.textContent = fairnessText;
+    if (fairnessText) captionLines.push(fairnessText);
+
+    setTableCaption(table, captionLines);
+    table.appendChild(thead);
+    table.appendChild(tbody);
+  }
+
   function applyUpdateHighlights(preset, data) {
     const { tzKeys, starts } = buildStartsMinutesFromPreset(preset);
     if (!tzKeys || !tzKeys.length) return;
@@ -719,7 +973,10 @@
   }
 
   // ===== Region affiliation injection helpers =====
+  // A localized region name from the registry (window.__REGION_NAME__, injected by the renderer) wins over
+  // the upstream regionAffiliation, which is always Ukrainian
   function getRegionAffiliation(data) {
+    if (typeof window.__REGION_NAME__ === 'string' && window.__REGION_NAME__.trim()) return window.__REGION_NAME__.trim();
     const aff = (data && typeof data.regionAffiliation === 'string') ? data.regionAffiliation.trim() : '';
     return aff;
   }
@@ -759,9 +1016,9 @@
   }
 
   async function scheduleInit(options) {
-    const mode = (options && options.mode) || 'auto';
-    const dayOption = (options && options.day) || 'today'; // 'today' or 'tomorrow'
     initThemeFromQuery();
+    await loadI18n();
+    applyI18n();
 
     let data;
     try {
@@ -771,12 +1028,27 @@
       return;
     }
 
-    const gpvKey = pickGpvKey(data);
+    render(data, options);
+  }
+
+  // Fill the page from loaded data; safe to call again with new data or options (static text is reset first)
+  function render(data, options) {
+    const mode = (options && options.mode) || 'auto';
+    const dayOption = (options && options.day) || 'today'; // 'today' or 'tomorrow'
+    applyI18n();
+    injectStaleBanner();
+
+    if (mode === 'stats') {
+      buildStatsChart(data);
+      return;
+    }
+
+    const gpvKey = pickGpvKey(data, options && options.gpv);
 
     // lastUpdated/meta only if such elements exist (full template)
     injectLastUpdatedIfPresent(data);
 
-    // For groups mode: replace word "сьогодні" with full date (e.g., "8 листопада") and remove short (DD.MM)
+    // For groups mode: show the full date of the chosen day (e.g., "8 листопада") instead of "сьогодні"
     if (mode === 'groups') {
       try {
         const todayEpoch = (data && data.fact && data.fact.today != null) ? Number(data.fact.today) : null;
@@ -794,38 +1066,12 @@
           } catch (_) { }
         }
 
-        let longDate = '';
-        if (Number.isFinite(targetEpoch)) {
-          try {
-            const d = new Date(targetEpoch * 1000);
-            longDate = new Intl.DateTimeFormat('uk-UA', { timeZone: 'Europe/Kyiv', day: 'numeric', month: 'long' }).format(d);
-          } catch (_) { longDate = ''; }
-        }
+        const longDate = Number.isFinite(targetEpoch) ? formatLongDate(targetEpoch) : '';
         if (longDate) {
-          // Update document.title: replace '(сьогодні ...)' or '(сьогодні)' with '(D місяця)'
-          const cur = document.title || '';
-          let next = cur.replace(/\(сьогодні\s*\(\d{2}\.\d{2}\)\)/i, `(${longDate})`)
-            .replace(/\(сьогодні\)/i, `(${longDate})`);
-          if (next !== cur) {
-            document.title = next;
-          } else if (!/\([^)]*\)/.test(cur)) {
-            // No parentheses at all — append date in parentheses
-            document.title = `${cur} (${longDate})`;
-          }
-
-          // Update H1: replace 'на сьогодні (DD.MM)' or 'на сьогодні' with 'на D місяця'
+          // Document title and H1 come from the catalog with the date in place of "сьогодні"
+          document.title = t('doc.groups', { date: longDate });
           const h1 = document.querySelector('.container > h1');
-          if (h1 && h1.firstChild) {
-            const text = h1.firstChild.nodeValue || '';
-            let updated = text.replace(/на сьогодні\s*\(\d{2}\.\d{2}\)/i, `на ${longDate}`)
-              .replace(/на сьогодні/i, `на ${longDate}`);
-            // If we are showing tomorrow, we might want to replace "на сьогодні" with "на завтра" or just the date.
-            // The regex above handles "на сьогодні" -> "на D місяця".
-            // If the text was "Графік відключень на сьогодні ...", it becomes "Графік відключень на D місяця ...".
-            if (updated !== text) {
-              h1.firstChild.nodeValue = updated;
-            }
-          }
+          if (h1) h1.textContent = t('title.groups', { date: longDate });
         }
       } catch (_) { }
     }
@@ -872,7 +1118,7 @@
     }
 
     if ((mode === 'emergency' || mode === 'auto') && hasToday) {
-      buildToday(data.preset, data.fact, gpvKey);
+      buildToday(data.preset, data.fact, gpvKey, mode === 'emergency' ? options.day : undefined);
       // also inject meta hash if element exists
       injectMetaIfPresent(data);
     }
@@ -898,10 +1144,10 @@
         // Re-find next available day
         try {
           const keys = Object.keys(data?.fact?.data || {}).map(Number).filter(n => !Number.isNaN(n));
-          const t = (data && data.fact && data.fact.today != null) ? Number(data.fact.today) : null;
+          const today = (data && data.fact && data.fact.today != null) ? Number(data.fact.today) : null;
           if (keys.length) {
-            const greater = keys.filter(k => t != null ? k > t : true).sort((a, b) => a - b);
-            const nextDay = greater[0] ?? keys.find(k => k !== t) ?? null;
+            const greater = keys.filter(k => today != null ? k > today : true).sort((a, b) => a - b);
+            const nextDay = greater[0] ?? keys.find(k => k !== today) ?? null;
             if (nextDay != null) effectiveEpoch = nextDay;
           }
         } catch (_) { }
@@ -919,9 +1165,19 @@
     }
   }
 
+  // Catalog loaded by the page itself (dashboard); the templates use loadI18n()
+  function useCatalog(catalog) {
+    if (catalog && catalog.messages) I18N = catalog;
+  }
+
   // Export
   window.Schedule = {
     scheduleInit,
+    render,
+    useCatalog,
+    t,
+    groupName,
+    buildStartsMinutesFromPreset,
     // exposing helpers for potential debugging
     _pickGpvKey: pickGpvKey,
     _computeTodayIdx: computeTodayWeekdayIdx
@@ -0,0 +1,260 @@
+/* Static dashboard over the schedule templates (built into site/ by scripts/build_site.mjs).
+ * Region and group selectors, today / tomorrow / week tabs and a light/dark toggle; the state lives in the
+ * same query params as the templates (?region=&gpv=&day=&theme=&lang=), so every view has a shareable URL.
+ * Tables come from schedule-shared.js (Schedule.render); data is re-fetched every few minutes and the page
+ * re-renders in place when it changed. A "now" marker follows the current Kyiv time on today's rows.
+ */
+(function () {
+  'use strict';
+
+  const REFRESH_MS = 5 * 60 * 1000;
+  const MARKER_MS = 30 * 1000;
+  const DAYS = ['today', 'tomorrow', 'week'];
+  const ALL = 'all';
+
+  const state = { lang: 'uk', region: null, gpv: ALL, day: 'today', dark: false, dataBase: 'data/', regions: [], data: null, raw: '' };
+  const $ = (id) => document.getElementById(id);
+  const t = (key, params) => Schedule.t(key, params);
+
+  function readUrl() {
+    const qs = new URLSearchParams(location.search);
+    state.lang = qs.get('lang') || state.lang;
+    state.region = qs.get('region');
+    state.gpv = qs.get('gpv') || ALL;
+    state.day = DAYS.includes(qs.get('day')) ? qs.get('day') : 'today';
+    state.dark = qs.get('theme') === 'dark';
+  }
+
+  function writeUrl() {
+    const qs = new URLSearchParams();
+    if (state.region) qs.set('region', state.region);
+    qs.set('gpv', state.gpv);
+    qs.set('day', state.day);
+    if (state.dark) qs.set('theme', 'dark');
+    if (state.lang !== 'uk') qs.set('lang', state.lang);
+    history.replaceState(null, '', `${location.pathname}?${qs}`);
+  }
+
+  function setStatus(text) {
+    $('status').textContent = text || '';
+  }
+
+  async function fetchJson(url, fresh) {
+    const res = await fetch(url, { cache: fresh ? 'no-cache' : 'default' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const text = await res.text();
+    return { text, json: JSON.parse(text) };
+  }
+
+  async function loadCatalog() {
+    for (const lang of [state.lang, 'uk']) {
+      try {
+        Schedule.useCatalog((await fetchJson(`i18n/${encodeURIComponent(lang)}.json`)).json);
+        state.lang = lang;
+        return;
+      } catch (_) { }
+    }
+  }
+
+  function regionEntry(id) {
+    return state.regions.find(r => r.id === id) || null;
+  }
+
+  function regionLabel(entry) {
+    return (entry.names && entry.names[state.lang]) || entry.name || entry.id;
+  }
+
+  // Groups of the loaded region: weekly preset plus every fact day
+  function groupKeys(data) {
+    const keys = new Set(Object.keys(data?.preset?.data || {}));
+    Object.values(data?.fact?.data || {}).forEach(day => Object.keys(day || {}).forEach(k => keys.add(k)));
+    return [...keys].filter(k => /^GPV\d+\.\d+$/.test(k)).sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+  }
+
+  function fillSelect(select, options, value) {
+    select.innerHTML = '';
+    for (const [v, label] of options) {
+      const opt = document.createElement('option');
+      opt.value = v;
+      opt.textContent = label;
+      select.appendChild(opt);
+    }
+    select.value = value;
+  }
+
+  function fillControls() {
+    fillSelect($('region'), state.regions.map(r => [r.id, regionLabel(r)]), state.region);
+    const keys = groupKeys(state.data);
+    if (state.data && state.gpv !== ALL && !keys.includes(state.gpv)) state.gpv = ALL;
+    // The week view is per group: "all groups" is not offered there
+    if (state.day === 'week' && state.gpv === ALL && keys.length) state.gpv = keys[0];
+    const groups = keys.map(k => [k, Schedule.groupName(state.data?.preset, k)]);
+    fillSelect($('gpv'), state.day === 'week' ? groups : [[ALL, t('site.allGroups')], ...groups], state.gpv);
+    document.querySelectorAll('.dash-tabs [data-day]').forEach(btn => {
+      btn.setAttribute('aria-selected', String(btn.dataset.day === state.day));
+    });
+    document.body.classList.toggle('theme-dark', state.dark);
+    const theme = $('theme');
+    theme.textContent = t(state.dark ? 'site.themeLight' : 'site.themeDark');
+    theme.setAttribute('aria-pressed', String(state.dark));
+  }
+
+  function render() {
+    fillControls();
+    writeUrl();
+    const data = state.data;
+    if (!data) return;
+    const week = state.day === 'week';
+    const mode = week ? 'week' : (state.gpv === ALL ? 'groups' : 'emergency');
+    const entry = regionEntry(state.region);
+    window.__REGION_NAME__ = (entry && entry.names && entry.names[state.lang]) || '';
+
+    document.querySelector('.container > h1').setAttribute('data-i18n', { week: 'title.week', groups: 'title.groups', emergency: 'title.schedule' }[mode]);
+    const today = $('today');
+    const matrix = $('matrix');
+    today.hidden = mode !== 'emergency';
+    matrix.hidden = mode === 'emergency';
+    (today.hidden ? today : matrix).innerHTML = '';
+    // Week rows use the m* half-hour icons, day rows the n* ones (as in the templates)
+    document.querySelectorAll('.legend img').forEach(img => {
+      img.src = img.getAttribute('src').replace(/icons\/[nm](first|second)\.svg$/, `icons/${week ? 'm' : 'n'}$1.svg`);
+    });
+
+    Schedule.render(data, { mode, gpv: state.gpv === ALL ? undefined : state.gpv, day: week ? undefined : state.day });
+    document.title = `${t('site.doc')} — ${entry ? regionLabel(entry) : state.region}`;
+    const shown = today.hidden ? matrix : today;
+    setStatus(shown.tBodies[0] && shown.tBodies[0].rows.length ? '' : t('error.noDayData', { when: t('error.selectedDate') }));
+    updateMarker();
+  }
+
+  // ===== "Now" marker =====
+  function kyivNow() {
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: 'Europe/Kyiv', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', weekday: 'short', hourCycle: 'h23',
+    }).formatToParts(new Date()).forEach(p => { parts[p.type] = p.value; });
+    const weekday = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 }[parts.weekday];
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute), time: `${parts.hour}:${parts.minute}`, weekday };
+  }
+
+  function kyivDate(epochSec) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: 'Europe/Kyiv', year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(Number(epochSec) * 1000));
+  }
+
+  // Rows that show the current day: the "today" tab while fact.today is today, or today's weekday in the week view
+  function nowRows(now) {
+    const data = state.data;
+    if (state.day === 'week') {
+      if (Schedule._computeTodayIdx(data) !== now.weekday) return [];
+      return [...$('matrix').querySelectorAll('tbody tr.is-today')];
+    }
+    if (state.day !== 'today' || data?.fact?.today == null || kyivDate(data.fact.today) !== now.date) return [];
+    const table = state.gpv === ALL ? $('matrix') : $('today');
+    return [...table.querySelectorAll('tbody tr')];
+  }
+
+  function updateMarker() {
+    const marker = $('now');
+    marker.hidden = true;
+    document.querySelectorAll('thead th.is-now').forEach(th => th.classList.remove('is-now'));
+    if (!state.data) return;
+    const now = kyivNow();
+    const rows = nowRows(now);
+    if (!rows.length) return;
+
+    const { starts } = Schedule.buildStartsMinutesFromPreset(state.data.preset);
+    let idx = -1;
+    starts.forEach((s, i) => { if (Number.isFinite(s) && s <= now.minutes) idx = i; });
+    if (idx < 0) return;
+    const end = idx + 1 < starts.length ? starts[idx + 1] : 24 * 60;
+    const frac = end > starts[idx] ? (now.minutes - starts[idx]) / (end - starts[idx]) : 0;
+
+    const table = rows[0].closest('table');
+    const th = table.querySelectorAll('thead th')[1 + idx];
+    if (!th) return;
+    th.classList.add('is-now');
+    const wrap = marker.parentElement;
+    const box = wrap.getBoundingClientRect();
+    const cell = th.getBoundingClientRect();
+    const top = rows[0].getBoundingClientRect().top;
+    const bottom = rows[rows.length - 1].getBoundingClientRect().bottom;
+    marker.style.left = `${cell.left - box.left + wrap.scrollLeft + frac * cell.width}px`;
+    marker.style.top = `${top - box.top + wrap.scrollTop}px`;
+    marker.style.height = `${bottom - top}px`;
+    marker.title = t('site.now', { time: now.time });
+    marker.hidden = false;
+  }
+
+  // ===== Data =====
+  async function loadRegion(id, fresh) {
+    const url = `${state.dataBase}${encodeURIComponent(id)}.json`;
+    try {
+      const { text, json } = await fetchJson(url, fresh);
+      if (id !== state.region) return;
+      if (text === state.raw) return;
+      state.raw = text;
+      state.data = json;
+      render();
+    } catch (e) {
+      if (id !== state.region || state.data) return;
+      $('today').innerHTML = '';
+      $('matrix').innerHTML = '';
+      updateMarker();
+      setStatus(t('site.loadFailed', { url }));
+    }
+  }
+
+  function bindControls() {
+    $('region').addEventListener('change', (e) => {
+      state.region = e.target.value;
+      state.data = null;
+      state.raw = '';
+      setStatus(t('site.loading'));
+      writeUrl();
+      loadRegion(state.region, false);
+    });
+    $('gpv').addEventListener('change', (e) => {
+      state.gpv = e.target.value;
+      render();
+    });
+    document.querySelectorAll('.dash-tabs [data-day]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        state.day = btn.dataset.day;
+        render();
+      });
+    });
+    $('theme').addEventListener('click', () => {
+      state.dark = !state.dark;
+      render();
+    });
+    window.addEventListener('resize', updateMarker);
+    $('now').parentElement.addEventListener('scroll', updateMarker);
+  }
+
+  async function init() {
+    readUrl();
+    document.body.classList.toggle('theme-dark', state.dark);
+    await loadCatalog();
+    setStatus(t('site.loading'));
+    try {
+      const { json } = await fetchJson('regions.json', true);
+      state.dataBase = json.dataBase || state.dataBase;
+      state.regions = Array.isArray(json.regions) ? json.regions : [];
+    } catch (e) {
+      setStatus(t('site.loadFailed', { url: 'regions.json' }));
+      return;
+    }
+    if (!state.regions.length) {
+      setStatus(t('site.noRegions'));
+      return;
+    }
+    if (!regionEntry(state.region)) state.region = state.regions[0].id;
+    bindControls();
+    await loadRegion(state.region, false);
+
+    setInterval(updateMarker, MARKER_MS);
+    setInterval(() => loadRegion(state.region, true), REFRESH_MS);
+  }
+
+  init();
+})();
@@ -0,0 +1,90 @@
+// Contract test for every registered source adapter: test/fixtures/adapters/<id>.html must be detected,
+// extracted and normalized into fact/preset that match templates/json/data.schema.json; plus the edge cases of the
+// discon-schedule adapter and adapter selection.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { fixturePath } from './helpers.mjs';
+import adapters from '../scripts/adapters/index.js';
+import schemaLib from '../scripts/lib/schema.js';
+
+const { listAdapters, getAdapter, selectAdapter, DEFAULT_ADAPTER_ID } = adapters;
+const { validate, loadDataSchema, formatErrors } = schemaLib;
+
+for (const { id } of listAdapters()) {
+  test(`adapter ${id}: fixture is detected, extracted and normalized`, async () => {
+    const adapter = getAdapter(id);
+    const body = await readFile(fixturePath('adapters', `${id}.html`), 'utf8');
+
+    assert.equal(adapter.detect(body), true);
+    assert.equal(selectAdapter(body).id, id);
+
+    const extracted = adapter.extract(body);
+    assert.equal(extracted.error, undefined, extracted.error);
+    const { fact, preset, methods, hashInput } = adapter.normalize(extracted);
+
+    const defs = loadDataSchema().$defs;
+    const schema = { $defs: defs, $ref: '#/$defs/fact' };
+    assert.deepEqual(validate(fact, schema), [], formatErrors(validate(fact, schema)));
+    if (preset !== null) {
+      const presetSchema = { $defs: defs, $ref: '#/$defs/preset' };
+      assert.deepEqual(validate(preset, presetSchema), [], formatErrors(validate(preset, presetSchema)));
+    }
+    assert.equal(typeof methods.fact, 'string');
+    assert.equal(typeof hashInput, 'string');
+    assert.ok(hashInput.length > 0);
+  });
+}
+
+test('adapters reject placeholder pages', async () => {
+  const waf = await readFile(fixturePath('html', 'waf.html'), 'utf8');
+  for (const { id } of listAdapters()) {
+    assert.equal(getAdapter(id).detect(waf), false, id);
+  }
+});
+
+test('getAdapter throws on unknown ids', () => {
+  assert.throws(() => getAdapter('nope'), /Unknown source adapter 'nope'/);
+});
+
+test('discon-schedule: JSON and JS-literal pages, a missing or broken preset, markers in comments', async () => {
+  const disc = getAdapter('discon-schedule');
+  const page = async name => readFile(fixturePath('html', `${name}.html`), 'utf8');
+
+  assert.deepEqual(disc.normalize(disc.extract(await page('normal'))).methods, { fact: 'json', preset: 'json' });
+  assert.deepEqual(disc.normalize(disc.extract(await page('js-literal'))).methods, { fact: 'js-literal', preset: 'js-literal' });
+
+  const noPreset = await page('missing-preset');
+  assert.equal(disc.detect(noPreset), false);
+  assert.deepEqual(disc.missingMarkers(noPreset), ['DisconSchedule.preset']);
+  const partial = disc.normalize(disc.extract(noPreset));
+  assert.deepEqual([partial.preset, partial.methods.preset], [null, 'n/a']);
+  assert.ok(partial.hashInput.endsWith('|'));
+
+  // A mention in a comment is skipped in favour of the assignment that carries a literal
+  const commented = disc.extract('<script>// DisconSchedule.fact = see below\nDisconSchedule.fact = {"a":1}; DisconSchedule.preset = { b: 2, };</script>');
+  assert.deepEqual(commented, {
+    fact: { text: '{"a":1}', value: { a: 1 }, method: 'json' },
+    preset: { text: '{ b: 2, }', value: { b: 2 }, method: 'js-literal' },
+    warnings: [],
+  });
+
+  // A preset that is not a literal is dropped with a warning; its text still feeds the hash
+  const broken = disc.extract('DisconSchedule.fact = {"a":1}; DisconSchedule.preset = { b: foo() };');
+  assert.deepEqual(broken.preset, { text: '{ b: foo() }', value: null, method: 'failed' });
+  assert.match(broken.warnings[0], /Identifier 'foo' is not a literal value.*\(preset\)$/);
+  assert.equal(disc.normalize(broken).hashInput, '{"a":1}|{ b: foo() }');
+
+  assert.deepEqual(disc.extract(await page('truncated')), { error: 'Unbalanced braces while extracting fact object' });
+  assert.deepEqual(disc.extract(await page('waf')), { error: 'Marker `DisconSchedule.fact =` not found' });
+  assert.deepEqual(disc.extract('DisconSchedule.fact = null;'), { error: "Expected '{' or '[' after `DisconSchedule.fact =`" });
+});
+
+test('selectAdapter: a configured id wins, "auto" detects, unknown bodies fall back to the default', async () => {
+  const body = await readFile(fixturePath('adapters', 'discon-schedule.html'), 'utf8');
+  assert.equal(selectAdapter(body, 'auto').id, 'discon-schedule');
+  assert.equal(selectAdapter('<html>captcha</html>').id, DEFAULT_ADAPTER_ID);
+  assert.equal(selectAdapter('<html>captcha</html>', 'discon-schedule').id, 'discon-schedule');
+  assert.throws(() => selectAdapter(body, 'nope'), /Unknown source adapter 'nope' \(known: discon-schedule\)/);
+  assert.deepEqual(listAdapters().map(a => typeof a.description), listAdapters().map(() => 'string'));
+});
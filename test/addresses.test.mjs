@@ -0,0 +1,134 @@
+// scripts/lib/addresses.mjs: address index import, normalisation and lookup.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { spawnSync } from 'node:child_process';
+import path from 'node:path';
+import { fixturesDir, projectRoot, tempDir } from './helpers.mjs';
+import {
+  loadAddressIndex, lookupAddress, resolveGroup, normalizeStreet, parseAddressQuery, parseHouseSpec, houseMatchScore, parseHouse,
+  parseCsv, compactAddressRows, verifyAddressRecords, formatAddressCsv,
+} from '../scripts/lib/addresses.mjs';
+
+const dir = path.join(fixturesDir, 'addresses');
+
+test('street types and their abbreviations normalise to one form', () => {
+  assert.deepEqual(normalizeStreet('вул. Хрещатик'), { type: 'вулиця', name: 'хрещатик' });
+  assert.deepEqual(normalizeStreet('ВУЛИЦЯ  ХРЕЩАТИК'), { type: 'вулиця', name: 'хрещатик' });
+  assert.deepEqual(normalizeStreet('Берестейський пр-т'), { type: 'проспект', name: 'берестейський' });
+  assert.deepEqual(normalizeStreet('б-р ім. Тараса Шевченка'), { type: 'бульвар', name: 'тараса шевченка' });
+  assert.equal(normalizeStreet('вул. Садова’').name, normalizeStreet("вул. Садова'").name);
+});
+
+test('house specs: numbers, letters, ranges and parity', () => {
+  const odd = parseHouseSpec('1-25 непарні');
+  assert.equal(houseMatchScore(odd, parseHouse('7')), 1);
+  assert.equal(houseMatchScore(odd, parseHouse('8')), 0);
+  assert.equal(houseMatchScore(odd, parseHouse('27')), 0);
+  const exact = parseHouseSpec('27А, 12/2');
+  assert.equal(houseMatchScore(exact, parseHouse('27-а')), 2);
+  assert.equal(houseMatchScore(exact, parseHouse('27')), 0);
+  assert.equal(houseMatchScore(exact, parseHouse('12/2')), 2);
+  assert.equal(houseMatchScore(parseHouseSpec('*'), null), 1);
+  assert.deepEqual(parseHouseSpec('1-5, десь').invalid, ['десь']);
+});
+
+test('query parsing splits settlement, street and house', () => {
+  assert.deepEqual(parseAddressQuery('м. Київ, вул. Хрещатик, 22'), { settlement: 'м. Київ', street: 'вул. Хрещатик', house: '22' });
+  assert.deepEqual(parseAddressQuery('Хрещатик 27а'), { settlement: null, street: 'Хрещатик', house: '27а' });
+  assert.deepEqual(parseAddressQuery('Гора, Шевченка', ['гора']), { settlement: 'Гора', street: 'Шевченка', house: null });
+});
+
+test('CSV index: lookup by street and house, bad rows reported', async () => {
+  const index = await loadAddressIndex('sample', { dir });
+  assert.equal(index.entries.length, 8);
+  assert.deepEqual(index.errors, ["row 9 (вул. Без групи): invalid group 'GPV'"]);
+
+  assert.equal(resolveGroup(index, 'вул. Хрещатик, 7').gpv, 'GPV1.1');
+  assert.equal(resolveGroup(index, 'ХРЕЩАТИК 22').gpv, 'GPV1.2');
+  assert.equal(resolveGroup(index, 'вулиця Хрещатик, 27-А').gpv, 'GPV2.1');
+  assert.equal(resolveGroup(index, 'проспект Берестейський, 100').gpv, 'GPV2.2');
+  assert.equal(resolveGroup(index, 'Хрещатик 99').gpv, null);
+
+  // Without a house number the street spans two groups
+  const street = resolveGroup(index, 'вул. Хрещатик');
+  assert.equal(street.gpv, null);
+  assert.equal(street.ambiguous, true);
+});
+
+test('street type and settlement disambiguate same-named streets', async () => {
+  const index = await loadAddressIndex('sample', { dir });
+  assert.equal(resolveGroup(index, 'бульв. Шевченка, 5').gpv, 'GPV2.1');
+  assert.equal(resolveGroup(index, 'пров. Шевченка').gpv, 'GPV1.1');
+  assert.equal(resolveGroup(index, 'с. Гора, вул. Шевченка').gpv, 'GPV2.2');
+  // Partial name: every query word must prefix a word of the street
+  assert.deepEqual(lookupAddress(index, 'Ярослав Вал 3').map(m => m.gpv), ['GPV1.2']);
+});
+
+test('JSON index and missing index', async () => {
+  const index = await loadAddressIndex('sample-json', { dir });
+  assert.equal(resolveGroup(index, 'Дерибасівська 40').gpv, 'GPV3.2');
+  const none = await loadAddressIndex('nowhere', { dir });
+  assert.equal(none.file, null);
+  assert.deepEqual(lookupAddress(none, 'Хрещатик 1'), []);
+});
+
+test('CLI prints the group and image path', () => {
+  const run = (...args) => spawnSync(process.execPath, [path.join(projectRoot, 'scripts', 'address_lookup.mjs'), '--dir', dir, ...args], { encoding: 'utf8', timeout: 30_000 });
+  const found = run('--region', 'sample', '--address', 'вул. Хрещатик, 22', '--json');
+  assert.equal(found.status, 0, found.stderr);
+  const out = JSON.parse(found.stdout);
+  assert.equal(out.gpv, 'GPV1.2');
+  assert.equal(out.image, path.join('images', 'sample', 'gpv-1-2.png'));
+  assert.equal(run('--region', 'sample', '--address', 'Невідома 1').status, 1);
+  assert.equal(run('--region', 'sample', '--check').status, 1);
+  assert.equal(run('--region', 'sample').status, 2);
+  const missing = run('--region', 'nowhere', '--address', 'Хрещатик 1');
+  assert.equal(missing.status, 2);
+  assert.match(missing.stderr, /No address index for region 'nowhere' .*build it with scripts\/build_address_index\.mjs/);
+  assert.match(run('--help').stdout, /No region has an address index yet/);
+});
+
+test('per-building export folds into ranges that resolve every building to its group', async () => {
+  const rows = parseCsv(await readFile(path.join(dir, 'buildings.csv'), 'utf8'));
+  const { records, errors } = compactAddressRows(rows);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(records.map(r => `${r.street}|${r.houses}|${r.group}`), [
+    'вул. Хрещатик|1-7 непарні, 12/2|GPV1.1',
+    'вул. Хрещатик|2-6 парні|GPV1.2',
+    'вул. Хрещатик|7А, 9-12|GPV2.1',
+    'просп. Берестейський|*|GPV2.2',
+    'вул. Шевченка|1, 4|GPV2.2',
+  ]);
+  assert.deepEqual(verifyAddressRecords(records, rows), []);
+  assert.equal(formatAddressCsv(records).split('\n')[1], 'м. Київ,вул. Хрещатик,"1-7 непарні, 12/2",GPV1.1');
+
+  const conflict = compactAddressRows([...rows, { settlement: 'м. Київ', street: 'вулиця Хрещатик', house: '3', group: '2.1' }, { street: 'Садова', house: '?', group: '1.1' }]);
+  assert.deepEqual(conflict.errors, ["row 18 (вулиця Хрещатик 3): building is already in GPV1.1", "row 19 (Садова ?): unrecognized house '?'"]);
+  // Next to a whole-street row the other group keeps exact numbers, which win the lookup
+  const mixed = [{ street: 'вул. Лісова', house: '*', group: '1.1' }, ...['5', '7', '9'].map(house => ({ street: 'вул. Лісова', house, group: '1.2' }))];
+  const folded = compactAddressRows(mixed).records;
+  assert.deepEqual(folded.map(r => r.houses), ['*', '5, 7, 9']);
+  assert.deepEqual(verifyAddressRecords(folded, mixed), []);
+  // The whole street in two groups cannot be resolved
+  const twice = [...mixed, { street: 'вул. Лісова', house: '*', group: '2.1' }, { street: 'вул. Лісова', house: '3', group: '1.1' }];
+  assert.deepEqual(verifyAddressRecords(compactAddressRows(twice).records, twice), ['row 6 (вул. Лісова 3): resolves to several groups, expected GPV1.1']);
+});
+
+test('CLI builds addresses/<region>.csv from an export and refuses a broken one', async (t) => {
+  const out = await tempDir(t);
+  const run = (...args) => spawnSync(process.execPath, [path.join(projectRoot, 'scripts', 'build_address_index.mjs'), '--out', out, ...args], { encoding: 'utf8', timeout: 30_000 });
+  const built = run('--region', 'kyiv', '--from', path.join(dir, 'buildings.csv'));
+  assert.equal(built.status, 0, built.stderr);
+  assert.match(built.stdout, /17 buildings → 5 index rows, written/);
+  const index = await loadAddressIndex('kyiv', { dir: out });
+  assert.deepEqual(index.errors, []);
+  assert.equal(resolveGroup(index, 'вул. Хрещатик, 10').gpv, 'GPV2.1');
+  assert.match(run('--region', 'kyiv', '--from', path.join(dir, 'buildings.csv')).stdout, /unchanged/);
+
+  await writeFile(path.join(out, 'broken.json'), JSON.stringify([{ street: 'вул. Лісова', house: '1', group: 'x' }]));
+  const broken = run('--region', 'lisova', '--from', path.join(out, 'broken.json'));
+  assert.equal(broken.status, 1);
+  assert.match(broken.stderr, /invalid group 'x'/);
+  assert.equal(run('--region', '../kyiv', '--from', path.join(dir, 'buildings.csv')).status, 2);
+});
@@ -0,0 +1,96 @@
+// scripts/lib/alt_text.mjs: text alternatives agree with the image data, one line per day / weekday / group.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { readFixtureJson, tempDir } from './helpers.mjs';
+import { describeImage, writeAltFiles, altPaths, ALT_KINDS } from '../scripts/lib/alt_text.mjs';
+import { summaryOf } from '../scripts/lib/svg_renderer.mjs';
+
+const json = { ...(await readFixtureJson('schedule.json')), regionAffiliation: 'м. Київ' };
+
+test('full: today and tomorrow outages, the week and the last update', () => {
+  const d = describeImage(json, { kind: 'full', gpv: 'GPV1.1' });
+  assert.equal(d.group, '1.1');
+  assert.equal(d.updated, '06.12.2025 20:39');
+  assert.deepEqual(d.days.map(x => x.date), ['2025-12-06', '2025-12-07']);
+  assert.equal(d.week.length, 7);
+  assert.deepEqual(d.lines.slice(0, 2), [
+    'Графік відключень, черга 1.1 (м. Київ).',
+    '6 грудня: світла не буде з 06:00 до 10:30, з 14:00 до 21:00.',
+  ]);
+  assert.ok(d.lines.includes('Можливі відключення на тиждень:'));
+  assert.match(d.lines.find(l => l.startsWith('Понеділок:')), /^Понеділок: можливі відключення з 00:00 до /);
+  assert.equal(d.lines.at(-1), 'Дата та час останнього оновлення інформації на графіку: 06.12.2025 20:39');
+  assert.equal(d.text, d.lines.join('\n'));
+});
+
+test('summary matches the summary card; per-kind content', () => {
+  const d = describeImage(json, { kind: 'summary', gpv: 'GPV1.1' });
+  assert.equal(d.days.length, 1);
+  assert.equal(d.week, undefined);
+  assert.deepEqual(d.days[0].outages.map(r => `з ${r.from} до ${r.to}`), summaryOf(json, 'GPV1.1').lines);
+
+  const week = describeImage(json, { kind: 'week', gpv: 'GPV2.2' });
+  assert.equal(week.days, undefined);
+  assert.equal(week.lines[0], 'Графік можливих відключень на тиждень, черга 2.2 (м. Київ).');
+
+  const emergency = describeImage(json, { kind: 'emergency', gpv: 'GPV2.2' });
+  assert.equal(emergency.days.length, 2);
+  assert.equal(emergency.week, undefined);
+  assert.throws(() => describeImage(json, { kind: 'poster' }), /Unknown image kind/);
+  assert.deepEqual(ALT_KINDS, ['full', 'emergency', 'week', 'groups', 'summary']);
+});
+
+test('groups: one line per group for the chosen day', () => {
+  const d = describeImage(json, { kind: 'groups', day: 'tomorrow' });
+  assert.equal(d.date, '2025-12-07');
+  assert.deepEqual(d.groups.map(g => g.group), ['1.1', '1.2', '2.1', '2.2']);
+  assert.equal(d.lines[0], 'Графік відключень на 7 грудня по всіх чергах (м. Київ).');
+  assert.equal(d.lines.length, 1 + 4 + 1);
+  assert.ok(d.lines.slice(1, 5).every((l, i) => l.startsWith(`Черга ${d.groups[i].group}: `)));
+});
+
+test('maybe slots, all-yes days, missing rows and English', () => {
+  const j = structuredClone(json);
+  const row = j.fact.data[j.fact.today]['GPV1.1'];
+  for (const k of Object.keys(row)) row[k] = 'yes';
+  row['13'] = 'maybe';
+  let d = describeImage(j, { kind: 'summary', gpv: 'GPV1.1' });
+  assert.deepEqual(d.days[0].outages, []);
+  assert.deepEqual(d.days[0].possible, [{ from: '12:00', to: '13:00' }]);
+  assert.equal(d.lines[1], '6 грудня: можливі відключення з 12:00 до 13:00.');
+
+  row['13'] = 'yes';
+  d = describeImage(j, { kind: 'summary', gpv: 'GPV1.1' });
+  assert.equal(d.lines[1], '6 грудня: світло буде весь день.');
+
+  delete j.fact.data[j.fact.today]['GPV1.1'];
+  d = describeImage(j, { kind: 'summary', gpv: 'GPV1.1' });
+  assert.equal(d.days[0].outages, null);
+  assert.equal(d.lines[1], '6 грудня: немає даних.');
+
+  const en = describeImage(json, { kind: 'emergency', gpv: 'GPV1.1', lang: 'en', regionName: 'Kyiv city' });
+  assert.deepEqual(en.lines.slice(0, 2), ['Outage schedule, group 1.1 (Kyiv city).', '6 December: no power 06:00 – 10:30, 14:00 – 21:00.']);
+  assert.equal(en.region, 'Kyiv city');
+});
+
+test('sibling files are written next to the image and left alone when unchanged', async (t) => {
+  const dir = await tempDir(t);
+  const image = path.join(dir, 'kyiv', 'gpv-1-1.png');
+  assert.deepEqual(altPaths(image), { txt: path.join(dir, 'kyiv', 'gpv-1-1.txt'), json: path.join(dir, 'kyiv', 'gpv-1-1.alt.json') });
+  assert.equal(altPaths('a/gpv-all-today.svg').json, 'a/gpv-all-today.alt.json');
+
+  const d = describeImage(json, { kind: 'full', gpv: 'GPV1.1' });
+  assert.equal(await writeAltFiles(image, d), 2);
+  const { txt, json: jsonPath } = altPaths(image);
+  assert.equal(await readFile(txt, 'utf8'), `${d.text}\n`);
+  const saved = JSON.parse(await readFile(jsonPath, 'utf8'));
+  assert.equal(saved.text, d.text);
+  assert.equal(saved.lines, undefined);
+  assert.deepEqual(saved.days, d.days);
+
+  const before = (await stat(txt)).mtimeMs;
+  assert.equal(await writeAltFiles(image, describeImage(json, { kind: 'full', gpv: 'GPV1.1' })), 0);
+  assert.equal((await stat(txt)).mtimeMs, before);
+});
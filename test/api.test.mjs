@@ -0,0 +1,139 @@
+// scripts/lib/api.mjs over a data directory built from the normal fixture page.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fixturePath, readFixtureJson, runParseFact, tempDir } from './helpers.mjs';
+import { createApiHandler } from '../scripts/lib/api.mjs';
+import timeLib from '../scripts/lib/time.js';
+
+const { kyivDateFromEpoch, addDays, toKyivIso } = timeLib;
+
+let server, base, dataDir, today;
+
+before(async () => {
+  dataDir = await mkdtemp(path.join(os.tmpdir(), 'outage-data-api-'));
+  await runParseFact({ input: fixturePath('html', 'normal.html'), output: path.join(dataDir, 'kyiv.json') });
+  // A secret next to the data directory must never be reachable
+  await writeFile(path.join(dataDir, '..', 'outage-data-api-secret.json'), '{"secret":true}');
+  const { fact } = await readFixtureJson('schedule.json');
+  today = kyivDateFromEpoch(fact.today);
+  server = http.createServer(createApiHandler({ dataDir, regions: [{ id: 'kyiv', name: 'м. Київ', enabled: true, groupLabel: 'Черга {group}' }] }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await rm(dataDir, { recursive: true, force: true });
+  await rm(path.join(dataDir, '..', 'outage-data-api-secret.json'), { force: true });
+});
+
+async function get(p, headers = {}) {
+  const res = await fetch(base + p, { headers });
+  const text = await res.text();
+  return { res, body: text ? JSON.parse(text) : null };
+}
+
+test('GET /regions lists regions with status and groups', async () => {
+  const { res, body } = await get('/regions');
+  assert.equal(res.status, 200);
+  assert.equal(body.regions.length, 1);
+  assert.equal(body.regions[0].id, 'kyiv');
+  assert.equal(body.regions[0].name, 'м. Київ');
+  assert.equal(body.regions[0].status.code, 200);
+  assert.deepEqual(body.regions[0].groups, ['GPV1.1', 'GPV1.2', 'GPV2.1', 'GPV2.2']);
+});
+
+test('GET /regions/:id returns details', async () => {
+  const { body } = await get('/regions/kyiv');
+  assert.equal(body.today, today);
+  assert.equal(body.timeZone, 'Europe/Kyiv');
+  assert.deepEqual(body.groups[0], { gpv: 'GPV1.1', name: 'Черга 1.1' });
+});
+
+test('today/tomorrow/week return normalized intervals', async () => {
+  const { json } = { json: (await get('/regions/kyiv/groups/GPV1.1/today')).body };
+  assert.equal(json.date, today);
+  assert.equal(json.source, 'fact');
+  // GPV1.1 fixture: slots 7-10 "no", 11 "first" → 06:00-10:30
+  assert.deepEqual(json.outages[0], { start: toKyivIso(today, '06:00'), end: toKyivIso(today, '10:30') });
+  assert.ok(Array.isArray(json.possible));
+
+  const tomorrow = (await get('/regions/kyiv/groups/GPV1.1/tomorrow')).body;
+  assert.equal(tomorrow.date, addDays(today, 1));
+
+  const week = (await get('/regions/kyiv/groups/GPV1.1/week')).body;
+  assert.equal(week.days.length, 7);
+  assert.deepEqual(week.days.map(d => d.date), Array.from({ length: 7 }, (_, i) => addDays(today, i)));
+  assert.equal(week.days[6].source, 'preset');
+  assert.equal(week.days[6].outages, null);
+});
+
+test('now reports state and next change at a given instant', async () => {
+  const at = encodeURIComponent(toKyivIso(today, '07:15'));
+  const { res, body } = await get(`/regions/kyiv/groups/GPV1.1/now?at=${at}`);
+  assert.equal(res.headers.get('cache-control'), 'no-store');
+  assert.equal(body.state, 'off');
+  assert.equal(body.source, 'fact');
+  assert.equal(body.nextChange, toKyivIso(today, '10:30'));
+  assert.equal(body.nextState, 'on');
+  assert.equal(body.countdownMinutes, 195);
+
+  const before = (await get(`/regions/kyiv/groups/GPV1.1/now?at=${encodeURIComponent(toKyivIso(today, '05:00'))}`)).body;
+  assert.equal(before.state, 'on');
+  assert.equal(before.nextChange, toKyivIso(today, '06:00'));
+});
+
+test('ETag and Last-Modified allow conditional requests', async () => {
+  const first = await get('/regions/kyiv/groups/GPV1.1/today');
+  const etag = first.res.headers.get('etag');
+  assert.match(etag, /^W\/"[0-9a-f]{40}"$/);
+  assert.ok(first.res.headers.get('last-modified'));
+
+  const again = await get('/regions/kyiv/groups/GPV1.1/today', { 'If-None-Match': etag });
+  assert.equal(again.res.status, 304);
+  const since = await get('/regions/kyiv/groups/GPV1.1/today', { 'If-Modified-Since': first.res.headers.get('last-modified') });
+  assert.equal(since.res.status, 304);
+  const otherView = await get('/regions/kyiv/groups/GPV1.1/week', { 'If-None-Match': etag });
+  assert.equal(otherView.res.status, 200);
+});
+
+test('Last-Modified follows a later preset.updateFact', async (t) => {
+  const dir = await tempDir(t);
+  const json = await readFixtureJson('schedule.json');
+  json.preset.updateFact = '07.12.2025 09:15';
+  await writeFile(path.join(dir, 'kyiv.json'), JSON.stringify({ ...json, regionId: 'kyiv' }));
+  const srv = http.createServer(createApiHandler({ dataDir: dir, regions: [{ id: 'kyiv', enabled: true }] }));
+  await new Promise(resolve => srv.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => srv.close(resolve)));
+  const url = `http://127.0.0.1:${srv.address().port}/regions/kyiv/groups/GPV1.1/today`;
+
+  const res = await fetch(url);
+  await res.text();
+  assert.equal(res.headers.get('last-modified'), 'Sun, 07 Dec 2025 07:15:00 GMT');
+  // A client that saw only the fact.update publication gets the new data
+  const stale = await fetch(url, { headers: { 'If-Modified-Since': 'Sat, 06 Dec 2025 18:39:00 GMT' } });
+  await stale.text();
+  assert.equal(stale.status, 200);
+});
+
+test('errors: unknown region/group, invalid ids, traversal, method', async () => {
+  assert.equal((await get('/regions/lviv')).res.status, 404);
+  assert.equal((await get('/regions/kyiv/groups/GPV9.9/today')).res.status, 404);
+  assert.equal((await get('/regions/kyiv/groups/3.1/today')).res.status, 400);
+  assert.equal((await get('/regions/..%2Foutage-data-api-secret')).res.status, 400);
+  assert.equal((await get('/regions/..%2f..%2fetc%2fpasswd')).res.status, 400);
+  assert.equal((await get('/regions/kyiv/groups/GPV1.1/now?at=yesterday')).res.status, 400);
+  const res = await fetch(base + '/regions', { method: 'POST' });
+  assert.equal(res.status, 405);
+  assert.equal(res.headers.get('allow'), 'GET, HEAD');
+});
+
+test('GET /openapi.json serves the description', async () => {
+  const { body } = await get('/openapi.json');
+  assert.equal(body.openapi, '3.0.3');
+  assert.ok(body.paths['/regions/{id}/groups/{gpv}/now']);
+});
@@ -0,0 +1,99 @@
+// scripts/lib/calendar.mjs and scripts/build_calendars.mjs on the fixture schedule: events, UIDs and statuses.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, readFile, readdir, writeFile } from 'node:fs/promises';
+import { spawnSync } from 'node:child_process';
+import path from 'node:path';
+import { readFixtureJson, tempDir, projectRoot } from './helpers.mjs';
+import { collectGroupEvents, buildGroupCalendar } from '../scripts/lib/calendar.mjs';
+
+const json = await readFixtureJson('schedule.json');
+const span = ev => `${ev.date} ${ev.start.slice(11, 16)}-${ev.end.slice(11, 16)}`;
+
+test('confirmed events: merged fact intervals with UIDs from the interval start', () => {
+  const events = collectGroupEvents(json, 'GPV1.1', { regionId: 'kyiv' });
+  assert.deepEqual(events.map(span), [
+    '2025-12-06 06:00-10:30', '2025-12-06 14:00-21:00',
+    '2025-12-07 00:30-07:30', '2025-12-07 12:00-18:00', '2025-12-07 21:30-00:00',
+  ]);
+  assert.ok(events.every(ev => ev.kind === 'outage'));
+  assert.deepEqual(events.map(ev => ev.uid).slice(0, 3), [
+    'kyiv-GPV1.1-2025-12-06-outage-0600@outage-data-ua',
+    'kyiv-GPV1.1-2025-12-06-outage-1400@outage-data-ua',
+    'kyiv-GPV1.1-2025-12-07-outage-0030@outage-data-ua',
+  ]);
+  assert.equal(events[0].start, '2025-12-06T06:00:00+02:00');
+
+  // The morning outage is cancelled: the afternoon one keeps its UID
+  const next = structuredClone(json);
+  const row = next.fact.data[String(json.fact.today)]['GPV1.1'];
+  for (const k of Object.keys(row)) if (Number(k) <= 11) row[k] = 'yes';
+  const after = collectGroupEvents(next, 'GPV1.1', { regionId: 'kyiv' });
+  assert.equal(after[0].uid, events[1].uid);
+  assert.equal(new Set(after.map(ev => ev.uid)).size, after.length);
+});
+
+test('tentative events: maybe/mfirst/msecond of the weekly preset on days fact does not cover', () => {
+  const events = collectGroupEvents(json, 'GPV1.1', { regionId: 'kyiv', tentative: true, days: 3 });
+  const possible = events.filter(ev => ev.kind === 'possible');
+  // 06.12 and 07.12 come from fact; 08.12 is a Monday (preset day 1)
+  assert.deepEqual(possible.map(span), ['2025-12-08 00:00-04:30', '2025-12-08 08:00-15:00', '2025-12-08 18:30-00:00']);
+  assert.deepEqual(possible.map(ev => ev.uid), [
+    'kyiv-GPV1.1-2025-12-08-possible-0000@outage-data-ua',
+    'kyiv-GPV1.1-2025-12-08-possible-0800@outage-data-ua',
+    'kyiv-GPV1.1-2025-12-08-possible-1830@outage-data-ua',
+  ]);
+  assert.equal(collectGroupEvents(json, 'GPV1.1', { regionId: 'kyiv', days: 3 }).filter(ev => ev.kind === 'possible').length, 0);
+
+  // Planned no/first/second in the weekly row are not "possible"
+  const planned = structuredClone(json);
+  planned.preset.data['GPV1.1']['1'] = Object.fromEntries(Object.keys(json.preset.data['GPV1.1']['1']).map(k => [k, 'yes']));
+  Object.assign(planned.preset.data['GPV1.1']['1'], { 1: 'no', 2: 'first', 3: 'second', 10: 'mfirst', 12: 'maybe' });
+  const only = collectGroupEvents(planned, 'GPV1.1', { regionId: 'kyiv', tentative: true, days: 3 }).filter(ev => ev.kind === 'possible');
+  assert.deepEqual(only.map(span), ['2025-12-08 09:00-09:30', '2025-12-08 11:00-12:00']);
+});
+
+test('.ics: CONFIRMED for fact outages, TENTATIVE for possible ones, CRLF and folded lines', () => {
+  const ics = buildGroupCalendar(json, 'GPV1.1', { regionId: 'kyiv', tentative: true, days: 3 });
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  const events = ics.split('BEGIN:VEVENT').slice(1);
+  assert.equal(events.length, 8);
+  const confirmed = events.filter(ev => ev.includes('\r\nSTATUS:CONFIRMED\r\n'));
+  const tentative = events.filter(ev => ev.includes('\r\nSTATUS:TENTATIVE\r\n'));
+  assert.equal(confirmed.length, 5);
+  assert.equal(tentative.length, 3);
+  assert.ok(confirmed.every(ev => /UID:kyiv-GPV1\.1-\S+-outage-\d{4}@outage-data-ua/.test(ev) && ev.includes('TRANSP:OPAQUE')));
+  assert.ok(tentative.every(ev => /UID:kyiv-GPV1\.1-2025-12-08-possible-\d{4}@outage-data-ua/.test(ev) && ev.includes('TRANSP:TRANSPARENT')));
+  assert.match(confirmed[0], /DTSTART:20251206T040000Z\r\nDTEND:20251206T083000Z\r\n/);
+  assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line, 'utf8') <= 75));
+});
+
+test('CLI: one feed per group, unchanged feeds are not rewritten', async (t) => {
+  const dir = await tempDir(t);
+  await mkdir(path.join(dir, 'data'));
+  await writeFile(path.join(dir, 'data', 'kyiv.json'), JSON.stringify({ ...json, regionId: 'kyiv' }));
+  const run = () => spawnSync(process.execPath, [
+    path.join(projectRoot, 'scripts', 'build_calendars.mjs'), '--data', path.join(dir, 'data'), '--out', path.join(dir, 'calendars'), '--tentative',
+  ], { encoding: 'utf8', timeout: 60_000 });
+
+  const first = run();
+  assert.equal(first.status, 0, first.stderr);
+  assert.match(first.stdout, /\[SUMMARY\] Regions: 1, written: 4, unchanged: 0, removed: 0, tentative=true/);
+  assert.deepEqual((await readdir(path.join(dir, 'calendars', 'kyiv'))).sort(), ['gpv-1-1.ics', 'gpv-1-2.ics', 'gpv-2-1.ics', 'gpv-2-2.ics']);
+  const ics = await readFile(path.join(dir, 'calendars', 'kyiv', 'gpv-1-1.ics'), 'utf8');
+  assert.equal(ics, buildGroupCalendar({ ...json, regionId: 'kyiv' }, 'GPV1.1', { regionId: 'kyiv', tentative: true, days: 7 }));
+  assert.match(ics, /STATUS:TENTATIVE/);
+
+  assert.match(run().stdout, /written: 0, unchanged: 4, removed: 0/);
+
+  // GPV2.2 disappears from the data: its feed goes, the others stay untouched
+  const fewer = structuredClone({ ...json, regionId: 'kyiv' });
+  for (const day of Object.values(fewer.fact.data)) delete day['GPV2.2'];
+  delete fewer.preset.data['GPV2.2'];
+  await writeFile(path.join(dir, 'data', 'kyiv.json'), JSON.stringify(fewer));
+  const third = run();
+  assert.match(third.stdout, /\[INFO\] Calendars for kyiv: 3 groups, removed gpv-2-2\.ics/);
+  assert.match(third.stdout, /written: 0, unchanged: 3, removed: 1/);
+  assert.deepEqual((await readdir(path.join(dir, 'calendars', 'kyiv'))).sort(), ['gpv-1-1.ics', 'gpv-1-2.ics', 'gpv-2-1.ics']);
+});
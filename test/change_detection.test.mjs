@@ -0,0 +1,97 @@
+// Content-aware change detection: batch_parse.mjs leaves unchanged data files alone and lists the changed regions,
+// scripts/commit_message.mjs (lib/diff.mjs formatCommitMessage) summarises them.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { copyFile, mkdir, readFile, writeFile } from 'node:fs/promises';
+import { spawnSync } from 'node:child_process';
+import path from 'node:path';
+import { fixturePath, readFixtureJson, tempDir, projectRoot } from './helpers.mjs';
+import { diffRegion, formatCommitMessage } from '../scripts/lib/diff.mjs';
+
+function node(cwd, script, args = [], env = {}) {
+  return spawnSync(process.execPath, [path.join(projectRoot, 'scripts', script), ...args], {
+    cwd, encoding: 'utf8', timeout: 60_000, env: { ...process.env, REGION_SOURCES_JSON: '', REGION: '', PARSE_STATUS_FILE: '', REGIONS_FILE: '', ...env },
+  });
+}
+
+test('batch parse: only regions whose schedule changed are listed, unchanged data files are not rewritten', async (t) => {
+  const dir = await tempDir(t);
+  const outputs = path.join(dir, 'outputs');
+  await mkdir(outputs);
+  const html = await readFile(fixturePath('html', 'normal.html'), 'utf8');
+  await writeFile(path.join(outputs, 'kyiv.html'), html);
+  await copyFile(fixturePath('html', 'normal.html'), path.join(outputs, 'odesa.html'));
+  const read = async (...p) => JSON.parse(await readFile(path.join(dir, ...p), 'utf8'));
+
+  const first = node(dir, 'batch_parse.mjs');
+  assert.equal(first.status, 0, first.stderr);
+  assert.deepEqual(await read('outputs', 'changed-regions.json'), ['kyiv', 'odesa']);
+  const kyiv = await readFile(path.join(dir, 'data', 'kyiv.json'), 'utf8');
+
+  // Same pages again, then a failed fetch for odesa: nothing to render or commit
+  const second = node(dir, 'batch_parse.mjs');
+  assert.deepEqual(await read('outputs', 'changed-regions.json'), []);
+  assert.match(second.stdout, /\[SUMMARY\] Changed: none/);
+  assert.equal(await readFile(path.join(dir, 'data', 'kyiv.json'), 'utf8'), kyiv);
+  await writeFile(path.join(outputs, 'odesa.fetch.json'), JSON.stringify({ ok: false, outcome: 'timeout', message: 'Timeout', attempts: 1 }));
+  node(dir, 'batch_parse.mjs');
+  assert.deepEqual(await read('outputs', 'changed-regions.json'), []);
+  const status = await read('outputs', 'parse-status.json');
+  assert.deepEqual([status.regions.kyiv.recent, status.regions.odesa.recent], [['200', '200', '200'], ['200', '200', '408']]);
+
+  // One slot flips in kyiv
+  const { fact } = await readFixtureJson('schedule.json');
+  const day = Object.keys(fact.data)[0];
+  const slots = fact.data[day]['GPV1.1'];
+  const slot = Object.keys(slots).find(k => slots[k] === 'yes');
+  await writeFile(path.join(outputs, 'kyiv.html'), html.replace(JSON.stringify(fact), JSON.stringify({
+    ...fact, data: { ...fact.data, [day]: { ...fact.data[day], 'GPV1.1': { ...slots, [slot]: 'no' } } },
+  })));
+  node(dir, 'batch_parse.mjs');
+  assert.deepEqual(await read('outputs', 'changed-regions.json'), ['kyiv']);
+  assert.deepEqual((await read('outputs', 'changes', 'kyiv.json')).affectedGroups, ['GPV1.1']);
+
+  const message = node(dir, 'commit_message.mjs', ['--run', '42']);
+  assert.equal(message.status, 0, message.stderr);
+  assert.match(message.stdout, /^chore: update schedules — kyiv \(GPV1\.1\)\n\n\[kyiv\] fact\.update /);
+  assert.match(message.stdout, /GPV1\.1 \d\d\.\d\d [\d:-]+: yes→no\n\nRun #42\n$/);
+});
+
+test('batch parse: a disabled region keeps its stale page but is not parsed unless REGION names it', async (t) => {
+  const dir = await tempDir(t);
+  await mkdir(path.join(dir, 'outputs'));
+  for (const id of ['kyiv', 'odesa']) await copyFile(fixturePath('html', 'normal.html'), path.join(dir, 'outputs', `${id}.html`));
+  const registry = path.join(dir, 'regions.json');
+  await writeFile(registry, JSON.stringify({ regions: [{ id: 'kyiv' }, { id: 'odesa', enabled: false }] }));
+  const read = async (...p) => JSON.parse(await readFile(path.join(dir, ...p), 'utf8'));
+
+  const run = node(dir, 'batch_parse.mjs', [], { REGIONS_FILE: registry });
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /\[INFO\] Skipping disabled region 'odesa'/);
+  assert.deepEqual(await read('outputs', 'changed-regions.json'), ['kyiv']);
+  await assert.rejects(readFile(path.join(dir, 'data', 'odesa.json')), { code: 'ENOENT' });
+
+  node(dir, 'batch_parse.mjs', [], { REGIONS_FILE: registry, REGION: 'odesa' });
+  assert.deepEqual(await read('outputs', 'changed-regions.json'), ['odesa']);
+});
+
+test('commit message: groups, days, update-time-only changes and long subjects', async () => {
+  const prev = await readFixtureJson('schedule.json');
+  const next = structuredClone(prev);
+  next.fact.update = '06.12.2025 21:00';
+  const timeOnly = diffRegion(prev, next);
+  const last = Math.max(...Object.keys(prev.fact.data).map(Number));
+  next.fact.data[String(last + 86400)] = prev.fact.data[String(last)];
+  const newDay = diffRegion(prev, next);
+
+  const msg = formatCommitMessage([{ id: 'kyiv', diff: timeOnly }, { id: 'odesa', diff: newDay }, { id: 'dnipro', diff: null }]);
+  const [subject, blank, ...body] = msg.trimEnd().split('\n');
+  assert.match(subject, /^chore: update schedules — kyiv \(update time only\), odesa \(\+day \d\d\.\d\d\), dnipro$/);
+  assert.equal(blank, '');
+  assert.match(body[0], /^\[kyiv\] fact\.update .* → 06\.12\.2025 21:00, no slot changes$/);
+  assert.equal(body.at(-1), '[dnipro] changed');
+
+  const many = Array.from({ length: 12 }, (_, i) => ({ id: `region-${i}`, diff: timeOnly }));
+  assert.equal(formatCommitMessage(many).split('\n')[0], 'chore: update schedules — 12 regions');
+  assert.equal(formatCommitMessage([], { runId: '7' }), 'chore: update schedules — run #7\n');
+});
@@ -0,0 +1,139 @@
+// scripts/lib/cli.mjs and scripts/outage.mjs: shared option parsing, help, region filters, --json and exit codes.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { readFile, readdir } from 'node:fs/promises';
+import { spawn, spawnSync } from 'node:child_process';
+import path from 'node:path';
+import { fixturePath, tempDir, projectRoot } from './helpers.mjs';
+import { parseOptions, formatHelp, selectRegions, UsageError, EXIT } from '../scripts/lib/cli.mjs';
+
+const OPTIONS = {
+  region: { type: 'string', multiple: true, short: 'r', value: '<id>', describe: 'Regions' },
+  mode: { type: 'string', choices: ['auto', 'http'], describe: 'Mode' },
+  deadline: { type: 'integer', value: '<seconds>', describe: 'Deadline' },
+  format: { type: 'string', default: 'png', describe: 'Format' },
+  json: { type: 'boolean', describe: 'JSON' },
+};
+
+test('options: repeated and comma-separated lists, choices, integers, defaults', () => {
+  assert.deepEqual(parseOptions(['-r', 'kyiv', '--region', 'odesa, dnipro,kyiv', '--deadline', '90', '--json'], OPTIONS), {
+    region: ['kyiv', 'odesa', 'dnipro'], deadline: 90, format: 'png', json: true,
+  });
+  assert.equal(parseOptions(['--help'], OPTIONS).help, true);
+  assert.throws(() => parseOptions(['--mode', 'browser'], OPTIONS), /--mode must be one of auto, http, got 'browser'/);
+  assert.throws(() => parseOptions(['--deadline', '1m'], OPTIONS), /--deadline must be a non-negative integer/);
+  assert.throws(() => parseOptions(['--bogus'], OPTIONS), UsageError);
+  assert.throws(() => parseOptions(['kyiv'], OPTIONS), UsageError);
+  assert.throws(() => parseOptions(['--region'], OPTIONS), UsageError);
+
+  const help = formatHelp({ usage: 'outage fetch [options]', summary: 'Fetch.', options: OPTIONS });
+  assert.match(help, /^Usage: outage fetch \[options\]/);
+  assert.match(help, /-r, --region <id> +Regions \(repeatable, comma-separated\)/);
+  assert.match(help, /--mode <value> +Mode \(one of auto, http\)/);
+  assert.match(help, /-h, --help +Show this help/);
+
+  const registry = [{ id: 'kyiv', enabled: true }, { id: 'odesa', enabled: false }];
+  assert.deepEqual(selectRegions(registry, []).map(r => r.id), ['kyiv']);
+  assert.deepEqual(selectRegions(registry, ['odesa']).map(r => r.id), ['odesa']);
+  assert.throws(() => selectRegions(registry, ['lviv']), /Unknown region 'lviv' \(known: kyiv, odesa\)/);
+});
+
+test('required options; standalone scripts share the parser, --help and the usage exit code', async () => {
+  const options = { region: { type: 'string', required: true, describe: 'Region' }, gpv: { type: 'string', required: true, describe: 'Group' } };
+  assert.throws(() => parseOptions(['--region', 'kyiv'], options), /--gpv is required/);
+  assert.throws(() => parseOptions([], options), /--region, --gpv are required/);
+  assert.equal(parseOptions(['--help'], options).help, true);
+  assert.match(formatHelp({ usage: 'x', summary: 'X.', options }), /--region <value> +Region \(required\)/);
+
+  const scripts = [];
+  for (const name of (await readdir(path.join(projectRoot, 'scripts'))).filter(n => n.endsWith('.mjs')).sort()) {
+    const text = await readFile(path.join(projectRoot, 'scripts', name), 'utf8');
+    assert.doesNotMatch(text, /function parseArgs\(/, `${name} parses its own arguments`);
+    if (text.includes('parseScriptOptions(')) scripts.push(name);
+  }
+  assert.ok(scripts.length >= 17, scripts.join(', '));
+  for (const name of scripts) {
+    const run = (...args) => spawnSync(process.execPath, [path.join(projectRoot, 'scripts', name), ...args], { encoding: 'utf8', timeout: 30_000 });
+    const help = run('--help');
+    assert.equal(help.status, EXIT.OK, `${name}: ${help.stderr}`);
+    assert.match(help.stdout, new RegExp(`^Usage: node scripts/${name} \\[options\\]\n[^]*-h, --help +Show this help`));
+    const bogus = run('--bogus');
+    assert.equal(bogus.status, EXIT.USAGE, name);
+    assert.match(bogus.stderr, new RegExp(`\\[ERROR\\] Unknown option '--bogus'\\. See 'node scripts/${name} --help'`));
+  }
+});
+
+function outage(args, { cwd = projectRoot, env = {} } = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(projectRoot, 'scripts', 'outage.mjs'), ...args], {
+      cwd, env: { ...process.env, REGION_SOURCES_JSON: '', ...env },
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (d) => { stdout += d; });
+    child.stderr.on('data', (d) => { stderr += d; });
+    const timer = setTimeout(() => child.kill(), 90_000);
+    child.on('close', (status) => {
+      clearTimeout(timer);
+      resolve({ status, stdout, stderr });
+    });
+  });
+}
+
+test('CLI: help, usage errors and list-regions', async () => {
+  const help = await outage(['--help']);
+  assert.equal(help.status, EXIT.OK);
+  assert.match(help.stdout, /Commands:\n {2}list-regions/);
+  assert.match((await outage(['render', '--help'])).stdout, /--format <format> +PNG through the browser or SVG without it \(one of png, svg\)/);
+
+  assert.equal((await outage([])).status, EXIT.USAGE);
+  const unknown = await outage(['deploy']);
+  assert.equal(unknown.status, EXIT.USAGE);
+  assert.match(unknown.stderr, /Unknown command 'deploy'/);
+  const region = await outage(['fetch', '--region', 'kyiv,lviv']);
+  assert.equal(region.status, EXIT.USAGE);
+  assert.match(region.stderr, /Unknown region 'lviv'/);
+
+  const list = await outage(['list-regions', '--json'], { env: { REGION_SOURCES_JSON: JSON.stringify({ kyiv: 'https://example.com/secret' }) } });
+  assert.equal(list.status, EXIT.OK);
+  const { command, ok, regions } = JSON.parse(list.stdout);
+  assert.deepEqual([command, ok], ['list-regions', true]);
+  assert.deepEqual(regions.map(r => [r.id, r.hasUrl]), [['kyiv', true], ['kyiv-region', false], ['dnipro', false], ['odesa', false]]);
+  assert.doesNotMatch(list.stdout, /secret/);
+});
+
+test('CLI: run fetches, parses and reports per region against a local stand-in', async (t) => {
+  const page = await readFile(fixturePath('html', 'normal.html'));
+  const server = http.createServer((req, res) => {
+    if (req.url === '/waf') {
+      res.writeHead(403);
+      return res.end('<title>Just a moment...</title>');
+    }
+    res.writeHead(200, { 'content-type': 'text/html' });
+    res.end(page);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const dir = await tempDir(t);
+  const env = { REGION_SOURCES_JSON: JSON.stringify({ kyiv: `${base}/shutdowns`, odesa: `${base}/waf` }), FETCH_HOST_DELAY_MS: '0' };
+
+  const res = await outage(['run', '--mode', 'http', '--skip-render', '--json'], { cwd: dir, env });
+  assert.equal(res.status, EXIT.FAILED, res.stderr);
+  const out = JSON.parse(res.stdout);
+  assert.deepEqual([out.command, out.ok, out.exitCode], ['run', false, EXIT.FAILED]);
+  assert.deepEqual(out.steps.fetch.regions.map(r => [r.id, r.ok, r.outcome, r.mode]), [['kyiv', true, 'ok', 'http'], ['odesa', false, 'waf', 'http']]);
+  assert.deepEqual(out.steps.parse.regions.map(r => [r.id, r.ok, r.code, r.changed]), [['kyiv', true, 200, true], ['odesa', false, 403, false]]);
+  assert.equal(out.steps.render, undefined);
+  assert.deepEqual(out.steps.status.report.regions.map(r => r.id), ['kyiv', 'odesa']);
+  assert.match(res.stderr, /\[SUMMARY\] fetch: 1 ok, 1 failed \(odesa: WAF\/challenge page\)/);
+
+  const data = JSON.parse(await readFile(path.join(dir, 'data', 'kyiv.json'), 'utf8'));
+  assert.equal(data.lastUpdateStatus.code, 200);
+
+  // parse alone, for one region: the same page again changes nothing
+  const parse = await outage(['parse', '-r', 'kyiv', '--json'], { cwd: dir, env });
+  assert.equal(parse.status, EXIT.OK, parse.stderr);
+  assert.deepEqual(JSON.parse(parse.stdout).regions.map(r => [r.id, r.ok, r.changed]), [['kyiv', true, false]]);
+});
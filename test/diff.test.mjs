@@ -0,0 +1,116 @@
+// scripts/lib/diff.mjs and scripts/diff_schedules.mjs: slot, group and day changes between two parses.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { spawnSync } from 'node:child_process';
+import path from 'node:path';
+import { readFixtureJson, tempDir, projectRoot } from './helpers.mjs';
+import { diffRegion, formatDiff, formatFactChanges, formatCommitMessage } from '../scripts/lib/diff.mjs';
+
+// Fixture days: 06.12 and 07.12.2025 (Europe/Kyiv midnight epochs)
+const DAY1 = '1764972000';
+const DAY2 = '1765058400';
+const DAY3 = '1765144800';
+
+const base = { ...(await readFixtureJson('schedule.json')), regionId: 'kyiv' };
+for (const day of [DAY1, DAY2]) base.fact.data[day]['GPV4.2'] = { ...base.fact.data[day]['GPV1.1'], 15: 'yes', 16: 'yes', 17: 'yes' };
+base.preset.data['GPV4.2'] = structuredClone(base.preset.data['GPV1.1']);
+
+test('slot changes: per group and day, consecutive slots with the same transition collapse', () => {
+  const next = structuredClone(base);
+  next.fact.update = '07.12.2025 09:10';
+  next.fact.data[DAY2]['GPV4.2'][15] = 'no';
+  next.fact.data[DAY2]['GPV1.2'][3] = 'first';
+  next.fact.data[DAY2]['GPV1.2'][4] = 'first';
+  next.fact.data[DAY1]['GPV1.1'][24] = 'maybe';
+
+  const diff = diffRegion(base, next);
+  assert.equal(diff.changed, true);
+  assert.deepEqual(diff.fact.find(c => c.gpv === 'GPV4.2'), {
+    gpv: 'GPV4.2', date: '2025-12-07', epoch: Number(DAY2), slot: '15', from: 'yes', to: 'no', label: '14-15',
+  });
+  assert.deepEqual(diff.affectedGroups, ['GPV1.1', 'GPV1.2', 'GPV4.2']);
+  assert.deepEqual([diff.groupsAdded, diff.groupsRemoved, diff.daysAdded, diff.daysRemoved, diff.preset], [[], [], [], [], []]);
+  assert.deepEqual(formatFactChanges(diff.fact), [
+    'GPV1.1 06.12 23-24: yes→maybe',
+    `GPV1.2 07.12 02-04: ${base.fact.data[DAY2]['GPV1.2'][3]}→first`,
+    'GPV4.2 07.12 14-15: yes→no',
+  ]);
+  assert.deepEqual(formatDiff(diff), [
+    '[kyiv] fact.update 06.12.2025 20:39 → 07.12.2025 09:10',
+    '  GPV1.1 06.12 23-24: yes→maybe',
+    `  GPV1.2 07.12 02-04: ${base.fact.data[DAY2]['GPV1.2'][3]}→first`,
+    '  GPV4.2 07.12 14-15: yes→no',
+  ]);
+
+  const same = diffRegion(base, structuredClone(base));
+  assert.equal(same.changed, false);
+  assert.deepEqual(formatDiff(same), ['[kyiv] no schedule changes']);
+});
+
+test('groups added and removed are reported once, not slot by slot', () => {
+  const next = structuredClone(base);
+  for (const day of [DAY1, DAY2]) {
+    delete next.fact.data[day]['GPV2.2'];
+    next.fact.data[day]['GPV3.1'] = { ...base.fact.data[day]['GPV1.1'] };
+  }
+  delete next.preset.data['GPV2.2'];
+  next.preset.data['GPV4.2']['1']['5'] = 'maybe';
+
+  const diff = diffRegion(base, next);
+  assert.deepEqual([diff.groupsAdded, diff.groupsRemoved], [['GPV3.1'], ['GPV2.2']]);
+  assert.deepEqual(diff.fact, []);
+  assert.deepEqual(diff.preset.map(c => [c.gpv, c.weekday, c.dayName, c.label, c.to]), [['GPV4.2', '1', 'Понеділок', '04-05', 'maybe']]);
+  assert.deepEqual(diff.affectedGroups, ['GPV2.2', 'GPV3.1', 'GPV4.2']);
+  const lines = formatDiff(diff);
+  assert.deepEqual(lines.slice(1, 3), ['  + group GPV3.1', '  - group GPV2.2']);
+  assert.match(lines[3], /^ {2}preset \(weekly\), updateFact /);
+  assert.match(lines[4], /^ {4}GPV4\.2 Понеділок 04-05: \S+→maybe$/);
+
+  // First parse: every group is new
+  assert.deepEqual(diffRegion(null, base).groupsAdded, ['GPV1.1', 'GPV1.2', 'GPV2.1', 'GPV2.2', 'GPV4.2']);
+});
+
+test('a day rolling out of fact and the next one appearing', () => {
+  const next = structuredClone(base);
+  delete next.fact.data[DAY1];
+  next.fact.data[DAY3] = structuredClone(base.fact.data[DAY2]);
+  next.fact.today = Number(DAY2);
+
+  const diff = diffRegion(base, next);
+  assert.equal(diff.changed, true);
+  assert.deepEqual([diff.daysAdded, diff.daysRemoved], [['2025-12-08'], ['2025-12-06']]);
+  assert.deepEqual([diff.fact, diff.affectedGroups], [[], []]);
+  assert.deepEqual(formatDiff(diff).slice(1), ['  + day 08.12', '  - day 06.12']);
+  assert.match(formatCommitMessage([{ id: 'kyiv', diff }]), /^chore: update schedules — kyiv \(\+day 08\.12; -day 06\.12\)\n/);
+});
+
+test('CLI: exit code 0 without changes, 1 with changes, 2 on bad arguments or unreadable files', async (t) => {
+  const dir = await tempDir(t);
+  const prevFile = path.join(dir, 'prev.json');
+  const nextFile = path.join(dir, 'next.json');
+  const next = structuredClone(base);
+  next.fact.data[DAY2]['GPV4.2'][15] = 'no';
+  await writeFile(prevFile, JSON.stringify(base));
+  await writeFile(nextFile, JSON.stringify(next));
+  const run = (...args) => spawnSync(process.execPath, [path.join(projectRoot, 'scripts', 'diff_schedules.mjs'), ...args], { encoding: 'utf8', timeout: 30_000 });
+
+  const same = run('--prev', prevFile, '--next', prevFile);
+  assert.equal(same.status, 0, same.stderr);
+  assert.equal(same.stdout, '[kyiv] no schedule changes\n');
+
+  const out = path.join(dir, 'changes', 'kyiv.json');
+  const changed = run('--prev', prevFile, '--next', nextFile, '--out', out);
+  assert.equal(changed.status, 1, changed.stderr);
+  assert.match(changed.stdout, /^ {2}GPV4\.2 07\.12 14-15: yes→no$/m);
+  assert.deepEqual(JSON.parse(await readFile(out, 'utf8')).affectedGroups, ['GPV4.2']);
+  const json = run('--prev', prevFile, '--next', nextFile, '--json');
+  assert.equal(json.status, 1);
+  assert.equal(JSON.parse(json.stdout).fact[0].label, '14-15');
+
+  assert.equal(run('--next', nextFile).status, 2);
+  assert.equal(run('--prev', prevFile).status, 2);
+  const missing = run('--prev', path.join(dir, 'none.json'), '--next', nextFile);
+  assert.equal(missing.status, 2);
+  assert.match(missing.stderr, /^\[ERROR\] ENOENT/);
+});
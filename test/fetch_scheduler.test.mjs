@@ -0,0 +1,88 @@
+// scripts/lib/fetch_scheduler.mjs: concurrency lanes, per-host politeness and the overall deadline.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'node:events';
+import { runScheduled, createHostLimiter, scheduleFromEnv, hostOf, sleep, DEFAULT_SCHEDULE } from '../scripts/lib/fetch_scheduler.mjs';
+
+test('settings from the environment', () => {
+  assert.deepEqual(scheduleFromEnv({}), DEFAULT_SCHEDULE);
+  assert.deepEqual(scheduleFromEnv({ FETCH_CONCURRENCY: '5', FETCH_HOST_RPM: '10', FETCH_DEADLINE_MS: '' }), { ...DEFAULT_SCHEDULE, concurrency: 5, hostPerMinute: 10 });
+  assert.throws(() => scheduleFromEnv({ FETCH_HOST_DELAY_MS: '1.5' }), /FETCH_HOST_DELAY_MS must be a non-negative integer/);
+  assert.throws(() => scheduleFromEnv({ FETCH_CONCURRENCY: '0' }), /FETCH_CONCURRENCY must be at least 1/);
+  assert.equal(hostOf('https://www.DTEK-kem.com.ua/ua/shutdowns'), 'www.dtek-kem.com.ua');
+  assert.equal(hostOf('not a url'), '');
+});
+
+test('no more than `concurrency` workers at a time, results in input order', async () => {
+  let active = 0;
+  let peak = 0;
+  const entries = await runScheduled([30, 10, 20, 10, 5], async (ms) => {
+    peak = Math.max(peak, ++active);
+    await sleep(ms);
+    active--;
+    if (ms === 20) throw new Error('boom');
+    return ms * 2;
+  }, { concurrency: 2 });
+  assert.equal(peak, 2);
+  assert.deepEqual(entries.map(e => e.state), ['done', 'done', 'failed', 'done', 'done']);
+  assert.deepEqual(entries.map(e => e.value), [60, 20, undefined, 20, 10]);
+  assert.equal(entries[2].error.message, 'boom');
+});
+
+test('one host: requests in turn and a gap between their starts; other hosts are not delayed', async () => {
+  const limiter = createHostLimiter({ hostConcurrency: 1, hostDelayMs: 60 });
+  const starts = {};
+  const hit = async (host, key) => {
+    const release = await limiter.acquire(host);
+    starts[key] = Date.now();
+    await sleep(10);
+    release();
+  };
+  const t0 = Date.now();
+  await Promise.all([hit('a', 'a1'), hit('a', 'a2'), hit('b', 'b1')]);
+  assert.ok(starts.a2 - starts.a1 >= 55, `gap ${starts.a2 - starts.a1} ms`);
+  assert.ok(starts.b1 < starts.a2, `b waited ${starts.b1 - t0} ms`);
+});
+
+test('waiting for a busy host leaves no abort listeners on the shared signal', async () => {
+  const limiter = createHostLimiter({ hostConcurrency: 1 });
+  const { signal } = new AbortController();
+  let release = await limiter.acquire('a', signal);
+  for (let i = 0; i < 20; i++) {
+    const next = limiter.acquire('a', signal);
+    await sleep(1);
+    release();
+    release = await next;
+  }
+  release();
+  assert.equal(getEventListeners(signal, 'abort').length, 0);
+});
+
+test('requests-per-minute cap, and waiting stops on abort', async () => {
+  let clock = 0;
+  const limiter = createHostLimiter({ hostConcurrency: 5, hostDelayMs: 0, hostPerMinute: 2 }, { now: () => clock });
+  (await limiter.acquire('a'))();
+  (await limiter.acquire('a'))();
+  const controller = new AbortController();
+  const third = limiter.acquire('a', controller.signal);
+  setTimeout(() => controller.abort(), 20);
+  assert.equal(await third, null);
+
+  clock = 60_000;
+  assert.equal(typeof await limiter.acquire('a'), 'function');
+});
+
+test('deadline: running work is reported unfinished, the rest skipped, and the signal aborts', async () => {
+  let aborted = false;
+  const entries = await runScheduled(['fast', 'slow', 'later'], async (name, { signal }) => {
+    if (name === 'fast') return 'ok';
+    const slept = await sleep(5_000, signal);
+    aborted = !slept;
+    return 'late';
+  }, { concurrency: 1, deadlineMs: 50 });
+  assert.deepEqual(entries.map(e => e.state), ['done', 'unfinished', 'skipped']);
+  assert.equal(entries[1].value, undefined);
+  assert.equal(entries[2].startedAt, null);
+  await sleep(0);
+  assert.equal(aborted, true);
+});
@@ -0,0 +1,70 @@
+// scripts/lib/fetch_status.js: classifying fetched pages, the fetch result file and the suspect page archive.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fixturePath, tempDir } from './helpers.mjs';
+import adapters from '../scripts/adapters/index.js';
+import fetchStatus from '../scripts/lib/fetch_status.js';
+
+const { getAdapter } = adapters;
+const { classifyPage, fetchResultPath, readFetchResult, describeFetchFailure, archiveSuspect } = fetchStatus;
+
+const adapter = getAdapter('discon-schedule');
+const page = name => readFile(fixturePath('html', name), 'utf8');
+
+test('saved pages: ok, WAF placeholder, changed layout, no markers', async () => {
+  assert.deepEqual(classifyPage({ html: await page('normal.html'), status: 200, adapter }), { outcome: 'ok', ok: true, code: 200, message: null });
+
+  const waf = classifyPage({ html: await page('waf.html'), adapter });
+  assert.deepEqual([waf.outcome, waf.code], ['waf', 403]);
+  assert.match(waf.message, /< MIN_HTML_BYTES/);
+
+  // Only the fact marker, and it does not parse
+  const truncated = classifyPage({ html: await page('truncated.html'), adapter });
+  assert.deepEqual([truncated.outcome, truncated.code], ['layout', 422]);
+
+  const big = `<html><body>${'<p>Графік тимчасово недоступний</p>'.repeat(100)}</body></html>`;
+  assert.deepEqual([classifyPage({ html: big, adapter }).outcome, classifyPage({ html: big, adapter, minBytes: 1e6 }).outcome], ['no-markers', 'waf']);
+  assert.equal(classifyPage({ html: `${big}<script src="/cdn-cgi/challenge-platform/x.js"></script>`, adapter }).outcome, 'waf');
+});
+
+test('HTTP errors: challenge and 403/429 are WAF, the rest upstream errors', async () => {
+  const normal = await page('normal.html');
+  assert.equal(classifyPage({ html: '<title>Just a moment...</title>', status: 503, adapter }).outcome, 'waf');
+  assert.equal(classifyPage({ html: '', status: 429, adapter }).outcome, 'waf');
+  const http = classifyPage({ html: normal, status: 500, adapter });
+  assert.deepEqual([http.outcome, http.code, http.message], ['http', 502, `HTTP 500, ${normal.length} bytes`]);
+});
+
+test('fetch result next to the page, ignored when the page is newer', async (t) => {
+  const dir = await tempDir(t);
+  const html = path.join(dir, 'kyiv.html');
+  const file = fetchResultPath(html);
+  assert.equal(file, path.join(dir, 'kyiv.fetch.json'));
+  assert.equal(readFetchResult(file, html), null);
+
+  await writeFile(file, JSON.stringify({ ok: false, outcome: 'network', message: 'net::ERR_NAME_NOT_RESOLVED at <url>', attempts: 3 }));
+  const result = readFetchResult(file, html);
+  assert.equal(describeFetchFailure(result), 'Network error (net::ERR_NAME_NOT_RESOLVED at <url>) after 3 attempt(s)');
+
+  await writeFile(file, JSON.stringify({ ok: false, outcome: 'gone' }));
+  assert.equal(readFetchResult(file, html), null);
+});
+
+test('suspect pages are archived per region and pruned to the latest', async (t) => {
+  const dir = await tempDir(t);
+  const at = i => new Date(Date.UTC(2025, 11, 6, 19, i));
+  for (let i = 0; i < 4; i++) {
+    await archiveSuspect({ dir, regionId: 'kyiv', html: `<p>${i}</p>`, screenshot: i % 2 ? Buffer.from('png') : null, at: at(i), keep: 2 });
+  }
+  const saved = await archiveSuspect({ dir, regionId: 'kyiv', html: '<p>4</p>', screenshot: Buffer.from('png'), at: at(4), keep: 2 });
+  assert.deepEqual(saved, {
+    html: path.join(dir, 'kyiv', '2025-12-06T19-04-00-000Z.html'),
+    screenshot: path.join(dir, 'kyiv', '2025-12-06T19-04-00-000Z.png'),
+  });
+  assert.deepEqual((await readdir(path.join(dir, 'kyiv'))).sort(), [
+    '2025-12-06T19-03-00-000Z.html', '2025-12-06T19-03-00-000Z.png', '2025-12-06T19-04-00-000Z.html', '2025-12-06T19-04-00-000Z.png',
+  ]);
+  assert.equal(await readFile(saved.html, 'utf8'), '<p>4</p>');
+});
@@ -0,0 +1,180 @@
+// scripts/lib/health.mjs and scripts/health_report.mjs: data age, run counters, thresholds, status.json and the stale banner.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { spawnSync } from 'node:child_process';
+import path from 'node:path';
+import { readFixtureJson, tempDir, projectRoot } from './helpers.mjs';
+import { regionHealth, buildHealthReport, outcomeRates, staleNotice, DEFAULT_THRESHOLDS } from '../scripts/lib/health.mjs';
+import { renderScheduleSvg } from '../scripts/lib/svg_renderer.mjs';
+import { describeImage } from '../scripts/lib/alt_text.mjs';
+import { renderKey, saveManifest, staleBannerMismatches } from '../scripts/lib/render_cache.mjs';
+import regionsLib from '../scripts/lib/regions.js';
+
+const { loadRegions } = regionsLib;
+
+const fixture = await readFixtureJson('schedule.json');
+// fact.update / preset.updateFact of the fixture, Europe/Kyiv
+const UPDATED = '2025-12-06T18:39:00.000Z';
+
+const json = {
+  ...fixture,
+  regionId: 'kyiv',
+  regionAffiliation: 'м. Київ',
+  lastUpdated: '2025-12-06T19:00:00.000Z',
+  lastUpdateStatus: {
+    status: 'error', ok: false, code: 422, message: 'Marker not found', at: '2025-12-06T19:30:00.000Z', attempt: 3,
+    failures: 2, lastSuccessAt: '2025-12-06T19:00:00.000Z', recent: ['200', '200', 'waf', '404'],
+  },
+};
+const at = iso => new Date(iso);
+
+test('ages, counters and rates within the default thresholds', () => {
+  assert.equal(json.fact.update, '06.12.2025 20:39');
+  const r = regionHealth(json, { id: 'kyiv', now: at('2025-12-06T19:39:00Z') });
+  assert.equal(r.ok, true);
+  assert.equal(r.stale, false);
+  assert.deepEqual(r.fact, { update: '06.12.2025 20:39', at: UPDATED, ageMinutes: 60 });
+  assert.equal(r.parseAgeMinutes, 39);
+  assert.equal(r.failures, 2);
+  assert.equal(r.runs, 4);
+  assert.deepEqual(r.rates, { 200: 0.5, waf: 0.25, 404: 0.25, 408: 0, 422: 0, 424: 0, 500: 0, 502: 0, 503: 0 });
+  assert.equal(r.errorRate, 0.5);
+  assert.deepEqual(r.thresholds, DEFAULT_THRESHOLDS);
+  assert.equal(outcomeRates([]), null);
+});
+
+test('breaches: per-region thresholds, stale data and a missing file', () => {
+  const region = { id: 'kyiv', name: 'м. Київ', health: { failures: 1, errorRate: 0.4, presetAgeMinutes: null } };
+  const r = regionHealth(json, { id: 'kyiv', region, now: at('2025-12-07T08:00:00Z') });
+  assert.equal(r.ok, false);
+  assert.equal(r.stale, true);
+  assert.deepEqual(r.breaches.map(b => [b.check, b.value, b.limit]), [
+    ['factAge', 801, 720],
+    ['parseAge', 780, 60],
+    ['failures', 2, 1],
+    ['errorRate', 0.5, 0.4],
+  ]);
+
+  // Failing runs alone do not make the published data stale
+  const failing = regionHealth(json, { id: 'kyiv', region, now: at('2025-12-06T19:39:00Z') });
+  assert.deepEqual([failing.ok, failing.stale], [false, false]);
+
+  // Files written before the run counters: the last success is lastUpdated
+  const legacy = regionHealth({ ...json, lastUpdateStatus: { status: 'parsed', ok: true, code: 200, at: '2025-12-06T19:30:00.000Z', attempt: 4390 } }, { id: 'kyiv', now: at('2025-12-06T19:39:00Z') });
+  assert.deepEqual([legacy.ok, legacy.failures, legacy.lastSuccessAt, legacy.rates], [true, 0, '2025-12-06T19:00:00.000Z', null]);
+
+  const missing = regionHealth(null, { id: 'odesa', now: at('2025-12-06T19:39:00Z') });
+  assert.deepEqual([missing.ok, missing.stale, missing.breaches[0].check], [false, true, 'data']);
+
+  const report = buildHealthReport([r, missing], { now: at('2025-12-07T08:00:00Z') });
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.summary, { regions: 2, ok: 0, breached: ['kyiv', 'odesa'], stale: ['kyiv', 'odesa'] });
+});
+
+test('registry health thresholds are validated', async (t) => {
+  const dir = await tempDir(t);
+  const file = path.join(dir, 'regions.json');
+  await writeFile(file, JSON.stringify({ regions: [{ id: 'kyiv', health: { factAgeMinutes: 180, errorRate: null } }, { id: 'odesa' }] }));
+  const [kyiv, odesa] = loadRegions({ file, env: {} });
+  assert.deepEqual(kyiv.health, { factAgeMinutes: 180, errorRate: null });
+  assert.deepEqual(odesa.health, {});
+
+  await writeFile(file, JSON.stringify({ regions: [{ id: 'kyiv', health: { factAge: 180 } }] }));
+  assert.throws(() => loadRegions({ file, env: {} }), /unknown health threshold 'factAge'/);
+  await writeFile(file, JSON.stringify({ regions: [{ id: 'kyiv', health: { failures: -1 } }] }));
+  assert.throws(() => loadRegions({ file, env: {} }), /health\.failures must be a non-negative number/);
+});
+
+test('stale banner: SVG, text alternative and render key', () => {
+  const stale = staleNotice(json);
+  assert.deepEqual(stale, { time: '06.12.2025 20:39' });
+
+  const plain = renderScheduleSvg(json, { view: 'summary', gpv: 'GPV1.1', lang: 'en' });
+  const flagged = renderScheduleSvg(json, { view: 'summary', gpv: 'GPV1.1', lang: 'en', stale });
+  assert.match(flagged.svg, />Data may be outdated: last updated 06\.12\.2025 20:39</);
+  assert.doesNotMatch(plain.svg, /Data may be outdated/);
+  assert.equal(flagged.height, plain.height + 46);
+
+  const alt = describeImage(json, { kind: 'summary', gpv: 'GPV1.1', stale });
+  assert.equal(alt.stale, true);
+  assert.equal(alt.lines[0], 'Дані можуть бути застарілими: останнє оновлення 06.12.2025 20:39');
+  assert.equal('stale' in describeImage(json, { kind: 'summary', gpv: 'GPV1.1' }), false);
+
+  const parts = { inputs: { a: 1 }, template: 'tpl', theme: 'light', scale: 1.5 };
+  assert.equal(renderKey({ ...parts, stale: null }), renderKey(parts));
+  assert.notEqual(renderKey({ ...parts, stale }), renderKey(parts));
+});
+
+test('stale banner: regions whose published images show the wrong state', async (t) => {
+  const root = await tempDir(t);
+  const dataDir = path.join(root, 'data');
+  const imagesDir = path.join(root, 'images');
+  await mkdir(dataDir);
+  await mkdir(path.join(root, 'outputs'));
+  await mkdir(path.join(imagesDir, 'kyiv'), { recursive: true });
+  await writeFile(path.join(dataDir, 'kyiv.json'), JSON.stringify(json));
+  const latest = { ...json.lastUpdateStatus, status: 'parsed', ok: true, code: 200, at: '2025-12-06T19:35:00.000Z', failures: 0, lastSuccessAt: '2025-12-06T19:35:00.000Z' };
+  await writeFile(path.join(root, 'outputs', 'parse-status.json'), JSON.stringify({ version: 1, regions: { kyiv: latest } }));
+  const fresh = { imagesDir, now: at('2025-12-06T19:39:00Z') };
+  const stale = { imagesDir, now: at('2025-12-07T08:00:00Z') };
+
+  // Images rendered without the banner (or none yet)
+  assert.deepEqual(await staleBannerMismatches(dataDir, fresh), []);
+  assert.deepEqual(await staleBannerMismatches(dataDir, stale), ['kyiv']);
+
+  const images = { 'gpv-1-1.png': { key: 'a', renderedAt: '2025-12-07T08:05:00.000Z', stale: true } };
+  await saveManifest(path.join(imagesDir, 'kyiv'), { version: 1, images });
+  assert.deepEqual(await staleBannerMismatches(dataDir, stale), []);
+  assert.deepEqual(await staleBannerMismatches(dataDir, fresh), ['kyiv']);
+
+  // CLI: changed regions plus the mismatches (the fixture data is long past its thresholds)
+  await writeFile(path.join(root, 'outputs', 'changed-regions.json'), '["odesa"]');
+  await saveManifest(path.join(imagesDir, 'kyiv'), { version: 1, images: { 'gpv-1-1.png': { key: 'a', renderedAt: '2025-12-06T19:40:00.000Z' } } });
+  const run = (...args) => spawnSync(process.execPath, [path.join(projectRoot, 'scripts', 'render_regions.mjs'), '--outputs', path.join(root, 'outputs'), '--data', dataDir, '--images', imagesDir, ...args], {
+    encoding: 'utf8', timeout: 30_000, env: { ...process.env, PARSE_STATUS_FILE: '' },
+  });
+  const changed = run();
+  assert.equal(changed.status, 0, changed.stderr);
+  assert.deepEqual(JSON.parse(changed.stdout), ['odesa']);
+  const withBanner = run('--stale-banner');
+  assert.deepEqual(JSON.parse(withBanner.stdout), ['kyiv', 'odesa']);
+  assert.match(withBanner.stderr, /\[INFO\] Stale banner to add or remove: kyiv/);
+
+  // A manually dispatched region is rendered even without changes, if it has data
+  await writeFile(path.join(root, 'outputs', 'changed-regions.json'), '[]');
+  assert.deepEqual(JSON.parse(run('--region', 'kyiv').stdout), ['kyiv']);
+  const unknown = run('--region', 'lviv,kyiv');
+  assert.deepEqual(JSON.parse(unknown.stdout), ['kyiv']);
+  assert.match(unknown.stderr, /\[WARN\] No data file for requested region 'lviv'/);
+});
+
+test('CLI: status.json, --json output and the exit code', async (t) => {
+  const dir = await tempDir(t);
+  await writeFile(path.join(dir, 'kyiv.json'), JSON.stringify(json));
+  const out = path.join(dir, 'status.json');
+  const run = (...args) => spawnSync(process.execPath, [path.join(projectRoot, 'scripts', 'health_report.mjs'), '--data', dir, '--region', 'kyiv', '--out', out, ...args], {
+    encoding: 'utf8', timeout: 30_000, env: { ...process.env, REGION_SOURCES_JSON: '' },
+  });
+
+  const fresh = run('--at', '2025-12-06T21:39', '--json');
+  assert.equal(fresh.status, 0, fresh.stderr);
+  assert.equal(JSON.parse(fresh.stdout).regions[0].fact.ageMinutes, 60);
+  assert.deepEqual(JSON.parse(await readFile(out, 'utf8')), JSON.parse(fresh.stdout));
+
+  const stale = run('--at', '2025-12-07T10:00');
+  assert.equal(stale.status, 1);
+  assert.match(stale.stderr, /\[WARN\] kyiv: fact\.update age/);
+  assert.deepEqual(JSON.parse(await readFile(out, 'utf8')).summary.stale, ['kyiv']);
+
+  assert.equal(run('--at', 'yesterday').status, 2);
+
+  // The latest run comes from the parse status file, the data file only has the run that last changed it
+  const statusFile = path.join(dir, 'parse-status.json');
+  const latest = { ...json.lastUpdateStatus, status: 'parsed', ok: true, code: 200, at: '2025-12-06T19:35:00.000Z', failures: 0, lastSuccessAt: '2025-12-06T19:35:00.000Z' };
+  await writeFile(statusFile, JSON.stringify({ version: 1, regions: { kyiv: { ...latest, contentHash: null, changed: false, changedAt: json.lastUpdated } } }));
+  const overlaid = run('--at', '2025-12-06T21:39', '--json', '--status', statusFile);
+  assert.equal(overlaid.status, 0, overlaid.stderr);
+  const [kyiv] = JSON.parse(overlaid.stdout).regions;
+  assert.deepEqual([kyiv.parseAgeMinutes, kyiv.failures], [4, 0]);
+});
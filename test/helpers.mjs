@@ -0,0 +1,44 @@
+// Shared helpers for the offline test suite (node --test).
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { spawnSync } from 'node:child_process';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const projectRoot = path.resolve(__dirname, '..');
+export const fixturesDir = path.join(__dirname, 'fixtures');
+
+export function fixturePath(...parts) {
+  return path.join(fixturesDir, ...parts);
+}
+
+export async function readFixtureJson(...parts) {
+  return JSON.parse(await readFile(fixturePath(...parts), 'utf8'));
+}
+
+// Temp dir removed after the test (t.after)
+export async function tempDir(t) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'outage-data-test-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Run scripts/parse_fact.js like batch_parse.mjs does and read back the output file and the region's entry in
+ * the parse status file (outputs/parse-status.json under the output's folder unless `statusFile` is given, so that
+ * it does not show up among the data files).
+ * @returns {{ status: number, stdout: string, stderr: string, json: object|null, run: object|null }}
+ */
+export async function runParseFact({ region = 'kyiv', input, output, adapter, statusFile = path.join(path.dirname(output), 'outputs', 'parse-status.json') }) {
+  const args = [path.join(projectRoot, 'scripts', 'parse_fact.js'), '--region', region, '--in', input, '--out', output, '--status', statusFile, '--pretty'];
+  if (adapter) args.push('--adapter', adapter);
+  // No secrets in tests: the region registry comes from config/regions.json only
+  const env = { ...process.env, REGION_SOURCES_JSON: '' };
+  const res = spawnSync(process.execPath, args, { encoding: 'utf8', env, timeout: 30_000 });
+  let json = null;
+  try { json = JSON.parse(await readFile(output, 'utf8')); } catch { }
+  let run = null;
+  try { run = JSON.parse(await readFile(statusFile, 'utf8')).regions[region] || null; } catch { }
+  return { status: res.status, stdout: res.stdout, stderr: res.stderr, json, run };
+}
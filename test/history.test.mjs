@@ -0,0 +1,70 @@
+// scripts/lib/history.mjs: the history/<region>/<date>.jsonl archive and lookups in it.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir, appendFile } from 'node:fs/promises';
+import path from 'node:path';
+import { readFixtureJson, tempDir } from './helpers.mjs';
+import { appendSnapshotIfChanged, readLatestSnapshot, readSnapshots, findSnapshotAt, buildSnapshot } from '../scripts/lib/history.mjs';
+
+const fixture = await readFixtureJson('schedule.json');
+const withHash = hash => ({ ...fixture, regionId: 'kyiv', meta: { contentHash: hash } });
+const at = iso => new Date(iso);
+const lines = async file => (await readFile(file, 'utf8')).trim().split('\n').map(l => JSON.parse(l));
+
+test('snapshots are appended only when meta.contentHash changes', async (t) => {
+  const root = await tempDir(t);
+  const first = await appendSnapshotIfChanged(root, 'kyiv', withHash('h1'), at('2025-12-06T10:00:00Z'));
+  assert.deepEqual(first, { appended: true, file: path.join(root, 'kyiv', '2025-12-06.jsonl') });
+  assert.deepEqual(await appendSnapshotIfChanged(root, 'kyiv', withHash('h1'), at('2025-12-06T10:05:00Z')), { appended: false, reason: 'unchanged' });
+  assert.deepEqual(await appendSnapshotIfChanged(root, 'kyiv', { ...fixture, meta: {} }, at('2025-12-06T10:10:00Z')), { appended: false, reason: 'no content' });
+  assert.equal((await appendSnapshotIfChanged(root, 'kyiv', withHash('h2'), at('2025-12-06T11:00:00Z'))).appended, true);
+  // Only the latest snapshot counts: going back to an earlier schedule is a change again
+  assert.equal((await appendSnapshotIfChanged(root, 'kyiv', withHash('h1'), at('2025-12-06T12:00:00Z'))).appended, true);
+
+  const archived = await lines(first.file);
+  assert.deepEqual(archived.map(s => [s.at, s.contentHash]), [
+    ['2025-12-06T10:00:00.000Z', 'h1'],
+    ['2025-12-06T11:00:00.000Z', 'h2'],
+    ['2025-12-06T12:00:00.000Z', 'h1'],
+  ]);
+  assert.deepEqual(archived[0], JSON.parse(JSON.stringify(buildSnapshot(withHash('h1'), at('2025-12-06T10:00:00Z')))));
+  assert.deepEqual(archived[0].days.map(d => d.date), ['2025-12-06', '2025-12-07']);
+  assert.equal(archived[0].factUpdate, '06.12.2025 20:39');
+});
+
+test('one file per Europe/Kyiv capture date; torn lines are skipped', async (t) => {
+  const root = await tempDir(t);
+  // 23:59 and 00:01 Kyiv time (UTC+2) fall into different files
+  await appendSnapshotIfChanged(root, 'kyiv', withHash('evening'), at('2025-12-06T21:59:00Z'));
+  await appendSnapshotIfChanged(root, 'kyiv', withHash('night'), at('2025-12-06T22:01:00Z'));
+  await appendSnapshotIfChanged(root, 'odesa', withHash('other'), at('2025-12-06T22:30:00Z'));
+  assert.deepEqual(await readdir(path.join(root, 'kyiv')), ['2025-12-06.jsonl', '2025-12-07.jsonl']);
+  assert.deepEqual((await lines(path.join(root, 'kyiv', '2025-12-07.jsonl'))).map(s => s.contentHash), ['night']);
+
+  await appendFile(path.join(root, 'kyiv', '2025-12-07.jsonl'), '{"at": "2025-12-07T');
+  assert.equal((await readLatestSnapshot(root, 'kyiv')).contentHash, 'night');
+  assert.deepEqual((await readSnapshots(root, 'kyiv')).map(s => s.contentHash), ['evening', 'night']);
+  assert.deepEqual((await readSnapshots(root, 'kyiv', { from: '2025-12-07' })).map(s => s.contentHash), ['night']);
+  assert.deepEqual((await readSnapshots(root, 'kyiv', { to: '2025-12-06' })).map(s => s.contentHash), ['evening']);
+  assert.equal(await readLatestSnapshot(root, 'lviv'), null);
+  assert.deepEqual(await readSnapshots(root, 'lviv'), []);
+});
+
+test('findSnapshotAt: before the first snapshot, at its exact moment, in between and across midnight', async (t) => {
+  const root = await tempDir(t);
+  await appendSnapshotIfChanged(root, 'kyiv', withHash('a'), at('2025-12-06T08:00:00Z'));
+  await appendSnapshotIfChanged(root, 'kyiv', withHash('b'), at('2025-12-06T21:00:00Z'));
+  await appendSnapshotIfChanged(root, 'kyiv', withHash('c'), at('2025-12-07T06:00:00Z'));
+  const hashAt = async iso => (await findSnapshotAt(root, 'kyiv', at(iso)))?.contentHash ?? null;
+
+  assert.equal(await hashAt('2025-12-05T12:00:00Z'), null);
+  assert.equal(await hashAt('2025-12-06T07:59:59.999Z'), null);
+  assert.equal(await hashAt('2025-12-06T08:00:00Z'), 'a');
+  assert.equal(await hashAt('2025-12-06T20:59:59Z'), 'a');
+  assert.equal(await hashAt('2025-12-06T21:00:00Z'), 'b');
+  // 00:30 Kyiv on 07.12: the file of that day has only a later snapshot, so the one from the evening before counts
+  assert.equal(await hashAt('2025-12-06T22:30:00Z'), 'b');
+  assert.equal(await hashAt('2025-12-07T06:00:00Z'), 'c');
+  assert.equal(await hashAt('2025-12-20T00:00:00Z'), 'c');
+  assert.equal(await findSnapshotAt(root, 'lviv', at('2025-12-07T06:00:00Z')), null);
+});
@@ -0,0 +1,173 @@
+// scripts/lib/http_fetch.mjs and the plain-HTTP path of fetch_regions_playwright.mjs against a local stand-in for
+// the provider: cookie jar, conditional requests, compression, WAF responses and the remembered fetch mode.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import zlib from 'node:zlib';
+import { readFile } from 'node:fs/promises';
+import { spawn } from 'node:child_process';
+import path from 'node:path';
+import { fixturePath, tempDir, projectRoot } from './helpers.mjs';
+import adapters from '../scripts/adapters/index.js';
+import {
+  createCookieJar, fetchPage, fetchRegionHttp, chooseMode, emptyRegionState, toBrowserCookies, fromBrowserCookies,
+} from '../scripts/lib/http_fetch.mjs';
+
+const { getAdapter } = adapters;
+const adapter = getAdapter('discon-schedule');
+const normal = await readFile(fixturePath('html', 'normal.html'), 'utf8');
+const waf = await readFile(fixturePath('html', 'waf.html'), 'utf8');
+const ETAG = '"schedule-v1"';
+
+// /shutdowns: the schedule page (gzip, ETag, a session cookie); /challenge: 403 interstitial; /placeholder: 200 WAF
+// stub; /moved: redirect that sets a cookie on the way
+async function standIn(t) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    if (req.url === '/shutdowns') {
+      if (req.headers['if-none-match'] === ETAG) {
+        res.writeHead(304, { etag: ETAG });
+        return res.end();
+      }
+      const gzip = /gzip/.test(req.headers['accept-encoding'] || '');
+      res.writeHead(200, {
+        'content-type': 'text/html; charset=utf-8',
+        etag: ETAG,
+        'set-cookie': ['session=abc; Path=/; HttpOnly', 'tracking=1; Path=/other'],
+        ...(gzip ? { 'content-encoding': 'gzip' } : {}),
+      });
+      return res.end(gzip ? zlib.gzipSync(normal) : normal);
+    }
+    if (req.url === '/challenge') {
+      res.writeHead(403, { 'content-type': 'text/html' });
+      return res.end(`<html><title>Just a moment...</title><script src="/cdn-cgi/challenge-platform/h/b"></script>${' '.repeat(3000)}</html>`);
+    }
+    if (req.url === '/placeholder') {
+      res.writeHead(200, { 'content-type': 'text/html' });
+      return res.end(waf);
+    }
+    if (req.url === '/moved') {
+      res.writeHead(302, { location: '/shutdowns', 'set-cookie': 'visited=yes; Path=/' });
+      return res.end();
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { base: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+test('cookie jar: domain, path, Secure, expiry and the browser format', () => {
+  const jar = createCookieJar();
+  const now = Date.UTC(2025, 11, 6);
+  jar.store('https://www.example.com/ua/shutdowns', [
+    'a=1; Path=/', 'b=2; Domain=example.com; Path=/ua; Secure', 'c=3; Max-Age=60', 'd=4; Domain=other.org', 'e=5; Max-Age=0',
+  ], now);
+  assert.equal(jar.header('https://www.example.com/ua/shutdowns', now), 'a=1; b=2; c=3');
+  assert.equal(jar.header('http://static.example.com/ua/x', now), '');
+  assert.equal(jar.header('https://static.example.com/ua/x', now), 'b=2');
+  assert.equal(jar.header('https://www.example.com/uax', now), 'a=1');
+  assert.equal(jar.header('https://www.example.com/ua/shutdowns', now + 61_000), 'a=1; b=2');
+
+  const cookies = jar.toJSON(now);
+  assert.deepEqual(fromBrowserCookies(toBrowserCookies(cookies)), cookies);
+  assert.equal(toBrowserCookies(cookies)[1].domain, '.example.com');
+});
+
+test('plain HTTP: compressed page, cookies sent back, 304 reuses the saved page', async (t) => {
+  const { base, requests } = await standIn(t);
+  const state = emptyRegionState();
+  const url = `${base}/shutdowns`;
+
+  const first = await fetchRegionHttp({ url, adapter, regionState: state });
+  assert.deepEqual([first.ok, first.outcome, first.httpStatus, first.notModified], [true, 'ok', 200, false]);
+  assert.equal(first.html, normal);
+  assert.match(requests[0].headers['accept-encoding'], /gzip/);
+  assert.equal(state.validators.etag, ETAG);
+  assert.deepEqual(state.cookies.map(c => c.name), ['session', 'tracking']);
+
+  // Without the saved page the validators are not sent
+  const again = await fetchRegionHttp({ url, adapter, regionState: state });
+  assert.equal(again.notModified, false);
+  assert.equal(requests[1].headers['if-none-match'], undefined);
+
+  const cached = await fetchRegionHttp({ url, adapter, regionState: state, cachedHtml: normal });
+  assert.deepEqual([cached.ok, cached.httpStatus, cached.notModified, cached.html === normal], [true, 304, true, true]);
+  assert.equal(requests[2].headers['if-none-match'], ETAG);
+  assert.equal(requests[2].headers.cookie, 'session=abc');
+
+  // Cookies set by a redirect are kept for the next hop
+  const jar = createCookieJar();
+  const moved = await fetchPage(`${base}/moved`, { jar });
+  assert.equal(moved.status, 200);
+  assert.equal(requests.at(-1).headers.cookie, 'visited=yes');
+});
+
+test('plain HTTP: WAF responses and network errors are classified', async (t) => {
+  const { base } = await standIn(t);
+  const challenge = await fetchRegionHttp({ url: `${base}/challenge`, adapter, regionState: emptyRegionState() });
+  assert.deepEqual([challenge.ok, challenge.outcome, challenge.code, challenge.httpStatus], [false, 'waf', 403, 403]);
+  const placeholder = await fetchRegionHttp({ url: `${base}/placeholder`, adapter, regionState: emptyRegionState() });
+  assert.deepEqual([placeholder.outcome, placeholder.httpStatus], ['waf', 200]);
+  const gone = await fetchRegionHttp({ url: `${base}/nope`, adapter, regionState: emptyRegionState() });
+  assert.equal(gone.outcome, 'http');
+
+  const down = await fetchRegionHttp({ url: 'http://127.0.0.1:9/shutdowns', adapter, regionState: emptyRegionState() });
+  assert.equal(down.outcome, 'network');
+  assert.doesNotMatch(down.message, /127\.0\.0\.1:9/);
+});
+
+test('the mode that last worked is remembered', () => {
+  const now = Date.UTC(2025, 11, 6, 12);
+  const browser = { ...emptyRegionState(), mode: 'browser', httpFailedAt: new Date(now - 3600_000).toISOString() };
+  assert.equal(chooseMode(emptyRegionState(), { now, probeMs: 3 * 3600_000 }), 'http');
+  assert.equal(chooseMode(browser, { now, probeMs: 3 * 3600_000 }), 'browser');
+  assert.equal(chooseMode(browser, { now, probeMs: 1800_000 }), 'http');
+  assert.equal(chooseMode(browser, { forced: 'http', now, probeMs: 3 * 3600_000 }), 'http');
+});
+
+function runFetcher(cwd, env) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(projectRoot, 'scripts', 'fetch_regions_playwright.mjs')], {
+      cwd, env: { ...process.env, FETCH_HOST_DELAY_MS: '0', MAX_FETCH_RETRY: '1', ...env },
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (d) => { stdout += d; });
+    child.stderr.on('data', (d) => { stderr += d; });
+    const timer = setTimeout(() => child.kill(), 60_000);
+    child.on('exit', (status) => {
+      clearTimeout(timer);
+      resolve({ status, stdout, stderr });
+    });
+  });
+}
+
+test('CLI: plain HTTP saves the page and fetch state, then a conditional request', async (t) => {
+  const { base } = await standIn(t);
+  const dir = await tempDir(t);
+  const env = { FETCH_MODE: 'http', REGION_SOURCES_JSON: JSON.stringify({ kyiv: `${base}/shutdowns`, odesa: `${base}/challenge` }) };
+  const read = async f => JSON.parse(await readFile(path.join(dir, 'outputs', f), 'utf8'));
+
+  const first = await runFetcher(dir, env);
+  assert.equal(first.status, 0, first.stderr);
+  assert.match(first.stdout, /\[SUMMARY\] Regions: 2, ok: 1 \(plain HTTP 1, browser 0\), failed: 1/);
+  assert.equal(await readFile(path.join(dir, 'outputs', 'kyiv.html'), 'utf8'), normal);
+  const kyiv = await read('kyiv.fetch.json');
+  assert.deepEqual([kyiv.ok, kyiv.mode, kyiv.attempts, kyiv.notModified], [true, 'http', 1, false]);
+  const odesa = await read('odesa.fetch.json');
+  assert.deepEqual([odesa.outcome, odesa.code, odesa.tries[0].mode], ['waf', 403, 'http']);
+
+  const state = await read('fetch-state.json');
+  assert.equal(state.regions.kyiv.mode, 'http');
+  assert.equal(state.regions.kyiv.validators.etag, ETAG);
+  assert.ok(state.regions.odesa.httpFailedAt);
+  assert.doesNotMatch(JSON.stringify(kyiv), new RegExp(base));
+
+  const second = await runFetcher(dir, env);
+  assert.equal(second.status, 0, second.stderr);
+  assert.equal((await read('kyiv.fetch.json')).notModified, true);
+  assert.match(second.stdout, /not modified/);
+});
@@ -0,0 +1,93 @@
+// templates/i18n catalogs and scripts/lib/i18n.mjs: same keys in every language, English output, registry names.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { readFixtureJson, tempDir, projectRoot } from './helpers.mjs';
+import { loadCatalog, translator, format, parseLangs, langDir, LANGS, I18N_DIR } from '../scripts/lib/i18n.mjs';
+import { renderScheduleSvg, summaryOf } from '../scripts/lib/svg_renderer.mjs';
+import { imageInputs, renderKey } from '../scripts/lib/render_cache.mjs';
+import regionsLib from '../scripts/lib/regions.js';
+
+const { loadRegions, regionName } = regionsLib;
+const json = { ...(await readFixtureJson('schedule.json')), regionAffiliation: 'м. Київ' };
+const texts = svg => [...svg.matchAll(/<text[^>]*>([^<]*)<\/text>/g)].map(m => m[1]);
+const placeholders = s => [...s.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+
+test('every catalog has the same keys and placeholders as uk', async () => {
+  const files = (await readdir(I18N_DIR)).filter(f => f.endsWith('.json')).sort();
+  assert.deepEqual(files, LANGS.map(l => `${l}.json`).sort());
+  const uk = JSON.parse(await readFile(path.join(I18N_DIR, 'uk.json'), 'utf8'));
+  for (const lang of LANGS) {
+    const raw = JSON.parse(await readFile(path.join(I18N_DIR, `${lang}.json`), 'utf8'));
+    assert.equal(raw.lang, lang);
+    assert.ok(raw.locale, `${lang}: locale`);
+    assert.deepEqual(Object.keys(raw.messages).sort(), Object.keys(uk.messages).sort(), lang);
+    for (const [k, v] of Object.entries(raw.messages)) assert.deepEqual(placeholders(v), placeholders(uk.messages[k]), `${lang}: ${k}`);
+  }
+});
+
+test('keys used by the templates, the dashboard and their scripts exist in the catalog', async () => {
+  const { messages } = loadCatalog('uk');
+  const used = new Set();
+  for (const dir of [path.join(projectRoot, 'templates', 'html'), path.join(projectRoot, 'templates', 'site')]) {
+    for (const f of await readdir(dir)) {
+      const text = f.endsWith('.html') || f.endsWith('.js') ? await readFile(path.join(dir, f), 'utf8') : '';
+      for (const [, key] of text.matchAll(/data-i18n(?:-title|-aria)?="([^"]+)"/g)) used.add(key);
+      for (const [, key] of text.matchAll(/\bt\('([\w.]+)'\s*[,)]/g)) used.add(key);
+    }
+  }
+  assert.ok(used.has('site.allGroups'));
+  assert.ok(used.size > 20);
+  for (const key of used) assert.ok(key in messages, key);
+});
+
+test('translator, fallback and --lang parsing', () => {
+  const t = translator(loadCatalog('en'));
+  assert.equal(t('group.name', { group: '1.1' }), 'Group 1.1');
+  assert.equal(t('no.such.key'), 'no.such.key');
+  assert.equal(format('{a} {b}', { a: 1 }), '1 {b}');
+  assert.notEqual(loadCatalog('en').hash, loadCatalog('uk').hash);
+  assert.throws(() => loadCatalog('xx'), /Unknown language 'xx'/);
+  assert.deepEqual(parseLangs(undefined), { langs: ['uk'], unknown: [] });
+  assert.deepEqual(parseLangs('en, uk,en,fr'), { langs: ['en', 'uk'], unknown: ['fr'] });
+  assert.equal(langDir('uk'), '');
+  assert.equal(langDir('en'), 'en');
+});
+
+test('English SVG: catalog strings, Intl weekdays and dates, registry region name', () => {
+  const full = texts(renderScheduleSvg(json, { view: 'full', gpv: 'GPV1.1', lang: 'en', regionName: 'Kyiv city' }).svg);
+  assert.ok(full.includes('Outage schedule (Kyiv city):'));
+  assert.ok(full.includes('Group 1.1'));
+  assert.ok(full.includes('6 December') && full.includes('7 December'));
+  for (const day of ['Monday', 'Saturday', 'Sunday']) assert.ok(full.includes(day), day);
+  assert.ok(full.includes('Power off') && full.includes('Possible outage'));
+  assert.ok(!full.some(s => /[А-Яа-яІіЇїЄє]/.test(s)), 'no Ukrainian text left');
+
+  const groups = texts(renderScheduleSvg(json, { view: 'groups', day: 'tomorrow', lang: 'en' }).svg);
+  assert.ok(groups.includes('Outage schedule for 7 December, all groups (м. Київ)'));
+  assert.ok(groups.includes('Group 2.2'));
+
+  const s = summaryOf(json, 'GPV1.1', { lang: 'en' });
+  assert.deepEqual(s.lines, ['06:00 – 10:30', '14:00 – 21:00']);
+  assert.equal(s.date, '6 December');
+  assert.equal(s.note, 'power will be off');
+  // Default stays Ukrainian
+  assert.equal(summaryOf(json, 'GPV1.1').date, '6 грудня');
+});
+
+test('registry names per language and the render key', async (t) => {
+  const dir = await tempDir(t);
+  const file = path.join(dir, 'regions.json');
+  await writeFile(file, JSON.stringify({ regions: [{ id: 'kyiv', name: 'м. Київ', names: { en: ' Kyiv city ', de: '' } }, { id: 'odesa' }] }));
+  const [kyiv, odesa] = loadRegions({ file, env: {} });
+  assert.deepEqual(kyiv.names, { en: 'Kyiv city' });
+  assert.equal(regionName(kyiv, 'en'), 'Kyiv city');
+  assert.equal(regionName(kyiv, 'uk'), null);
+  assert.equal(regionName(odesa, 'en'), null);
+
+  const inputs = imageInputs(json, { kind: 'full', gpv: 'GPV1.1' });
+  const key = lang => renderKey({ inputs, template: 'tpl', theme: 'light', scale: 1.5, i18n: { lang, hash: loadCatalog(lang).hash, regionName: null } });
+  assert.notEqual(key('uk'), key('en'));
+  assert.equal(key('en'), key('en'));
+});
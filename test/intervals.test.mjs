@@ -0,0 +1,92 @@
+// scripts/lib/intervals.js: hourly slots → merged [start, end) intervals and the normalized feed in data/<region>.json.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixtureJson } from './helpers.mjs';
+import intervalsLib from '../scripts/lib/intervals.js';
+
+const {
+  OUTAGE_PARTS, POSSIBLE_PARTS, parseTimeLabelStartMinutes, buildSlots, mergeChunks, scheduleIntervals,
+  formatMinutes, toIsoInterval, nextDayEpoch, isGroupKey, compareGroupKeys, gpvToFileStem, buildNormalized, buildGroupDay,
+} = intervalsLib;
+
+const { fact, preset } = await readFixtureJson('schedule.json');
+const DAY1 = 1764972000; // 06.12.2025
+const DAY2 = 1765058400; // 07.12.2025
+
+test('slots come from preset.time_zone, with 24 hourly slots as the fallback', () => {
+  const slots = buildSlots(preset);
+  assert.equal(slots.length, 24);
+  assert.deepEqual(slots.slice(0, 2), [{ key: '1', start: 0, end: 60 }, { key: '2', start: 60, end: 120 }]);
+  assert.deepEqual(slots[23], { key: '24', start: 1380, end: 1440 });
+  assert.deepEqual(buildSlots({}), slots);
+  assert.deepEqual(buildSlots(null), slots);
+  assert.equal(parseTimeLabelStartMinutes('14:30'), 870);
+  assert.ok(Number.isNaN(parseTimeLabelStartMinutes('x')));
+});
+
+test('half-hour states resolve at :30 and neighbouring chunks merge', () => {
+  const slots = buildSlots(preset);
+  // 'no' is off for the whole hour; first/second and their m* variants cover half of it
+  assert.deepEqual(
+    scheduleIntervals({ 1: 'no', 2: 'first', 3: 'yes', 4: 'second', 5: 'no', 24: 'msecond' }, slots, OUTAGE_PARTS),
+    [[0, 90], [210, 300], [1410, 1440]],
+  );
+  assert.deepEqual(scheduleIntervals({ 1: 'maybe', 2: 'yes' }, slots, OUTAGE_PARTS), []);
+  assert.deepEqual(scheduleIntervals({ 1: 'maybe', 2: 'mfirst', 24: 'msecond' }, slots, POSSIBLE_PARTS), [[0, 90], [1410, 1440]]);
+  assert.deepEqual(scheduleIntervals({}, slots, OUTAGE_PARTS), []);
+  assert.deepEqual(mergeChunks([[60, 120], [0, 60], [200, 300], [250, 260]]), [[0, 120], [200, 300]]);
+  assert.equal(formatMinutes(1440), '24:00');
+});
+
+test('ISO intervals carry the Europe/Kyiv offset of the date, across the DST switch too', () => {
+  assert.deepEqual(toIsoInterval('2025-12-06', [390, 630]), { start: '2025-12-06T06:30:00+02:00', end: '2025-12-06T10:30:00+02:00' });
+  // 26.10.2025 is 25 hours long: it starts at +03:00 and ends at +02:00
+  assert.deepEqual(toIsoInterval('2025-10-26', [0, 1440]), { start: '2025-10-26T00:00:00+03:00', end: '2025-10-27T00:00:00+02:00' });
+});
+
+test('buildNormalized: one entry per fact day, outages from fact, possible from the preset weekday', () => {
+  const normalized = buildNormalized(fact, preset);
+  assert.equal(normalized.timeZone, 'Europe/Kyiv');
+  assert.deepEqual(Object.keys(normalized.groups), ['GPV1.1', 'GPV1.2', 'GPV2.1', 'GPV2.2']);
+  const group = normalized.groups['GPV1.1'];
+  assert.equal(group.name, 'Черга 1.1');
+  assert.deepEqual(group.days.map(d => [d.date, d.weekday, d.today]), [['2025-12-06', 6, true], ['2025-12-07', 7, false]]);
+  assert.deepEqual(group.days[0].outages[0], { start: '2025-12-06T06:00:00+02:00', end: '2025-12-06T10:30:00+02:00' });
+  // An outage running to midnight ends at 00:00 of the next day
+  assert.deepEqual(group.days[1].outages.at(-1), { start: '2025-12-07T21:30:00+02:00', end: '2025-12-08T00:00:00+02:00' });
+  assert.deepEqual(
+    group.days[0].possible,
+    scheduleIntervals(preset.data['GPV1.1']['6'], buildSlots(preset), POSSIBLE_PARTS).map(c => toIsoInterval('2025-12-06', c)),
+  );
+
+  // A group without a fact row on a day, and without a preset row at all
+  const partial = buildNormalized(
+    { ...fact, data: { [DAY1]: { 'GPV1.1': fact.data[DAY1]['GPV1.1'] }, [DAY2]: {} } },
+    { ...preset, data: { 'GPV2.1': preset.data['GPV2.1'] } },
+  );
+  assert.deepEqual(Object.keys(partial.groups), ['GPV1.1', 'GPV2.1']);
+  assert.deepEqual(partial.groups['GPV1.1'].days.map(d => [d.outages !== null, d.possible]), [[true, null], [false, null]]);
+  assert.deepEqual(partial.groups['GPV2.1'].days.map(d => [d.outages, d.possible !== null]), [[null, true], [null, true]]);
+});
+
+test('buildGroupDay picks fact, then preset, then nothing', () => {
+  assert.equal(buildGroupDay(fact, preset, 'GPV1.1', '2025-12-06').source, 'fact');
+  const weekly = buildGroupDay(fact, preset, 'GPV1.1', '2025-12-09');
+  assert.deepEqual([weekly.weekday, weekly.source, weekly.outages], [2, 'preset', null]);
+  assert.deepEqual(weekly.possible[0], { start: '2025-12-09T00:00:00+02:00', end: '2025-12-09T01:30:00+02:00' });
+  assert.deepEqual(buildGroupDay(fact, preset, 'GPV9.9', '2025-12-06'), {
+    date: '2025-12-06', weekday: 6, source: null, outages: null, possible: null,
+  });
+});
+
+test('nextDayEpoch, group keys and file stems', () => {
+  assert.equal(nextDayEpoch(fact), DAY2);
+  assert.equal(nextDayEpoch({ ...fact, today: DAY2 }), DAY1);
+  assert.equal(nextDayEpoch({ data: {} }), null);
+  assert.equal(nextDayEpoch(null), null);
+  assert.deepEqual(['GPV10.1', 'GPV2.2', 'GPV2.1', 'GPV1.1'].sort(compareGroupKeys), ['GPV1.1', 'GPV2.1', 'GPV2.2', 'GPV10.1']);
+  assert.equal(isGroupKey('GPV12.1'), true);
+  assert.equal(isGroupKey('update'), false);
+  assert.equal(gpvToFileStem('GPV1.2'), 'gpv-1-2');
+  assert.equal(gpvToFileStem('Group A'), 'gpv-group-a');
+});
@@ -0,0 +1,97 @@
+// scripts/lib/js_literal.js: JS object/array literals from upstream pages, read without evaluating any code.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jsLiteral from '../scripts/lib/js_literal.js';
+
+const { parseJsLiteral, scanBalanced, JsLiteralError } = jsLiteral;
+
+test('the literal subset: unquoted keys, quotes, comments, trailing commas, numbers and escapes', () => {
+  const src = `{
+    // schedule of the day
+    regionId: 'kyiv', "GPV1.1": { 1: "no", '2': \`first\` },
+    list: [1, -2.5, .5, 0x1F, 1e3, +4,], /* trailing commas */
+    flags: [true, false, null, undefined],
+    text: 'it\\'s \\u0410\\u{1F4A1} \\x41\\ttab',
+  };`;
+  assert.deepEqual(parseJsLiteral(src), {
+    regionId: 'kyiv',
+    'GPV1.1': { 1: 'no', 2: 'first' },
+    list: [1, -2.5, 0.5, 31, 1000, 4],
+    flags: [true, false, null, null],
+    text: "it's А💡 A\ttab",
+  });
+  assert.ok(Number.isNaN(parseJsLiteral('NaN')));
+  assert.equal(parseJsLiteral('[Infinity]')[0], Infinity);
+});
+
+test('identifiers, calls, interpolation and trailing statements are rejected and nothing runs', () => {
+  globalThis.jsLiteralRan = false;
+  const attempts = [
+    ['{ a: alert(1) }', /Identifier 'alert' is not a literal value at position 5/],
+    ['{ a: (globalThis.jsLiteralRan = true) }', /Unexpected character '\(' at position 5/],
+    ['[window.location]', /Identifier 'window' is not a literal value/],
+    ['{ a: `${globalThis.jsLiteralRan = true}` }', /Template interpolation is not allowed/],
+    ['{ [globalThis.jsLiteralRan = true]: 1 }', /Computed keys are not allowed/],
+    ['{ a: 1 }; globalThis.jsLiteralRan = true', /Unexpected trailing content/],
+    ['(function () { globalThis.jsLiteralRan = true; })()', /Unexpected character '\('/],
+    ['{ a: 1 + 1 }', /Expected ',' or '}'/],
+    ['{ get a() { return 1; } }', /Expected ':' after key 'get'/],
+  ];
+  for (const [src, message] of attempts) {
+    assert.throws(() => parseJsLiteral(src), (e) => {
+      assert.ok(e instanceof JsLiteralError, src);
+      assert.equal(typeof e.pos, 'number');
+      assert.match(e.message, message);
+      return true;
+    });
+  }
+  assert.equal(globalThis.jsLiteralRan, false);
+  delete globalThis.jsLiteralRan;
+});
+
+test('scanBalanced skips brackets and quotes inside strings and comments', () => {
+  const literal = `{ a: "}", b: '{[', c: "say \\"}\\"", d: [1, "]"], /* } ] */ e: \`}\`, // }
+    f: { g: 'it\\'s }' } }`;
+  const src = `DisconSchedule.fact = ${literal};\nvar other = { x: 1 };`;
+  const start = src.indexOf('{');
+  const { end, error } = scanBalanced(src, start);
+  assert.equal(error, undefined);
+  assert.equal(src.slice(start, end), literal);
+  assert.deepEqual(parseJsLiteral(src.slice(start, end)), {
+    a: '}', b: '{[', c: 'say "}"', d: [1, ']'], e: '}', f: { g: "it's }" },
+  });
+  assert.deepEqual(scanBalanced('[[1], {"a": [2]}] tail', 0), { end: 17 });
+});
+
+test('__proto__ and constructor keys stay plain data', () => {
+  const value = parseJsLiteral('{ __proto__: { polluted: true }, "constructor": { "prototype": { "polluted": true } }, list: [{ "__proto__": { polluted: 1 } }] }');
+  assert.equal(Object.getPrototypeOf(value), Object.prototype);
+  assert.equal(value.polluted, undefined);
+  assert.deepEqual(Object.keys(value), ['__proto__', 'constructor', 'list']);
+  assert.deepEqual(Object.getOwnPropertyDescriptor(value, '__proto__').value, { polluted: true });
+  assert.equal(Object.getPrototypeOf(value.list[0]), Object.prototype);
+  assert.equal(value.list[0].polluted, undefined);
+  assert.equal({}.polluted, undefined);
+  assert.equal(Object.prototype.polluted, undefined);
+});
+
+test('truncated or unbalanced input fails', () => {
+  const broken = [
+    ['{ a: 1', /Expected ',' or '}' at position 6/],
+    ['{ a: 1,', /Unterminated object/],
+    ['{ a: [1, 2,', /Unterminated array/],
+    ['{ a: [1, 2 }', /Expected ',' or '\]'/],
+    ['{ a: "abc', /Unterminated string at position 5/],
+    ["{ a: 'line\nbreak' }", /Unterminated string/],
+    ['{ a: 1 /* comment', /Unterminated comment/],
+    ['{ a: }', /Unexpected character '}'/],
+    ['', /Unexpected character 'EOF'/],
+    ['{ a: "\\u12" }', /Bad \\u escape/],
+  ];
+  for (const [src, message] of broken) assert.throws(() => parseJsLiteral(src), message, src);
+
+  assert.deepEqual(scanBalanced('{ a: { b: 1 }', 0), { error: 'Unbalanced braces' });
+  assert.deepEqual(scanBalanced('{ a: [1 }', 0), { error: "Mismatched '}' at position 8" });
+  assert.deepEqual(scanBalanced('{ a: "} }', 0), { error: 'Unterminated string literal starting at position 5' });
+  assert.deepEqual(scanBalanced('{ a: 1 /* } }', 0), { error: 'Unterminated comment starting at position 7' });
+});
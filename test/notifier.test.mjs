@@ -0,0 +1,185 @@
+// scripts/lib/notifier.mjs: config, payloads and retries; scripts/notify.mjs against a local stand-in webhook: what
+// gets POSTed for a schedule change and that a run which only bumped bookkeeping fields sends nothing.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { spawn } from 'node:child_process';
+import path from 'node:path';
+import { readFixtureJson, tempDir, projectRoot } from './helpers.mjs';
+import { diffRegion } from '../scripts/lib/diff.mjs';
+import { normalizeConfig, buildNotifications, sendNotification } from '../scripts/lib/notifier.mjs';
+
+const DAY2 = '1765058400'; // 07.12.2025
+const DAY3 = '1765144800'; // 08.12.2025
+
+test('normalizeConfig: defaults, ${NAME} expansion and rejected endpoints', () => {
+  const config = normalizeConfig({
+    endpoints: [
+      { url: 'https://example.org/hook', headers: { Authorization: 'Bearer ${HOOK_TOKEN}' }, regions: [], groups: ['GPV1.1'] },
+      { name: 'tg', url: 'https://api.telegram.org/bot${TG_TOKEN}/sendMessage', format: 'telegram', chatId: 42 },
+    ],
+    imageBaseUrl: 'https://raw.example.org/repo/main',
+  }, { HOOK_TOKEN: 'abc', TG_TOKEN: '123:xyz' });
+  assert.deepEqual(config.endpoints, [
+    { name: 'endpoint-1', url: 'https://example.org/hook', format: 'json', headers: { Authorization: 'Bearer abc' }, regions: null, groups: ['GPV1.1'], chatId: null },
+    { name: 'tg', url: 'https://api.telegram.org/bot123:xyz/sendMessage', format: 'telegram', headers: {}, regions: null, groups: null, chatId: '42' },
+  ]);
+  assert.equal(config.imageBaseUrl, 'https://raw.example.org/repo/main/');
+  // An unset variable expands to an empty string
+  assert.equal(normalizeConfig({ endpoints: [{ url: 'https://x.org/${MISSING}' }] }, {}).endpoints[0].url, 'https://x.org/');
+  assert.deepEqual(normalizeConfig(null, {}), { endpoints: [], imageBaseUrl: null });
+
+  assert.throws(() => normalizeConfig({ endpoints: [{ url: 'ftp://x.org' }] }, {}), /endpoints\[0\]: "url" must be an http\(s\) URL/);
+  assert.throws(() => normalizeConfig({ endpoints: [{ url: 'https://x.org', format: 'xml' }] }, {}), /unknown format 'xml'/);
+  assert.throws(() => normalizeConfig({ endpoints: [{ url: 'https://x.org', format: 'telegram' }] }, {}), /"chatId" is required/);
+});
+
+test('buildNotifications: region and group filters, telegram bodies and newly published days', async () => {
+  const prev = { ...(await readFixtureJson('schedule.json')), regionId: 'kyiv', regionAffiliation: 'Київ' };
+  const next = structuredClone(prev);
+  next.fact.data[DAY2]['GPV2.1'] = { ...next.fact.data[DAY2]['GPV2.1'], 10: 'no' };
+  next.fact.data[DAY3] = { 'GPV1.1': prev.fact.data[DAY2]['GPV1.1'] };
+  const diff = diffRegion(prev, next);
+  const config = normalizeConfig({
+    endpoints: [
+      { name: 'all', url: 'https://example.org/all' },
+      { name: 'odesa', url: 'https://example.org/odesa', regions: ['odesa'] },
+      { name: 'only-2.1', url: 'https://example.org/g', groups: ['GPV2.1'] },
+      { name: 'tg', url: 'https://example.org/tg', format: 'telegram', chatId: '7', groups: ['GPV1.1'] },
+    ],
+    imageBaseUrl: 'https://cdn.example.org',
+  }, {});
+
+  const sent = buildNotifications(diff, next, config);
+  assert.deepEqual(sent.map(n => [n.endpoint.name, n.groups]), [['all', ['GPV1.1', 'GPV2.1']], ['only-2.1', ['GPV2.1']], ['tg', ['GPV1.1']]]);
+  const [all, , tg] = sent;
+  assert.deepEqual(all.body.groups[0].newDays, ['2025-12-08']);
+  assert.deepEqual(all.body.groups[0].changes, []);
+  assert.equal(all.body.groups[1].changes.length, 1);
+  assert.match(all.body.groups[1].changes[0], /^GPV2\.1 07\.12 09-10: \S+→no$/);
+  assert.equal(all.body.groups[1].images[0], 'https://cdn.example.org/images/kyiv/gpv-2-1.png');
+  assert.deepEqual(Object.keys(tg.body), ['chat_id', 'text', 'disable_web_page_preview']);
+  assert.equal(tg.body.chat_id, '7');
+  assert.equal(tg.body.text, '⚡ Київ: оновлено графік відключень (06.12.2025 20:39)\n\nЧерга 1.1:\n  опубліковано графік на 08.12');
+
+  assert.deepEqual(buildNotifications(diffRegion(prev, structuredClone(prev)), prev, config), []);
+});
+
+test('sendNotification retries once on network errors and 5xx, never on 4xx', async () => {
+  const endpoint = { url: 'https://example.org/hook', headers: { 'X-Token': 't' } };
+  const answering = (...statuses) => {
+    const calls = [];
+    const fetchImpl = async (url, init) => {
+      calls.push({ url, init });
+      const status = statuses[calls.length - 1];
+      if (status instanceof Error) throw status;
+      return { ok: status < 400, status };
+    };
+    return { calls, fetchImpl };
+  };
+
+  const flaky = answering(502, 200);
+  assert.deepEqual(await sendNotification(endpoint, { a: 1 }, { fetchImpl: flaky.fetchImpl }), { ok: true, status: 200 });
+  assert.equal(flaky.calls.length, 2);
+  assert.equal(flaky.calls[0].init.headers['X-Token'], 't');
+  assert.equal(flaky.calls[0].init.body, '{"a":1}');
+
+  const rejected = answering(403, 200);
+  assert.deepEqual(await sendNotification(endpoint, {}, { fetchImpl: rejected.fetchImpl }), { ok: false, status: 403 });
+  assert.equal(rejected.calls.length, 1);
+
+  const down = answering(new Error('ECONNREFUSED'), new Error('ECONNREFUSED'));
+  assert.deepEqual(await sendNotification(endpoint, {}, { fetchImpl: down.fetchImpl }), { ok: false, status: null, error: 'ECONNREFUSED' });
+  assert.equal(down.calls.length, 2);
+});
+
+// Collects every POST body; always answers 200
+async function standIn(t) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (d) => { body += d; });
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end('{"ok":true}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { base: `http://127.0.0.1:${server.address().port}`, received };
+}
+
+// Async on purpose: the stand-in lives in this process
+function runNotify(dir, config) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [
+      path.join(projectRoot, 'scripts', 'notify.mjs'),
+      '--outputs', path.join(dir, 'outputs'), '--data', path.join(dir, 'data'),
+    ], { env: { ...process.env, NOTIFIERS_JSON: JSON.stringify(config) } });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (d) => { stdout += d; });
+    child.stderr.on('data', (d) => { stderr += d; });
+    const timer = setTimeout(() => child.kill(), 60_000);
+    child.on('exit', (status) => {
+      clearTimeout(timer);
+      resolve({ status, stdout, stderr });
+    });
+  });
+}
+
+// data/kyiv.json and outputs/changes/kyiv.json as batch_parse.mjs leaves them after parsing `next`
+async function writeRun(dir, prev, next) {
+  await mkdir(path.join(dir, 'data'), { recursive: true });
+  await mkdir(path.join(dir, 'outputs', 'changes'), { recursive: true });
+  await writeFile(path.join(dir, 'data', 'kyiv.json'), JSON.stringify(next));
+  await writeFile(path.join(dir, 'outputs', 'changes', 'kyiv.json'), JSON.stringify(diffRegion(prev, next)));
+}
+
+test('notify: POSTs the summary and group images for a slot change, nothing for a bookkeeping-only run', async (t) => {
+  const { base, received } = await standIn(t);
+  const dir = await tempDir(t);
+  const config = { endpoints: [{ name: 'hook', url: `${base}/hook`, headers: { 'X-Token': '${NOTIFY_TEST_TOKEN}' } }] };
+  process.env.NOTIFY_TEST_TOKEN = 'secret';
+  t.after(() => { delete process.env.NOTIFY_TEST_TOKEN; });
+
+  const prev = { ...(await readFixtureJson('schedule.json')), regionId: 'kyiv', regionAffiliation: 'Київ' };
+  const next = structuredClone(prev);
+  const day = Object.keys(next.fact.data)[0];
+  const slots = next.fact.data[day]['GPV1.1'];
+  const slot = Object.keys(slots).find(k => slots[k] === 'yes');
+  slots[slot] = 'no';
+  prev.meta = { ...prev.meta, contentHash: 'hash-before' };
+  next.meta = { ...next.meta, contentHash: 'hash-after' };
+
+  await writeRun(dir, prev, next);
+  const first = await runNotify(dir, config);
+  assert.equal(first.status, 0, first.stderr);
+  assert.match(first.stdout, /\[SUMMARY\] Notifications sent: 1, skipped \(already sent\): 0, failed: 0/);
+  assert.equal(received.length, 1);
+  const [{ method, url, headers, body }] = received;
+  assert.deepEqual([method, url, headers['x-token']], ['POST', '/hook', 'secret']);
+  assert.equal(body.event, 'schedule.changed');
+  assert.equal(body.regionId, 'kyiv');
+  assert.match(body.text, /^⚡ Київ: оновлено графік відключень \(06\.12\.2025 20:39\)\n/);
+  assert.match(body.text, /yes→no/);
+  assert.deepEqual(body.groups.map(g => g.gpv), ['GPV1.1']);
+  assert.deepEqual(body.groups[0].images, ['images/kyiv/gpv-1-1.png', 'images/kyiv/gpv-1-1-emergency.png', 'images/kyiv/gpv-1-1-summary.png']);
+
+  // The next run only bumps attempt/lastUpdated: empty diff, nothing sent
+  const bumped = structuredClone(next);
+  bumped.lastUpdated = new Date(Date.parse(next.lastUpdated || 0) + 3600_000).toISOString();
+  bumped.lastUpdateStatus = { ...next.lastUpdateStatus, attempt: (next.lastUpdateStatus?.attempt || 1) + 1 };
+  await writeRun(dir, next, bumped);
+  const second = await runNotify(dir, config);
+  assert.equal(second.status, 0, second.stderr);
+  assert.match(second.stdout, /Notifications sent: 0, skipped \(already sent\): 0, failed: 0/);
+
+  // The same change file again (e.g. a re-run of the job): remembered in notify-state.json
+  await writeRun(dir, prev, next);
+  const third = await runNotify(dir, config);
+  assert.match(third.stdout, /Notifications sent: 0, skipped \(already sent\): 1, failed: 0/);
+  assert.equal(received.length, 1);
+});
@@ -0,0 +1,90 @@
+// scripts/lib/now.mjs: state, current interval and next change for a group.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixtureJson } from './helpers.mjs';
+import { groupStatus, formatCountdown } from '../scripts/lib/now.mjs';
+import timeLib from '../scripts/lib/time.js';
+
+const { kyivDateFromEpoch, addDays, toKyivIso, zonedTimeToUtc, KYIV_TZ } = timeLib;
+
+const slots = (overrides) => Object.fromEntries(Array.from({ length: 24 }, (_, i) => [String(i + 1), overrides[i + 1] || 'yes']));
+const at = (date, time) => zonedTimeToUtc(date, time, KYIV_TZ);
+
+// fact.today = 2025-12-05 (Friday); tomorrow published; weekly preset for the rest
+const TODAY = '2025-12-05';
+const json = {
+  fact: {
+    today: zonedTimeToUtc(TODAY, '00:00', KYIV_TZ).getTime() / 1000,
+    data: {
+      [zonedTimeToUtc(TODAY, '00:00', KYIV_TZ).getTime() / 1000]: {
+        'GPV3.1': slots({ 9: 'first', 15: 'second', 16: 'no', 23: 'no', 24: 'no' }),
+      },
+      [zonedTimeToUtc(addDays(TODAY, 1), '00:00', KYIV_TZ).getTime() / 1000]: {
+        'GPV3.1': slots({ 1: 'mfirst', 12: 'msecond' }),
+      },
+    },
+  },
+  preset: {
+    data: { 'GPV3.1': { 7: slots({ 10: 'maybe', 11: 'maybe' }) } },
+  },
+};
+
+test('half-hour states split slots at :30', () => {
+  const s = groupStatus(json, 'GPV3.1', at(TODAY, '08:10'));
+  assert.equal(s.state, 'off');
+  assert.equal(s.source, 'fact');
+  assert.deepEqual(s.interval, { start: toKyivIso(TODAY, '08:00'), end: toKyivIso(TODAY, '08:30') });
+  assert.equal(s.nextChange, toKyivIso(TODAY, '08:30'));
+  assert.equal(s.nextState, 'on');
+  assert.equal(s.countdownMinutes, 20);
+
+  const second = groupStatus(json, 'GPV3.1', at(TODAY, '14:10'));
+  assert.equal(second.state, 'on');
+  assert.equal(second.nextChange, toKyivIso(TODAY, '14:30'));
+  const off = groupStatus(json, 'GPV3.1', at(TODAY, '14:45'));
+  assert.deepEqual(off.interval, { start: toKyivIso(TODAY, '14:30'), end: toKyivIso(TODAY, '16:00') });
+});
+
+test('an outage over midnight is one interval (m* states count as off in fact)', () => {
+  const s = groupStatus(json, 'GPV3.1', at(TODAY, '23:00'));
+  assert.equal(s.state, 'off');
+  assert.deepEqual(s.interval, { start: toKyivIso(TODAY, '22:00'), end: toKyivIso(addDays(TODAY, 1), '00:30') });
+  assert.equal(s.countdown, '1 год 30 хв');
+});
+
+test('falls back to the weekly preset when fact does not cover the day', () => {
+  const sunday = addDays(TODAY, 2);
+  const s = groupStatus(json, 'GPV3.1', at(sunday, '09:30'));
+  assert.equal(s.source, 'preset');
+  assert.equal(s.state, 'possible');
+  assert.deepEqual(s.interval, { start: toKyivIso(sunday, '09:00'), end: toKyivIso(sunday, '11:00') });
+  assert.equal(s.nextState, 'on');
+});
+
+test('no data → unknown; state lasting to the end of data has no next change', () => {
+  const monday = addDays(TODAY, 3);
+  const none = groupStatus(json, 'GPV3.1', at(monday, '12:00'));
+  assert.equal(none.state, 'unknown');
+  assert.equal(none.interval, null);
+  assert.equal(none.nextChange, null);
+
+  const late = groupStatus(json, 'GPV3.1', at(addDays(TODAY, 2), '20:00'));
+  assert.equal(late.state, 'on');
+  assert.equal(late.nextChange, null);
+  assert.equal(late.countdown, null);
+});
+
+test('works on the fixture data', async () => {
+  const { fact, preset } = await readFixtureJson('schedule.json');
+  const today = kyivDateFromEpoch(fact.today);
+  const s = groupStatus({ fact, preset }, 'GPV1.1', at(today, '07:15'));
+  assert.equal(s.state, 'off');
+  assert.equal(s.nextChange, toKyivIso(today, '10:30'));
+});
+
+test('formatCountdown', () => {
+  assert.equal(formatCountdown(5), '5 хв');
+  assert.equal(formatCountdown(60), '1 год');
+  assert.equal(formatCountdown(135), '2 год 15 хв');
+  assert.equal(formatCountdown(null), null);
+});
@@ -0,0 +1,214 @@
+// parse_fact.js against saved upstream pages: resulting data/<region>.json, lastUpdateStatus codes and the parse
+// status file.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { copyFile, mkdir, readFile, utimes, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fixturePath, readFixtureJson, tempDir, runParseFact } from './helpers.mjs';
+import schemaLib from '../scripts/lib/schema.js';
+
+const { validate, formatErrors } = schemaLib;
+
+test('normal page → 200 with fact/preset verbatim, normalized and a content hash', async (t) => {
+  const dir = await tempDir(t);
+  const expected = await readFixtureJson('schedule.json');
+  const out = path.join(dir, 'kyiv.json');
+  const { status, json, run } = await runParseFact({ input: fixturePath('html', 'normal.html'), output: out });
+
+  assert.equal(status, 0);
+  assert.deepEqual(json.fact, expected.fact);
+  assert.deepEqual(json.preset, expected.preset);
+  assert.equal(json.regionId, 'kyiv');
+  assert.equal(json.regionAffiliation, 'м. Київ');
+  assert.deepEqual(
+    { ...json.lastUpdateStatus, at: null },
+    {
+      status: 'parsed', ok: true, code: 200, message: 'fact: json, preset: json', at: null, attempt: 1,
+      failures: 0, lastSuccessAt: json.lastUpdateStatus.at, recent: ['200'],
+    },
+  );
+  assert.match(json.meta.contentHash, /^[0-9a-f]{64}$/);
+  assert.deepEqual(run, { ...json.lastUpdateStatus, contentHash: json.meta.contentHash, changed: true, changedAt: json.lastUpdated });
+  assert.deepEqual(Object.keys(json.normalized.groups), Object.keys(expected.preset.data));
+  assert.deepEqual(validate(json), [], formatErrors(validate(json)));
+});
+
+test('re-parsing the same page leaves the output untouched and records the run in the status file', async (t) => {
+  const dir = await tempDir(t);
+  const out = path.join(dir, 'kyiv.json');
+  await runParseFact({ input: fixturePath('html', 'normal.html'), output: out });
+  const before = await readFile(out, 'utf8');
+  const second = await runParseFact({ input: fixturePath('html', 'normal.html'), output: out });
+  assert.equal(await readFile(out, 'utf8'), before);
+  assert.match(second.stdout, /unchanged/);
+  assert.deepEqual([second.run.changed, second.run.changedAt, second.run.contentHash], [false, second.json.lastUpdated, second.json.meta.contentHash]);
+  // attempt counts runs since the last success, so it does not grow while parsing succeeds
+  assert.equal(second.run.attempt, 1);
+  assert.deepEqual(second.run.recent, ['200', '200']);
+  assert.notEqual(second.run.at, second.json.lastUpdateStatus.at);
+
+  // A changed schedule rewrites the output
+  const input = path.join(dir, 'kyiv.html');
+  const html = await readFile(fixturePath('html', 'normal.html'), 'utf8');
+  await writeFile(input, html.replace('"no"', '"yes"'));
+  const third = await runParseFact({ input, output: out });
+  assert.equal(third.run.changed, true);
+  assert.notEqual(third.json.meta.contentHash, second.json.meta.contentHash);
+  assert.equal(third.json.lastUpdated, third.run.changedAt);
+  assert.deepEqual(third.json.lastUpdateStatus.recent, ['200', '200', '200']);
+});
+
+test('counters carry over from an output written before the status file existed', async (t) => {
+  const dir = await tempDir(t);
+  const out = path.join(dir, 'kyiv.json');
+  const first = await runParseFact({ input: fixturePath('html', 'normal.html'), output: out, statusFile: path.join(dir, 'old-status.json') });
+  const { run } = await runParseFact({ input: fixturePath('html', 'waf.html'), output: out });
+  assert.deepEqual(run.recent, ['200', 'waf']);
+  assert.equal(run.changedAt, first.json.lastUpdated);
+});
+
+test('failures are counted until the next successful parse', async (t) => {
+  const dir = await tempDir(t);
+  const out = path.join(dir, 'kyiv.json');
+  const good = await runParseFact({ input: fixturePath('html', 'normal.html'), output: out });
+  await runParseFact({ input: fixturePath('html', 'truncated.html'), output: out });
+  const { json, run } = await runParseFact({ input: path.join(dir, 'nope.html'), output: out });
+  assert.equal(run.failures, 2);
+  assert.equal(run.attempt, 3);
+  assert.equal(run.lastSuccessAt, good.json.lastUpdateStatus.at);
+  assert.deepEqual(run.recent, ['200', '422', '404']);
+  assert.deepEqual(json, good.json);
+
+  const again = await runParseFact({ input: fixturePath('html', 'normal.html'), output: out });
+  assert.equal(again.run.failures, 0);
+  assert.equal(again.run.lastSuccessAt, again.run.at);
+  assert.deepEqual(validate(again.json), []);
+});
+
+test('JS-literal page → 200 with the same data as the JSON page', async (t) => {
+  const dir = await tempDir(t);
+  const expected = await readFixtureJson('schedule.json');
+  const { json } = await runParseFact({ input: fixturePath('html', 'js-literal.html'), output: path.join(dir, 'kyiv.json') });
+
+  assert.equal(json.lastUpdateStatus.code, 200);
+  assert.equal(json.lastUpdateStatus.message, 'fact: js-literal, preset: js-literal');
+  assert.deepEqual(json.fact, expected.fact);
+  assert.deepEqual(json.preset, expected.preset);
+});
+
+test('page without preset → 200 with preset null', async (t) => {
+  const dir = await tempDir(t);
+  const expected = await readFixtureJson('schedule.json');
+  const { json } = await runParseFact({ input: fixturePath('html', 'missing-preset.html'), output: path.join(dir, 'kyiv.json') });
+
+  assert.equal(json.lastUpdateStatus.code, 200);
+  assert.equal(json.lastUpdateStatus.message, 'fact: json, preset: n/a');
+  assert.deepEqual(json.fact, expected.fact);
+  assert.equal(json.preset, null);
+});
+
+test('WAF placeholder → 403 and the previous data is kept', async (t) => {
+  const dir = await tempDir(t);
+  const out = path.join(dir, 'kyiv.json');
+  const good = await runParseFact({ input: fixturePath('html', 'normal.html'), output: out });
+  const { status, json, run } = await runParseFact({ input: fixturePath('html', 'waf.html'), output: out });
+
+  assert.equal(status, 0);
+  assert.equal(run.status, 'error');
+  assert.equal(run.ok, false);
+  assert.equal(run.code, 403);
+  assert.match(run.message, /^WAF\/challenge page: Marker `DisconSchedule\.fact =` not found/);
+  assert.equal(run.attempt, 2);
+  assert.equal(run.failures, 1);
+  // no adapter markers in a small page: a WAF response rather than a layout change
+  assert.deepEqual(run.recent, ['200', 'waf']);
+  assert.deepEqual([run.changed, run.contentHash], [false, good.json.meta.contentHash]);
+  assert.deepEqual(json, good.json);
+});
+
+test('failed fetch → its own code, the last good page is not parsed again', async (t) => {
+  const dir = await tempDir(t);
+  const input = path.join(dir, 'kyiv.html');
+  const out = path.join(dir, 'kyiv.json');
+  await copyFile(fixturePath('html', 'normal.html'), input);
+  const good = await runParseFact({ input, output: out });
+
+  await writeFile(path.join(dir, 'kyiv.fetch.json'), JSON.stringify({
+    version: 1, regionId: 'kyiv', ok: false, outcome: 'timeout', code: 408, message: 'page.goto: Timeout 120000ms exceeded.',
+    attempts: 3, archived: { html: 'outputs/suspect/kyiv/2025-12-06T19-00-00-000Z.html', screenshot: null },
+  }));
+  const { status, json, run } = await runParseFact({ input, output: out });
+  assert.equal(status, 0);
+  assert.equal(run.code, 408);
+  assert.equal(run.message,
+    'Navigation timeout (page.goto: Timeout 120000ms exceeded.) after 3 attempt(s); page saved to outputs/suspect/kyiv/2025-12-06T19-00-00-000Z.html');
+  assert.deepEqual(run.recent, ['200', '408']);
+  assert.deepEqual(json.fact, good.json.fact);
+
+  // A page saved after the fetch result is parsed as usual
+  const later = new Date(Date.now() + 60_000);
+  await utimes(input, later, later);
+  const again = await runParseFact({ input, output: out });
+  assert.deepEqual([again.run.code, again.run.changed], [200, false]);
+});
+
+test('failed first fetch without a page → fetch code instead of 404', async (t) => {
+  const dir = await tempDir(t);
+  await writeFile(path.join(dir, 'kyiv.fetch.json'), JSON.stringify({ ok: false, outcome: 'waf', message: 'HTTP 403, 5120 bytes', attempts: 2 }));
+  const { json } = await runParseFact({ input: path.join(dir, 'kyiv.html'), output: path.join(dir, 'kyiv.json') });
+  assert.equal(json.lastUpdateStatus.code, 403);
+  assert.deepEqual(json.lastUpdateStatus.recent, ['waf']);
+  assert.equal(json.fact, null);
+  assert.deepEqual(validate(json), [], formatErrors(validate(json)));
+});
+
+test('truncated page → 422 (unbalanced braces)', async (t) => {
+  const dir = await tempDir(t);
+  const { json } = await runParseFact({ input: fixturePath('html', 'truncated.html'), output: path.join(dir, 'kyiv.json') });
+
+  assert.equal(json.lastUpdateStatus.code, 422);
+  assert.match(json.lastUpdateStatus.message, /^Upstream layout changed: .*while extracting fact object/);
+  assert.equal(json.fact, null);
+});
+
+test('data that does not match the schema → 422 with JSON paths', async (t) => {
+  const dir = await tempDir(t);
+  const input = path.join(dir, 'bad.html');
+  const { fact } = await readFixtureJson('schedule.json');
+  const day = Object.keys(fact.data)[0];
+  fact.data[day]['GPV1.1']['7'] = 'off';
+  await writeFile(input, `<script>DisconSchedule.fact = ${JSON.stringify(fact)}</script>`);
+  const { json } = await runParseFact({ input, output: path.join(dir, 'kyiv.json') });
+
+  assert.equal(json.lastUpdateStatus.code, 422);
+  assert.match(json.lastUpdateStatus.message, new RegExp(`^Schema validation failed: /fact/data/${day}/GPV1\\.1/7 must be one of`));
+  assert.equal(json.fact, null);
+});
+
+test('missing input → 404', async (t) => {
+  const dir = await tempDir(t);
+  const { status, json } = await runParseFact({ input: path.join(dir, 'nope.html'), output: path.join(dir, 'kyiv.json') });
+
+  assert.equal(status, 0);
+  assert.equal(json.lastUpdateStatus.code, 404);
+  assert.match(json.lastUpdateStatus.message, /^Input not found: /);
+});
+
+test('unreadable input → 500 (crash handler)', async (t) => {
+  const dir = await tempDir(t);
+  const input = path.join(dir, 'a-directory.html');
+  await mkdir(input);
+  const { status, json } = await runParseFact({ input, output: path.join(dir, 'kyiv.json') });
+
+  assert.equal(status, 0);
+  assert.equal(json.lastUpdateStatus.code, 500);
+  assert.match(json.lastUpdateStatus.message, /^parse_fact crashed: /);
+});
+
+test('unknown --adapter is a usage error and leaves the output untouched', async (t) => {
+  const dir = await tempDir(t);
+  const { status, json } = await runParseFact({ input: fixturePath('html', 'normal.html'), output: path.join(dir, 'kyiv.json'), adapter: 'nope' });
+
+  assert.equal(status, 2);
+  assert.equal(json, null);
+});
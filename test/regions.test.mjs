@@ -0,0 +1,90 @@
+// scripts/lib/regions.js: config/regions.json merged with the REGION_SOURCES_JSON secret, validation and lookups.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { tempDir } from './helpers.mjs';
+import regionsLib from '../scripts/lib/regions.js';
+
+const { loadRegions, getRegion, filterRegions, groupLabel, regionName } = regionsLib;
+
+async function registryFile(t, content) {
+  const file = path.join(await tempDir(t), 'regions.json');
+  await writeFile(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+}
+
+test('registry entries get defaults; the secret fills URLs, overrides adapters and adds unknown regions', async (t) => {
+  const file = await registryFile(t, {
+    regions: [
+      { id: 'kyiv', name: ' м. Київ ', groupLabel: 'Група {group}', names: { en: 'Kyiv city', de: ' ' }, url: 'https://public.example.org' },
+      { id: 'odesa', enabled: false, adapter: 'discon-schedule', groupLabel: 'no placeholder' },
+    ],
+  });
+  const env = {
+    REGION_SOURCES_JSON: JSON.stringify({
+      zhytomyr: 'https://z.example.org', odesa: { url: 'https://o.example.org', adapter: 'other' }, cherkasy: { url: 'https://c.example.org' },
+    }),
+  };
+  const regions = loadRegions({ file, env });
+  assert.deepEqual(regions.map(r => r.id), ['kyiv', 'odesa', 'cherkasy', 'zhytomyr']);
+  assert.deepEqual(regions[0], {
+    id: 'kyiv', name: 'м. Київ', adapter: 'discon-schedule', enabled: true, groupLabel: 'Група {group}',
+    url: 'https://public.example.org', names: { en: 'Kyiv city' }, health: {},
+  });
+  assert.deepEqual([regions[1].enabled, regions[1].adapter, regions[1].url, regions[1].groupLabel], [false, 'other', 'https://o.example.org', 'Черга {group}']);
+  assert.deepEqual([regions[3].name, regions[3].enabled, regions[3].adapter, regions[3].url], [null, true, 'discon-schedule', 'https://z.example.org']);
+
+  // Without the secret only the committed registry is left
+  assert.deepEqual(loadRegions({ file, env: {} }).map(r => [r.id, r.url]), [['kyiv', 'https://public.example.org'], ['odesa', '']]);
+  // A bare array is accepted too; a missing file is an empty registry
+  assert.deepEqual(loadRegions({ file: await registryFile(t, [{ id: 'lviv' }]), env: {} }).map(r => r.id), ['lviv']);
+  assert.deepEqual(loadRegions({ file: path.join(path.dirname(file), 'none.json'), env: {} }), []);
+});
+
+test('invalid registries and secrets are rejected with the offending entry', async (t) => {
+  const load = async (content, env = {}) => loadRegions({ file: await registryFile(t, content), env });
+  await assert.rejects(load({ regions: [{ id: 'Kyiv' }] }), /regions\[0\]: "id" must be a lowercase slug/);
+  await assert.rejects(load({ regions: [{ id: 'kyiv' }, { id: 'kyiv' }] }), /regions\[1\]: duplicate id 'kyiv'/);
+  await assert.rejects(load({ list: [] }), /expected \{ "regions": \[\.\.\.\] \}/);
+  await assert.rejects(load('{ "regions": ['), SyntaxError);
+  await assert.rejects(load({ regions: [] }, { REGION_SOURCES_JSON: '{oops' }), /REGION_SOURCES_JSON is not valid JSON/);
+  await assert.rejects(load({ regions: [] }, { REGION_SOURCES_JSON: '["kyiv"]' }), /must be a JSON object keyed by region id/);
+  await assert.rejects(load({ regions: [] }, { REGION_SOURCES_JSON: '{"Bad Id":"https://x"}' }), /"id" must be a lowercase slug/);
+});
+
+test('getRegion, filterRegions, groupLabel and regionName', async (t) => {
+  const file = await registryFile(t, {
+    regions: [
+      { id: 'kyiv', names: { en: 'Kyiv city' } },
+      { id: 'odesa', enabled: false, groupLabel: 'Група {group}' },
+      { id: 'dnipro', adapter: 'other' },
+    ],
+  });
+  const regions = loadRegions({ file, env: {} });
+  const [kyiv, odesa] = regions;
+  assert.equal(getRegion('odesa', { file, env: {} }).groupLabel, 'Група {group}');
+  assert.equal(getRegion('lviv', { file, env: {} }), null);
+
+  assert.deepEqual(filterRegions(regions).map(r => r.id), ['kyiv', 'odesa', 'dnipro']);
+  assert.deepEqual(filterRegions(regions, { enabled: true }).map(r => r.id), ['kyiv', 'dnipro']);
+  assert.deepEqual(filterRegions(regions, { enabled: false }).map(r => r.id), ['odesa']);
+  assert.deepEqual(filterRegions(regions, { enabled: true, adapter: 'discon-schedule' }).map(r => r.id), ['kyiv']);
+
+  assert.equal(groupLabel(kyiv, 'GPV3.1'), 'Черга 3.1');
+  assert.equal(groupLabel(odesa, 'gpv12.2'), 'Група 12.2');
+  assert.equal(groupLabel(null, 'GPV1.1'), 'Черга 1.1');
+  assert.equal(groupLabel(kyiv, 'Special'), 'Special');
+  assert.equal(regionName(kyiv, 'en'), 'Kyiv city');
+  assert.equal(regionName(kyiv, 'uk'), null);
+  assert.equal(regionName(null, 'en'), null);
+});
+
+test('the committed registry loads and names every region', () => {
+  const regions = loadRegions({ env: {} });
+  assert.ok(regions.length > 0);
+  for (const r of regions) {
+    assert.equal(typeof r.name, 'string', r.id);
+    assert.equal('timezone' in r, false, r.id);
+  }
+});
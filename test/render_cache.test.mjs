@@ -0,0 +1,92 @@
+// scripts/lib/render_cache.mjs: per-image keys change only when that image's inputs change.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { readFixtureJson, tempDir, projectRoot } from './helpers.mjs';
+import {
+  imageInputs, renderKey, templateFingerprint, loadManifest, saveManifest, stableStringify, MANIFEST_NAME,
+} from '../scripts/lib/render_cache.mjs';
+
+const base = await readFixtureJson('schedule.json');
+const template = 'tpl';
+
+const IMAGES = [
+  ...['GPV1.1', 'GPV1.2'].flatMap(gpv => ['full', 'emergency', 'week', 'summary'].map(kind => ({ kind, gpv }))),
+  { kind: 'groups', day: 'today' },
+  { kind: 'groups', day: 'tomorrow' },
+];
+
+function keys(json, { theme = 'light', scale = 1.5 } = {}) {
+  return Object.fromEntries(IMAGES.map(img => [
+    `${img.kind}:${img.gpv || img.day}`,
+    renderKey({ inputs: imageInputs(json, img), template, theme, scale }),
+  ]));
+}
+
+function changedKeys(a, b) {
+  return Object.keys(a).filter(k => a[k] !== b[k]).sort();
+}
+
+test('a change in one group\'s tomorrow row only touches that group and the tomorrow matrix', () => {
+  const json = structuredClone(base);
+  const tomorrow = Object.keys(json.fact.data).find(k => k !== String(json.fact.today));
+  json.fact.data[tomorrow]['GPV1.2']['10'] = json.fact.data[tomorrow]['GPV1.2']['10'] === 'no' ? 'yes' : 'no';
+  assert.deepEqual(changedKeys(keys(base), keys(json)), ['emergency:GPV1.2', 'full:GPV1.2', 'groups:tomorrow']);
+});
+
+test('preset and affiliation changes reach exactly the images that show them', () => {
+  const json = structuredClone(base);
+  json.preset.data['GPV1.1']['3']['5'] = 'yes';
+  assert.deepEqual(changedKeys(keys(base), keys(json)), ['full:GPV1.1', 'week:GPV1.1']);
+
+  const renamed = { ...structuredClone(base), regionAffiliation: 'м. Київ' };
+  assert.equal(changedKeys(keys(base), keys(renamed)).length, IMAGES.length);
+});
+
+test('update times re-render the images that print them; key order does not re-render; theme and scale do', () => {
+  const json = structuredClone(base);
+  json.fact.update = '07.12.2025 09:00';
+  const printed = IMAGES.filter(img => img.kind !== 'summary').map(img => `${img.kind}:${img.gpv || img.day}`).sort();
+  assert.deepEqual(changedKeys(keys(base), keys(json)), printed);
+  const preset = structuredClone(base);
+  preset.preset.updateFact = '07.12.2025 09:00';
+  assert.deepEqual(changedKeys(keys(base), keys(preset)), printed);
+
+  const reordered = structuredClone(base);
+  const row = reordered.fact.data[reordered.fact.today]['GPV1.1'];
+  reordered.fact.data[reordered.fact.today]['GPV1.1'] = Object.fromEntries(Object.entries(row).reverse());
+  assert.deepEqual(changedKeys(keys(base), keys(reordered)), []);
+  assert.equal(stableStringify({ b: 1, a: [2, { d: 3, c: 4 }] }), '{"a":[2,{"c":4,"d":3}],"b":1}');
+
+  assert.equal(changedKeys(keys(base), keys(base, { theme: 'dark' })).length, IMAGES.length);
+  assert.equal(changedKeys(keys(base), keys(base, { scale: 2 })).length, IMAGES.length);
+});
+
+test('template fingerprint covers the template and its shared assets', async () => {
+  const full = await templateFingerprint(path.join(projectRoot, 'templates', 'html', 'full-template.html'));
+  const week = await templateFingerprint(path.join(projectRoot, 'templates', 'html', 'week-template.html'));
+  assert.match(full, /^[0-9a-f]{64}$/);
+  assert.notEqual(full, week);
+  assert.equal(full, await templateFingerprint(path.join(projectRoot, 'templates', 'html', 'full-template.html')));
+});
+
+test('manifest round-trip; unchanged manifest is not rewritten', async (t) => {
+  const dir = await tempDir(t);
+  const empty = await loadManifest(dir);
+  assert.deepEqual(empty.images, {});
+
+  empty.images['gpv-1-2.png'] = { key: 'b', renderedAt: '2025-12-06T20:40:00.000Z' };
+  empty.images['gpv-1-1.png'] = { key: 'a', renderedAt: '2025-12-06T20:40:00.000Z' };
+  assert.equal(await saveManifest(dir, empty), true);
+  const file = path.join(dir, MANIFEST_NAME);
+  const text = await readFile(file, 'utf8');
+  assert.deepEqual(Object.keys(JSON.parse(text).images), ['gpv-1-1.png', 'gpv-1-2.png']);
+
+  const before = (await stat(file)).mtimeMs;
+  assert.equal(await saveManifest(dir, await loadManifest(dir)), false);
+  assert.equal((await stat(file)).mtimeMs, before);
+
+  await writeFile(file, '{"version": 0, "images": {"x": {}}}');
+  assert.deepEqual((await loadManifest(dir)).images, {});
+});
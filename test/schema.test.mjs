@@ -0,0 +1,75 @@
+// scripts/lib/schema.js: the JSON Schema subset behind templates/json/data.schema.json and its error paths.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { projectRoot } from './helpers.mjs';
+import schemaLib from '../scripts/lib/schema.js';
+
+const { validate, formatErrors, dataSchemaVersion, loadDataSchema } = schemaLib;
+
+// A committed region file, stamped with the version the schema currently pins
+async function regionData() {
+  const json = JSON.parse(await readFile(path.join(projectRoot, 'data', 'kyiv.json'), 'utf8'));
+  json.meta = { ...json.meta, schemaVersion: dataSchemaVersion() };
+  return json;
+}
+
+test('a region file validates; broken parts are reported by JSON Pointer', async () => {
+  const json = await regionData();
+  assert.deepEqual(validate(json), [], formatErrors(validate(json)));
+  assert.equal(dataSchemaVersion(), loadDataSchema().properties.meta.properties.schemaVersion.const);
+
+  const ep = Object.keys(json.fact.data)[0];
+  json.fact.data[ep]['GPV1.1']['7'] = 'off';
+  json.fact.data[ep]['GPV1.1']['25'] = 'no';
+  delete json.preset;
+  json.lastUpdateStatus = null;
+  const errors = validate(json);
+  assert.deepEqual(errors.map(e => e.path).sort(), [
+    `/fact/data/${ep}/GPV1.1/25`,
+    `/fact/data/${ep}/GPV1.1/7`,
+    '/lastUpdateStatus',
+    '/preset',
+  ]);
+  assert.equal(errors.find(e => e.path === '/preset').message, 'is required');
+  assert.match(errors.find(e => e.path.endsWith('/7')).message, /^must be one of yes\|no\|maybe\|.*, got "off"$/);
+  assert.equal(errors.find(e => e.path.endsWith('/25')).message, 'is not allowed');
+  assert.equal(errors.find(e => e.path === '/lastUpdateStatus').message, 'must be object, got null');
+
+  assert.equal(formatErrors(errors, 2).split('; ').length, 2);
+  assert.match(formatErrors(errors, 2), / \(\+2 more\)$/);
+  assert.doesNotMatch(formatErrors(errors), /more\)/);
+});
+
+test('the keyword subset: $ref, oneOf, patterns, bounds and pointer escaping', () => {
+  const schema = {
+    $defs: { slot: { enum: ['yes', 'no'] }, 'a/b': { type: 'integer', minimum: 1 } },
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { type: 'string', minLength: 2, pattern: '^[a-z-]+$' },
+      status: { oneOf: [{ type: 'null' }, { type: 'object', required: ['ok'], properties: { ok: { const: true } } }] },
+      list: { type: 'array', minItems: 1, items: { $ref: '#/$defs/a~1b' } },
+    },
+    patternProperties: { '^s\\d+$': { $ref: '#/$defs/slot' } },
+    additionalProperties: { type: 'number' },
+  };
+  assert.deepEqual(validate({ id: 'ok', status: null, list: [1, 2], s1: 'yes', 'x/y': 1.5 }, schema), []);
+  assert.deepEqual(validate({ id: 'ok', status: { ok: true }, list: [3] }, schema), []);
+
+  const errors = validate({ id: 'A', status: { ok: false }, list: [0, 'x'], s2: 'maybe', 'x/y~': 'text' }, schema);
+  assert.deepEqual(errors.map(e => `${e.path} ${e.message}`), [
+    '/id must have at least 2 characters',
+    '/id must match ^[a-z-]+$',
+    // oneOf reports the branch whose type matched instead of a bare "oneOf failed"
+    '/status/ok must be true, got false',
+    '/list/0 must be >= 1',
+    '/list/1 must be integer, got string',
+    '/s2 must be one of yes|no, got "maybe"',
+    '/x~1y~0 must be number, got string',
+  ]);
+  assert.deepEqual(validate({ list: [] }, schema).map(e => e.path), ['/id', '/list']);
+  assert.deepEqual(validate([], schema), [{ path: '/', message: 'must be object, got array', typeMismatch: true }]);
+  assert.throws(() => validate({}, { $ref: 'other.json#/x' }), /Unsupported \$ref: other\.json#\/x/);
+});
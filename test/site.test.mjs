@@ -0,0 +1,70 @@
+// scripts/build_site.mjs: the dashboard, shared template assets, catalogs and region data land in one folder.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir, writeFile, mkdir } from 'node:fs/promises';
+import { spawnSync } from 'node:child_process';
+import path from 'node:path';
+import { readFixtureJson, tempDir, projectRoot } from './helpers.mjs';
+
+const build = (...args) => spawnSync(process.execPath, [path.join(projectRoot, 'scripts', 'build_site.mjs'), ...args], {
+  encoding: 'utf8', timeout: 30_000, env: { ...process.env, REGION_SOURCES_JSON: '' },
+});
+
+async function dataDir(t) {
+  const dir = await tempDir(t);
+  const data = path.join(dir, 'data');
+  await mkdir(data);
+  const json = await readFixtureJson('schedule.json');
+  await writeFile(path.join(data, 'odesa.json'), JSON.stringify({ ...json, regionAffiliation: 'Одеса' }));
+  await writeFile(path.join(data, 'kyiv.json'), JSON.stringify(json));
+  await writeFile(path.join(data, 'broken.json'), '{');
+  return { dir, data, json };
+}
+
+test('builds a self-contained site with the regions index and copied data', async (t) => {
+  const { dir, data, json } = await dataDir(t);
+  const out = path.join(dir, 'site');
+  const res = build('--out', out, '--data', data);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /\[SUMMARY\] Site: .*regions: 2/);
+  assert.match(res.stderr, /\[WARN\] Failed to read .*broken\.json/);
+
+  const files = await readdir(out);
+  for (const f of ['index.html', 'dashboard.js', 'dashboard.css', 'schedule-shared.js', 'schedule-shared.css', 'regions.json', 'icons', 'i18n', 'data']) {
+    assert.ok(files.includes(f), f);
+  }
+  assert.deepEqual((await readdir(path.join(out, 'i18n'))).sort(), ['en.json', 'uk.json']);
+  assert.equal(await readFile(path.join(out, 'schedule-shared.js'), 'utf8'), await readFile(path.join(projectRoot, 'templates', 'html', 'schedule-shared.js'), 'utf8'));
+
+  const index = JSON.parse(await readFile(path.join(out, 'regions.json'), 'utf8'));
+  assert.equal(index.dataBase, 'data/');
+  // Registry order: kyiv before odesa
+  assert.deepEqual(index.regions.map(r => r.id), ['kyiv', 'odesa']);
+  assert.equal(index.regions[0].name, 'м. Київ');
+  assert.equal(index.regions[0].names.en, 'Kyiv city');
+  assert.deepEqual(index.regions[0].groups, ['GPV1.1', 'GPV1.2', 'GPV2.1', 'GPV2.2']);
+  assert.equal(index.regions[0].updated, json.fact.update);
+  assert.deepEqual(JSON.parse(await readFile(path.join(out, 'data', 'kyiv.json'), 'utf8')), json);
+
+  const again = build('--out', out, '--data', data);
+  assert.match(again.stdout, /written: 0,/);
+});
+
+test('--data-url points the page at hosted data instead of copying it', async (t) => {
+  const { dir, data } = await dataDir(t);
+  const out = path.join(dir, 'public');
+  const res = build('--out', out, '--data', data, '--data-url', '../data');
+  assert.equal(res.status, 0, res.stderr);
+  assert.equal(JSON.parse(await readFile(path.join(out, 'regions.json'), 'utf8')).dataBase, '../data/');
+  assert.ok(!(await readdir(out)).includes('data'));
+  assert.equal(build('--out').status, 2);
+});
+
+test('the dashboard keeps the templates\' query params and renders through schedule-shared.js', async () => {
+  const js = await readFile(path.join(projectRoot, 'templates', 'site', 'dashboard.js'), 'utf8');
+  for (const param of ['region', 'gpv', 'day', 'theme']) assert.match(js, new RegExp(`qs\\.get\\('${param}'\\)`), param);
+  assert.match(js, /Schedule\.render\(/);
+  const html = await readFile(path.join(projectRoot, 'templates', 'site', 'index.html'), 'utf8');
+  for (const id of ['region', 'gpv', 'today', 'matrix', 'now', 'theme']) assert.match(html, new RegExp(`id="${id}"`), id);
+  assert.match(html, /<script src="schedule-shared\.js"><\/script>\s*<script src="dashboard\.js"><\/script>/);
+});
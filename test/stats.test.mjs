@@ -0,0 +1,122 @@
+// scripts/lib/stats.mjs and scripts/outage_stats.mjs: hours per group and period, longest outage, switches, fairness.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { spawnSync } from 'node:child_process';
+import path from 'node:path';
+import { readFixtureJson, tempDir, projectRoot } from './helpers.mjs';
+import { buildStats, collectDays, fairness, isoWeek, statsToCsv, chartData, describeChart } from '../scripts/lib/stats.mjs';
+import { appendSnapshotIfChanged } from '../scripts/lib/history.mjs';
+
+const { preset } = await readFixtureJson('schedule.json');
+const SAT = 1764972000; // 2025-12-06
+const SUN = 1765058400; // 2025-12-07
+
+// 24 hourly slots, "yes" unless listed: row({ 23: 'no', 3: 'first' })
+const row = (states = {}) => Object.fromEntries(Array.from({ length: 24 }, (_, i) => [String(i + 1), states[i + 1] || 'yes']));
+
+const json = {
+  regionId: 'kyiv',
+  preset,
+  fact: {
+    today: SAT,
+    data: {
+      [SAT]: { 'GPV1.1': row({ 23: 'no', 24: 'no' }), 'GPV1.2': row({ 10: 'no', 11: 'maybe' }) },
+      [SUN]: { 'GPV1.1': row({ 1: 'no', 2: 'no', 3: 'first' }), 'GPV1.2': row({ 5: 'no', 6: 'first', 9: 'msecond' }) },
+    },
+  },
+};
+
+const snapshot = (at, days) => ({ at, days: days.map(([date, groups]) => ({ date, groups })) });
+const archive = [
+  snapshot('2025-12-05T08:00:00.000Z', [['2025-12-05', { 'GPV1.1': row({ 12: 'no' }) }], ['2025-12-06', { 'GPV1.1': row() }]]),
+];
+
+test('the latest row per date wins: archive first, then the current file', () => {
+  const days = collectDays(json, archive);
+  assert.deepEqual([...days.keys()], ['2025-12-05', '2025-12-06', '2025-12-07']);
+  assert.equal(days.get('2025-12-06')['GPV1.1']['23'], 'no');
+  assert.equal(days.get('2025-12-05')['GPV1.1']['12'], 'no');
+  assert.equal(isoWeek('2025-12-07'), '2025-W49');
+  assert.equal(isoWeek('2025-12-08'), '2025-W50');
+  assert.equal(isoWeek('2021-01-03'), '2020-W53');
+});
+
+test('per-day hours, outages joined across midnight and switches inside the covered days', () => {
+  const report = buildStats(json);
+  assert.equal(report.from, '2025-12-06');
+  assert.deepEqual(report.groups, ['GPV1.1', 'GPV1.2']);
+
+  const [sat, sun] = report.periods.day;
+  // 22:00–24:00: the outage runs to the end of the covered day, so only its start is a switch
+  assert.deepEqual(sat.groups['GPV1.1'], { days: 1, off: 2, possible: 0, on: 22, longestOff: 2, switches: 1, offPerDay: 2 });
+  assert.deepEqual(sat.groups['GPV1.2'], { days: 1, off: 1, possible: 1, on: 22, longestOff: 1, switches: 2, offPerDay: 1 });
+  // 00:00–02:30; 04:00–05:30 and 08:30–09:00 (half-hour states count as half a slot, msecond as an outage like the summary card)
+  assert.equal(sun.groups['GPV1.1'].off, 2.5);
+  assert.equal(sun.groups['GPV1.2'].off, 2);
+  assert.equal(sun.groups['GPV1.2'].switches, 4);
+
+  const [week] = report.periods.week;
+  assert.deepEqual([week.period, week.from, week.to], ['2025-W49', '2025-12-01', '2025-12-07']);
+  // 22:00 Saturday → 02:30 Sunday is one outage and one pair of switches
+  assert.equal(week.groups['GPV1.1'].longestOff, 4.5);
+  assert.equal(week.groups['GPV1.1'].switches, 2);
+  assert.equal(week.groups['GPV1.1'].offPerDay, 2.25);
+  assert.deepEqual(report.periods.month.map(p => [p.period, p.from, p.to]), [['2025-12', '2025-12-01', '2025-12-31']]);
+
+  const withArchive = buildStats(json, { snapshots: archive, from: '2025-12-05', to: '2025-12-06', groups: ['GPV1.1'] });
+  assert.deepEqual(withArchive.groups, ['GPV1.1']);
+  assert.equal(withArchive.periods.week[0].groups['GPV1.1'].days, 2);
+  assert.equal(withArchive.periods.week[0].groups['GPV1.1'].off, 3);
+  assert.equal(withArchive.snapshots, 1);
+});
+
+test('fairness across groups by hours off per day', () => {
+  const g = (days, offPerDay) => ({ days, offPerDay });
+  assert.deepEqual(fairness({ a: g(1, 2), b: g(1, 6), c: g(0, 0) }), {
+    groups: 2, mean: 4, min: { gpv: 'a', offPerDay: 2 }, max: { gpv: 'b', offPerDay: 6 }, spread: 4, stdDev: 2, gini: 0.25,
+  });
+  assert.equal(fairness({ a: g(2, 3), b: g(1, 3) }).gini, 0);
+  assert.equal(fairness({}), null);
+});
+
+test('CSV, chart input and its text alternative', () => {
+  const report = buildStats(json);
+  const csv = statsToCsv(report).trim().split('\n');
+  assert.equal(csv[0], 'period_type,period,from,to,group,days,off_hours,possible_hours,on_hours,longest_off_hours,switches,off_per_day_hours');
+  assert.equal(csv.length, 1 + 2 * 2 + 2 + 2);
+  assert.ok(csv.includes('week,2025-W49,2025-12-01,2025-12-07,GPV1.1,2,4.5,0,43.5,4.5,2,2.25'));
+
+  const chart = chartData(report, { period: 'week', lang: 'en', preset });
+  assert.equal(chart.period.label, 'week of 1 December – 7 December');
+  assert.deepEqual(chart.groups.map(g => g.label), ['Group 1.1', 'Group 1.2']);
+  assert.equal(chart.fairness.max.label, 'Group 1.1');
+  const alt = describeChart(chart, { lang: 'en', regionName: 'Kyiv city' });
+  assert.equal(alt.lines[0], 'Outage statistics (Kyiv city): week of 1 December – 7 December.');
+  assert.equal(alt.lines[1], 'Group 1.1: power off 4.5 h, possible outages 0 h, longest outage 4.5 h, 2 switches (2 days with data).');
+
+  assert.equal(chartData(report, { period: 'day', at: '2025-12-07' }).period.label, '7 грудня');
+  assert.equal(chartData(report, { period: 'day', at: '2025-12-20' }), null);
+});
+
+test('CLI: archive from --history, CSV to a file, usage errors', async (t) => {
+  const dir = await tempDir(t);
+  const dataFile = path.join(dir, 'kyiv.json');
+  await writeFile(dataFile, JSON.stringify(json));
+  const history = path.join(dir, 'history');
+  const old = { ...json, meta: { contentHash: 'old' }, fact: { today: SAT - 86400, data: { [SAT - 86400]: { 'GPV1.1': row({ 12: 'no' }) } } } };
+  await appendSnapshotIfChanged(history, 'kyiv', old, new Date('2025-12-05T08:00:00Z'));
+
+  const run = (...args) => spawnSync(process.execPath, [path.join(projectRoot, 'scripts', 'outage_stats.mjs'), '--region', 'kyiv', '--json', dataFile, '--history', history, ...args], { encoding: 'utf8', timeout: 30_000 });
+  const res = run();
+  assert.equal(res.status, 0, res.stderr);
+  const report = JSON.parse(res.stdout);
+  assert.equal(report.from, '2025-12-05');
+  assert.equal(report.snapshots, 1);
+
+  const out = path.join(dir, 'stats', 'kyiv.csv');
+  assert.equal(run('--format', 'csv', '--out', out, '--from', '2025-12-06').status, 0);
+  assert.match(await readFile(out, 'utf8'), /^period_type,/);
+  assert.equal(run('--period', 'year').status, 2);
+  assert.equal(run('--from', '06.12.2025').status, 2);
+});
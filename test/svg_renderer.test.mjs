@@ -0,0 +1,73 @@
+// scripts/lib/svg_renderer.mjs: browser-free SVG for every template view.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixtureJson } from './helpers.mjs';
+import { renderScheduleSvg, summaryOf, SVG_VIEWS, THEMES } from '../scripts/lib/svg_renderer.mjs';
+
+const json = { ...(await readFixtureJson('schedule.json')), regionAffiliation: 'м. Київ' };
+
+const texts = svg => [...svg.matchAll(/<text[^>]*>([^<]*)<\/text>/g)].map(m => m[1]);
+
+test('every view renders a self-contained SVG', () => {
+  for (const view of SVG_VIEWS) {
+    const { svg, width, height } = renderScheduleSvg(json, { view, gpv: 'GPV1.1' });
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="\d+" height="\d+"/, view);
+    assert.ok(svg.trimEnd().endsWith('</svg>'), view);
+    assert.ok(width > 0 && height > 0, view);
+    // Icons are inlined once each, and their internal ids do not collide
+    const ids = [...svg.matchAll(/\bid="([^"]+)"/g)].map(m => m[1]);
+    assert.equal(new Set(ids).size, ids.length, `duplicate ids in ${view}`);
+    for (const [, ref] of svg.matchAll(/(?:href="#|url\(#)([^")]+)/g)) assert.ok(ids.includes(ref), `${view}: dangling #${ref}`);
+    assert.doesNotMatch(svg, /(?:href|src)="(?!#)/, `${view}: external reference`);
+  }
+});
+
+test('full view: title, badge, today/tomorrow rows and the week matrix', () => {
+  const { svg, width } = renderScheduleSvg(json, { view: 'full', gpv: 'GPV1.1' });
+  const t = texts(svg);
+  assert.equal(width, 835 + 48);
+  assert.ok(t.includes('Графік відключень (м. Київ):'));
+  assert.ok(t.includes('Черга 1.1'));
+  assert.ok(t.includes('Дата та час останнього оновлення інформації на графіку: 06.12.2025 20:39'));
+  assert.ok(t.includes('6 грудня') && t.includes('7 грудня'));
+  for (const day of ['Понеділок', 'Субота', 'Неділя']) assert.ok(t.includes(day), day);
+  assert.equal(t.filter(s => s === '00-01').length, 2);
+  // fact.today is a Saturday: exactly one highlighted weekday row
+  assert.equal(svg.split(`fill="${THEMES.light.todayBg}"`).length - 1, 1);
+  // Half-hour slot in the today table uses the n* icon, the week matrix the m* ones
+  assert.match(svg, /href="#icon-nfirst"/);
+  assert.match(svg, /<symbol id="icon-no"/);
+});
+
+test('groups view lists every group for the chosen day', () => {
+  const today = texts(renderScheduleSvg(json, { view: 'groups' }).svg);
+  assert.ok(today.includes('Графік відключень на 6 грудня по всіх групах (м. Київ)'));
+  for (const g of ['Черга 1.1', 'Черга 1.2', 'Черга 2.1', 'Черга 2.2']) assert.ok(today.includes(g), g);
+  const tomorrow = texts(renderScheduleSvg(json, { view: 'groups', day: 'tomorrow' }).svg);
+  assert.ok(tomorrow.includes('Графік відключень на 7 грудня по всіх групах (м. Київ)'));
+});
+
+test('summary card matches buildSummary', () => {
+  const s = summaryOf(json, 'GPV1.1');
+  assert.deepEqual(s.lines, ['з 06:00 до 10:30', 'з 14:00 до 21:00']);
+  assert.equal(s.note, 'світло буде відсутнє');
+  const t = texts(renderScheduleSvg(json, { view: 'summary', gpv: 'GPV1.1' }).svg);
+  assert.deepEqual(t.slice(0, 4), ['1.1', 'м. Київ', '6 грудня,', 'світло буде відсутнє']);
+  assert.ok(t.includes('OFF') && t.includes('з 14:00 до 21:00'));
+
+  const allYes = structuredClone(json);
+  const row = allYes.fact.data[allYes.fact.today]['GPV1.1'];
+  for (const k of Object.keys(row)) row[k] = 'yes';
+  const on = summaryOf(allYes, 'GPV1.1');
+  assert.equal(on.on, true);
+  assert.equal(on.note, 'світло буде весь день');
+});
+
+test('dark theme, unknown group and unknown view', () => {
+  const dark = renderScheduleSvg(json, { view: 'week', gpv: 'GPV2.2', theme: 'dark' }).svg;
+  assert.match(dark, new RegExp(`<rect width="\\d+" height="\\d+" fill="${THEMES.dark.bg}"/>`));
+  // Unknown group falls back to the first one, like the templates
+  assert.equal(renderScheduleSvg(json, { view: 'week', gpv: 'GPV9.9' }).gpv, 'GPV1.1');
+  assert.throws(() => renderScheduleSvg(json, { view: 'poster' }), /Unknown view 'poster'/);
+  assert.throws(() => renderScheduleSvg({}, { view: 'full' }), /no preset\/fact/);
+});
@@ -0,0 +1,115 @@
+// Render every template in templates/html against fixture data (parsed from test/fixtures/html/normal.html)
+// through scripts/lib/renderer.mjs and compare the table DOM with test/fixtures/dom/<case>.json.
+// A missing snapshot fails the test; UPDATE_SNAPSHOTS=1 writes new ones and rewrites them after an intended change.
+// Skipped when Playwright's Chromium is not installed (`npx playwright install chromium`).
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, readFile, writeFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { projectRoot, fixturePath, readFixtureJson, runParseFact } from './helpers.mjs';
+import { startStaticServer, createBrowser, renderPage } from '../scripts/lib/renderer.mjs';
+
+const templatesDir = path.join(projectRoot, 'templates', 'html');
+const snapshotsDir = fixturePath('dom');
+const updateSnapshots = process.env.UPDATE_SNAPSHOTS === '1';
+
+const CASES = [
+  { name: 'full', template: 'full-template.html', gpvKey: 'GPV1.1' },
+  { name: 'emergency', template: 'emergency-template.html', gpvKey: 'GPV1.1' },
+  { name: 'week', template: 'week-template.html', gpvKey: 'GPV2.2' },
+  { name: 'summary', template: 'summary-item.html', gpvKey: 'GPV1.2' },
+  { name: 'groups-today', template: 'groups-template.html' },
+  { name: 'groups-tomorrow', template: 'groups-template.html', dayArg: 'tomorrow' },
+];
+
+let browser = null;
+let skipReason = false;
+try {
+  browser = await createBrowser();
+} catch (e) {
+  skipReason = `Chromium is not available: ${String(e?.message || e).split('\n')[0]}`;
+}
+
+let server, baseURL, workDir, jsonPath;
+
+before(async () => {
+  if (!browser) return;
+  ({ server, baseURL } = await startStaticServer(projectRoot));
+  workDir = await mkdtemp(path.join(os.tmpdir(), 'outage-data-tpl-'));
+  jsonPath = path.join(workDir, 'kyiv.json');
+  const { json } = await runParseFact({ input: fixturePath('html', 'normal.html'), output: jsonPath });
+  assert.equal(json?.lastUpdateStatus?.code, 200);
+});
+
+after(async () => {
+  if (browser) await browser.close();
+  if (server) await new Promise(resolve => server.close(resolve));
+  if (workDir) await rm(workDir, { recursive: true, force: true });
+});
+
+// Tables as rows of "text|class class" cells, plus headings and summary lines
+function extractDom(page) {
+  return page.evaluate(() => {
+    const norm = s => (s || '').replace(/\s+/g, ' ').trim();
+    const cell = c => `${norm(c.textContent)}|${[...c.classList].sort().join(' ')}`;
+    return {
+      h1: [...document.querySelectorAll('h1')].map(h => norm(h.textContent)),
+      tables: [...document.querySelectorAll('table')].map(t => ({
+        id: t.id,
+        rows: [...t.rows].map(r => ({ cls: [...r.classList].sort().join(' '), cells: [...r.cells].map(cell) })),
+      })),
+      summary: [...document.querySelectorAll('.summary-intervals > div, .status-badge')].map(e => norm(e.textContent)),
+    };
+  });
+}
+
+async function compareSnapshot(t, name, actual) {
+  const file = path.join(snapshotsDir, `${name}.json`);
+  if (updateSnapshots) {
+    await mkdir(snapshotsDir, { recursive: true });
+    await writeFile(file, JSON.stringify(actual, null, 2) + '\n');
+    t.diagnostic(`snapshot written: ${path.relative(projectRoot, file)}`);
+    return;
+  }
+  let expected;
+  try {
+    expected = JSON.parse(await readFile(file, 'utf8'));
+  } catch (e) {
+    assert.fail(`No snapshot ${path.relative(projectRoot, file)} (${e.code || e.message}); run with UPDATE_SNAPSHOTS=1 to write it`);
+  }
+  assert.deepEqual(actual, expected);
+}
+
+for (const c of CASES) {
+  test(`template ${c.name} renders the expected table DOM`, { skip: skipReason }, async (t) => {
+    const { inspected } = await renderPage({
+      browser, baseURL, projectRoot,
+      htmlPath: path.join(templatesDir, c.template),
+      jsonPath,
+      gpvKey: c.gpvKey,
+      dayArg: c.dayArg,
+      theme: 'light',
+      deviceScaleFactor: 1,
+      inspect: extractDom,
+    });
+    await compareSnapshot(t, c.name, inspected);
+  });
+}
+
+test('full template: today row cells follow fact slots', { skip: skipReason }, async () => {
+  const { fact } = await readFixtureJson('schedule.json');
+  const { inspected } = await renderPage({
+    browser, baseURL, projectRoot,
+    htmlPath: path.join(templatesDir, 'full-template.html'),
+    jsonPath,
+    gpvKey: 'GPV1.1',
+    theme: 'light',
+    deviceScaleFactor: 1,
+    inspect: extractDom,
+  });
+  const today = inspected.tables.find(tb => tb.id === 'today');
+  const states = today.rows[1].cells.slice(1).map(s => (s.split('|')[1].match(/state-(\w+)/) || [])[1]);
+  const slots = fact.data[String(fact.today)]['GPV1.1'];
+  assert.deepEqual(states, Array.from({ length: 24 }, (_, i) => slots[String(i + 1)]));
+});